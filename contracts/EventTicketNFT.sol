@@ -5,18 +5,31 @@ import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Burnable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
+import "./TicketRoles.sol";
+
+/**
+ * @dev Builds tokenURI on-chain in place of the stored metadata URI
+ */
+interface ITicketRenderer {
+    function renderTokenURI(uint256 tokenId) external view returns (string memory);
+}
 
 /**
  * @title EventTicketNFT
  * @dev NFT contract for event tickets with verification and locking mechanism
  */
-contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable {
+contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, ERC2981, Pausable {
     using Counters for Counters.Counter;
 
     Counters.Counter private _tokenIdCounter;
+    Counters.Counter private _eventIdCounter;
+
+    uint256 public constant MAX_BATCH_SIZE = 100;
+    uint96 public constant MAX_ROYALTY = 1000; // 10% maximum royalty (basis points)
+    uint256 public constant MAX_FREEZE_WINDOW = 7 days;
 
     // Ticket status enum
     enum TicketStatus {
@@ -24,14 +37,46 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
         VERIFIED,   // Verified by admin
         LOCKED,     // In escrow
         UNLOCKED,   // Transaction completed
-        DISPUTED    // Under dispute
+        DISPUTED,   // Under dispute
+        REJECTED,   // Rejected by admin, owner may resubmit proof
+        REDEEMED,   // Admitted at the venue gate, no longer transferable
+        CANCELLED   // Event called off, no longer transferable
+    }
+
+    // Why an admin rejected a ticket
+    enum RejectionReason {
+        NONE,
+        INVALID_PROOF,     // Proof does not show a valid ticket
+        UNREADABLE_PROOF,  // Proof image blurry or incomplete
+        DUPLICATE,         // Same ticket already listed
+        FRAUD,             // Counterfeit; usually burned
+        MORE_INFO_NEEDED,  // Owner should resubmit with more detail
+        OTHER
+    }
+
+    // Event status enum
+    enum EventStatus {
+        SCHEDULED,  // Upcoming, tickets can be minted
+        COMPLETED,  // Event has taken place
+        CANCELLED   // Event called off
+    }
+
+    // Event information structure
+    struct EventInfo {
+        uint256 eventId;
+        address organizer;
+        string name;
+        string venue;
+        uint256 startTime;
+        uint256 capacity;
+        uint256 ticketsMinted; // every ticket minted, pending or not
+        uint256 ticketsVerified; // tickets holding a seat; pending self-mints cannot fill the event
+        EventStatus status;
     }
 
     // Ticket information structure
     struct TicketInfo {
-        string eventName;
-        string eventDate;
-        string venue;
+        uint256 eventId;
         string seatInfo;
         uint256 originalPrice;
         address originalSeller;
@@ -40,29 +85,55 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
         string proofImageHash; // IPFS hash
     }
 
+    // Latest rejection of a ticket
+    struct Rejection {
+        RejectionReason reason;
+        string note;
+        address admin;
+        uint256 timestamp;
+        bool burned;
+    }
+
     // Mappings
     mapping(uint256 => TicketInfo) public ticketInfo;
+    mapping(uint256 => EventInfo) public eventInfo;
+    mapping(uint256 => uint256[]) private _eventTickets;
+    mapping(uint256 => RoyaltyInfo) public eventRoyalties;
     mapping(uint256 => bool) public isLocked;
-    mapping(address => bool) public authorizedMarketplace;
-    mapping(address => bool) public admins;
+    mapping(uint256 => Rejection) public rejections;
+    mapping(uint256 => uint256) public freezeWindows; // eventId => seconds before start with no secondary trades
+
+    // On-chain tokenURI renderer; address(0) serves the stored metadata URI
+    ITicketRenderer public renderer;
+
+    // Role registry shared with the marketplace
+    TicketRoles public roles;
 
     // Events
-    event TicketMinted(uint256 indexed tokenId, address indexed seller, string eventName);
+    event EventCreated(uint256 indexed eventId, address indexed organizer, string name, uint256 startTime);
+    event EventStatusChanged(uint256 indexed eventId, EventStatus newStatus);
+    event EventRescheduled(uint256 indexed eventId, uint256 previousStartTime, uint256 newStartTime);
+    event TicketMinted(uint256 indexed tokenId, address indexed seller, uint256 indexed eventId);
+    event TicketsBatchMinted(uint256 indexed eventId, address indexed organizer, uint256 count);
     event TicketVerified(uint256 indexed tokenId, address indexed admin);
+    event TicketRejected(uint256 indexed tokenId, address indexed admin, RejectionReason reason, string note, bool burned);
+    event TicketResubmitted(uint256 indexed tokenId, address indexed owner, string proofImageHash);
     event TicketLocked(uint256 indexed tokenId);
     event TicketUnlocked(uint256 indexed tokenId);
     event TicketStatusChanged(uint256 indexed tokenId, TicketStatus newStatus);
-    event AdminAdded(address indexed admin);
-    event AdminRemoved(address indexed admin);
-    event MarketplaceAuthorized(address indexed marketplace);
+    event EventRoyaltyUpdated(uint256 indexed eventId, address indexed receiver, uint96 royaltyBps);
+    event TokenRoyaltyUpdated(uint256 indexed tokenId, address indexed receiver, uint96 royaltyBps);
+    event RendererUpdated(address indexed renderer);
+    event FreezeWindowUpdated(uint256 indexed eventId, uint256 freezeWindow);
 
-    modifier onlyAdmin() {
-        require(admins[msg.sender] || msg.sender == owner(), "Only admin can perform this action");
+    modifier onlyRole(bytes32 role) {
+        require(roles.hasRole(role, msg.sender), "Caller is missing role");
         _;
     }
 
-    modifier onlyMarketplace() {
-        require(authorizedMarketplace[msg.sender], "Only authorized marketplace");
+    modifier onlyEventOrganizer(uint256 eventId) {
+        require(_eventExists(eventId), "Event does not exist");
+        require(canManageEvent(eventId, msg.sender), "Only event organizer can perform this action");
         _;
     }
 
@@ -71,33 +142,165 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
         _;
     }
 
-    constructor() ERC721("EventTicketNFT", "ETNFT") {
-        admins[msg.sender] = true;
+    modifier notFrozen(uint256 tokenId) {
+        require(block.timestamp < tradingFreezesAt(tokenId), "Ticket trading frozen");
+        _;
+    }
+
+    constructor(address _roles) ERC721("EventTicketNFT", "ETNFT") {
+        roles = TicketRoles(_roles);
+    }
+
+    /**
+     * @dev Creates a new event owned by the caller (organizer only)
+     */
+    function createEvent(
+        string memory name,
+        string memory venue,
+        uint256 startTime,
+        uint256 capacity
+    ) external onlyRole(ORGANIZER_ROLE) returns (uint256) {
+        require(bytes(name).length > 0, "Event name required");
+        require(startTime > block.timestamp, "Event must start in the future");
+        require(capacity > 0, "Capacity must be greater than 0");
+
+        _eventIdCounter.increment();
+        uint256 eventId = _eventIdCounter.current();
+
+        eventInfo[eventId] = EventInfo({
+            eventId: eventId,
+            organizer: msg.sender,
+            name: name,
+            venue: venue,
+            startTime: startTime,
+            capacity: capacity,
+            ticketsMinted: 0,
+            ticketsVerified: 0,
+            status: EventStatus.SCHEDULED
+        });
+
+        emit EventCreated(eventId, msg.sender, name, startTime);
+        return eventId;
+    }
+
+    /**
+     * @dev Updates the status of an event (event organizer or admin)
+     */
+    function setEventStatus(uint256 eventId, EventStatus newStatus) external onlyEventOrganizer(eventId) {
+        require(eventInfo[eventId].status == EventStatus.SCHEDULED, "Event not scheduled");
+        require(newStatus != EventStatus.SCHEDULED, "Invalid status");
+
+        eventInfo[eventId].status = newStatus;
+        emit EventStatusChanged(eventId, newStatus);
+    }
+
+    /**
+     * @dev Sets how long before the event start secondary trades stop (event organizer or admin).
+     * 0 disables the freeze.
+     */
+    function setFreezeWindow(uint256 eventId, uint256 freezeWindow) external onlyEventOrganizer(eventId) {
+        require(freezeWindow <= MAX_FREEZE_WINDOW, "Freeze window too long");
+
+        freezeWindows[eventId] = freezeWindow;
+        emit FreezeWindowUpdated(eventId, freezeWindow);
+    }
+
+    /**
+     * @dev Sets the secondary-sale royalty for every ticket of an event (event organizer or admin)
+     */
+    function setEventRoyalty(uint256 eventId, address receiver, uint96 royaltyBps) external onlyEventOrganizer(eventId) {
+        require(receiver != address(0), "Invalid royalty receiver");
+        require(royaltyBps <= MAX_ROYALTY, "Royalty too high");
+
+        eventRoyalties[eventId] = RoyaltyInfo(receiver, royaltyBps);
+        emit EventRoyaltyUpdated(eventId, receiver, royaltyBps);
     }
 
     /**
-     * @dev Mints a new ticket NFT
+     * @dev Overrides the event royalty for a single ticket (event organizer or admin)
+     */
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 royaltyBps)
+        external
+        onlyEventOrganizer(ticketInfo[tokenId].eventId)
+    {
+        require(_exists(tokenId), "Token does not exist");
+        require(royaltyBps <= MAX_ROYALTY, "Royalty too high");
+
+        _setTokenRoyalty(tokenId, receiver, royaltyBps);
+        emit TokenRoyaltyUpdated(tokenId, receiver, royaltyBps);
+    }
+
+    /**
+     * @dev Mints a new ticket NFT for a scheduled event
      */
     function mintTicket(
         address to,
-        string memory eventName,
-        string memory eventDate,
-        string memory venue,
+        uint256 eventId,
         string memory seatInfo,
         uint256 originalPrice,
         string memory proofImageHash,
         string memory metadataURI
     ) public returns (uint256) {
+        return _mintTicket(to, eventId, seatInfo, originalPrice, proofImageHash, metadataURI);
+    }
+
+    /**
+     * @dev Mints an event's seat inventory to its organizer, pre-verified (event organizer or admin)
+     */
+    function batchMintTickets(
+        uint256 eventId,
+        string[] calldata seatInfos,
+        uint256[] calldata prices,
+        string calldata metadataURI
+    ) external onlyEventOrganizer(eventId) returns (uint256[] memory) {
+        require(seatInfos.length > 0, "No seats provided");
+        require(seatInfos.length <= MAX_BATCH_SIZE, "Batch too large");
+        require(seatInfos.length == prices.length, "Seats and prices length mismatch");
+
+        address organizer = eventInfo[eventId].organizer;
+        uint256[] memory tokenIds = new uint256[](seatInfos.length);
+
+        for (uint256 i = 0; i < seatInfos.length; i++) {
+            uint256 tokenId = _mintTicket(organizer, eventId, seatInfos[i], prices[i], "", metadataURI);
+            eventInfo[eventId].ticketsVerified++;
+            ticketInfo[tokenId].status = TicketStatus.VERIFIED;
+            emit TicketVerified(tokenId, msg.sender);
+            emit TicketStatusChanged(tokenId, TicketStatus.VERIFIED);
+            tokenIds[i] = tokenId;
+        }
+
+        emit TicketsBatchMinted(eventId, organizer, tokenIds.length);
+        return tokenIds;
+    }
+
+    /**
+     * @dev Internal function to mint a pending ticket while the event has capacity left.
+     * Capacity is only taken once the ticket is verified (or issued by the organizer).
+     */
+    function _mintTicket(
+        address to,
+        uint256 eventId,
+        string memory seatInfo,
+        uint256 originalPrice,
+        string memory proofImageHash,
+        string memory metadataURI
+    ) internal returns (uint256) {
+        require(_eventExists(eventId), "Event does not exist");
+        EventInfo storage info = eventInfo[eventId];
+        require(info.status == EventStatus.SCHEDULED, "Event not scheduled");
+        require(info.startTime > block.timestamp, "Event already started");
+        require(info.ticketsVerified < info.capacity, "Event sold out");
+
         uint256 tokenId = _tokenIdCounter.current();
         _tokenIdCounter.increment();
+        info.ticketsMinted++;
+        _eventTickets[eventId].push(tokenId);
         
         _safeMint(to, tokenId);
         _setTokenURI(tokenId, metadataURI);
 
         ticketInfo[tokenId] = TicketInfo({
-            eventName: eventName,
-            eventDate: eventDate,
-            venue: venue,
+            eventId: eventId,
             seatInfo: seatInfo,
             originalPrice: originalPrice,
             originalSeller: to,
@@ -106,28 +309,82 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
             proofImageHash: proofImageHash
         });
 
-        emit TicketMinted(tokenId, to, eventName);
+        emit TicketMinted(tokenId, to, eventId);
         return tokenId;
     }
 
     /**
-     * @dev Verifies a ticket (admin only)
+     * @dev Verifies a ticket against its event's capacity (admin only)
      */
-    function verifyTicket(uint256 tokenId) external onlyAdmin {
+    function verifyTicket(uint256 tokenId) external onlyRole(VERIFIER_ROLE) {
         require(_exists(tokenId), "Token does not exist");
         require(ticketInfo[tokenId].status == TicketStatus.PENDING, "Ticket not pending verification");
-        
+        EventInfo storage info = eventInfo[ticketInfo[tokenId].eventId];
+        require(info.ticketsVerified < info.capacity, "Event sold out");
+        info.ticketsVerified++;
+
         ticketInfo[tokenId].status = TicketStatus.VERIFIED;
         emit TicketVerified(tokenId, msg.sender);
         emit TicketStatusChanged(tokenId, TicketStatus.VERIFIED);
     }
 
+    /**
+     * @dev Rejects a pending ticket (admin only). Optionally burns it.
+     */
+    function rejectTicket(uint256 tokenId, RejectionReason reason, string calldata note, bool burn) external onlyRole(VERIFIER_ROLE) {
+        require(_exists(tokenId), "Token does not exist");
+        require(ticketInfo[tokenId].status == TicketStatus.PENDING, "Ticket not pending verification");
+        require(reason != RejectionReason.NONE, "Rejection reason required");
+
+        ticketInfo[tokenId].status = TicketStatus.REJECTED;
+        rejections[tokenId] = Rejection({
+            reason: reason,
+            note: note,
+            admin: msg.sender,
+            timestamp: block.timestamp,
+            burned: burn
+        });
+
+        emit TicketRejected(tokenId, msg.sender, reason, note, burn);
+        emit TicketStatusChanged(tokenId, TicketStatus.REJECTED);
+
+        if (burn) {
+            eventInfo[ticketInfo[tokenId].eventId].ticketsMinted--;
+            _burn(tokenId);
+        }
+    }
+
+    /**
+     * @dev Sends a rejected ticket back for verification with new proof (owner only).
+     * An empty metadataURI keeps the current one.
+     */
+    function resubmitTicket(uint256 tokenId, string calldata proofImageHash, string calldata metadataURI) external {
+        require(ownerOf(tokenId) == msg.sender, "Not ticket owner");
+        require(ticketInfo[tokenId].status == TicketStatus.REJECTED, "Ticket not rejected");
+        require(bytes(proofImageHash).length > 0, "Proof required");
+
+        TicketInfo storage ticket = ticketInfo[tokenId];
+        ticket.proofImageHash = proofImageHash;
+        ticket.status = TicketStatus.PENDING;
+        ticket.listingTimestamp = block.timestamp;
+        if (bytes(metadataURI).length > 0) {
+            _setTokenURI(tokenId, metadataURI);
+        }
+
+        emit TicketResubmitted(tokenId, msg.sender, proofImageHash);
+        emit TicketStatusChanged(tokenId, TicketStatus.PENDING);
+    }
+
     /**
      * @dev Locks a ticket (marketplace only)
      */
-    function lockTicket(uint256 tokenId) external onlyMarketplace {
+    function lockTicket(uint256 tokenId) external onlyRole(MARKETPLACE_ROLE) {
         require(_exists(tokenId), "Token does not exist");
-        require(ticketInfo[tokenId].status == TicketStatus.VERIFIED, "Ticket not verified");
+        require(
+            ticketInfo[tokenId].status == TicketStatus.VERIFIED ||
+            ticketInfo[tokenId].status == TicketStatus.UNLOCKED,
+            "Ticket not verified"
+        );
         
         isLocked[tokenId] = true;
         ticketInfo[tokenId].status = TicketStatus.LOCKED;
@@ -138,7 +395,7 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
     /**
      * @dev Unlocks a ticket (marketplace only)
      */
-    function unlockTicket(uint256 tokenId) external onlyMarketplace {
+    function unlockTicket(uint256 tokenId) external onlyRole(MARKETPLACE_ROLE) {
         require(_exists(tokenId), "Token does not exist");
         require(isLocked[tokenId], "Token not locked");
         
@@ -151,34 +408,63 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
     /**
      * @dev Sets ticket status to disputed
      */
-    function markAsDisputed(uint256 tokenId) external onlyMarketplace {
+    function markAsDisputed(uint256 tokenId) external onlyRole(MARKETPLACE_ROLE) {
         require(_exists(tokenId), "Token does not exist");
         ticketInfo[tokenId].status = TicketStatus.DISPUTED;
         emit TicketStatusChanged(tokenId, TicketStatus.DISPUTED);
     }
 
     /**
-     * @dev Adds an admin
+     * @dev Marks a ticket as used for entry (gate contract holding REDEEMER_ROLE only)
      */
-    function addAdmin(address admin) external onlyOwner {
-        admins[admin] = true;
-        emit AdminAdded(admin);
+    function markAsRedeemed(uint256 tokenId) external onlyRole(REDEEMER_ROLE) {
+        require(
+            ticketInfo[tokenId].status == TicketStatus.VERIFIED ||
+            ticketInfo[tokenId].status == TicketStatus.UNLOCKED,
+            "Ticket not redeemable"
+        );
+        ticketInfo[tokenId].status = TicketStatus.REDEEMED;
+        emit TicketStatusChanged(tokenId, TicketStatus.REDEEMED);
     }
 
     /**
-     * @dev Removes an admin
+     * @dev Marks a ticket of a cancelled event as cancelled once its escrow or auction is unwound
+     * (refund vault holding REFUND_VAULT_ROLE only)
      */
-    function removeAdmin(address admin) external onlyOwner {
-        admins[admin] = false;
-        emit AdminRemoved(admin);
+    function markAsCancelled(uint256 tokenId) external onlyRole(REFUND_VAULT_ROLE) {
+        require(isEventCancelled(tokenId), "Event not cancelled");
+        require(!isLocked[tokenId], "Token is locked");
+        ticketInfo[tokenId].status = TicketStatus.CANCELLED;
+        emit TicketStatusChanged(tokenId, TicketStatus.CANCELLED);
     }
 
     /**
-     * @dev Authorizes a marketplace contract
+     * @dev Moves a scheduled event to a new start time; its tickets read the date from the event,
+     * so every ticket follows (refund vault holding REFUND_VAULT_ROLE only; it opens the opt-out window)
      */
-    function authorizeMarketplace(address marketplace) external onlyOwner {
-        authorizedMarketplace[marketplace] = true;
-        emit MarketplaceAuthorized(marketplace);
+    function rescheduleEvent(uint256 eventId, uint256 newStartTime) external onlyRole(REFUND_VAULT_ROLE) {
+        EventInfo storage info = eventInfo[eventId];
+        require(info.status == EventStatus.SCHEDULED, "Event not scheduled");
+        require(newStartTime > block.timestamp, "Event must start in the future");
+        require(newStartTime != info.startTime, "Start time unchanged");
+
+        emit EventRescheduled(eventId, info.startTime, newStartTime);
+        info.startTime = newStartTime;
+    }
+
+    /**
+     * @dev Returns an opted-out ticket to its event's organizer as unsold inventory
+     * (refund vault holding REFUND_VAULT_ROLE only)
+     */
+    function returnToOrganizer(uint256 tokenId) external onlyRole(REFUND_VAULT_ROLE) {
+        require(
+            ticketInfo[tokenId].status == TicketStatus.VERIFIED ||
+            ticketInfo[tokenId].status == TicketStatus.UNLOCKED,
+            "Ticket not refundable"
+        );
+        _transfer(ownerOf(tokenId), eventInfo[ticketInfo[tokenId].eventId].organizer, tokenId);
+        ticketInfo[tokenId].status = TicketStatus.VERIFIED;
+        emit TicketStatusChanged(tokenId, TicketStatus.VERIFIED);
     }
 
     /**
@@ -188,7 +474,7 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
         address from,
         address to,
         uint256 tokenId
-    ) public override(ERC721, IERC721) notLocked(tokenId) {
+    ) public override(ERC721, IERC721) notLocked(tokenId) notFrozen(tokenId) {
         super.transferFrom(from, to, tokenId);
     }
 
@@ -196,7 +482,7 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
         address from,
         address to,
         uint256 tokenId
-    ) public override(ERC721, IERC721) notLocked(tokenId) {
+    ) public override(ERC721, IERC721) notLocked(tokenId) notFrozen(tokenId) {
         super.safeTransferFrom(from, to, tokenId);
     }
 
@@ -205,7 +491,7 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
         address to,
         uint256 tokenId,
         bytes memory data
-    ) public override(ERC721, IERC721) notLocked(tokenId) {
+    ) public override(ERC721, IERC721) notLocked(tokenId) notFrozen(tokenId) {
         super.safeTransferFrom(from, to, tokenId, data);
     }
 
@@ -216,7 +502,7 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
         address from,
         address to,
         uint256 tokenId
-    ) external onlyMarketplace {
+    ) external onlyRole(MARKETPLACE_ROLE) {
         _transfer(from, to, tokenId);
     }
 
@@ -228,17 +514,86 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
         return ticketInfo[tokenId];
     }
 
+    /**
+     * @dev Returns the start time of a ticket's event
+     */
+    function eventStartOf(uint256 tokenId) external view returns (uint256) {
+        return eventInfo[ticketInfo[tokenId].eventId].startTime;
+    }
+
+    /**
+     * @dev Checks if an account organizes an event or holds the default admin role
+     */
+    function canManageEvent(uint256 eventId, address account) public view returns (bool) {
+        return eventInfo[eventId].organizer == account || roles.hasRole(DEFAULT_ADMIN_ROLE, account);
+    }
+
+    /**
+     * @dev Checks if a ticket's event was cancelled
+     */
+    function isEventCancelled(uint256 tokenId) public view returns (bool) {
+        return eventInfo[ticketInfo[tokenId].eventId].status == EventStatus.CANCELLED;
+    }
+
+    /**
+     * @dev Returns when secondary trades of a ticket stop: its event's freeze window before the
+     * start, immediately once the event is cancelled, or never when the event has no freeze window.
+     * Marketplace settlement is not affected.
+     */
+    function tradingFreezesAt(uint256 tokenId) public view returns (uint256) {
+        uint256 eventId = ticketInfo[tokenId].eventId;
+        uint256 freezeWindow = freezeWindows[eventId];
+        if (eventInfo[eventId].status == EventStatus.CANCELLED) {
+            return 0;
+        }
+        if (freezeWindow == 0) {
+            return type(uint256).max;
+        }
+        uint256 startTime = eventInfo[eventId].startTime;
+        return startTime > freezeWindow ? startTime - freezeWindow : 0;
+    }
+
+    /**
+     * @dev Get event information
+     */
+    function getEventInfo(uint256 eventId) external view returns (EventInfo memory) {
+        require(_eventExists(eventId), "Event does not exist");
+        return eventInfo[eventId];
+    }
+
+    /**
+     * @dev Get all token IDs minted for an event
+     */
+    function getEventTickets(uint256 eventId) external view returns (uint256[] memory) {
+        require(_eventExists(eventId), "Event does not exist");
+        return _eventTickets[eventId];
+    }
+
+    /**
+     * @dev Returns the total number of events created
+     */
+    function totalEvents() public view returns (uint256) {
+        return _eventIdCounter.current();
+    }
+
+    /**
+     * @dev Checks if an event exists
+     */
+    function _eventExists(uint256 eventId) internal view returns (bool) {
+        return eventId > 0 && eventId <= _eventIdCounter.current();
+    }
+
     /**
      * @dev Pause contract
      */
-    function pause() public onlyOwner {
+    function pause() public onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /**
      * @dev Unpause contract
      */
-    function unpause() public onlyOwner {
+    function unpause() public onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
@@ -248,11 +603,51 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
         whenNotPaused
         override
     {
+        require(
+            from == address(0) || to == address(0) || ticketInfo[tokenId].status != TicketStatus.REDEEMED,
+            "Ticket already redeemed"
+        );
+        // Only escrows being refunded may still move tickets of a cancelled event
+        require(
+            from == address(0) || to == address(0) || isLocked[tokenId] || !isEventCancelled(tokenId),
+            "Event cancelled"
+        );
         super._beforeTokenTransfer(from, to, tokenId, batchSize);
     }
 
     function _burn(uint256 tokenId) internal override(ERC721, ERC721URIStorage) {
         super._burn(tokenId);
+        _resetTokenRoyalty(tokenId);
+    }
+
+    /**
+     * @dev ERC-2981 royalty lookup: token override first, then the ticket's event
+     */
+    function royaltyInfo(uint256 tokenId, uint256 salePrice)
+        public
+        view
+        override
+        returns (address, uint256)
+    {
+        (address receiver, uint256 royaltyAmount) = super.royaltyInfo(tokenId, salePrice);
+        if (receiver != address(0)) {
+            return (receiver, royaltyAmount);
+        }
+
+        RoyaltyInfo memory royalty = eventRoyalties[ticketInfo[tokenId].eventId];
+        if (royalty.receiver == address(0)) {
+            return (address(0), 0);
+        }
+        return (royalty.receiver, (salePrice * royalty.royaltyFraction) / _feeDenominator());
+    }
+
+    /**
+     * @dev Switches tokenURI to the on-chain renderer, or back to stored URIs with address(0)
+     */
+    function setRenderer(address _renderer) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        renderer = ITicketRenderer(_renderer);
+        emit RendererUpdated(_renderer);
+        emit BatchMetadataUpdate(0, type(uint256).max);
     }
 
     function tokenURI(uint256 tokenId)
@@ -261,13 +656,17 @@ contract EventTicketNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pa
         override(ERC721, ERC721URIStorage)
         returns (string memory)
     {
+        if (address(renderer) != address(0)) {
+            _requireMinted(tokenId);
+            return renderer.renderTokenURI(tokenId);
+        }
         return super.tokenURI(tokenId);
     }
 
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721URIStorage)
+        override(ERC721, ERC721URIStorage, ERC2981)
         returns (bool)
     {
         return super.supportsInterface(interfaceId);
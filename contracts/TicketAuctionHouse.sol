@@ -0,0 +1,387 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./EventTicketNFT.sol";
+import "./TicketMarketplace.sol";
+
+/**
+ * @title TicketAuctionHouse
+ * @dev English and Dutch auctions for event ticket NFTs. Winning bids are handed to the
+ * marketplace escrow, so auction sales settle exactly like fixed-price purchases.
+ */
+contract TicketAuctionHouse is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    EventTicketNFT public ticketNFT;
+    TicketMarketplace public marketplace;
+
+    enum AuctionType { ENGLISH, DUTCH }
+
+    // Auction structure
+    struct Auction {
+        uint256 tokenId;
+        address seller;
+        AuctionType auctionType;
+        address paymentToken; // address(0) for native ETH
+        uint256 startPrice;   // English: reserve price, Dutch: opening price
+        uint256 endPrice;     // Dutch: floor price
+        uint256 minIncrement; // English: minimum raise over the highest bid
+        uint256 startTime;
+        uint256 endTime;
+        address highestBidder;
+        uint256 highestBid;
+        bool active;
+    }
+
+    // State variables
+    uint256 public constant MIN_DURATION = 1 hours;
+    uint256 public constant MAX_DURATION = 30 days;
+    uint256 public constant ANTI_SNIPING_WINDOW = 10 minutes;
+    uint256 public constant ANTI_SNIPING_EXTENSION = 10 minutes;
+
+    // Mappings
+    mapping(uint256 => Auction) public auctions;
+    mapping(address => uint256) public pendingReturns;
+    mapping(address => mapping(address => uint256)) public pendingTokenReturns; // bidder => token => amount
+
+    // Arrays for iteration
+    uint256[] public auctionTokenIds;
+
+    // Events
+    event AuctionCreated(
+        uint256 indexed tokenId,
+        address indexed seller,
+        AuctionType auctionType,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 endTime
+    );
+    event BidPlaced(uint256 indexed tokenId, address indexed bidder, uint256 amount);
+    event AuctionExtended(uint256 indexed tokenId, uint256 newEndTime);
+    event AuctionSettled(uint256 indexed tokenId, address indexed winner, uint256 price);
+    event AuctionCancelled(uint256 indexed tokenId);
+    event ReturnsWithdrawn(address indexed bidder, address indexed token, uint256 amount);
+
+    constructor(address _ticketNFT, address payable _marketplace) {
+        ticketNFT = EventTicketNFT(_ticketNFT);
+        marketplace = TicketMarketplace(_marketplace);
+    }
+
+    /**
+     * @dev Starts an English auction with a reserve price and minimum bid increment
+     */
+    function createEnglishAuction(
+        uint256 tokenId,
+        uint256 reservePrice,
+        uint256 minIncrement,
+        uint256 duration
+    ) external nonReentrant {
+        require(reservePrice > 0, "Reserve must be greater than 0");
+        require(minIncrement > 0, "Increment must be greater than 0");
+
+        _createAuction(tokenId, AuctionType.ENGLISH, reservePrice, 0, minIncrement, duration);
+    }
+
+    /**
+     * @dev Starts a Dutch auction whose price falls linearly from startPrice to endPrice
+     */
+    function createDutchAuction(
+        uint256 tokenId,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 duration
+    ) external nonReentrant {
+        require(endPrice > 0, "Floor must be greater than 0");
+        require(startPrice > endPrice, "Start price must exceed floor");
+
+        _createAuction(tokenId, AuctionType.DUTCH, startPrice, endPrice, 0, duration);
+    }
+
+    /**
+     * @dev Places a bid on an English auction, crediting the previous highest bidder
+     */
+    function placeBid(uint256 tokenId, uint256 amount) external payable nonReentrant {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "Auction not active");
+        require(auction.auctionType == AuctionType.ENGLISH, "Not an English auction");
+        require(block.timestamp < auction.endTime, "Auction ended");
+        require(msg.sender != auction.seller, "Cannot bid on your own auction");
+        require(amount >= minimumBid(tokenId), "Bid too low");
+        require(amount <= marketplace.getMaxResalePrice(tokenId), "Bid exceeds resale cap");
+        require(block.timestamp < ticketNFT.tradingFreezesAt(tokenId), "Ticket trading frozen");
+
+        _collectPayment(auction.paymentToken, amount);
+
+        if (auction.highestBidder != address(0)) {
+            _creditReturn(auction.highestBidder, auction.paymentToken, auction.highestBid);
+        }
+        auction.highestBidder = msg.sender;
+        auction.highestBid = amount;
+        emit BidPlaced(tokenId, msg.sender, amount);
+
+        // Anti-sniping: late bids push the end time back, but never past the trading cutoff
+        if (auction.endTime - block.timestamp < ANTI_SNIPING_WINDOW) {
+            uint256 extendedEnd = block.timestamp + ANTI_SNIPING_EXTENSION;
+            uint256 cutoff = tradingCutoff(tokenId);
+            if (extendedEnd > cutoff) {
+                extendedEnd = cutoff;
+            }
+            if (extendedEnd > auction.endTime) {
+                auction.endTime = extendedEnd;
+                emit AuctionExtended(tokenId, extendedEnd);
+            }
+        }
+    }
+
+    /**
+     * @dev Buys a Dutch auction ticket at the current price, opening escrow immediately
+     */
+    function buyNow(uint256 tokenId) external payable nonReentrant {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "Auction not active");
+        require(auction.auctionType == AuctionType.DUTCH, "Not a Dutch auction");
+        require(block.timestamp < auction.endTime, "Auction ended");
+        require(msg.sender != auction.seller, "Cannot buy your own ticket");
+        require(block.timestamp < ticketNFT.tradingFreezesAt(tokenId), "Ticket trading frozen");
+
+        uint256 price = currentPrice(tokenId);
+        if (auction.paymentToken == address(0)) {
+            // The price keeps falling, so overpayment is credited back
+            require(msg.value >= price, "Incorrect payment amount");
+            if (msg.value > price) {
+                _creditReturn(msg.sender, address(0), msg.value - price);
+            }
+        } else {
+            _collectPayment(auction.paymentToken, price);
+        }
+
+        auction.highestBidder = msg.sender;
+        auction.highestBid = price;
+        _settle(auction);
+    }
+
+    /**
+     * @dev Settles an ended English auction, or closes an expired auction without a winner
+     */
+    function settleAuction(uint256 tokenId) external nonReentrant {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "Auction not active");
+        require(block.timestamp >= auction.endTime, "Auction not ended");
+
+        if (auction.highestBidder != address(0)) {
+            _settle(auction);
+        } else {
+            _close(auction);
+            emit AuctionSettled(tokenId, address(0), 0);
+        }
+    }
+
+    /**
+     * @dev Cancels an auction that has no bids (seller only)
+     */
+    function cancelAuction(uint256 tokenId) external nonReentrant {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "Auction not active");
+        require(auction.seller == msg.sender, "Only seller can cancel");
+        require(auction.highestBidder == address(0), "Auction has bids");
+
+        _close(auction);
+        emit AuctionCancelled(tokenId);
+    }
+
+    /**
+     * @dev Ends an auction of a cancelled event's ticket, returning the highest bid to its bidder
+     */
+    function closeCancelledAuction(uint256 tokenId) external nonReentrant {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "Auction not active");
+        require(ticketNFT.isEventCancelled(tokenId), "Event not cancelled");
+
+        if (auction.highestBidder != address(0)) {
+            _creditReturn(auction.highestBidder, auction.paymentToken, auction.highestBid);
+        }
+        _close(auction);
+        emit AuctionCancelled(tokenId);
+    }
+
+    /**
+     * @dev Withdraws the caller's outbid or overpaid funds in ETH or a token
+     */
+    function withdrawReturns(address token) external nonReentrant {
+        uint256 amount;
+        if (token == address(0)) {
+            amount = pendingReturns[msg.sender];
+            pendingReturns[msg.sender] = 0;
+        } else {
+            amount = pendingTokenReturns[msg.sender][token];
+            pendingTokenReturns[msg.sender][token] = 0;
+        }
+        require(amount > 0, "No funds to withdraw");
+
+        if (token == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+
+        emit ReturnsWithdrawn(msg.sender, token, amount);
+    }
+
+    /**
+     * @dev Returns the lowest acceptable next bid of an English auction
+     */
+    function minimumBid(uint256 tokenId) public view returns (uint256) {
+        Auction memory auction = auctions[tokenId];
+        if (auction.highestBidder == address(0)) {
+            return auction.startPrice;
+        }
+        return auction.highestBid + auction.minIncrement;
+    }
+
+    /**
+     * @dev Returns the current price of a Dutch auction
+     */
+    function currentPrice(uint256 tokenId) public view returns (uint256) {
+        Auction memory auction = auctions[tokenId];
+        require(auction.auctionType == AuctionType.DUTCH, "Not a Dutch auction");
+
+        if (block.timestamp >= auction.endTime) {
+            return auction.endPrice;
+        }
+        uint256 elapsed = block.timestamp - auction.startTime;
+        uint256 duration = auction.endTime - auction.startTime;
+        return auction.startPrice - ((auction.startPrice - auction.endPrice) * elapsed) / duration;
+    }
+
+    /**
+     * @dev Returns the latest time an auction of the ticket may end: when trading in it freezes
+     * or its event starts, whichever comes first
+     */
+    function tradingCutoff(uint256 tokenId) public view returns (uint256) {
+        uint256 freezesAt = ticketNFT.tradingFreezesAt(tokenId);
+        uint256 startTime = ticketNFT.getEventInfo(ticketNFT.getTicketInfo(tokenId).eventId).startTime;
+        return freezesAt < startTime ? freezesAt : startTime;
+    }
+
+    /**
+     * @dev Gets all active auctions
+     */
+    function getActiveAuctions() external view returns (uint256[] memory) {
+        return auctionTokenIds;
+    }
+
+    /**
+     * @dev Internal function to validate a ticket and lock it for the auction
+     */
+    function _createAuction(
+        uint256 tokenId,
+        AuctionType auctionType,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 minIncrement,
+        uint256 duration
+    ) internal {
+        require(ticketNFT.ownerOf(tokenId) == msg.sender, "You don't own this ticket");
+        require(!auctions[tokenId].active, "Auction already active");
+        require(duration >= MIN_DURATION && duration <= MAX_DURATION, "Invalid duration");
+        uint256 maxPrice = marketplace.getMaxResalePrice(tokenId);
+        require(maxPrice > 0, "Free tickets cannot be resold");
+        require(startPrice <= maxPrice, "Price exceeds resale cap");
+        require(block.timestamp < ticketNFT.tradingFreezesAt(tokenId), "Ticket trading frozen");
+        require(block.timestamp + duration <= tradingCutoff(tokenId), "Auction would end after trading freezes");
+
+        (, , , bool listed, , , ) = marketplace.listings(tokenId);
+        require(!listed, "Ticket already listed");
+
+        EventTicketNFT.TicketInfo memory info = ticketNFT.getTicketInfo(tokenId);
+        address paymentToken = marketplace.eventPaymentToken(info.eventId);
+        require(
+            paymentToken == address(0) || marketplace.allowedPaymentTokens(paymentToken),
+            "Payment token not allowed"
+        );
+
+        // Locking keeps the ticket from being transferred or listed elsewhere mid-auction
+        ticketNFT.lockTicket(tokenId);
+
+        auctions[tokenId] = Auction({
+            tokenId: tokenId,
+            seller: msg.sender,
+            auctionType: auctionType,
+            paymentToken: paymentToken,
+            startPrice: startPrice,
+            endPrice: endPrice,
+            minIncrement: minIncrement,
+            startTime: block.timestamp,
+            endTime: block.timestamp + duration,
+            highestBidder: address(0),
+            highestBid: 0,
+            active: true
+        });
+        auctionTokenIds.push(tokenId);
+
+        emit AuctionCreated(tokenId, msg.sender, auctionType, startPrice, endPrice, block.timestamp + duration);
+    }
+
+    /**
+     * @dev Internal function to hand the winning bid to the marketplace escrow
+     */
+    function _settle(Auction storage auction) internal {
+        uint256 tokenId = auction.tokenId;
+        address winner = auction.highestBidder;
+        uint256 price = auction.highestBid;
+
+        _close(auction);
+
+        if (auction.paymentToken == address(0)) {
+            marketplace.createAuctionEscrow{value: price}(tokenId, auction.seller, winner, price, address(0));
+        } else {
+            IERC20(auction.paymentToken).forceApprove(address(marketplace), price);
+            marketplace.createAuctionEscrow(tokenId, auction.seller, winner, price, auction.paymentToken);
+        }
+
+        emit AuctionSettled(tokenId, winner, price);
+    }
+
+    /**
+     * @dev Internal function to end an auction and release the ticket lock
+     */
+    function _close(Auction storage auction) internal {
+        auction.active = false;
+        ticketNFT.unlockTicket(auction.tokenId);
+
+        for (uint256 i = 0; i < auctionTokenIds.length; i++) {
+            if (auctionTokenIds[i] == auction.tokenId) {
+                auctionTokenIds[i] = auctionTokenIds[auctionTokenIds.length - 1];
+                auctionTokenIds.pop();
+                break;
+            }
+        }
+    }
+
+    /**
+     * @dev Internal function to take a bid payment in ETH or a token
+     */
+    function _collectPayment(address token, uint256 amount) internal {
+        if (token == address(0)) {
+            require(msg.value == amount, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Auction is priced in a token");
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        }
+    }
+
+    /**
+     * @dev Internal function to credit funds a bidder can withdraw later
+     */
+    function _creditReturn(address bidder, address token, uint256 amount) internal {
+        if (token == address(0)) {
+            pendingReturns[bidder] += amount;
+        } else {
+            pendingTokenReturns[bidder][token] += amount;
+        }
+    }
+}
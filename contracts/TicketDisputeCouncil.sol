@@ -0,0 +1,239 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./TicketMarketplace.sol";
+
+/**
+ * @title TicketDisputeCouncil
+ * @dev Multi-admin voting on marketplace disputes. A vote proposes the share refunded to the
+ * buyer (basis points) and who keeps the ticket; votes match when both are equal. Disputes
+ * priced at or above their token's threshold need `quorum` matching votes; cheaper ones
+ * resolve on the first vote. Only votes of current dispute resolvers (a TicketRoles role) count,
+ * so revoking the role drops their vote. Buyer, seller and resolvers build each dispute's
+ * evidence thread, an append-only log of IPFS attachments and notes. The default admin sets
+ * the quorum and thresholds.
+ */
+contract TicketDisputeCouncil {
+    TicketMarketplace public marketplace;
+    TicketRoles public roles; // shared with the marketplace
+
+    // A proposed resolution; the seller wins with (0, true) and the buyer with (10000, false)
+    struct Vote {
+        uint256 refundBps;
+        bool buyerKeepsTicket;
+    }
+
+    // Votes on one dispute; a new dispute on the same ticket starts a fresh ballot
+    struct Ballot {
+        address[] voters;
+        mapping(address => Vote) votes;
+    }
+
+    // An entry in a dispute's evidence thread
+    struct Evidence {
+        address author;
+        string[] cids;
+        string note;
+        uint256 timestamp;
+    }
+
+    uint256 public constant MAX_ATTACHMENTS = 5;
+    uint256 public constant MAX_NOTE_LENGTH = 1000; // bytes
+
+    // Matching votes needed for high-value disputes
+    uint256 public quorum = 1;
+
+    // Mappings
+    mapping(address => uint256) public highValueThreshold; // payment token => price needing quorum (0: every dispute)
+    mapping(uint256 => mapping(uint256 => Ballot)) private _ballots; // tokenId => escrow start => ballot
+    mapping(uint256 => mapping(uint256 => Evidence[])) private _evidence; // tokenId => escrow start => thread
+
+    // Events
+    event VoteCast(uint256 indexed tokenId, address indexed admin, uint256 refundBps, bool buyerKeepsTicket);
+    event DisputeExecuted(uint256 indexed tokenId, uint256 refundBps, bool buyerKeepsTicket, uint256 votes);
+    event QuorumUpdated(uint256 quorum);
+    event HighValueThresholdUpdated(address indexed token, uint256 threshold);
+    event EvidenceSubmitted(uint256 indexed tokenId, address indexed author, uint256 index, string[] cids, string note);
+
+    modifier onlyRole(bytes32 role) {
+        require(roles.hasRole(role, msg.sender), "Caller is missing role");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(isAdmin(msg.sender), "Only admin can perform this action");
+        _;
+    }
+
+    constructor(address payable _marketplace) {
+        marketplace = TicketMarketplace(_marketplace);
+        roles = marketplace.roles();
+    }
+
+    /**
+     * @dev Casts or changes the caller's vote and executes the outcome once it has enough votes
+     */
+    function castVote(uint256 tokenId, uint256 refundBps, bool buyerKeepsTicket) external onlyAdmin {
+        require(refundBps <= 10000, "Invalid refund percentage");
+        Ballot storage ballot = _openBallot(tokenId);
+        if (!_hasVoted(ballot, msg.sender)) {
+            ballot.voters.push(msg.sender);
+        }
+        ballot.votes[msg.sender] = Vote(refundBps, buyerKeepsTicket);
+        emit VoteCast(tokenId, msg.sender, refundBps, buyerKeepsTicket);
+
+        _tryExecute(tokenId);
+    }
+
+    /**
+     * @dev Appends attachments (IPFS CIDs) and a note to an open dispute's evidence thread
+     */
+    function submitEvidence(uint256 tokenId, string[] calldata cids, string calldata note) external {
+        (, address seller, address buyer, , , , , , , , ) = marketplace.escrowTransactions(tokenId);
+        uint256 startTime = _openDispute(tokenId);
+        require(msg.sender == buyer || msg.sender == seller || isAdmin(msg.sender), "Not a party to the dispute");
+        require(cids.length > 0 || bytes(note).length > 0, "Evidence required");
+        require(cids.length <= MAX_ATTACHMENTS, "Too many attachments");
+        require(bytes(note).length <= MAX_NOTE_LENGTH, "Note too long");
+
+        Evidence[] storage thread = _evidence[tokenId][startTime];
+        Evidence storage entry = thread.push();
+        entry.author = msg.sender;
+        entry.note = note;
+        entry.timestamp = block.timestamp;
+        for (uint256 i = 0; i < cids.length; i++) {
+            require(bytes(cids[i]).length > 0, "Empty attachment");
+            entry.cids.push(cids[i]);
+        }
+
+        emit EvidenceSubmitted(tokenId, msg.sender, thread.length - 1, cids, note);
+    }
+
+    /**
+     * @dev Executes a dispute whose votes became sufficient after a quorum or admin change
+     */
+    function execute(uint256 tokenId) external onlyAdmin {
+        _openBallot(tokenId);
+        require(_tryExecute(tokenId), "Quorum not reached");
+    }
+
+    /**
+     * @dev Sets the matching votes needed for high-value disputes
+     */
+    function setQuorum(uint256 _quorum) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_quorum > 0, "Quorum must be positive");
+        quorum = _quorum;
+        emit QuorumUpdated(_quorum);
+    }
+
+    /**
+     * @dev Sets the price from which disputes in a payment token need the quorum
+     */
+    function setHighValueThreshold(address token, uint256 threshold) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        highValueThreshold[token] = threshold;
+        emit HighValueThresholdUpdated(token, threshold);
+    }
+
+    /**
+     * @dev Returns the matching votes a dispute needs
+     */
+    function requiredVotes(uint256 tokenId) public view returns (uint256) {
+        (, , , uint256 price, , , , , , , address paymentToken) = marketplace.escrowTransactions(tokenId);
+        return price >= highValueThreshold[paymentToken] ? quorum : 1;
+    }
+
+    /**
+     * @dev Returns the current dispute's voters and their votes, including those no longer admins
+     */
+    function getVotes(uint256 tokenId) external view returns (address[] memory voters, Vote[] memory votes) {
+        Ballot storage ballot = _ballots[tokenId][_escrowStart(tokenId)];
+        voters = ballot.voters;
+        votes = new Vote[](voters.length);
+        for (uint256 i = 0; i < voters.length; i++) {
+            votes[i] = ballot.votes[voters[i]];
+        }
+    }
+
+    /**
+     * @dev Counts the votes of current admins matching a proposed resolution
+     */
+    function tally(uint256 tokenId, uint256 refundBps, bool buyerKeepsTicket) public view returns (uint256 count) {
+        Ballot storage ballot = _ballots[tokenId][_escrowStart(tokenId)];
+        for (uint256 i = 0; i < ballot.voters.length; i++) {
+            address voter = ballot.voters[i];
+            Vote storage vote = ballot.votes[voter];
+            if (vote.refundBps == refundBps && vote.buyerKeepsTicket == buyerKeepsTicket && isAdmin(voter)) {
+                count++;
+            }
+        }
+    }
+
+    /**
+     * @dev Returns the evidence thread of a ticket's current or most recent dispute
+     */
+    function getEvidence(uint256 tokenId) external view returns (Evidence[] memory) {
+        return _evidence[tokenId][_escrowStart(tokenId)];
+    }
+
+    /**
+     * @dev Checks if an account may vote, i.e. holds the dispute resolver role
+     */
+    function isAdmin(address account) public view returns (bool) {
+        return roles.hasRole(DISPUTE_RESOLVER_ROLE, account);
+    }
+
+    /**
+     * @dev Internal function to return the ballot of a ticket's open dispute
+     */
+    function _openBallot(uint256 tokenId) internal view returns (Ballot storage) {
+        return _ballots[tokenId][_openDispute(tokenId)];
+    }
+
+    /**
+     * @dev Internal function to return the escrow start of a ticket's open dispute
+     */
+    function _openDispute(uint256 tokenId) internal view returns (uint256) {
+        (, , , , uint256 startTime, , , bool disputed, bool completed, , ) = marketplace.escrowTransactions(tokenId);
+        require(disputed && !completed, "No open dispute");
+        return startTime;
+    }
+
+    /**
+     * @dev Internal function to resolve the dispute if one proposal has enough votes and a strict lead
+     */
+    function _tryExecute(uint256 tokenId) internal returns (bool) {
+        Ballot storage ballot = _ballots[tokenId][_escrowStart(tokenId)];
+        Vote memory leader;
+        uint256 leaderVotes;
+        bool tied;
+        for (uint256 i = 0; i < ballot.voters.length; i++) {
+            if (!isAdmin(ballot.voters[i])) continue;
+            Vote memory vote = ballot.votes[ballot.voters[i]];
+            uint256 votes = tally(tokenId, vote.refundBps, vote.buyerKeepsTicket);
+            if (votes > leaderVotes) {
+                (leader, leaderVotes, tied) = (vote, votes, false);
+            } else if (
+                votes == leaderVotes &&
+                (vote.refundBps != leader.refundBps || vote.buyerKeepsTicket != leader.buyerKeepsTicket)
+            ) {
+                tied = true;
+            }
+        }
+        if (tied || leaderVotes == 0 || leaderVotes < requiredVotes(tokenId)) return false;
+
+        marketplace.resolveDisputePartial(tokenId, leader.refundBps, leader.buyerKeepsTicket);
+        emit DisputeExecuted(tokenId, leader.refundBps, leader.buyerKeepsTicket, leaderVotes);
+        return true;
+    }
+
+    function _hasVoted(Ballot storage ballot, address voter) internal view returns (bool) {
+        for (uint256 i = 0; i < ballot.voters.length; i++) {
+            if (ballot.voters[i] == voter) return true;
+        }
+        return false;
+    }
+
+    function _escrowStart(uint256 tokenId) internal view returns (uint256 startTime) {
+        (, , , , startTime, , , , , , ) = marketplace.escrowTransactions(tokenId);
+    }
+}
@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./TicketMarketplace.sol";
+
+/**
+ * @title TicketEscrowKeeper
+ * @dev Releases batches of expired marketplace escrows in one transaction and pays the caller
+ * a fixed ETH bounty per released escrow out of deposited funds. The default admin sets the
+ * bounty and treasurers reclaim unallocated funds. Escrows that cannot be released yet are
+ * skipped, so a stale batch never reverts as a whole.
+ */
+contract TicketEscrowKeeper is ReentrancyGuard {
+    TicketMarketplace public marketplace;
+    TicketRoles public roles; // shared with the marketplace
+
+    // Bounty per released escrow (wei); 0 disables bounties
+    uint256 public bounty;
+
+    // Mappings
+    mapping(address => uint256) public pendingBounties;
+
+    // Sum of all bounties owed to keepers
+    uint256 public totalPendingBounties;
+
+    // Events
+    event EscrowsReleased(address indexed keeper, uint256 released, uint256 skipped, uint256 reward);
+    event ReleaseSkipped(uint256 indexed tokenId);
+    event BountyUpdated(uint256 bounty);
+    event BountyWithdrawn(address indexed keeper, uint256 amount);
+    event FundsDeposited(address indexed from, uint256 amount);
+    event FundsReclaimed(uint256 amount);
+
+    modifier onlyRole(bytes32 role) {
+        require(roles.hasRole(role, msg.sender), "Caller is missing role");
+        _;
+    }
+
+    constructor(address payable _marketplace) {
+        marketplace = TicketMarketplace(_marketplace);
+        roles = marketplace.roles();
+    }
+
+    /**
+     * @dev Funds keeper bounties
+     */
+    receive() external payable {
+        emit FundsDeposited(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Auto-releases each escrow that is due and credits the caller's bounty
+     */
+    function releaseEscrows(uint256[] calldata tokenIds) external nonReentrant returns (uint256 released) {
+        require(tokenIds.length > 0, "No escrows given");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            try marketplace.autoReleaseEscrow(tokenIds[i]) {
+                released++;
+            } catch {
+                emit ReleaseSkipped(tokenIds[i]);
+            }
+        }
+
+        // Pay what the remaining funds cover
+        uint256 reward = released * bounty;
+        uint256 available = availableFunds();
+        if (reward > available) {
+            reward = available;
+        }
+        if (reward > 0) {
+            pendingBounties[msg.sender] += reward;
+            totalPendingBounties += reward;
+        }
+
+        emit EscrowsReleased(msg.sender, released, tokenIds.length - released, reward);
+    }
+
+    /**
+     * @dev Withdraws the caller's earned bounties
+     */
+    function withdrawBounty() external nonReentrant {
+        uint256 amount = pendingBounties[msg.sender];
+        require(amount > 0, "No funds to withdraw");
+
+        pendingBounties[msg.sender] = 0;
+        totalPendingBounties -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit BountyWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Returns the funds not yet owed to keepers
+     */
+    function availableFunds() public view returns (uint256) {
+        return address(this).balance - totalPendingBounties;
+    }
+
+    /**
+     * @dev Sets the bounty paid per released escrow
+     */
+    function setBounty(uint256 _bounty) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        bounty = _bounty;
+        emit BountyUpdated(_bounty);
+    }
+
+    /**
+     * @dev Sends unallocated funds to the calling treasurer; bounties already earned stay withdrawable
+     */
+    function reclaimFunds(uint256 amount) external onlyRole(TREASURER_ROLE) nonReentrant {
+        require(amount > 0 && amount <= availableFunds(), "Insufficient available funds");
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit FundsReclaimed(amount);
+    }
+}
@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./TicketMarketplace.sol";
+
+/**
+ * @title TicketGate
+ * @dev Venue check-in. The ticket owner signs an EIP-712 TicketPass (shown as a QR code) and an
+ * authorized gate scanner (per event, or platform-wide through GATE_SCANNER_ROLE) submits it to
+ * redeem the ticket. A pass is bound to the ticket's
+ * current nonce and an expiry, so a screenshot cannot be reused once the ticket is redeemed
+ * or the owner revokes outstanding passes. A resale buyer whose escrow is still open can be
+ * redeemed too: admission confirms receipt and releases the escrow to the seller. Redeeming
+ * also closes the ticket's marketplace listing.
+ */
+contract TicketGate is EIP712 {
+    bytes32 public constant TICKET_PASS_TYPEHASH =
+        keccak256("TicketPass(uint256 tokenId,uint256 nonce,uint256 expiry)");
+
+    EventTicketNFT public ticketNFT;
+    TicketMarketplace public marketplace;
+
+    // Mappings
+    mapping(uint256 => mapping(address => bool)) public gateScanners; // eventId => scanner
+    mapping(uint256 => uint256) public passNonces; // Nonce the next pass of a ticket must be signed over
+
+    // Events
+    event GateScannerUpdated(uint256 indexed eventId, address indexed scanner, bool authorized);
+    event TicketPassesRevoked(uint256 indexed tokenId, uint256 nonce);
+    event TicketRedeemed(uint256 indexed tokenId, uint256 indexed eventId, address indexed holder, address scanner);
+
+    constructor(address _ticketNFT, address payable _marketplace) EIP712("TicketGate", "1") {
+        ticketNFT = EventTicketNFT(_ticketNFT);
+        marketplace = TicketMarketplace(_marketplace);
+    }
+
+    /**
+     * @dev Authorizes or removes a gate scanner for an event (event organizer or admin)
+     */
+    function setGateScanner(uint256 eventId, address scanner, bool authorized) external {
+        require(ticketNFT.canManageEvent(eventId, msg.sender), "Only event organizer can perform this action");
+        require(scanner != address(0), "Invalid scanner");
+
+        gateScanners[eventId][scanner] = authorized;
+        emit GateScannerUpdated(eventId, scanner, authorized);
+    }
+
+    /**
+     * @dev Invalidates every pass the ticket owner has signed so far, e.g. after a QR code leaked
+     */
+    function revokeTicketPasses(uint256 tokenId) external {
+        require(ticketNFT.ownerOf(tokenId) == msg.sender, "Not ticket owner");
+
+        emit TicketPassesRevoked(tokenId, passNonces[tokenId]++);
+    }
+
+    /**
+     * @dev Redeems a ticket against its owner's signed pass (event gate scanner only)
+     */
+    function redeemTicket(uint256 tokenId, uint256 nonce, uint256 expiry, bytes calldata signature) external {
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        require(
+            gateScanners[ticket.eventId][msg.sender] || ticketNFT.roles().hasRole(GATE_SCANNER_ROLE, msg.sender),
+            "Only gate scanner"
+        );
+        require(block.timestamp <= expiry, "Pass expired");
+        require(nonce == passNonces[tokenId], "Pass revoked");
+        require(
+            ticketNFT.getEventInfo(ticket.eventId).status == EventTicketNFT.EventStatus.SCHEDULED,
+            "Event not scheduled"
+        );
+
+        address holder = ticketNFT.ownerOf(tokenId);
+        require(ECDSA.recover(passDigest(tokenId, nonce, expiry), signature) == holder, "Invalid pass signature");
+
+        passNonces[tokenId]++;
+        marketplace.settleRedeemedTicket(tokenId, holder);
+        ticketNFT.markAsRedeemed(tokenId);
+
+        emit TicketRedeemed(tokenId, ticket.eventId, holder, msg.sender);
+    }
+
+    /**
+     * @dev EIP-712 digest of a ticket pass, as signed by the ticket owner
+     */
+    function passDigest(uint256 tokenId, uint256 nonce, uint256 expiry) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(TICKET_PASS_TYPEHASH, tokenId, nonce, expiry)));
+    }
+}
@@ -2,16 +2,20 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./EventTicketNFT.sol";
 
 /**
  * @title TicketMarketplace
  * @dev Marketplace contract with escrow functionality for event ticket NFTs
  */
-contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
+contract TicketMarketplace is ReentrancyGuard, Pausable {
+    using SafeERC20 for IERC20;
+
     EventTicketNFT public ticketNFT;
+    TicketRoles public roles; // shared with the NFT contract
 
     // Listing structure
     struct Listing {
@@ -20,6 +24,8 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
         uint256 price;
         bool active;
         uint256 timestamp;
+        bool primarySale;
+        address paymentToken; // address(0) for native ETH
     }
 
     // Escrow transaction structure
@@ -34,17 +40,44 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
         bool disputed;
         bool completed;
         string disputeReason;
+        address paymentToken; // address(0) for native ETH
     }
 
     // State variables
     uint256 public marketplaceFee = 250; // 2.5% fee (basis points)
-    uint256 public constant CONFIRMATION_PERIOD = 7 days;
+    uint256 public releaseDelay = 24 hours; // escrow releases this long after the event starts
+    uint256 public constant MAX_RELEASE_DELAY = 30 days;
     uint256 public constant MAX_FEE = 1000; // 10% maximum fee
+    uint256 public maxResaleMarkup = 1000; // 10% above original price (basis points)
 
     // Mappings
     mapping(uint256 => Listing) public listings;
     mapping(uint256 => EscrowTransaction) public escrowTransactions;
-    mapping(address => bool) public admins;
+    mapping(uint256 => uint256) public eventMaxResaleMarkup;
+    mapping(uint256 => bool) public hasEventMaxResaleMarkup;
+    mapping(address => uint256) public pendingWithdrawals;
+
+    // Sum of all pending withdrawals owed to users
+    uint256 public totalPendingWithdrawals;
+    // Marketplace fees collected and not yet withdrawn
+    uint256 public accruedFees;
+    // Buyer payments held in open escrows
+    uint256 public totalEscrowed;
+
+    // Auction contract allowed to open escrows for winning bids
+    address public auctionHouse;
+    // Offer book allowed to open escrows for accepted offers
+    address public offerBook;
+    // Multi-admin voting contract; when set, only it resolves disputes
+    address public disputeCouncil;
+
+    // ERC-20 payment tokens and their accounting
+    mapping(address => bool) public allowedPaymentTokens;
+    mapping(uint256 => address) public eventPaymentToken;
+    mapping(address => mapping(address => uint256)) public pendingTokenWithdrawals; // payee => token => amount
+    mapping(address => uint256) public tokenPendingWithdrawals;
+    mapping(address => uint256) public tokenAccruedFees;
+    mapping(address => uint256) public tokenEscrowed;
     
     // Arrays for iteration
     uint256[] public listedTokenIds;
@@ -54,27 +87,59 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
     event TicketListed(uint256 indexed tokenId, address indexed seller, uint256 price);
     event TicketUnlisted(uint256 indexed tokenId, address indexed seller);
     event TicketPurchased(uint256 indexed tokenId, address indexed buyer, address indexed seller, uint256 price);
+    event PrimarySaleCompleted(uint256 indexed tokenId, address indexed buyer, address indexed organizer, uint256 price);
     event EscrowCreated(uint256 indexed tokenId, address indexed buyer, address indexed seller, uint256 price);
     event TransactionConfirmed(uint256 indexed tokenId, address indexed confirmer, bool isSeller);
     event EscrowCompleted(uint256 indexed tokenId, address indexed buyer, address indexed seller);
     event DisputeRaised(uint256 indexed tokenId, address indexed raiser, string reason);
-    event DisputeResolved(uint256 indexed tokenId, address indexed resolver, bool sellerWins);
+    event DisputeResolved(
+        uint256 indexed tokenId,
+        address indexed resolver,
+        uint256 refundBps,
+        uint256 buyerRefund,
+        bool buyerKeepsTicket
+    );
+    event EscrowRefunded(uint256 indexed tokenId, address indexed buyer, uint256 amount);
+    event RoyaltyPaid(uint256 indexed tokenId, address indexed receiver, uint256 amount);
     event FeesWithdrawn(address indexed owner, uint256 amount);
+    event FundsCredited(address indexed payee, uint256 amount);
+    event FundsWithdrawn(address indexed payee, uint256 amount);
+    event TokenFundsCredited(address indexed payee, address indexed token, uint256 amount);
+    event TokenFundsWithdrawn(address indexed payee, address indexed token, uint256 amount);
+    event TokenFeesWithdrawn(address indexed owner, address indexed token, uint256 amount);
+    event PaymentTokenUpdated(address indexed token, bool allowed);
+    event EventPaymentTokenUpdated(uint256 indexed eventId, address indexed token);
+    event AuctionHouseUpdated(address indexed auctionHouse);
+    event OfferBookUpdated(address indexed offerBook);
+    event DisputeCouncilUpdated(address indexed disputeCouncil);
     event MarketplaceFeeUpdated(uint256 newFee);
+    event MaxResaleMarkupUpdated(uint256 newMarkup);
+    event ReleaseDelayUpdated(uint256 releaseDelay);
+    event EventMaxResaleMarkupUpdated(uint256 indexed eventId, uint256 newMarkup);
+    event EventMaxResaleMarkupCleared(uint256 indexed eventId);
+
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
 
-    modifier onlyAdmin() {
-        require(admins[msg.sender] || msg.sender == owner(), "Only admin can perform this action");
+    modifier onlyDisputeResolver() {
+        if (disputeCouncil != address(0)) {
+            require(msg.sender == disputeCouncil, "Only dispute council");
+        } else {
+            _checkRole(DISPUTE_RESOLVER_ROLE);
+        }
         _;
     }
 
     modifier validTokenId(uint256 tokenId) {
-        require(tokenId < ticketNFT.totalSupply(), "Invalid token ID");
+        _requireValidTokenId(tokenId);
         _;
     }
 
     constructor(address _ticketNFT) {
         ticketNFT = EventTicketNFT(_ticketNFT);
-        admins[msg.sender] = true;
+        roles = ticketNFT.roles();
     }
 
     /**
@@ -89,6 +154,7 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
         require(ticketNFT.ownerOf(tokenId) == msg.sender, "You don't own this ticket");
         require(price > 0, "Price must be greater than 0");
         require(!listings[tokenId].active, "Ticket already listed");
+        _requireNotFrozen(tokenId);
         
         // Check if ticket is verified
         EventTicketNFT.TicketInfo memory info = ticketNFT.getTicketInfo(tokenId);
@@ -97,19 +163,63 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
             info.status == EventTicketNFT.TicketStatus.UNLOCKED, 
             "Ticket not verified or available for sale"
         );
+        require(info.originalPrice > 0, "Free tickets cannot be resold");
+        require(price <= _maxResalePrice(info), "Price exceeds resale cap");
 
         listings[tokenId] = Listing({
             tokenId: tokenId,
             seller: msg.sender,
             price: price,
             active: true,
-            timestamp: block.timestamp
+            timestamp: block.timestamp,
+            primarySale: false,
+            paymentToken: _listingPaymentToken(info.eventId)
         });
 
         listedTokenIds.push(tokenId);
         emit TicketListed(tokenId, msg.sender, price);
     }
 
+    /**
+     * @dev Lists organizer-issued tickets for primary sale at their original price
+     */
+    function listPrimaryTickets(uint256[] calldata tokenIds)
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        require(tokenIds.length > 0, "No tickets provided");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            require(tokenId < ticketNFT.totalSupply(), "Invalid token ID");
+            require(ticketNFT.ownerOf(tokenId) == msg.sender, "You don't own this ticket");
+            require(!listings[tokenId].active, "Ticket already listed");
+
+            EventTicketNFT.TicketInfo memory info = ticketNFT.getTicketInfo(tokenId);
+            require(
+                ticketNFT.getEventInfo(info.eventId).organizer == msg.sender,
+                "Only event organizer can list primary sale"
+            );
+            require(info.originalSeller == msg.sender, "Ticket already sold");
+            require(info.status == EventTicketNFT.TicketStatus.VERIFIED, "Ticket not verified");
+            require(info.originalPrice > 0, "Price must be greater than 0");
+
+            listings[tokenId] = Listing({
+                tokenId: tokenId,
+                seller: msg.sender,
+                price: info.originalPrice,
+                active: true,
+                timestamp: block.timestamp,
+                primarySale: true,
+                paymentToken: _listingPaymentToken(info.eventId)
+            });
+
+            listedTokenIds.push(tokenId);
+            emit TicketListed(tokenId, msg.sender, info.originalPrice);
+        }
+    }
+
     /**
      * @dev Unlists a ticket from sale
      */
@@ -140,37 +250,72 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
     {
         Listing memory listing = listings[tokenId];
         require(listing.active, "Ticket not for sale");
-        require(msg.value == listing.price, "Incorrect payment amount");
         require(msg.sender != listing.seller, "Cannot buy your own ticket");
         require(!_isInEscrow(tokenId), "Ticket already in escrow");
 
-        // Lock the ticket
-        ticketNFT.lockTicket(tokenId);
+        if (listing.paymentToken == address(0)) {
+            require(msg.value == listing.price, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Listing is priced in a token");
+            IERC20(listing.paymentToken).safeTransferFrom(msg.sender, address(this), listing.price);
+        }
 
-        // Create escrow transaction
-        escrowTransactions[tokenId] = EscrowTransaction({
-            tokenId: tokenId,
-            seller: listing.seller,
-            buyer: msg.sender,
-            price: listing.price,
-            startTime: block.timestamp,
-            sellerConfirmed: false,
-            buyerConfirmed: false,
-            disputed: false,
-            completed: false,
-            disputeReason: ""
-        });
+        // Primary sales settle directly with the organizer
+        if (listing.primarySale) {
+            _completePrimarySale(tokenId, listing);
+            return;
+        }
 
-        // Transfer NFT to buyer (but it remains locked)
-        ticketNFT.marketplaceTransfer(listing.seller, msg.sender, tokenId);
+        // Resales stop once the event's freeze window begins
+        _requireNotFrozen(tokenId);
 
         // Remove from active listings
         listings[tokenId].active = false;
         _removeFromListedTokens(tokenId);
-        escrowTokenIds.push(tokenId);
 
-        emit TicketPurchased(tokenId, msg.sender, listing.seller, listing.price);
-        emit EscrowCreated(tokenId, msg.sender, listing.seller, listing.price);
+        _createEscrow(tokenId, listing.seller, msg.sender, listing.price, listing.paymentToken);
+    }
+
+    /**
+     * @dev Opens escrow for a winning auction bid (auction house only)
+     */
+    function createAuctionEscrow(
+        uint256 tokenId,
+        address seller,
+        address buyer,
+        uint256 price,
+        address paymentToken
+    )
+        external
+        payable
+        nonReentrant
+        validTokenId(tokenId)
+    {
+        require(msg.sender == auctionHouse, "Only auction house");
+        _createExternalEscrow(tokenId, seller, buyer, price, paymentToken);
+    }
+
+    /**
+     * @dev Opens escrow for an accepted offer (offer book only)
+     */
+    function createOfferEscrow(
+        uint256 tokenId,
+        address seller,
+        address buyer,
+        uint256 price,
+        address paymentToken
+    )
+        external
+        payable
+        nonReentrant
+        validTokenId(tokenId)
+    {
+        require(msg.sender == offerBook, "Only offer book");
+
+        // An accepted offer supersedes the seller's fixed-price listing
+        _closeListing(tokenId);
+
+        _createExternalEscrow(tokenId, seller, buyer, price, paymentToken);
     }
 
     /**
@@ -207,7 +352,7 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
     }
 
     /**
-     * @dev Auto-releases escrow after 7 days
+     * @dev Auto-releases escrow once its deadline has passed
      */
     function autoReleaseEscrow(uint256 tokenId) 
         external 
@@ -218,14 +363,21 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
         require(escrow.price > 0, "No escrow transaction found");
         require(!escrow.completed, "Transaction already completed");
         require(!escrow.disputed, "Transaction is disputed");
-        require(
-            block.timestamp >= escrow.startTime + CONFIRMATION_PERIOD,
-            "Confirmation period not ended"
-        );
+        require(block.timestamp >= escrowDeadline(tokenId), "Confirmation period not ended");
 
         _completeEscrow(tokenId);
     }
 
+    /**
+     * @dev Returns when an escrow can be auto-released and disputes close: `releaseDelay`
+     * after the event starts, or after the purchase if that came later
+     */
+    function escrowDeadline(uint256 tokenId) public view returns (uint256) {
+        uint256 eventStart = ticketNFT.eventStartOf(tokenId);
+        uint256 purchased = escrowTransactions[tokenId].startTime;
+        return (eventStart > purchased ? eventStart : purchased) + releaseDelay;
+    }
+
     /**
      * @dev Raises a dispute
      */
@@ -242,6 +394,7 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
             msg.sender == escrow.buyer || msg.sender == escrow.seller,
             "Not authorized to raise dispute"
         );
+        require(block.timestamp < escrowDeadline(tokenId), "Dispute window closed");
 
         escrow.disputed = true;
         escrow.disputeReason = reason;
@@ -253,33 +406,202 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
     }
 
     /**
-     * @dev Resolves a dispute (admin only)
+     * @dev Resolves a dispute (admin, or the dispute council when set)
      */
     function resolveDispute(uint256 tokenId, bool sellerWins) 
         external 
-        onlyAdmin 
+        onlyDisputeResolver 
         nonReentrant 
         validTokenId(tokenId) 
     {
+        // Seller wins: release funds to seller, NFT stays with buyer
+        // Buyer wins: refund buyer, return NFT to seller
+        _settleDispute(tokenId, sellerWins ? 0 : 10000, sellerWins);
+    }
+
+    /**
+     * @dev Refunds a share of a disputed payment (basis points) and pays the seller the rest;
+     * the ticket stays with the buyer or returns to the seller (admin, or the dispute council when set)
+     */
+    function resolveDisputePartial(uint256 tokenId, uint256 refundBps, bool buyerKeepsTicket)
+        external
+        onlyDisputeResolver
+        nonReentrant
+        validTokenId(tokenId)
+    {
+        require(refundBps <= 10000, "Invalid refund percentage");
+        _settleDispute(tokenId, refundBps, buyerKeepsTicket);
+    }
+
+    /**
+     * @dev Unwinds a ticket of a cancelled event: ends its listing and refunds an open escrow,
+     * disputed or not, in full to the buyer while the ticket returns to the seller
+     */
+    function unwindCancelledTicket(uint256 tokenId) external nonReentrant {
+        require(ticketNFT.isEventCancelled(tokenId), "Event not cancelled");
+
+        _closeListing(tokenId);
+        if (_isInEscrow(tokenId)) {
+            _refundEscrow(tokenId, 10000, false);
+            emit EscrowRefunded(tokenId, escrowTransactions[tokenId].buyer, escrowTransactions[tokenId].price);
+        }
+    }
+
+    /**
+     * @dev Settles a ticket being redeemed at the gate (gate contract only): a used ticket can no
+     * longer be sold, so its listing closes, and admission confirms receipt, so an open escrow
+     * held for the redeeming holder is released to the seller
+     */
+    function settleRedeemedTicket(uint256 tokenId, address holder) external nonReentrant onlyRole(REDEEMER_ROLE) {
+        _closeListing(tokenId);
+        if (_isInEscrow(tokenId)) {
+            EscrowTransaction storage escrow = escrowTransactions[tokenId];
+            require(escrow.buyer == holder && !escrow.disputed, "Ticket not redeemable");
+            _completeEscrow(tokenId);
+        }
+    }
+
+    /**
+     * @dev Internal function to refund part of a disputed payment, pay the seller the rest and settle the ticket
+     */
+    function _settleDispute(uint256 tokenId, uint256 refundBps, bool buyerKeepsTicket) internal {
         EscrowTransaction storage escrow = escrowTransactions[tokenId];
         require(escrow.disputed, "No dispute to resolve");
         require(!escrow.completed, "Transaction already completed");
 
-        if (sellerWins) {
-            // Seller wins: release funds to seller, NFT stays with buyer
-            _releaseFundsToSeller(tokenId);
-            ticketNFT.unlockTicket(tokenId);
-        } else {
-            // Buyer wins: refund buyer, return NFT to seller
-            _refundBuyer(tokenId);
+        uint256 buyerRefund = _refundEscrow(tokenId, refundBps, buyerKeepsTicket);
+        emit DisputeResolved(tokenId, msg.sender, refundBps, buyerRefund, buyerKeepsTicket);
+    }
+
+    /**
+     * @dev Internal function to refund a share of an escrowed payment, pay the seller the rest and settle the ticket
+     */
+    function _refundEscrow(uint256 tokenId, uint256 refundBps, bool buyerKeepsTicket)
+        internal
+        returns (uint256 buyerRefund)
+    {
+        EscrowTransaction storage escrow = escrowTransactions[tokenId];
+
+        buyerRefund = (escrow.price * refundBps) / 10000;
+        if (buyerRefund > 0) {
+            _releaseEscrowed(escrow.paymentToken, buyerRefund);
+            _creditBalance(escrow.buyer, escrow.paymentToken, buyerRefund);
+        }
+        if (buyerRefund < escrow.price) {
+            _releaseFundsToSeller(tokenId, escrow.price - buyerRefund);
+        }
+        if (!buyerKeepsTicket) {
             ticketNFT.marketplaceTransfer(escrow.buyer, escrow.seller, tokenId);
-            ticketNFT.unlockTicket(tokenId);
         }
+        ticketNFT.unlockTicket(tokenId);
 
         escrow.completed = true;
         _removeFromEscrowTokens(tokenId);
+    }
+
+    /**
+     * @dev Returns the resale markup cap for an event (basis points)
+     */
+    function getResaleMarkupCap(uint256 eventId) public view returns (uint256) {
+        if (hasEventMaxResaleMarkup[eventId]) {
+            return eventMaxResaleMarkup[eventId];
+        }
+        return maxResaleMarkup;
+    }
+
+    /**
+     * @dev Returns the highest price a ticket may be listed for (0 for free tickets, which cannot be resold)
+     */
+    function getMaxResalePrice(uint256 tokenId) external view validTokenId(tokenId) returns (uint256) {
+        return _maxResalePrice(ticketNFT.getTicketInfo(tokenId));
+    }
+
+    /**
+     * @dev Internal function to compute the resale ceiling from the original price. A free ticket's
+     * ceiling is 0, so it can be given away but not sold (a declared price of 0 never lifts the cap).
+     */
+    function _maxResalePrice(EventTicketNFT.TicketInfo memory info) internal view returns (uint256) {
+        return (info.originalPrice * (10000 + getResaleMarkupCap(info.eventId))) / 10000;
+    }
+
+    /**
+     * @dev Internal function to collect a payment forwarded by the auction house or offer book and open escrow
+     */
+    function _createExternalEscrow(
+        uint256 tokenId,
+        address seller,
+        address buyer,
+        uint256 price,
+        address paymentToken
+    ) internal {
+        require(!_isInEscrow(tokenId), "Ticket already in escrow");
+
+        if (paymentToken == address(0)) {
+            require(msg.value == price, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Listing is priced in a token");
+            IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), price);
+        }
+
+        _createEscrow(tokenId, seller, buyer, price, paymentToken);
+    }
+
+    /**
+     * @dev Internal function to lock a sold ticket, move it to the buyer and hold the payment in escrow
+     */
+    function _createEscrow(
+        uint256 tokenId,
+        address seller,
+        address buyer,
+        uint256 price,
+        address paymentToken
+    ) internal {
+        // Lock the ticket
+        ticketNFT.lockTicket(tokenId);
+
+        escrowTransactions[tokenId] = EscrowTransaction({
+            tokenId: tokenId,
+            seller: seller,
+            buyer: buyer,
+            price: price,
+            startTime: block.timestamp,
+            sellerConfirmed: false,
+            buyerConfirmed: false,
+            disputed: false,
+            completed: false,
+            disputeReason: "",
+            paymentToken: paymentToken
+        });
+
+        // Transfer NFT to buyer (but it remains locked)
+        ticketNFT.marketplaceTransfer(seller, buyer, tokenId);
 
-        emit DisputeResolved(tokenId, msg.sender, sellerWins);
+        escrowTokenIds.push(tokenId);
+        if (paymentToken == address(0)) {
+            totalEscrowed += price;
+        } else {
+            tokenEscrowed[paymentToken] += price;
+        }
+
+        emit TicketPurchased(tokenId, buyer, seller, price);
+        emit EscrowCreated(tokenId, buyer, seller, price);
+    }
+
+    /**
+     * @dev Internal function to settle a primary sale without escrow
+     */
+    function _completePrimarySale(uint256 tokenId, Listing memory listing) internal {
+        listings[tokenId].active = false;
+        _removeFromListedTokens(tokenId);
+
+        ticketNFT.marketplaceTransfer(listing.seller, msg.sender, tokenId);
+
+        uint256 fee = (listing.price * marketplaceFee) / 10000;
+        _accrueFee(listing.paymentToken, fee);
+        _creditBalance(listing.seller, listing.paymentToken, listing.price - fee);
+
+        emit TicketPurchased(tokenId, msg.sender, listing.seller, listing.price);
+        emit PrimarySaleCompleted(tokenId, msg.sender, listing.seller, listing.price);
     }
 
     /**
@@ -288,7 +610,7 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
     function _completeEscrow(uint256 tokenId) internal {
         EscrowTransaction storage escrow = escrowTransactions[tokenId];
         
-        _releaseFundsToSeller(tokenId);
+        _releaseFundsToSeller(tokenId, escrow.price);
         ticketNFT.unlockTicket(tokenId);
         
         escrow.completed = true;
@@ -298,24 +620,86 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
     }
 
     /**
-     * @dev Internal function to release funds to seller
+     * @dev Internal function to release an escrowed amount to the seller, less fee and royalty
      */
-    function _releaseFundsToSeller(uint256 tokenId) internal {
+    function _releaseFundsToSeller(uint256 tokenId, uint256 amount) internal {
         EscrowTransaction memory escrow = escrowTransactions[tokenId];
         
-        uint256 fee = (escrow.price * marketplaceFee) / 10000;
-        uint256 sellerAmount = escrow.price - fee;
+        uint256 fee = (amount * marketplaceFee) / 10000;
+        (address royaltyReceiver, uint256 royalty) = ticketNFT.royaltyInfo(tokenId, amount);
+        if (royaltyReceiver == address(0) || royaltyReceiver == escrow.seller) {
+            royalty = 0;
+        }
+        uint256 sellerAmount = amount - fee - royalty;
+
+        _releaseEscrowed(escrow.paymentToken, amount);
+        _accrueFee(escrow.paymentToken, fee);
 
-        payable(escrow.seller).transfer(sellerAmount);
-        // Fee stays in contract for withdrawal by owner
+        if (royalty > 0) {
+            _creditBalance(royaltyReceiver, escrow.paymentToken, royalty);
+            emit RoyaltyPaid(tokenId, royaltyReceiver, royalty);
+        }
+        _creditBalance(escrow.seller, escrow.paymentToken, sellerAmount);
     }
 
     /**
-     * @dev Internal function to refund buyer
+     * @dev Internal function to credit a payee's withdrawable balance in ETH or a token
      */
-    function _refundBuyer(uint256 tokenId) internal {
-        EscrowTransaction memory escrow = escrowTransactions[tokenId];
-        payable(escrow.buyer).transfer(escrow.price);
+    function _creditBalance(address payee, address token, uint256 amount) internal {
+        if (token == address(0)) {
+            pendingWithdrawals[payee] += amount;
+            totalPendingWithdrawals += amount;
+            emit FundsCredited(payee, amount);
+        } else {
+            pendingTokenWithdrawals[payee][token] += amount;
+            tokenPendingWithdrawals[token] += amount;
+            emit TokenFundsCredited(payee, token, amount);
+        }
+    }
+
+    /**
+     * @dev Internal function to record a marketplace fee in ETH or a token
+     */
+    function _accrueFee(address token, uint256 fee) internal {
+        if (token == address(0)) {
+            accruedFees += fee;
+        } else {
+            tokenAccruedFees[token] += fee;
+        }
+    }
+
+    /**
+     * @dev Internal function to remove a settled payment from the escrowed totals
+     */
+    function _releaseEscrowed(address token, uint256 amount) internal {
+        if (token == address(0)) {
+            totalEscrowed -= amount;
+        } else {
+            tokenEscrowed[token] -= amount;
+        }
+    }
+
+    /**
+     * @dev Returns the payment token for new listings of an event, checking it is still allowed
+     */
+    function _listingPaymentToken(uint256 eventId) internal view returns (address) {
+        address token = eventPaymentToken[eventId];
+        require(token == address(0) || allowedPaymentTokens[token], "Payment token not allowed");
+        return token;
+    }
+
+    /**
+     * @dev Reverts for a token that was never minted; kept out of the modifier to save code size
+     */
+    function _requireValidTokenId(uint256 tokenId) internal view {
+        require(tokenId < ticketNFT.totalSupply(), "Invalid token ID");
+    }
+
+    /**
+     * @dev Reverts once secondary trading of the ticket is frozen before its event
+     */
+    function _requireNotFrozen(uint256 tokenId) internal view {
+        require(block.timestamp < ticketNFT.tradingFreezesAt(tokenId), "Ticket trading frozen");
     }
 
     /**
@@ -326,6 +710,17 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
         return escrow.price > 0 && !escrow.completed;
     }
 
+    /**
+     * @dev Ends a ticket's active listing, if any
+     */
+    function _closeListing(uint256 tokenId) internal {
+        if (listings[tokenId].active) {
+            listings[tokenId].active = false;
+            _removeFromListedTokens(tokenId);
+            emit TicketUnlisted(tokenId, listings[tokenId].seller);
+        }
+    }
+
     /**
      * @dev Removes token from listed tokens array
      */
@@ -401,57 +796,184 @@ contract TicketMarketplace is ReentrancyGuard, Ownable, Pausable {
     /**
      * @dev Updates marketplace fee
      */
-    function updateMarketplaceFee(uint256 newFee) external onlyOwner {
+    function updateMarketplaceFee(uint256 newFee) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(newFee <= MAX_FEE, "Fee too high");
         marketplaceFee = newFee;
         emit MarketplaceFeeUpdated(newFee);
     }
 
     /**
-     * @dev Adds an admin
+     * @dev Updates the global resale markup cap
      */
-    function addAdmin(address admin) external onlyOwner {
-        admins[admin] = true;
+    function updateMaxResaleMarkup(uint256 newMarkup) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        maxResaleMarkup = newMarkup;
+        emit MaxResaleMarkupUpdated(newMarkup);
     }
 
     /**
-     * @dev Removes an admin
+     * @dev Sets a resale markup cap for a single event (event organizer or admin)
      */
-    function removeAdmin(address admin) external onlyOwner {
-        admins[admin] = false;
+    function setEventMaxResaleMarkup(uint256 eventId, uint256 newMarkup) external {
+        require(_isEventOrganizerOrAdmin(eventId), "Only event organizer or admin");
+
+        eventMaxResaleMarkup[eventId] = newMarkup;
+        hasEventMaxResaleMarkup[eventId] = true;
+        emit EventMaxResaleMarkupUpdated(eventId, newMarkup);
     }
 
     /**
-     * @dev Withdraws accumulated fees
+     * @dev Removes an event's resale markup cap so the global cap applies
      */
-    function withdrawFees() external onlyOwner {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No fees to withdraw");
-        
-        payable(owner()).transfer(balance);
-        emit FeesWithdrawn(owner(), balance);
+    function clearEventMaxResaleMarkup(uint256 eventId) external {
+        require(_isEventOrganizerOrAdmin(eventId), "Only event organizer or admin");
+
+        delete eventMaxResaleMarkup[eventId];
+        hasEventMaxResaleMarkup[eventId] = false;
+        emit EventMaxResaleMarkupCleared(eventId);
+    }
+
+    /**
+     * @dev Reverts unless the caller holds `role` in the shared registry
+     */
+    function _checkRole(bytes32 role) internal view {
+        require(roles.hasRole(role, msg.sender), "Caller is missing role");
+    }
+
+    /**
+     * @dev Checks if caller organizes the event or is an admin
+     */
+    function _isEventOrganizerOrAdmin(uint256 eventId) internal view returns (bool) {
+        return ticketNFT.canManageEvent(eventId, msg.sender);
+    }
+
+    /**
+     * @dev Withdraws the caller's pending balance
+     */
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "No funds to withdraw");
+
+        pendingWithdrawals[msg.sender] = 0;
+        totalPendingWithdrawals -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit FundsWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Withdraws the caller's pending balance of an ERC-20 payment token
+     */
+    function withdrawToken(address token) external nonReentrant {
+        uint256 amount = pendingTokenWithdrawals[msg.sender][token];
+        require(amount > 0, "No funds to withdraw");
+
+        pendingTokenWithdrawals[msg.sender][token] = 0;
+        tokenPendingWithdrawals[token] -= amount;
+
+        IERC20(token).safeTransfer(msg.sender, amount);
+        emit TokenFundsWithdrawn(msg.sender, token, amount);
+    }
+
+    /**
+     * @dev Credits accumulated fees to the calling treasurer's pending balance
+     */
+    function withdrawFees() external onlyRole(TREASURER_ROLE) {
+        uint256 amount = accruedFees;
+        require(amount > 0, "No fees to withdraw");
+
+        accruedFees = 0;
+        _creditBalance(msg.sender, address(0), amount);
+        emit FeesWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Credits accumulated token fees to the calling treasurer's pending token balance
+     */
+    function withdrawTokenFees(address token) external onlyRole(TREASURER_ROLE) {
+        uint256 amount = tokenAccruedFees[token];
+        require(amount > 0, "No fees to withdraw");
+
+        tokenAccruedFees[token] = 0;
+        _creditBalance(msg.sender, token, amount);
+        emit TokenFeesWithdrawn(msg.sender, token, amount);
+    }
+
+    /**
+     * @dev Sets the auction contract allowed to open escrows
+     */
+    function setAuctionHouse(address _auctionHouse) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        auctionHouse = _auctionHouse;
+        emit AuctionHouseUpdated(_auctionHouse);
+    }
+
+    /**
+     * @dev Sets the offer book allowed to open escrows
+     */
+    function setOfferBook(address _offerBook) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        offerBook = _offerBook;
+        emit OfferBookUpdated(_offerBook);
+    }
+
+    /**
+     * @dev Sets the dispute council; address(0) lets any admin resolve disputes again
+     */
+    function setDisputeCouncil(address _disputeCouncil) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        disputeCouncil = _disputeCouncil;
+        emit DisputeCouncilUpdated(_disputeCouncil);
+    }
+
+    /**
+     * @dev Sets how long after an event starts its escrows release
+     */
+    function setReleaseDelay(uint256 _releaseDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_releaseDelay <= MAX_RELEASE_DELAY, "Release delay too long");
+        releaseDelay = _releaseDelay;
+        emit ReleaseDelayUpdated(_releaseDelay);
+    }
+
+    /**
+     * @dev Allows or disallows an ERC-20 token for payments
+     */
+    function setPaymentTokenAllowed(address token, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(0), "Invalid payment token");
+        allowedPaymentTokens[token] = allowed;
+        emit PaymentTokenUpdated(token, allowed);
+    }
+
+    /**
+     * @dev Sets the currency an event's tickets are priced and sold in (before any are minted)
+     */
+    function setEventPaymentToken(uint256 eventId, address token) external {
+        require(_isEventOrganizerOrAdmin(eventId), "Only event organizer or admin");
+        require(token == address(0) || allowedPaymentTokens[token], "Payment token not allowed");
+        require(ticketNFT.getEventInfo(eventId).ticketsMinted == 0, "Tickets already minted");
+
+        eventPaymentToken[eventId] = token;
+        emit EventPaymentTokenUpdated(eventId, token);
     }
 
     /**
      * @dev Pauses the marketplace
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /**
      * @dev Unpauses the marketplace
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
     /**
      * @dev Emergency function to recover stuck tokens
      */
-    function emergencyRecoverToken(uint256 tokenId) external onlyOwner {
+    function emergencyRecoverToken(uint256 tokenId) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(ticketNFT.ownerOf(tokenId) == address(this), "Token not in contract");
-        ticketNFT.safeTransferFrom(address(this), owner(), tokenId);
+        ticketNFT.safeTransferFrom(address(this), msg.sender, tokenId);
     }
 
     // Fallback function to reject direct Ether transfers
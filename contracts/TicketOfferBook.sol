@@ -0,0 +1,281 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./EventTicketNFT.sol";
+import "./TicketMarketplace.sol";
+
+/**
+ * @title TicketOfferBook
+ * @dev Escrowed buyer offers and seller counter-offers for any ticket, listed or not.
+ * Accepted offers are handed to the marketplace escrow like any other purchase.
+ */
+contract TicketOfferBook is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    EventTicketNFT public ticketNFT;
+    TicketMarketplace public marketplace;
+
+    enum OfferStatus { OPEN, COUNTERED, ACCEPTED, REJECTED, CANCELLED }
+
+    // Offer structure
+    struct Offer {
+        uint256 offerId;
+        uint256 tokenId;
+        address buyer;
+        address paymentToken;  // address(0) for native ETH
+        uint256 amount;        // Escrowed by the buyer
+        uint256 counterAmount; // Asked by the seller when countered
+        address counterparty;  // Owner who made the counter-offer
+        uint256 expiresAt;
+        OfferStatus status;
+    }
+
+    // State variables
+    uint256 public constant MIN_OFFER_DURATION = 1 hours;
+    uint256 public constant MAX_OFFER_DURATION = 30 days;
+    uint256 private _nextOfferId;
+
+    // Mappings
+    mapping(uint256 => Offer) public offers;
+    mapping(uint256 => uint256[]) private _tokenOffers;
+    mapping(address => uint256[]) private _buyerOffers;
+    mapping(address => uint256) public pendingReturns;
+    mapping(address => mapping(address => uint256)) public pendingTokenReturns; // buyer => token => amount
+
+    // Events
+    event OfferMade(uint256 indexed offerId, uint256 indexed tokenId, address indexed buyer, uint256 amount, uint256 expiresAt);
+    event OfferCountered(uint256 indexed offerId, address indexed seller, uint256 counterAmount, uint256 expiresAt);
+    event OfferAccepted(uint256 indexed offerId, uint256 indexed tokenId, address indexed seller, uint256 price);
+    event OfferRejected(uint256 indexed offerId, address indexed seller);
+    event OfferCancelled(uint256 indexed offerId, address indexed buyer);
+    event ReturnsWithdrawn(address indexed buyer, address indexed token, uint256 amount);
+
+    constructor(address _ticketNFT, address payable _marketplace) {
+        ticketNFT = EventTicketNFT(_ticketNFT);
+        marketplace = TicketMarketplace(_marketplace);
+    }
+
+    /**
+     * @dev Escrows an offer for a ticket in the event's payment currency
+     */
+    function makeOffer(uint256 tokenId, uint256 amount, uint256 duration)
+        external
+        payable
+        nonReentrant
+        returns (uint256)
+    {
+        require(amount > 0, "Offer must be greater than 0");
+        require(duration >= MIN_OFFER_DURATION && duration <= MAX_OFFER_DURATION, "Invalid duration");
+        require(ticketNFT.ownerOf(tokenId) != msg.sender, "Cannot offer on your own ticket");
+        uint256 maxPrice = marketplace.getMaxResalePrice(tokenId);
+        require(maxPrice > 0, "Free tickets cannot be resold");
+        require(amount <= maxPrice, "Offer exceeds resale cap");
+        require(block.timestamp < ticketNFT.tradingFreezesAt(tokenId), "Ticket trading frozen");
+
+        EventTicketNFT.TicketInfo memory info = ticketNFT.getTicketInfo(tokenId);
+        address paymentToken = marketplace.eventPaymentToken(info.eventId);
+        require(
+            paymentToken == address(0) || marketplace.allowedPaymentTokens(paymentToken),
+            "Payment token not allowed"
+        );
+
+        _collectPayment(paymentToken, amount);
+
+        uint256 offerId = _nextOfferId++;
+        offers[offerId] = Offer({
+            offerId: offerId,
+            tokenId: tokenId,
+            buyer: msg.sender,
+            paymentToken: paymentToken,
+            amount: amount,
+            counterAmount: 0,
+            counterparty: address(0),
+            expiresAt: block.timestamp + duration,
+            status: OfferStatus.OPEN
+        });
+        _tokenOffers[tokenId].push(offerId);
+        _buyerOffers[msg.sender].push(offerId);
+
+        emit OfferMade(offerId, tokenId, msg.sender, amount, block.timestamp + duration);
+        return offerId;
+    }
+
+    /**
+     * @dev Accepts an open offer, moving the ticket and escrowed funds into marketplace escrow
+     */
+    function acceptOffer(uint256 offerId) external nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.OPEN, "Offer not open");
+        require(block.timestamp < offer.expiresAt, "Offer expired");
+        require(ticketNFT.ownerOf(offer.tokenId) == msg.sender, "You don't own this ticket");
+
+        offer.status = OfferStatus.ACCEPTED;
+        _openEscrow(offer, msg.sender, offer.amount);
+    }
+
+    /**
+     * @dev Answers an open offer with a higher asking price valid for `duration`
+     */
+    function counterOffer(uint256 offerId, uint256 counterAmount, uint256 duration) external nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.OPEN, "Offer not open");
+        require(block.timestamp < offer.expiresAt, "Offer expired");
+        require(ticketNFT.ownerOf(offer.tokenId) == msg.sender, "You don't own this ticket");
+        require(counterAmount > offer.amount, "Counter must exceed offer");
+        require(counterAmount <= marketplace.getMaxResalePrice(offer.tokenId), "Counter exceeds resale cap");
+        require(duration >= MIN_OFFER_DURATION && duration <= MAX_OFFER_DURATION, "Invalid duration");
+
+        offer.status = OfferStatus.COUNTERED;
+        offer.counterAmount = counterAmount;
+        offer.counterparty = msg.sender;
+        offer.expiresAt = block.timestamp + duration;
+
+        emit OfferCountered(offerId, msg.sender, counterAmount, offer.expiresAt);
+    }
+
+    /**
+     * @dev Accepts a counter-offer by paying the difference on top of the escrowed offer
+     */
+    function acceptCounterOffer(uint256 offerId) external payable nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.COUNTERED, "No counter-offer");
+        require(offer.buyer == msg.sender, "Not your offer");
+        require(block.timestamp < offer.expiresAt, "Offer expired");
+        require(ticketNFT.ownerOf(offer.tokenId) == offer.counterparty, "Ticket changed hands");
+
+        _collectPayment(offer.paymentToken, offer.counterAmount - offer.amount);
+
+        offer.status = OfferStatus.ACCEPTED;
+        offer.amount = offer.counterAmount;
+        _openEscrow(offer, offer.counterparty, offer.counterAmount);
+    }
+
+    /**
+     * @dev Rejects an open or countered offer and credits the buyer's escrowed funds
+     */
+    function rejectOffer(uint256 offerId) external nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(
+            offer.status == OfferStatus.OPEN || offer.status == OfferStatus.COUNTERED,
+            "Offer not open"
+        );
+        require(ticketNFT.ownerOf(offer.tokenId) == msg.sender, "You don't own this ticket");
+
+        offer.status = OfferStatus.REJECTED;
+        _creditReturn(offer.buyer, offer.paymentToken, offer.amount);
+
+        emit OfferRejected(offerId, msg.sender);
+    }
+
+    /**
+     * @dev Withdraws an open, countered or expired offer (buyer only)
+     */
+    function cancelOffer(uint256 offerId) external nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(
+            offer.status == OfferStatus.OPEN || offer.status == OfferStatus.COUNTERED,
+            "Offer not open"
+        );
+        require(offer.buyer == msg.sender, "Not your offer");
+
+        offer.status = OfferStatus.CANCELLED;
+        _creditReturn(offer.buyer, offer.paymentToken, offer.amount);
+
+        emit OfferCancelled(offerId, msg.sender);
+    }
+
+    /**
+     * @dev Withdraws the caller's refunded offers in ETH or a token
+     */
+    function withdrawReturns(address token) external nonReentrant {
+        uint256 amount;
+        if (token == address(0)) {
+            amount = pendingReturns[msg.sender];
+            pendingReturns[msg.sender] = 0;
+        } else {
+            amount = pendingTokenReturns[msg.sender][token];
+            pendingTokenReturns[msg.sender][token] = 0;
+        }
+        require(amount > 0, "No funds to withdraw");
+
+        if (token == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+
+        emit ReturnsWithdrawn(msg.sender, token, amount);
+    }
+
+    /**
+     * @dev Returns whether an offer can still be accepted or countered
+     */
+    function isOfferLive(uint256 offerId) public view returns (bool) {
+        Offer memory offer = offers[offerId];
+        return (offer.status == OfferStatus.OPEN || offer.status == OfferStatus.COUNTERED) &&
+            block.timestamp < offer.expiresAt;
+    }
+
+    /**
+     * @dev Gets all offer IDs ever made for a ticket
+     */
+    function getTokenOffers(uint256 tokenId) external view returns (uint256[] memory) {
+        return _tokenOffers[tokenId];
+    }
+
+    /**
+     * @dev Gets all offer IDs made by a buyer
+     */
+    function getBuyerOffers(address buyer) external view returns (uint256[] memory) {
+        return _buyerOffers[buyer];
+    }
+
+    /**
+     * @dev Internal function to hand an accepted offer to the marketplace escrow
+     */
+    function _openEscrow(Offer storage offer, address seller, uint256 price) internal {
+        EventTicketNFT.TicketInfo memory info = ticketNFT.getTicketInfo(offer.tokenId);
+        require(
+            info.status == EventTicketNFT.TicketStatus.VERIFIED ||
+            info.status == EventTicketNFT.TicketStatus.UNLOCKED,
+            "Ticket not tradable"
+        );
+        require(block.timestamp < ticketNFT.tradingFreezesAt(offer.tokenId), "Ticket trading frozen");
+
+        if (offer.paymentToken == address(0)) {
+            marketplace.createOfferEscrow{value: price}(offer.tokenId, seller, offer.buyer, price, address(0));
+        } else {
+            IERC20(offer.paymentToken).forceApprove(address(marketplace), price);
+            marketplace.createOfferEscrow(offer.tokenId, seller, offer.buyer, price, offer.paymentToken);
+        }
+
+        emit OfferAccepted(offer.offerId, offer.tokenId, seller, price);
+    }
+
+    /**
+     * @dev Internal function to take an offer payment in ETH or a token
+     */
+    function _collectPayment(address token, uint256 amount) internal {
+        if (token == address(0)) {
+            require(msg.value == amount, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Offer is priced in a token");
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        }
+    }
+
+    /**
+     * @dev Internal function to credit refunded offer funds
+     */
+    function _creditReturn(address buyer, address token, uint256 amount) internal {
+        if (token == address(0)) {
+            pendingReturns[buyer] += amount;
+        } else {
+            pendingTokenReturns[buyer][token] += amount;
+        }
+    }
+}
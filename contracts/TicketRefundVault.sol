@@ -0,0 +1,225 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./EventTicketNFT.sol";
+import "./TicketMarketplace.sol";
+import "./TicketAuctionHouse.sol";
+
+/**
+ * @title TicketRefundVault
+ * @dev Unwinds cancelled events. Once an event is cancelled, anyone can cancel its tickets in
+ * batches: auctions end with the highest bid returned, listings close, open escrows are refunded
+ * to their buyers and each ticket is marked cancelled. Organizers can deposit refund funds in the
+ * event's payment token, from which holders of the tickets they issued claim the original price.
+ * The same deposit funds opt-outs when an event is rescheduled: for a limited window, holders
+ * can hand such tickets back to the organizer for the original price.
+ */
+contract TicketRefundVault is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    EventTicketNFT public ticketNFT;
+    TicketMarketplace public marketplace;
+    TicketAuctionHouse public auctionHouse; // address(0) when auctions are not deployed
+
+    // Deposits stay claimable this long after the event's start time
+    uint256 public constant CLAIM_PERIOD = 90 days;
+    uint256 public constant MAX_OPT_OUT_PERIOD = 30 days;
+
+    // Mappings
+    mapping(uint256 => uint256) public deposits; // eventId => unclaimed refund funds
+    mapping(uint256 => bool) public refundClaimed;
+    mapping(uint256 => uint256) public optOutDeadlines; // eventId => end of the latest reschedule's opt-out window
+
+    // Events
+    event TicketsCancelled(uint256 indexed eventId, uint256 cancelled, uint256 skipped);
+    event CancellationSkipped(uint256 indexed tokenId);
+    event RefundDeposited(uint256 indexed eventId, address indexed from, uint256 amount);
+    event RefundDepositWithdrawn(uint256 indexed eventId, address indexed organizer, uint256 amount);
+    event RefundClaimed(uint256 indexed tokenId, address indexed holder, uint256 amount);
+    event OptOutWindowOpened(uint256 indexed eventId, uint256 newStartTime, uint256 deadline);
+    event TicketOptedOut(uint256 indexed tokenId, address indexed holder, uint256 amount);
+
+    constructor(address _ticketNFT, address payable _marketplace, address _auctionHouse) {
+        ticketNFT = EventTicketNFT(_ticketNFT);
+        marketplace = TicketMarketplace(_marketplace);
+        auctionHouse = TicketAuctionHouse(_auctionHouse);
+    }
+
+    /**
+     * @dev Unwinds and cancels tickets of a cancelled event. Tickets of other events, burned
+     * tickets and tickets already cancelled are skipped, so overlapping batches never revert.
+     * Tickets still locked by an auction this vault cannot close are skipped with a
+     * CancellationSkipped event rather than holding up the rest of the batch.
+     */
+    function cancelTickets(uint256 eventId, uint256[] calldata tokenIds)
+        external
+        nonReentrant
+        returns (uint256 cancelled)
+    {
+        require(tokenIds.length > 0, "No tickets given");
+        require(
+            ticketNFT.getEventInfo(eventId).status == EventTicketNFT.EventStatus.CANCELLED,
+            "Event not cancelled"
+        );
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (_cancelTicket(eventId, tokenIds[i])) {
+                cancelled++;
+            }
+        }
+
+        emit TicketsCancelled(eventId, cancelled, tokenIds.length - cancelled);
+    }
+
+    /**
+     * @dev Adds refund funds for an event's ticket holders (event organizer or admin)
+     */
+    function depositRefunds(uint256 eventId, uint256 amount) external payable nonReentrant {
+        EventTicketNFT.EventInfo memory info = ticketNFT.getEventInfo(eventId);
+        _requireEventOrganizer(info);
+        require(info.ticketsMinted > 0, "No tickets issued");
+        require(amount > 0, "Deposit must be greater than 0");
+
+        address token = marketplace.eventPaymentToken(eventId);
+        if (token == address(0)) {
+            require(msg.value == amount, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Event is priced in a token");
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        }
+
+        deposits[eventId] += amount;
+        emit RefundDeposited(eventId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Moves an event to a new start time and opens an opt-out window of `optOutPeriod` that
+     * must close before the new start (event organizer or admin). Rescheduling again replaces the
+     * window.
+     */
+    function rescheduleEvent(uint256 eventId, uint256 newStartTime, uint256 optOutPeriod) external {
+        _requireEventOrganizer(ticketNFT.getEventInfo(eventId));
+        require(optOutPeriod > 0 && optOutPeriod <= MAX_OPT_OUT_PERIOD, "Invalid opt-out period");
+        uint256 deadline = block.timestamp + optOutPeriod;
+        require(deadline <= newStartTime, "Opt-out window ends after the event");
+
+        ticketNFT.rescheduleEvent(eventId, newStartTime);
+        optOutDeadlines[eventId] = deadline;
+
+        emit OptOutWindowOpened(eventId, newStartTime, deadline);
+    }
+
+    /**
+     * @dev Returns unclaimed refund funds to the organizer once the claim period after the event's
+     * start is over
+     */
+    function withdrawDeposit(uint256 eventId, uint256 amount) external nonReentrant {
+        EventTicketNFT.EventInfo memory info = ticketNFT.getEventInfo(eventId);
+        require(info.organizer == msg.sender, "Only event organizer");
+        require(block.timestamp >= info.startTime + CLAIM_PERIOD, "Claim period not over");
+        require(amount > 0 && amount <= deposits[eventId], "Insufficient deposit");
+
+        deposits[eventId] -= amount;
+        _pay(msg.sender, marketplace.eventPaymentToken(eventId), amount);
+
+        emit RefundDepositWithdrawn(eventId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Refunds the original price of a cancelled ticket the organizer issued (ticket owner only)
+     */
+    function claimRefund(uint256 tokenId) external nonReentrant {
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        require(ticket.status == EventTicketNFT.TicketStatus.CANCELLED, "Ticket not cancelled");
+        require(ticketNFT.ownerOf(tokenId) == msg.sender, "Not ticket owner");
+        require(!refundClaimed[tokenId], "Refund already claimed");
+
+        refundClaimed[tokenId] = true;
+        _takeRefund(ticket);
+        _pay(msg.sender, marketplace.eventPaymentToken(ticket.eventId), ticket.originalPrice);
+
+        emit RefundClaimed(tokenId, msg.sender, ticket.originalPrice);
+    }
+
+    /**
+     * @dev Hands a ticket of a rescheduled event back to its organizer for the original price while
+     * the opt-out window is open (ticket owner only). Listed, escrowed and auctioned tickets must
+     * be freed first.
+     */
+    function optOut(uint256 tokenId) external nonReentrant {
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        require(block.timestamp <= optOutDeadlines[ticket.eventId], "Opt-out window closed");
+        require(ticketNFT.ownerOf(tokenId) == msg.sender, "Not ticket owner");
+        (, , , bool listed, , , ) = marketplace.listings(tokenId);
+        require(!listed, "Ticket is listed");
+
+        _takeRefund(ticket);
+        ticketNFT.returnToOrganizer(tokenId);
+        _pay(msg.sender, marketplace.eventPaymentToken(ticket.eventId), ticket.originalPrice);
+
+        emit TicketOptedOut(tokenId, msg.sender, ticket.originalPrice);
+    }
+
+    /**
+     * @dev Internal function to close a ticket's auction, listing and escrow and mark it cancelled
+     */
+    function _cancelTicket(uint256 eventId, uint256 tokenId) internal returns (bool) {
+        EventTicketNFT.TicketInfo memory ticket;
+        try ticketNFT.getTicketInfo(tokenId) returns (EventTicketNFT.TicketInfo memory info) {
+            ticket = info;
+        } catch {
+            return false; // Burned after rejection
+        }
+        if (ticket.eventId != eventId || ticket.status == EventTicketNFT.TicketStatus.CANCELLED) {
+            return false;
+        }
+
+        if (address(auctionHouse) != address(0)) {
+            (, , , , , , , , , , , bool inAuction) = auctionHouse.auctions(tokenId);
+            if (inAuction) {
+                auctionHouse.closeCancelledAuction(tokenId);
+            }
+        }
+        marketplace.unwindCancelledTicket(tokenId);
+        if (ticketNFT.isLocked(tokenId)) {
+            emit CancellationSkipped(tokenId);
+            return false;
+        }
+        ticketNFT.markAsCancelled(tokenId);
+        return true;
+    }
+
+    /**
+     * @dev Internal function to check the caller may manage an event's refunds
+     */
+    function _requireEventOrganizer(EventTicketNFT.EventInfo memory info) internal view {
+        require(ticketNFT.canManageEvent(info.eventId, msg.sender), "Only event organizer can perform this action");
+    }
+
+    /**
+     * @dev Internal function to charge a ticket's original price to its event's deposit. Only
+     * tickets sold by the organizer were paid to the organizer.
+     */
+    function _takeRefund(EventTicketNFT.TicketInfo memory ticket) internal {
+        address organizer = ticketNFT.getEventInfo(ticket.eventId).organizer;
+        require(ticket.originalSeller == organizer && msg.sender != organizer, "Ticket not refundable");
+        require(deposits[ticket.eventId] >= ticket.originalPrice, "Insufficient refund deposit");
+
+        deposits[ticket.eventId] -= ticket.originalPrice;
+    }
+
+    /**
+     * @dev Internal function to pay out refund funds in ETH or a token
+     */
+    function _pay(address to, address token, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+}
@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./EventTicketNFT.sol";
+
+/**
+ * @title TicketRenderer
+ * @dev Builds a ticket's tokenURI on-chain: a base64 JSON data URI whose image is
+ * an SVG generated from the ticket and event information.
+ */
+contract TicketRenderer is ITicketRenderer {
+    using Strings for uint256;
+
+    EventTicketNFT public ticketNFT;
+
+    uint256 private constant MAX_LINE_BYTES = 26;
+
+    constructor(address _ticketNFT) {
+        ticketNFT = EventTicketNFT(_ticketNFT);
+    }
+
+    /**
+     * @dev Returns the data URI for a ticket
+     */
+    function renderTokenURI(uint256 tokenId) external view override returns (string memory) {
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        EventTicketNFT.EventInfo memory info = ticketNFT.getEventInfo(ticket.eventId);
+        (string memory statusLabel, ) = _status(ticket, info);
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"', _escape(info.name, false), " - Seat ", _escape(ticket.seatInfo, false),
+            '","description":"Ticket #', tokenId.toString(), " for ", _escape(info.name, false),
+            " at ", _escape(info.venue, false)
+        );
+        json = abi.encodePacked(
+            json,
+            '","image":"data:image/svg+xml;base64,', Base64.encode(renderSVG(tokenId)),
+            '","attributes":', _attributes(ticket, info, statusLabel), "}"
+        );
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    /**
+     * @dev Returns the ticket artwork as raw SVG
+     */
+    function renderSVG(uint256 tokenId) public view returns (bytes memory) {
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        EventTicketNFT.EventInfo memory info = ticketNFT.getEventInfo(ticket.eventId);
+        (string memory statusLabel, string memory statusColor) = _status(ticket, info);
+
+        bytes memory svg = abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 600" width="400" height="600" font-family="Helvetica,Arial,sans-serif">',
+            '<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#1976d2"/><stop offset="1" stop-color="#9c27b0"/></linearGradient></defs>',
+            '<rect width="400" height="600" rx="24" fill="url(#bg)"/>',
+            '<rect x="20" y="20" width="360" height="560" rx="16" fill="#fff" fill-opacity="0.08" stroke="#fff" stroke-opacity="0.3"/>',
+            '<text x="40" y="76" font-size="14" fill="#fff" fill-opacity="0.7">EVENT TICKET #', tokenId.toString(), "</text>",
+            '<text x="40" y="124" font-size="26" font-weight="bold" fill="#fff">', _escape(_truncate(info.name), true), "</text>"
+        );
+        svg = abi.encodePacked(
+            svg,
+            _field(200, "VENUE", _truncate(info.venue)),
+            _field(280, "DATE", _formatDate(info.startTime)),
+            _field(360, "SEAT", _truncate(ticket.seatInfo))
+        );
+        return abi.encodePacked(
+            svg,
+            '<line x1="40" y1="450" x2="360" y2="450" stroke="#fff" stroke-opacity="0.5" stroke-dasharray="6 6"/>',
+            '<rect x="40" y="484" width="160" height="44" rx="22" fill="', statusColor, '"/>',
+            '<text x="120" y="512" font-size="16" font-weight="bold" fill="#fff" text-anchor="middle">', statusLabel, "</text>",
+            "</svg>"
+        );
+    }
+
+    /**
+     * @dev Renders a labelled line of the ticket
+     */
+    function _field(uint256 y, string memory label, string memory value) private pure returns (bytes memory) {
+        return abi.encodePacked(
+            '<text x="40" y="', y.toString(), '" font-size="12" fill="#fff" fill-opacity="0.7">', label, "</text>",
+            '<text x="40" y="', (y + 30).toString(), '" font-size="20" fill="#fff">', _escape(value, true), "</text>"
+        );
+    }
+
+    function _attributes(
+        EventTicketNFT.TicketInfo memory ticket,
+        EventTicketNFT.EventInfo memory info,
+        string memory statusLabel
+    ) private pure returns (bytes memory) {
+        return abi.encodePacked(
+            '[{"trait_type":"Event ID","value":', ticket.eventId.toString(),
+            '},{"trait_type":"Event Date","display_type":"date","value":', info.startTime.toString(),
+            '},{"trait_type":"Venue","value":"', _escape(info.venue, false),
+            '"},{"trait_type":"Seat Info","value":"', _escape(ticket.seatInfo, false),
+            '"},{"trait_type":"Status","value":"', statusLabel, '"}]'
+        );
+    }
+
+    /**
+     * @dev Badge label and colour; a cancelled event overrides the ticket status
+     */
+    function _status(EventTicketNFT.TicketInfo memory ticket, EventTicketNFT.EventInfo memory info)
+        private
+        pure
+        returns (string memory, string memory)
+    {
+        if (info.status == EventTicketNFT.EventStatus.CANCELLED) return ("CANCELLED", "#616161");
+        if (ticket.status == EventTicketNFT.TicketStatus.VERIFIED) return ("VERIFIED", "#2e7d32");
+        if (ticket.status == EventTicketNFT.TicketStatus.LOCKED) return ("IN ESCROW", "#ed6c02");
+        if (ticket.status == EventTicketNFT.TicketStatus.UNLOCKED) return ("UNLOCKED", "#0288d1");
+        if (ticket.status == EventTicketNFT.TicketStatus.DISPUTED) return ("DISPUTED", "#d32f2f");
+        if (ticket.status == EventTicketNFT.TicketStatus.REJECTED) return ("REJECTED", "#b71c1c");
+        if (ticket.status == EventTicketNFT.TicketStatus.REDEEMED) return ("REDEEMED", "#6a1b9a");
+        return ("PENDING", "#757575");
+    }
+
+    /**
+     * @dev Formats a timestamp as "YYYY-MM-DD HH:MM UTC"
+     */
+    function _formatDate(uint256 timestamp) private pure returns (string memory) {
+        // Civil-from-days conversion (proleptic Gregorian calendar)
+        uint256 z = timestamp / 1 days + 719468;
+        uint256 era = z / 146097;
+        uint256 doe = z - era * 146097;
+        uint256 yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        uint256 day = doy - (153 * mp + 2) / 5 + 1;
+        uint256 month = mp < 10 ? mp + 3 : mp - 9;
+        uint256 year = yoe + era * 400 + (month <= 2 ? 1 : 0);
+
+        uint256 secondsOfDay = timestamp % 1 days;
+        bytes memory date = abi.encodePacked(year.toString(), "-", _pad(month), "-", _pad(day));
+        return string(abi.encodePacked(
+            date, " ", _pad(secondsOfDay / 1 hours), ":", _pad((secondsOfDay % 1 hours) / 1 minutes), " UTC"
+        ));
+    }
+
+    function _pad(uint256 value) private pure returns (string memory) {
+        return value < 10 ? string(abi.encodePacked("0", value.toString())) : value.toString();
+    }
+
+    /**
+     * @dev Shortens text to fit the artwork without splitting a UTF-8 character
+     */
+    function _truncate(string memory text) private pure returns (string memory) {
+        bytes memory raw = bytes(text);
+        if (raw.length <= MAX_LINE_BYTES) return text;
+
+        uint256 end = MAX_LINE_BYTES - 3;
+        while (end > 0 && (uint8(raw[end]) & 0xC0) == 0x80) end--;
+        bytes memory shortened = new bytes(end);
+        for (uint256 i = 0; i < end; i++) shortened[i] = raw[i];
+        return string(abi.encodePacked(shortened, "..."));
+    }
+
+    /**
+     * @dev Escapes user-supplied text for SVG markup (xml) or a JSON string
+     */
+    function _escape(string memory text, bool xml) private pure returns (string memory) {
+        bytes memory raw = bytes(text);
+        bytes memory escaped;
+        for (uint256 i = 0; i < raw.length; i++) {
+            bytes1 char = raw[i];
+            if (xml && char == "&") escaped = abi.encodePacked(escaped, "&amp;");
+            else if (xml && char == "<") escaped = abi.encodePacked(escaped, "&lt;");
+            else if (xml && char == ">") escaped = abi.encodePacked(escaped, "&gt;");
+            else if (xml && char == '"') escaped = abi.encodePacked(escaped, "&quot;");
+            else if (!xml && (char == '"' || char == "\\")) escaped = abi.encodePacked(escaped, "\\", char);
+            else if (uint8(char) < 0x20) escaped = abi.encodePacked(escaped, " ");
+            else escaped = abi.encodePacked(escaped, char);
+        }
+        return string(escaped);
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
+
+// Role IDs, shared as file-level constants so the contracts using the registry need no extra calls
+bytes32 constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE"); // verifies and rejects tickets
+bytes32 constant DISPUTE_RESOLVER_ROLE = keccak256("DISPUTE_RESOLVER_ROLE"); // resolves or votes on disputes
+bytes32 constant ORGANIZER_ROLE = keccak256("ORGANIZER_ROLE"); // creates events
+bytes32 constant GATE_SCANNER_ROLE = keccak256("GATE_SCANNER_ROLE"); // checks tickets in at every event
+bytes32 constant TREASURER_ROLE = keccak256("TREASURER_ROLE"); // withdraws marketplace fees and reclaims unallocated keeper funds
+bytes32 constant PAUSER_ROLE = keccak256("PAUSER_ROLE"); // pauses and unpauses trading
+bytes32 constant MARKETPLACE_ROLE = keccak256("MARKETPLACE_ROLE"); // contract locking, disputing and transferring tickets it trades (TicketMarketplace, TicketAuctionHouse)
+bytes32 constant REDEEMER_ROLE = keccak256("REDEEMER_ROLE"); // contract redeeming tickets and settling their escrows (TicketGate)
+bytes32 constant REFUND_VAULT_ROLE = keccak256("REFUND_VAULT_ROLE"); // contract cancelling, rescheduling and refunding tickets (TicketRefundVault)
+bytes32 constant DEFAULT_ADMIN_ROLE = 0x00;
+
+/**
+ * @title TicketRoles
+ * @dev Role registry shared by EventTicketNFT, TicketMarketplace and their auxiliary contracts.
+ * DEFAULT_ADMIN_ROLE configures the contracts, manages any event and grants or revokes every
+ * role unless it hands a role's administration to another role; the other roles each unlock one
+ * area. The deployer starts with every role but GATE_SCANNER_ROLE, which is meant for door staff
+ * devices, and the contract roles, which let the trading and auxiliary contracts call their hooks
+ * on the NFT contract and can be revoked when a contract is retired.
+ */
+contract TicketRoles is AccessControlEnumerable {
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(VERIFIER_ROLE, msg.sender);
+        _grantRole(DISPUTE_RESOLVER_ROLE, msg.sender);
+        _grantRole(ORGANIZER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Sets the role allowed to grant and revoke `role`, e.g. to let verifiers onboard
+     * organizers (default admin only)
+     */
+    function setRoleAdmin(bytes32 role, bytes32 adminRole) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setRoleAdmin(role, adminRole);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../TicketMarketplace.sol";
+
+/**
+ * @title RejectingBuyer
+ * @dev Test helper that buys tickets from a contract account which rejects plain Ether transfers
+ */
+contract RejectingBuyer {
+    TicketMarketplace public marketplace;
+
+    constructor(address payable _marketplace) {
+        marketplace = TicketMarketplace(_marketplace);
+    }
+
+    function purchaseTicket(uint256 tokenId) external payable {
+        marketplace.purchaseTicket{value: msg.value}(tokenId);
+    }
+
+    function raiseDispute(uint256 tokenId, string memory reason) external {
+        marketplace.raiseDispute(tokenId, reason);
+    }
+
+    function withdraw() external {
+        marketplace.withdraw();
+    }
+
+    receive() external payable {
+        revert("Ether not accepted");
+    }
+}
@@ -8,6 +8,7 @@ import 'react-toastify/dist/ReactToastify.css';
 // Components
 import Header from './components/Header';
 import Footer from './components/Footer';
+import RescheduleNotice from './components/RescheduleNotice';
 import Marketplace from './pages/Marketplace';
 import ListTicket from './pages/ListTicket';
 import Profile from './pages/Profile';
@@ -15,6 +16,8 @@ import AdminDashboard from './pages/AdminDashboard';
 import TicketDetails from './pages/TicketDetails';
 import MyTickets from './pages/MyTickets';
 import MyTransactions from './pages/MyTransactions';
+import OrganizerConsole from './pages/OrganizerConsole';
+import GateScanner from './pages/GateScanner';
 
 // Context
 import { Web3Provider } from './context/Web3Context';
@@ -93,6 +96,7 @@ function App() {
           >
             <Header />
             <Box component="main" sx={{ flexGrow: 1, pt: 3, pb: 6 }}>
+              <RescheduleNotice />
               <Routes>
                 <Route path="/" element={<Navigate to="/marketplace" replace />} />
                 <Route path="/marketplace" element={<Marketplace />} />
@@ -101,6 +105,8 @@ function App() {
                 <Route path="/my-tickets" element={<MyTickets />} />
                 <Route path="/my-transactions" element={<MyTransactions />} />
                 <Route path="/ticket/:tokenId" element={<TicketDetails />} />
+                <Route path="/organizer" element={<OrganizerConsole />} />
+                <Route path="/scanner" element={<GateScanner />} />
                 <Route path="/admin" element={<AdminDashboard />} />
                 <Route path="*" element={<Navigate to="/marketplace" replace />} />
               </Routes>
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  CardActions,
+  Typography,
+  Box,
+  Chip,
+  Button,
+  TextField,
+  Divider,
+  CircularProgress,
+  InputAdornment,
+} from '@mui/material';
+import { Gavel, TrendingDown, Timer, Chair } from '@mui/icons-material';
+import { Link as RouterLink } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { ethers } from 'ethers';
+import { useWeb3 } from '../context/Web3Context';
+import TicketImage from './TicketImage';
+
+const ENGLISH = 0;
+
+const formatCountdown = (seconds) => {
+  if (seconds <= 0) return 'Ended';
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+  return days > 0 ? `${days}d ${time}` : time;
+};
+
+// Mirrors TicketAuctionHouse.currentPrice for a smooth client-side countdown
+const getDutchPrice = (auction, now) => {
+  const start = Number(auction.startTime);
+  const end = Number(auction.endTime);
+  if (now >= end) return auction.endPrice;
+  const elapsed = ethers.toBigInt(Math.max(0, now - start));
+  const duration = ethers.toBigInt(end - start);
+  return auction.startPrice - ((auction.startPrice - auction.endPrice) * elapsed) / duration;
+};
+
+const AuctionCard = ({ ticket, onUpdated }) => {
+  const { account, formatTokenAmount, isTradingFrozen, describeFreeze, placeBid, buyAuctionNow, settleAuction } = useWeb3();
+
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const [bidAmount, setBidAmount] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const { auction, paymentToken } = ticket;
+  const isEnglish = Number(auction.auctionType) === ENGLISH;
+  const hasBids = auction.highestBidder !== ethers.ZeroAddress;
+  const secondsLeft = Number(auction.endTime) - now;
+  const ended = secondsLeft <= 0;
+  const frozen = isTradingFrozen(ticket.event, now);
+  const isSeller = account && auction.seller.toLowerCase() === account.toLowerCase();
+  const isLeading = account && hasBids && auction.highestBidder.toLowerCase() === account.toLowerCase();
+
+  const formatPrice = (value) => `${formatTokenAmount(value, paymentToken)} ${paymentToken.symbol}`;
+  const minimumBid = hasBids ? auction.highestBid + auction.minIncrement : auction.startPrice;
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setSubmitting(true);
+      await action();
+      toast.success(successMessage);
+      setBidAmount('');
+      if (onUpdated) await onUpdated();
+    } catch (error) {
+      console.error('Auction action failed:', error);
+      toast.error(error.reason || 'Auction transaction failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleBid = () => {
+    if (!bidAmount) {
+      toast.error('Please enter a bid');
+      return;
+    }
+    runAction(() => placeBid(ticket.tokenId, bidAmount), 'Bid placed!');
+  };
+
+  return (
+    <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      <TicketImage tokenURI={ticket.tokenURI} height="160" alt={ticket.event.name} />
+
+      <CardContent sx={{ flexGrow: 1 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+          <Typography variant="h6" component="h2" sx={{ fontWeight: 'bold' }}>
+            {ticket.event.name}
+          </Typography>
+          <Chip
+            size="small"
+            icon={isEnglish ? <Gavel /> : <TrendingDown />}
+            label={isEnglish ? 'English' : 'Dutch'}
+            color={isEnglish ? 'primary' : 'secondary'}
+          />
+        </Box>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+          <Chair sx={{ fontSize: 16, mr: 1, color: 'text.secondary' }} />
+          <Typography variant="body2" color="text.secondary">
+            {ticket.ticketInfo.seatInfo}
+          </Typography>
+        </Box>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <Timer sx={{ fontSize: 16, mr: 1, color: ended ? 'error.main' : 'text.secondary' }} />
+          <Typography variant="body2" color={ended ? 'error' : 'text.secondary'}>
+            {ended ? 'Auction ended' : `Ends in ${formatCountdown(secondsLeft)}`}
+          </Typography>
+        </Box>
+
+        <Divider sx={{ my: 1 }} />
+
+        {isEnglish ? (
+          <Box>
+            <Typography variant="body2" color="text.secondary">
+              {hasBids ? 'Highest bid' : 'Reserve price'}
+            </Typography>
+            <Typography variant="h6" color="primary.main" sx={{ fontWeight: 'bold' }}>
+              {formatPrice(hasBids ? auction.highestBid : auction.startPrice)}
+            </Typography>
+            {isLeading && <Chip size="small" color="success" label="You are the highest bidder" />}
+          </Box>
+        ) : (
+          <Box>
+            <Typography variant="body2" color="text.secondary">
+              Current price (floor {formatPrice(auction.endPrice)})
+            </Typography>
+            <Typography variant="h6" color="primary.main" sx={{ fontWeight: 'bold' }}>
+              {formatPrice(getDutchPrice(auction, now))}
+            </Typography>
+          </Box>
+        )}
+      </CardContent>
+
+      <CardActions disableSpacing sx={{ p: 2, pt: 0, flexDirection: 'column', gap: 1, alignItems: 'stretch' }}>
+        <Button component={RouterLink} to={`/ticket/${ticket.tokenId}`} size="small">
+          View Details
+        </Button>
+        {ended ? (
+          <Button
+            variant="outlined"
+            fullWidth
+            onClick={() => runAction(() => settleAuction(ticket.tokenId), 'Auction settled!')}
+            disabled={!account || submitting}
+          >
+            {hasBids ? 'Settle Auction' : 'Close Auction'}
+          </Button>
+        ) : frozen ? (
+          <Typography variant="body2" color="warning.main" align="center">
+            {describeFreeze(ticket.event)}; settle once the auction ends
+          </Typography>
+        ) : isEnglish ? (
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <TextField
+              size="small"
+              type="number"
+              label={`Min ${formatTokenAmount(minimumBid, paymentToken)}`}
+              value={bidAmount}
+              onChange={(e) => setBidAmount(e.target.value)}
+              disabled={!account || isSeller}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">{paymentToken.symbol}</InputAdornment>,
+              }}
+            />
+            <Button
+              variant="contained"
+              onClick={handleBid}
+              disabled={!account || isSeller || submitting}
+              startIcon={submitting && <CircularProgress size={16} />}
+            >
+              Bid
+            </Button>
+          </Box>
+        ) : (
+          <Button
+            variant="contained"
+            fullWidth
+            onClick={() => runAction(() => buyAuctionNow(ticket.tokenId), 'Ticket purchased!')}
+            disabled={!account || isSeller || submitting}
+            startIcon={submitting && <CircularProgress size={16} />}
+            sx={{ fontWeight: 'bold' }}
+          >
+            {isSeller ? 'Your Auction' : `Buy Now at ${formatPrice(getDutchPrice(auction, now))}`}
+          </Button>
+        )}
+      </CardActions>
+    </Card>
+  );
+};
+
+export default AuctionCard;
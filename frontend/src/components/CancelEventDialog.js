@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Typography,
+  Alert,
+  LinearProgress,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { useWeb3, EVENT_CANCELLED } from '../context/Web3Context';
+
+const CANCEL_BATCH_SIZE = 25;
+
+/**
+ * Cancels an event, then unwinds its tickets through the refund vault in batches: open escrows
+ * and auction bids are refunded, listings closed and each ticket marked cancelled. Reopening it
+ * for an already cancelled event resumes the unwinding.
+ */
+const CancelEventDialog = ({ open, onClose, event, onCancelled }) => {
+  const { cancelEvent, loadTicketsToCancel, cancelTickets } = useWeb3();
+
+  const [confirmName, setConfirmName] = useState('');
+  const [cancelling, setCancelling] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+
+  const alreadyCancelled = event && event.status === EVENT_CANCELLED;
+
+  useEffect(() => {
+    if (open) {
+      setConfirmName('');
+      setProgress({ done: 0, total: 0 });
+    }
+  }, [open]);
+
+  const handleCancel = async () => {
+    try {
+      setCancelling(true);
+      if (!alreadyCancelled) {
+        await cancelEvent(event.eventId);
+      }
+
+      const tokenIds = await loadTicketsToCancel(event.eventId);
+      setProgress({ done: 0, total: tokenIds.length });
+      for (let i = 0; i < tokenIds.length; i += CANCEL_BATCH_SIZE) {
+        const batch = tokenIds.slice(i, i + CANCEL_BATCH_SIZE);
+        await cancelTickets(event.eventId, batch);
+        setProgress({ done: i + batch.length, total: tokenIds.length });
+      }
+
+      toast.success(`${event.name} cancelled and ${tokenIds.length} tickets refunded`);
+      onClose();
+    } catch (error) {
+      console.error('Error cancelling event:', error);
+      toast.error(error.reason || 'Failed to cancel event; reopen this dialog to resume');
+    } finally {
+      setCancelling(false);
+      if (onCancelled) await onCancelled();
+    }
+  };
+
+  if (!event) return null;
+
+  return (
+    <Dialog open={open} onClose={cancelling ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{alreadyCancelled ? 'Finish Cancelling' : 'Cancel Event'} — {event.name}</DialogTitle>
+      <DialogContent>
+        {!alreadyCancelled && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            Cancelling cannot be undone. Sales and transfers of every ticket stop immediately.
+          </Alert>
+        )}
+        <Typography variant="body2" paragraph>
+          Each remaining ticket is then unwound: buyers in open escrows are refunded in full and the
+          ticket returns to its seller, auction bids are returned and listings are closed. Large events
+          take several transactions.
+        </Typography>
+        <Typography variant="body2" paragraph>
+          Holders of tickets you sold can claim the original price from your refund deposit afterwards.
+        </Typography>
+
+        {!alreadyCancelled && (
+          <TextField
+            fullWidth
+            label="Type the event name to confirm"
+            value={confirmName}
+            onChange={(e) => setConfirmName(e.target.value)}
+            disabled={cancelling}
+          />
+        )}
+
+        {cancelling && progress.total > 0 && (
+          <>
+            <LinearProgress
+              variant="determinate"
+              value={(progress.done / progress.total) * 100}
+              sx={{ mt: 3 }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {progress.done} / {progress.total} tickets unwound
+            </Typography>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={cancelling}>
+          Close
+        </Button>
+        <Button
+          variant="contained"
+          color="error"
+          onClick={handleCancel}
+          disabled={cancelling || (!alreadyCancelled && confirmName !== event.name)}
+        >
+          {cancelling ? 'Cancelling...' : alreadyCancelled ? 'Unwind Remaining Tickets' : 'Cancel Event'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CancelEventDialog;
@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Box,
+  Typography,
+  CircularProgress,
+  InputAdornment,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { useWeb3 } from '../context/Web3Context';
+
+const CounterOfferDialog = ({ open, onClose, offer, onCountered }) => {
+  const { counterOffer, formatTokenAmount } = useWeb3();
+
+  const [amount, setAmount] = useState('');
+  const [durationHours, setDurationHours] = useState('24');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setAmount('');
+      setDurationHours('24');
+    }
+  }, [open]);
+
+  const handleCounter = async () => {
+    if (!amount) {
+      toast.error('Please enter a counter price');
+      return;
+    }
+
+    const hours = parseFloat(durationHours);
+    if (!hours || hours < 1 || hours > 720) {
+      toast.error('Duration must be between 1 hour and 30 days');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await counterOffer(offer.offerId, amount, Math.round(hours * 3600));
+      toast.success('Counter-offer sent!');
+      onClose();
+      if (onCountered) await onCountered();
+    } catch (error) {
+      console.error('Error countering offer:', error);
+      toast.error(error.reason || 'Failed to send counter-offer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Counter Offer</DialogTitle>
+      <DialogContent>
+        {offer && (
+          <Box sx={{ mt: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              The buyer offered {formatTokenAmount(offer.amount, offer.paymentToken)} {offer.paymentToken.symbol}.
+              Your counter must be higher and within the event's resale cap; the buyer pays the difference to accept.
+            </Typography>
+            <TextField
+              label="Counter Price"
+              type="number"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">{offer.paymentToken.symbol}</InputAdornment>,
+              }}
+              fullWidth
+            />
+            <TextField
+              label="Valid For"
+              type="number"
+              value={durationHours}
+              onChange={(e) => setDurationHours(e.target.value)}
+              inputProps={{ min: 1, max: 720, step: 1 }}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">hours</InputAdornment>,
+              }}
+              fullWidth
+            />
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleCounter}
+          disabled={submitting}
+          startIcon={submitting && <CircularProgress size={20} />}
+        >
+          {submitting ? 'Sending...' : 'Send Counter'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CounterOfferDialog;
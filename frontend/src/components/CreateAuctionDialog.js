@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  CircularProgress,
+  InputAdornment,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { useWeb3, NATIVE_TOKEN } from '../context/Web3Context';
+
+const emptyForm = {
+  type: 'english',
+  startPrice: '',
+  endPrice: '',
+  minIncrement: '',
+  durationHours: '24',
+};
+
+const CreateAuctionDialog = ({ open, onClose, ticket, onCreated }) => {
+  const { contracts, createAuction, formatTokenAmount } = useWeb3();
+
+  const [form, setForm] = useState(emptyForm);
+  const [ceiling, setCeiling] = useState(null);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    if (open && ticket && contracts.marketplace) {
+      setForm(emptyForm);
+      contracts.marketplace
+        .getMaxResalePrice(ticket.tokenId)
+        .then(setCeiling)
+        .catch((error) => {
+          console.error('Error loading resale cap:', error);
+          setCeiling(null);
+        });
+    }
+  }, [open, ticket, contracts]);
+
+  const paymentToken = (ticket && ticket.event && ticket.event.paymentToken) || NATIVE_TOKEN;
+  const isEnglish = form.type === 'english';
+  const isFree = ceiling === 0n; // free tickets have no resale ceiling above 0
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleCreate = async () => {
+    if (!form.startPrice || (isEnglish ? !form.minIncrement : !form.endPrice)) {
+      toast.error('Please fill in all prices');
+      return;
+    }
+
+    const durationHours = parseFloat(form.durationHours);
+    if (!durationHours || durationHours < 1 || durationHours > 720) {
+      toast.error('Duration must be between 1 hour and 30 days');
+      return;
+    }
+
+    try {
+      setCreating(true);
+      await createAuction(ticket.tokenId, {
+        type: form.type,
+        startPrice: form.startPrice,
+        endPrice: form.endPrice,
+        minIncrement: form.minIncrement,
+        duration: Math.round(durationHours * 3600),
+      });
+      toast.success('Auction started!');
+      onClose();
+      if (onCreated) await onCreated();
+    } catch (error) {
+      console.error('Error creating auction:', error);
+      toast.error(error.reason || 'Failed to start auction');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const priceAdornment = {
+    endAdornment: <InputAdornment position="end">{paymentToken.symbol}</InputAdornment>,
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Start Auction</DialogTitle>
+      <DialogContent>
+        {ticket && (
+          <Box sx={{ mt: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Box>
+              <Typography variant="h6">
+                {ticket.event ? ticket.event.name : `Ticket #${ticket.tokenId}`}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                Seat: {ticket.ticketInfo.seatInfo}
+              </Typography>
+            </Box>
+
+            <ToggleButtonGroup
+              value={form.type}
+              exclusive
+              fullWidth
+              onChange={(e, value) => value && handleChange('type', value)}
+            >
+              <ToggleButton value="english">English (ascending bids)</ToggleButton>
+              <ToggleButton value="dutch">Dutch (falling price)</ToggleButton>
+            </ToggleButtonGroup>
+
+            {isFree && (
+              <Alert severity="warning">
+                Free tickets cannot be resold, so they cannot be auctioned either.
+              </Alert>
+            )}
+
+            {ceiling !== null && !isFree && (
+              <Alert severity="info">
+                Bids and prices are capped at {formatTokenAmount(ceiling, paymentToken)} {paymentToken.symbol} by the
+                event's resale cap. The winning bid is held in escrow like any other purchase.
+              </Alert>
+            )}
+
+            <TextField
+              label={isEnglish ? 'Reserve Price' : 'Starting Price'}
+              type="number"
+              value={form.startPrice}
+              onChange={(e) => handleChange('startPrice', e.target.value)}
+              InputProps={priceAdornment}
+              fullWidth
+            />
+            {isEnglish ? (
+              <TextField
+                label="Minimum Bid Increment"
+                type="number"
+                value={form.minIncrement}
+                onChange={(e) => handleChange('minIncrement', e.target.value)}
+                InputProps={priceAdornment}
+                fullWidth
+              />
+            ) : (
+              <TextField
+                label="Floor Price"
+                type="number"
+                value={form.endPrice}
+                onChange={(e) => handleChange('endPrice', e.target.value)}
+                InputProps={priceAdornment}
+                fullWidth
+              />
+            )}
+            <TextField
+              label="Duration"
+              type="number"
+              value={form.durationHours}
+              onChange={(e) => handleChange('durationHours', e.target.value)}
+              helperText={isEnglish ? 'Bids in the last 10 minutes extend the auction' : 'The price falls linearly to the floor'}
+              inputProps={{ min: 1, max: 720, step: 1 }}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">hours</InputAdornment>,
+              }}
+              fullWidth
+            />
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleCreate}
+          disabled={creating || isFree}
+          startIcon={creating && <CircularProgress size={20} />}
+        >
+          {creating ? 'Starting...' : 'Start Auction'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CreateAuctionDialog;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Box,
+  CircularProgress,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { useWeb3 } from '../context/Web3Context';
+
+const emptyForm = {
+  name: '',
+  venue: '',
+  startTime: '',
+  capacity: '',
+};
+
+const CreateEventDialog = ({ open, onClose, onCreated }) => {
+  const { createEvent } = useWeb3();
+
+  const [eventForm, setEventForm] = useState(emptyForm);
+  const [creatingEvent, setCreatingEvent] = useState(false);
+
+  const handleCreateEvent = async () => {
+    if (!eventForm.name.trim() || !eventForm.venue.trim()) {
+      toast.error('Event name and venue are required');
+      return;
+    }
+
+    const startTime = Math.floor(new Date(eventForm.startTime).getTime() / 1000);
+    if (!startTime || startTime <= Date.now() / 1000) {
+      toast.error('Event must start in the future');
+      return;
+    }
+
+    if (!eventForm.capacity || parseInt(eventForm.capacity, 10) <= 0) {
+      toast.error('Capacity must be greater than 0');
+      return;
+    }
+
+    try {
+      setCreatingEvent(true);
+      await createEvent({
+        name: eventForm.name,
+        venue: eventForm.venue,
+        startTime,
+        capacity: parseInt(eventForm.capacity, 10),
+      });
+      toast.success('Event created successfully!');
+      setEventForm(emptyForm);
+      onClose();
+      if (onCreated) await onCreated();
+    } catch (error) {
+      console.error('Error creating event:', error);
+      toast.error('Failed to create event');
+    } finally {
+      setCreatingEvent(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+    >
+      <DialogTitle>Create Event</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField
+            label="Event Name"
+            value={eventForm.name}
+            onChange={(e) => setEventForm(prev => ({ ...prev, name: e.target.value }))}
+            fullWidth
+            required
+          />
+          <TextField
+            label="Venue"
+            value={eventForm.venue}
+            onChange={(e) => setEventForm(prev => ({ ...prev, venue: e.target.value }))}
+            fullWidth
+            required
+          />
+          <TextField
+            label="Start Time"
+            type="datetime-local"
+            value={eventForm.startTime}
+            onChange={(e) => setEventForm(prev => ({ ...prev, startTime: e.target.value }))}
+            InputLabelProps={{ shrink: true }}
+            fullWidth
+            required
+          />
+          <TextField
+            label="Capacity"
+            type="number"
+            value={eventForm.capacity}
+            onChange={(e) => setEventForm(prev => ({ ...prev, capacity: e.target.value }))}
+            inputProps={{ min: 1, step: 1 }}
+            fullWidth
+            required
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleCreateEvent}
+          disabled={creatingEvent}
+          startIcon={creatingEvent && <CircularProgress size={20} />}
+        >
+          {creatingEvent ? 'Creating...' : 'Create Event'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CreateEventDialog;
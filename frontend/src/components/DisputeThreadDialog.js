@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  TextField,
+  Paper,
+  Chip,
+  Link,
+  Alert,
+  Divider,
+  CircularProgress,
+  LinearProgress,
+} from '@mui/material';
+import { AttachFile, Gavel } from '@mui/icons-material';
+import { useDropzone } from 'react-dropzone';
+import { toast } from 'react-toastify';
+import { useWeb3 } from '../context/Web3Context';
+import { uploadWithRetry } from '../storage';
+import { toGatewayUrls } from '../storage/metadata';
+
+const MAX_ATTACHMENTS = 5; // Mirrors TicketDisputeCouncil.MAX_ATTACHMENTS
+const MAX_NOTE_LENGTH = 1000; // Mirrors TicketDisputeCouncil.MAX_NOTE_LENGTH
+
+const ROLE_COLORS = { Buyer: 'primary', Seller: 'secondary', Admin: 'default' };
+
+/**
+ * Shows a dispute's evidence thread and lets the buyer, seller or an admin add to it.
+ * With onResolve, an admin can move on to resolving the dispute from here.
+ */
+const DisputeThreadDialog = ({ open, onClose, dispute, onResolve }) => {
+  const { account, loadDisputeEvidence, submitDisputeEvidence, formatAddress, formatEventDate } = useWeb3();
+
+  const [thread, setThread] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [note, setNote] = useState('');
+  const [files, setFiles] = useState([]);
+  const [progress, setProgress] = useState({ stage: '', value: 0 });
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadThread = async () => {
+    try {
+      setLoading(true);
+      setThread(await loadDisputeEvidence(dispute.tokenId));
+    } catch (error) {
+      console.error('Error loading dispute evidence:', error);
+      toast.error('Failed to load dispute evidence');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open && dispute) {
+      setNote('');
+      setFiles([]);
+      setProgress({ stage: '', value: 0 });
+      loadThread();
+    }
+  }, [open, dispute]);
+
+  const onDrop = useCallback((acceptedFiles) => {
+    setFiles((current) => [...current, ...acceptedFiles].slice(0, MAX_ATTACHMENTS));
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    maxFiles: MAX_ATTACHMENTS,
+    maxSize: 10485760, // 10MB
+  });
+
+  const roleOf = (address) => {
+    const lower = address.toLowerCase();
+    if (lower === dispute.escrow.buyer.toLowerCase()) return 'Buyer';
+    if (lower === dispute.escrow.seller.toLowerCase()) return 'Seller';
+    return 'Admin';
+  };
+
+  const handleSubmit = async () => {
+    if (!note.trim() && files.length === 0) {
+      toast.error('Please add a note or an attachment');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const cids = [];
+      for (const [i, file] of files.entries()) {
+        const stage = `Uploading ${file.name} (${i + 1}/${files.length})`;
+        cids.push(await uploadWithRetry(file, {
+          onProgress: (value) => setProgress({ stage, value: Math.round(value * 100) }),
+          onRetry: (attempt) => toast.warning(`${stage} failed, retrying (attempt ${attempt + 1})...`),
+        }));
+      }
+
+      setProgress({ stage: '', value: 0 });
+      await submitDisputeEvidence(dispute.tokenId, cids, note.trim());
+      toast.success('Evidence submitted');
+      setNote('');
+      setFiles([]);
+      await loadThread();
+    } catch (error) {
+      console.error('Error submitting evidence:', error);
+      toast.error(error.reason || 'Failed to submit evidence');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!dispute) return null;
+
+  const isOpen = dispute.escrow.disputed && !dispute.escrow.completed;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Dispute for Ticket #{dispute.tokenId}</DialogTitle>
+      <DialogContent>
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          <strong>Reason:</strong> {dispute.escrow.disputeReason || 'No reason provided'}
+        </Alert>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : thread.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No evidence has been submitted yet.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+            {thread.map((entry, index) => (
+              <Paper key={index} variant="outlined" sx={{ p: 1.5 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                  <Chip label={roleOf(entry.author)} color={ROLE_COLORS[roleOf(entry.author)]} size="small" />
+                  <Typography variant="body2">
+                    {entry.author.toLowerCase() === account?.toLowerCase() ? 'You' : formatAddress(entry.author)}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary" sx={{ ml: 'auto' }}>
+                    {formatEventDate(entry.timestamp)}
+                  </Typography>
+                </Box>
+                {entry.note && (
+                  <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                    {entry.note}
+                  </Typography>
+                )}
+                {entry.cids.length > 0 && (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 0.5 }}>
+                    {entry.cids.map((cid, i) => (
+                      <Link
+                        key={cid + i}
+                        href={toGatewayUrls(`ipfs://${cid}`)[0]}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        variant="body2"
+                        sx={{ display: 'inline-flex', alignItems: 'center' }}
+                      >
+                        <AttachFile fontSize="small" />
+                        Attachment {i + 1}
+                      </Link>
+                    ))}
+                  </Box>
+                )}
+              </Paper>
+            ))}
+          </Box>
+        )}
+
+        {isOpen && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" gutterBottom>
+              Add Evidence
+            </Typography>
+            <TextField
+              label="Note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              inputProps={{ maxLength: MAX_NOTE_LENGTH }}
+              multiline
+              rows={3}
+              fullWidth
+              sx={{ mb: 1 }}
+            />
+            <Paper
+              {...getRootProps()}
+              sx={{
+                p: 2,
+                border: '2px dashed',
+                borderColor: isDragActive ? 'primary.main' : 'grey.300',
+                cursor: 'pointer',
+                textAlign: 'center',
+              }}
+            >
+              <input {...getInputProps()} />
+              <Typography variant="body2" color="text.secondary">
+                {isDragActive
+                  ? 'Drop the files here'
+                  : `Drag & drop up to ${MAX_ATTACHMENTS} files (photos, receipts, messages), or click to select`}
+              </Typography>
+            </Paper>
+            {files.length > 0 && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+                {files.map((file, i) => (
+                  <Chip
+                    key={file.name + i}
+                    label={file.name}
+                    size="small"
+                    onDelete={() => setFiles((current) => current.filter((_, j) => j !== i))}
+                  />
+                ))}
+              </Box>
+            )}
+            {submitting && progress.stage && (
+              <Box sx={{ mt: 1 }}>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  {progress.stage}... {progress.value}%
+                </Typography>
+                <LinearProgress variant="determinate" value={progress.value} />
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        {isOpen && (
+          <Button
+            variant="outlined"
+            onClick={handleSubmit}
+            disabled={submitting}
+            startIcon={submitting && <CircularProgress size={20} />}
+          >
+            {submitting ? 'Submitting...' : 'Submit Evidence'}
+          </Button>
+        )}
+        {isOpen && onResolve && (
+          <Button variant="contained" startIcon={<Gavel />} onClick={() => onResolve(dispute)}>
+            Resolve
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DisputeThreadDialog;
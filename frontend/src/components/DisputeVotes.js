@@ -0,0 +1,64 @@
+import React from 'react';
+import { Box, Chip, Tooltip, Typography } from '@mui/material';
+
+// Common resolutions as (refund in basis points, buyer keeps the ticket)
+export const DISPUTE_PRESETS = {
+  SELLER: { refundBps: 0, buyerKeepsTicket: true },
+  BUYER: { refundBps: 10000, buyerKeepsTicket: false },
+  SPLIT: { refundBps: 5000, buyerKeepsTicket: true },
+};
+
+export const describeResolution = ({ refundBps, buyerKeepsTicket }) => {
+  if (refundBps === 0 && buyerKeepsTicket) return 'Seller wins';
+  if (refundBps === 10000 && !buyerKeepsTicket) return 'Buyer wins';
+  return `${refundBps / 100}% refund, ${buyerKeepsTicket ? 'buyer' : 'seller'} keeps ticket`;
+};
+
+const resolutionKey = ({ refundBps, buyerKeepsTicket }) => `${refundBps}:${buyerKeepsTicket}`;
+
+/**
+ * Returns the resolution the council would execute: the counted proposal with a strict lead
+ * and enough matching votes, or null.
+ */
+export const leadingResolution = ({ votes, required }) => {
+  const counts = {};
+  votes.filter((vote) => vote.counted).forEach((vote) => {
+    const key = resolutionKey(vote);
+    counts[key] = { vote, count: (counts[key]?.count || 0) + 1 };
+  });
+  const ranked = Object.values(counts).sort((a, b) => b.count - a.count);
+  if (ranked.length === 0 || ranked[0].count < required) return null;
+  if (ranked.length > 1 && ranked[1].count === ranked[0].count) return null;
+  return ranked[0].vote;
+};
+
+/**
+ * Lists the votes cast on a dispute. Votes of former admins are shown but do not count.
+ */
+const DisputeVotes = ({ ballot, formatAddress }) => {
+  if (!ballot) return null;
+
+  const counted = ballot.votes.filter((vote) => vote.counted).length;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 0.5 }}>
+        {ballot.votes.map((vote) => (
+          <Tooltip key={vote.voter} title={vote.counted ? vote.voter : `${vote.voter} is no longer an admin`}>
+            <Chip
+              size="small"
+              variant={vote.counted ? 'filled' : 'outlined'}
+              label={`${formatAddress(vote.voter)}: ${describeResolution(vote)}`}
+              sx={vote.counted ? undefined : { textDecoration: 'line-through' }}
+            />
+          </Tooltip>
+        ))}
+      </Box>
+      <Typography variant="caption" color="text.secondary">
+        {counted} vote{counted === 1 ? '' : 's'}; {ballot.required} matching needed
+      </Typography>
+    </Box>
+  );
+};
+
+export default DisputeVotes;
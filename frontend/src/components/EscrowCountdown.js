@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import { Box, Typography } from '@mui/material';
+
+const formatRemaining = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+};
+
+/**
+ * Counts down to an escrow's deadline (TicketMarketplace.escrowDeadline): disputes
+ * can be raised until then, after which anyone can release the funds.
+ */
+const EscrowCountdown = ({ deadline, disputed }) => {
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (disputed) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        On hold until the dispute is resolved
+      </Typography>
+    );
+  }
+
+  const remaining = deadline - now;
+  if (remaining <= 0) {
+    return (
+      <Typography variant="body2" color="success.main">
+        Ready to release; disputes closed
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="body2" sx={{ fontWeight: 'bold' }}>
+        {formatRemaining(remaining)}
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        until release; disputes close {new Date(deadline * 1000).toLocaleString()}
+      </Typography>
+    </Box>
+  );
+};
+
+export default EscrowCountdown;
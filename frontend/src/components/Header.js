@@ -29,6 +29,8 @@ import {
   Storefront,
   Add,
   History,
+  Business,
+  QrCodeScanner,
 } from '@mui/icons-material';
 import { useWeb3 } from '../context/Web3Context';
 
@@ -69,6 +71,8 @@ const Header = () => {
     { label: 'List Ticket', path: '/list-ticket', icon: <Add /> },
     { label: 'My Tickets', path: '/my-tickets', icon: <ConfirmationNumber /> },
     { label: 'My Transactions', path: '/my-transactions', icon: <History /> },
+    { label: 'Organizer', path: '/organizer', icon: <Business /> },
+    { label: 'Gate', path: '/scanner', icon: <QrCodeScanner /> },
     { label: 'Admin', path: '/admin', icon: <AdminPanelSettings /> },
   ];
 
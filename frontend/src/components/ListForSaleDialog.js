@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  CircularProgress,
+  InputAdornment,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { useWeb3, NATIVE_TOKEN } from '../context/Web3Context';
+
+const ListForSaleDialog = ({ open, onClose, ticket, onListed }) => {
+  const { contracts, listTicket, formatTokenAmount, parseTokenAmount } = useWeb3();
+
+  const [price, setPrice] = useState('');
+  const [ceiling, setCeiling] = useState(null);
+  const [markupCap, setMarkupCap] = useState(null);
+  const [listing, setListing] = useState(false);
+
+  useEffect(() => {
+    if (open && ticket && contracts.marketplace) {
+      setPrice('');
+      loadCeiling();
+    }
+  }, [open, ticket, contracts]);
+
+  const loadCeiling = async () => {
+    try {
+      const [maxPrice, cap] = await Promise.all([
+        contracts.marketplace.getMaxResalePrice(ticket.tokenId),
+        contracts.marketplace.getResaleMarkupCap(ticket.ticketInfo.eventId),
+      ]);
+      setCeiling(maxPrice);
+      setMarkupCap(Number(cap));
+    } catch (error) {
+      console.error('Error loading resale cap:', error);
+      setCeiling(null);
+      setMarkupCap(null);
+    }
+  };
+
+  const paymentToken = (ticket && ticket.event && ticket.event.paymentToken) || NATIVE_TOKEN;
+  const formatPrice = (value) => `${formatTokenAmount(value, paymentToken)} ${paymentToken.symbol}`;
+
+  const getPriceError = () => {
+    if (!price) return null;
+
+    let value;
+    try {
+      value = parseTokenAmount(price, paymentToken);
+    } catch (error) {
+      return 'Enter a valid amount';
+    }
+
+    if (value <= 0n) return 'Price must be greater than 0';
+    if (ceiling !== null && value > ceiling) {
+      return `Price exceeds the resale cap of ${formatPrice(ceiling)}`;
+    }
+    return null;
+  };
+
+  const priceError = getPriceError();
+  const isFree = ceiling === 0n; // free tickets have no resale ceiling above 0
+
+  const handleList = async () => {
+    if (!price || priceError) {
+      toast.error(priceError || 'Please enter a price');
+      return;
+    }
+
+    try {
+      setListing(true);
+      await listTicket(ticket.tokenId, price);
+      toast.success('Ticket listed for sale!');
+      onClose();
+      if (onListed) await onListed();
+    } catch (error) {
+      console.error('Error listing ticket:', error);
+      if (error.reason === 'Price exceeds resale cap' && ceiling !== null) {
+        toast.error(`Price exceeds the resale cap of ${formatPrice(ceiling)}`);
+      } else {
+        toast.error('Failed to list ticket');
+      }
+    } finally {
+      setListing(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+    >
+      <DialogTitle>List Ticket for Sale</DialogTitle>
+      <DialogContent>
+        {ticket && (
+          <Box sx={{ mt: 1 }}>
+            <Typography variant="h6" gutterBottom>
+              {ticket.event ? ticket.event.name : `Ticket #${ticket.tokenId}`}
+            </Typography>
+            <Typography variant="body2" gutterBottom>
+              Seat: {ticket.ticketInfo.seatInfo}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Original price: {formatPrice(ticket.ticketInfo.originalPrice)}
+            </Typography>
+
+            {isFree && (
+              <Alert severity="warning" sx={{ my: 2 }}>
+                Free tickets cannot be resold. You can still transfer this ticket to someone else.
+              </Alert>
+            )}
+
+            {ceiling !== null && !isFree && (
+              <Alert severity="info" sx={{ my: 2 }}>
+                Resale is capped at {formatPrice(ceiling)}
+                ({markupCap / 100}% above the original price).
+              </Alert>
+            )}
+
+            <TextField
+              fullWidth
+              label="Asking Price"
+              type="number"
+              value={price}
+              onChange={(e) => setPrice(e.target.value)}
+              disabled={isFree}
+              error={Boolean(priceError)}
+              helperText={
+                priceError ||
+                (ceiling !== null ? `Maximum: ${formatPrice(ceiling)}` : ' ')
+              }
+              inputProps={{ min: 0, step: 0.001 }}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">{paymentToken.symbol}</InputAdornment>,
+              }}
+            />
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleList}
+          disabled={listing || isFree || !price || Boolean(priceError)}
+          startIcon={listing && <CircularProgress size={20} />}
+        >
+          {listing ? 'Listing...' : 'List Ticket'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ListForSaleDialog;
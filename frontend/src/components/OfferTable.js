@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Box,
+  Button,
+  Typography,
+} from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useWeb3 } from '../context/Web3Context';
+import CounterOfferDialog from './CounterOfferDialog';
+
+// Mirrors TicketOfferBook.OfferStatus
+export const OFFER_STATUS = {
+  OPEN: 0,
+  COUNTERED: 1,
+  ACCEPTED: 2,
+  REJECTED: 3,
+  CANCELLED: 4,
+};
+
+const STATUS_LABELS = ['Open', 'Countered', 'Accepted', 'Rejected', 'Cancelled'];
+
+export const isOfferPending = (offer) =>
+  offer.status === OFFER_STATUS.OPEN || offer.status === OFFER_STATUS.COUNTERED;
+
+export const isOfferLive = (offer) =>
+  isOfferPending(offer) && Date.now() / 1000 < offer.expiresAt;
+
+const getStatusChip = (offer) => {
+  if (isOfferPending(offer) && !isOfferLive(offer)) {
+    return <Chip label="Expired" size="small" />;
+  }
+  const colors = ['primary', 'warning', 'success', 'error', 'default'];
+  return <Chip label={STATUS_LABELS[offer.status]} color={colors[offer.status]} size="small" />;
+};
+
+/**
+ * Offer rows with the actions available to the viewer: the ticket owner can accept,
+ * counter or reject live offers; the buyer can accept a counter or cancel.
+ */
+const OfferTable = ({ offers, isOwner, showTicket = false, onChanged }) => {
+  const {
+    account,
+    formatAddress,
+    formatTokenAmount,
+    acceptOffer,
+    rejectOffer,
+    acceptCounterOffer,
+    cancelOffer,
+  } = useWeb3();
+
+  const [counteringOffer, setCounteringOffer] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const formatPrice = (amount, offer) =>
+    `${formatTokenAmount(amount, offer.paymentToken)} ${offer.paymentToken.symbol}`;
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setSubmitting(true);
+      await action();
+      toast.success(successMessage);
+      if (onChanged) await onChanged();
+    } catch (error) {
+      console.error('Offer action failed:', error);
+      toast.error(error.reason || 'Offer transaction failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderActions = (offer) => {
+    const isBuyer = account && offer.buyer.toLowerCase() === account.toLowerCase();
+    const live = isOfferLive(offer);
+    const actions = [];
+
+    if (isOwner && live && offer.status === OFFER_STATUS.OPEN) {
+      actions.push(
+        <Button key="accept" size="small" variant="contained" disabled={submitting}
+          onClick={() => runAction(() => acceptOffer(offer.offerId), 'Offer accepted! The sale is now in escrow.')}>
+          Accept
+        </Button>,
+        <Button key="counter" size="small" variant="outlined" disabled={submitting}
+          onClick={() => setCounteringOffer(offer)}>
+          Counter
+        </Button>
+      );
+    }
+    if (isOwner && isOfferPending(offer)) {
+      actions.push(
+        <Button key="reject" size="small" color="error" disabled={submitting}
+          onClick={() => runAction(() => rejectOffer(offer.offerId), 'Offer rejected')}>
+          Reject
+        </Button>
+      );
+    }
+    if (isBuyer && live && offer.status === OFFER_STATUS.COUNTERED) {
+      actions.push(
+        <Button key="accept-counter" size="small" variant="contained" disabled={submitting}
+          onClick={() => runAction(() => acceptCounterOffer(offer.offerId), 'Counter-offer accepted! The sale is now in escrow.')}>
+          Pay {formatPrice(offer.counterAmount - offer.amount, offer)} more
+        </Button>
+      );
+    }
+    if (isBuyer && isOfferPending(offer)) {
+      actions.push(
+        <Button key="cancel" size="small" disabled={submitting}
+          onClick={() => runAction(() => cancelOffer(offer.offerId), 'Offer cancelled. Your funds are ready to withdraw.')}>
+          Cancel
+        </Button>
+      );
+    }
+
+    return actions.length > 0 ? <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>{actions}</Box> : '—';
+  };
+
+  if (offers.length === 0) {
+    return (
+      <Typography color="text.secondary">
+        No offers yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <>
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              {showTicket && <TableCell>Ticket</TableCell>}
+              <TableCell>Buyer</TableCell>
+              <TableCell>Offer</TableCell>
+              <TableCell>Counter</TableCell>
+              <TableCell>Expires</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {offers.map((offer) => (
+              <TableRow key={offer.offerId}>
+                {showTicket && (
+                  <TableCell>
+                    <Button component={RouterLink} to={`/ticket/${offer.tokenId}`} size="small">
+                      {offer.ticketLabel || `#${offer.tokenId}`}
+                    </Button>
+                  </TableCell>
+                )}
+                <TableCell>{formatAddress(offer.buyer)}</TableCell>
+                <TableCell>{formatPrice(offer.amount, offer)}</TableCell>
+                <TableCell>
+                  {offer.status === OFFER_STATUS.COUNTERED ? formatPrice(offer.counterAmount, offer) : '—'}
+                </TableCell>
+                <TableCell>{new Date(offer.expiresAt * 1000).toLocaleString()}</TableCell>
+                <TableCell>{getStatusChip(offer)}</TableCell>
+                <TableCell>{renderActions(offer)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <CounterOfferDialog
+        open={Boolean(counteringOffer)}
+        onClose={() => setCounteringOffer(null)}
+        offer={counteringOffer}
+        onCountered={onChanged}
+      />
+    </>
+  );
+};
+
+export default OfferTable;
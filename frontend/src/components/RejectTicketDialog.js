@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Box,
+  Typography,
+  CircularProgress,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  Alert,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { useWeb3 } from '../context/Web3Context';
+
+// Mirrors EventTicketNFT.RejectionReason
+export const REJECTION_REASON = {
+  INVALID_PROOF: 1,
+  UNREADABLE_PROOF: 2,
+  DUPLICATE: 3,
+  FRAUD: 4,
+  MORE_INFO_NEEDED: 5,
+  OTHER: 6,
+};
+
+export const REJECTION_REASON_LABELS = {
+  [REJECTION_REASON.INVALID_PROOF]: 'Invalid proof',
+  [REJECTION_REASON.UNREADABLE_PROOF]: 'Unreadable proof',
+  [REJECTION_REASON.DUPLICATE]: 'Duplicate ticket',
+  [REJECTION_REASON.FRAUD]: 'Fraudulent ticket',
+  [REJECTION_REASON.MORE_INFO_NEEDED]: 'More information needed',
+  [REJECTION_REASON.OTHER]: 'Other',
+};
+
+/**
+ * Rejects a pending ticket. With requestInfo the reason is fixed to
+ * MORE_INFO_NEEDED and the ticket is never burned.
+ */
+const RejectTicketDialog = ({ open, onClose, ticket, requestInfo = false, onRejected }) => {
+  const { rejectTicket } = useWeb3();
+
+  const [reason, setReason] = useState(REJECTION_REASON.INVALID_PROOF);
+  const [note, setNote] = useState('');
+  const [burn, setBurn] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setReason(requestInfo ? REJECTION_REASON.MORE_INFO_NEEDED : REJECTION_REASON.INVALID_PROOF);
+      setNote('');
+      setBurn(false);
+    }
+  }, [open, requestInfo]);
+
+  const handleReject = async () => {
+    if (requestInfo && !note.trim()) {
+      toast.error('Please describe what the owner should provide');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await rejectTicket(ticket.tokenId, reason, note.trim(), burn);
+      toast.success(requestInfo ? 'More information requested' : burn ? 'Ticket rejected and burned' : 'Ticket rejected');
+      onClose();
+      if (onRejected) await onRejected();
+    } catch (error) {
+      console.error('Error rejecting ticket:', error);
+      toast.error(error.reason || 'Failed to reject ticket');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{requestInfo ? 'Request More Information' : 'Reject Ticket'}</DialogTitle>
+      <DialogContent>
+        {ticket && (
+          <Box sx={{ mt: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              {requestInfo
+                ? `Ticket #${ticket.tokenId} goes back to its owner, who can resubmit it with new proof.`
+                : `Ticket #${ticket.tokenId} is marked as rejected. Unless it is burned, the owner can resubmit it with new proof.`}
+            </Typography>
+            {!requestInfo && (
+              <TextField
+                select
+                label="Reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                fullWidth
+              >
+                {Object.entries(REJECTION_REASON_LABELS)
+                  .filter(([value]) => Number(value) !== REJECTION_REASON.MORE_INFO_NEEDED)
+                  .map(([value, label]) => (
+                    <MenuItem key={value} value={Number(value)}>
+                      {label}
+                    </MenuItem>
+                  ))}
+              </TextField>
+            )}
+            <TextField
+              label={requestInfo ? 'What is missing?' : 'Note to the owner'}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              multiline
+              rows={3}
+              fullWidth
+            />
+            {!requestInfo && (
+              <FormControlLabel
+                control={<Checkbox checked={burn} onChange={(e) => setBurn(e.target.checked)} />}
+                label="Burn the ticket and free its seat in the event capacity"
+              />
+            )}
+            {burn && (
+              <Alert severity="warning">
+                Burning cannot be undone; the owner will not be able to resubmit.
+              </Alert>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          color={requestInfo ? 'primary' : 'error'}
+          onClick={handleReject}
+          disabled={submitting}
+          startIcon={submitting && <CircularProgress size={20} />}
+        >
+          {submitting ? 'Submitting...' : requestInfo ? 'Send Request' : 'Reject Ticket'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RejectTicketDialog;
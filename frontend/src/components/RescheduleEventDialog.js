@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Box,
+  Typography,
+  InputAdornment,
+  CircularProgress,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { useWeb3 } from '../context/Web3Context';
+
+const DAY = 24 * 60 * 60;
+const MAX_OPT_OUT_DAYS = 30; // TicketRefundVault.MAX_OPT_OUT_PERIOD
+const DEFAULT_OPT_OUT_DAYS = '7';
+
+/**
+ * Moves an event to a new start time and opens the opt-out window in which holders of tickets
+ * the organizer sold can return them for the original price.
+ */
+const RescheduleEventDialog = ({ open, onClose, event, onRescheduled }) => {
+  const { rescheduleEvent, getRefundDeposit, formatEventDate, formatTokenAmount } = useWeb3();
+
+  const [startTime, setStartTime] = useState('');
+  const [optOutDays, setOptOutDays] = useState(DEFAULT_OPT_OUT_DAYS);
+  const [rescheduling, setRescheduling] = useState(false);
+  const [refundDeposit, setRefundDeposit] = useState(0n);
+
+  useEffect(() => {
+    if (open) {
+      setStartTime('');
+      setOptOutDays(DEFAULT_OPT_OUT_DAYS);
+      getRefundDeposit(event.eventId)
+        .then(setRefundDeposit)
+        .catch((error) => console.error('Error loading refund deposit:', error));
+    }
+  }, [open]);
+
+  const handleReschedule = async () => {
+    const newStartTime = Math.floor(new Date(startTime).getTime() / 1000);
+    if (!newStartTime || newStartTime <= Date.now() / 1000) {
+      toast.error('Event must start in the future');
+      return;
+    }
+
+    const days = parseFloat(optOutDays);
+    if (isNaN(days) || days <= 0 || days > MAX_OPT_OUT_DAYS) {
+      toast.error(`Opt-out window must be longer than 0 and at most ${MAX_OPT_OUT_DAYS} days`);
+      return;
+    }
+    const optOutPeriod = Math.round(days * DAY);
+    if (Date.now() / 1000 + optOutPeriod > newStartTime) {
+      toast.error('The opt-out window must close before the new start time');
+      return;
+    }
+
+    try {
+      setRescheduling(true);
+      await rescheduleEvent(event.eventId, newStartTime, optOutPeriod);
+      toast.success(`${event.name} moved to ${formatEventDate(newStartTime)}`);
+      onClose();
+      if (onRescheduled) await onRescheduled();
+    } catch (error) {
+      console.error('Error rescheduling event:', error);
+      toast.error(error.reason || 'Failed to reschedule event');
+    } finally {
+      setRescheduling(false);
+    }
+  };
+
+  if (!event) return null;
+
+  return (
+    <Dialog open={open} onClose={rescheduling ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Reschedule — {event.name}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" paragraph>
+          Currently starts {formatEventDate(event.startTime)}. Every ticket follows the new date, and
+          escrow deadlines and the resale freeze move with it.
+        </Typography>
+        <Typography variant="body2" paragraph>
+          Until the opt-out window closes, holders of tickets you sold can hand them back for the
+          original price, paid from your refund deposit (currently{' '}
+          {formatTokenAmount(refundDeposit, event.paymentToken)} {event.paymentToken.symbol}).
+          Returned tickets come back to you as unsold inventory.
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField
+            label="New Start Time"
+            type="datetime-local"
+            value={startTime}
+            onChange={(e) => setStartTime(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            fullWidth
+            required
+          />
+          <TextField
+            label="Opt-out Window"
+            type="number"
+            value={optOutDays}
+            onChange={(e) => setOptOutDays(e.target.value)}
+            inputProps={{ min: 1, max: MAX_OPT_OUT_DAYS, step: 1 }}
+            InputProps={{
+              endAdornment: <InputAdornment position="end">days</InputAdornment>,
+            }}
+            fullWidth
+            required
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={rescheduling}>
+          Close
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleReschedule}
+          disabled={rescheduling || !startTime}
+          startIcon={rescheduling && <CircularProgress size={20} />}
+        >
+          {rescheduling ? 'Rescheduling...' : 'Reschedule'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RescheduleEventDialog;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Alert, Button } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { useWeb3 } from '../context/Web3Context';
+
+const dismissedKey = (account, event) =>
+  `reschedule-notice:${account.toLowerCase()}:${event.eventId}:${event.optOutDeadline}`;
+
+/**
+ * Tells the connected wallet about rescheduled events it holds tickets for while their opt-out
+ * window is open. Dismissing hides a notice until the event is rescheduled again.
+ */
+const RescheduleNotice = () => {
+  const { account, contracts, loadEvents, loadTicketsByOwner, loadLatestReschedule, isOptOutOpen, formatEventDate } = useWeb3();
+
+  const [notices, setNotices] = useState([]);
+
+  useEffect(() => {
+    if (contracts.refundVault && account) {
+      loadNotices();
+    } else {
+      setNotices([]);
+    }
+  }, [contracts, account]);
+
+  const loadNotices = async () => {
+    try {
+      const openEvents = (await loadEvents()).filter(
+        (event) => isOptOutOpen(event) && !localStorage.getItem(dismissedKey(account, event))
+      );
+      if (openEvents.length === 0) {
+        setNotices([]);
+        return;
+      }
+
+      const tickets = await loadTicketsByOwner(account);
+      const heldEvents = openEvents.filter((event) =>
+        tickets.some((ticket) => ticket.ticketInfo.eventId.toString() === event.eventId)
+      );
+      setNotices(
+        await Promise.all(
+          heldEvents.map(async (event) => ({ event, reschedule: await loadLatestReschedule(event.eventId) }))
+        )
+      );
+    } catch (error) {
+      console.error('Error loading reschedule notices:', error);
+    }
+  };
+
+  const handleDismiss = (event) => {
+    localStorage.setItem(dismissedKey(account, event), '1');
+    setNotices((current) => current.filter((notice) => notice.event.eventId !== event.eventId));
+  };
+
+  if (notices.length === 0) return null;
+
+  return (
+    <Container maxWidth="xl" sx={{ mb: 2 }}>
+      {notices.map(({ event, reschedule }) => (
+        <Alert
+          key={event.eventId}
+          severity="warning"
+          sx={{ mb: 1 }}
+          action={
+            <>
+              <Button color="inherit" size="small" component={RouterLink} to="/my-tickets">
+                Review
+              </Button>
+              <Button color="inherit" size="small" onClick={() => handleDismiss(event)}>
+                Dismiss
+              </Button>
+            </>
+          }
+        >
+          {event.name} was rescheduled
+          {reschedule && ` from ${formatEventDate(reschedule.previousStartTime)}`} to{' '}
+          {formatEventDate(event.startTime)}. If you can no longer attend, tickets bought from the
+          organizer can be returned for a refund until {formatEventDate(event.optOutDeadline)}.
+        </Alert>
+      ))}
+    </Container>
+  );
+};
+
+export default RescheduleNotice;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  ButtonGroup,
+  Box,
+  Typography,
+  Slider,
+  FormControl,
+  FormLabel,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { ethers } from 'ethers';
+import { useWeb3 } from '../context/Web3Context';
+import { DISPUTE_PRESETS, describeResolution } from './DisputeVotes';
+
+/**
+ * Resolves a dispute with a refund share and a choice of who keeps the ticket.
+ * When the dispute council is active the resolution is cast as the admin's vote instead.
+ */
+const ResolveDisputeDialog = ({ open, onClose, dispute, councilActive, onResolved }) => {
+  const { resolveDisputePartial, castDisputeVote, formatTokenAmount, formatAddress } = useWeb3();
+
+  const [refundBps, setRefundBps] = useState(DISPUTE_PRESETS.SPLIT.refundBps);
+  const [buyerKeepsTicket, setBuyerKeepsTicket] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setRefundBps(DISPUTE_PRESETS.SPLIT.refundBps);
+      setBuyerKeepsTicket(DISPUTE_PRESETS.SPLIT.buyerKeepsTicket);
+    }
+  }, [open]);
+
+  const applyPreset = (preset) => {
+    setRefundBps(preset.refundBps);
+    setBuyerKeepsTicket(preset.buyerKeepsTicket);
+  };
+
+  const handleResolve = async () => {
+    try {
+      setSubmitting(true);
+      if (councilActive) {
+        // The council executes the resolution itself once it has enough matching votes
+        await castDisputeVote(dispute.tokenId, refundBps, buyerKeepsTicket);
+        toast.success('Vote cast successfully!');
+      } else {
+        await resolveDisputePartial(dispute.tokenId, refundBps, buyerKeepsTicket);
+        toast.success('Dispute resolved successfully!');
+      }
+      onClose();
+      if (onResolved) await onResolved();
+    } catch (error) {
+      console.error('Error resolving dispute:', error);
+      toast.error(error.reason || 'Failed to resolve dispute');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!dispute) return null;
+
+  const { price, buyer, seller } = dispute.escrow;
+  const buyerRefund = (price * ethers.toBigInt(refundBps)) / 10000n;
+  const formatAmount = (amount) => `${formatTokenAmount(amount, dispute.paymentToken)} ${dispute.paymentToken.symbol}`;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{councilActive ? 'Vote on Dispute' : 'Resolve Dispute'} #{dispute.tokenId}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ mt: 1, display: 'flex', flexDirection: 'column', gap: 3 }}>
+          <ButtonGroup size="small" fullWidth>
+            <Button onClick={() => applyPreset(DISPUTE_PRESETS.SELLER)}>Seller Wins</Button>
+            <Button onClick={() => applyPreset(DISPUTE_PRESETS.BUYER)}>Buyer Wins</Button>
+            <Button onClick={() => applyPreset(DISPUTE_PRESETS.SPLIT)}>Split 50/50</Button>
+          </ButtonGroup>
+
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>
+              Refund to buyer: {refundBps / 100}%
+            </Typography>
+            <Slider
+              value={refundBps}
+              onChange={(e, value) => setRefundBps(value)}
+              min={0}
+              max={10000}
+              step={500}
+              marks={[0, 2500, 5000, 7500, 10000].map((value) => ({ value, label: `${value / 100}%` }))}
+            />
+          </Box>
+
+          <FormControl>
+            <FormLabel>Ticket goes to</FormLabel>
+            <RadioGroup
+              row
+              value={buyerKeepsTicket ? 'buyer' : 'seller'}
+              onChange={(e) => setBuyerKeepsTicket(e.target.value === 'buyer')}
+            >
+              <FormControlLabel value="buyer" control={<Radio />} label={`Buyer (${formatAddress(buyer)})`} />
+              <FormControlLabel value="seller" control={<Radio />} label={`Seller (${formatAddress(seller)})`} />
+            </RadioGroup>
+          </FormControl>
+
+          <Alert severity="info">
+            <strong>{describeResolution({ refundBps, buyerKeepsTicket })}</strong>
+            <br />
+            Buyer is refunded {formatAmount(buyerRefund)}; seller receives {formatAmount(price - buyerRefund)} before
+            marketplace fees and royalties.
+          </Alert>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleResolve}
+          disabled={submitting}
+          startIcon={submitting && <CircularProgress size={20} />}
+        >
+          {submitting ? 'Submitting...' : councilActive ? 'Cast Vote' : 'Resolve Dispute'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ResolveDisputeDialog;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Paper,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+} from '@mui/material';
+import { CloudUpload } from '@mui/icons-material';
+import { useDropzone } from 'react-dropzone';
+import { toast } from 'react-toastify';
+import { useWeb3 } from '../context/Web3Context';
+import { uploadWithRetry, uploadJSON } from '../storage';
+import { resolveMetadata } from '../storage/metadata';
+import { REJECTION_REASON_LABELS } from './RejectTicketDialog';
+
+/**
+ * Uploads new proof for a rejected ticket and sends it back for verification.
+ * The metadata JSON is re-uploaded with the new image so admins see the new proof.
+ */
+const ResubmitTicketDialog = ({ open, onClose, ticket, rejection, onResubmitted }) => {
+  const { resubmitTicket } = useWeb3();
+
+  const [proofImage, setProofImage] = useState(null);
+  const [imagePreview, setImagePreview] = useState(null);
+  const [progress, setProgress] = useState({ stage: '', value: 0 });
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setProofImage(null);
+      setImagePreview(null);
+      setProgress({ stage: '', value: 0 });
+    }
+  }, [open]);
+
+  const onDrop = useCallback((acceptedFiles) => {
+    const file = acceptedFiles[0];
+    if (file) {
+      setProofImage(file);
+      const reader = new FileReader();
+      reader.onload = () => setImagePreview(reader.result);
+      reader.readAsDataURL(file);
+    }
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'image/*': ['.jpeg', '.jpg', '.png', '.gif', '.webp']
+    },
+    maxFiles: 1,
+    maxSize: 10485760, // 10MB
+  });
+
+  const uploadOptions = (stage) => ({
+    onProgress: (value) => setProgress({ stage, value: Math.round(value * 100) }),
+    onRetry: (attempt) => toast.warning(`${stage} failed, retrying (attempt ${attempt + 1})...`),
+  });
+
+  const handleResubmit = async () => {
+    if (!proofImage) {
+      toast.error('Please upload a new ticket image');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const imageHash = await uploadWithRetry(proofImage, uploadOptions('Uploading image'));
+
+      // Keep the existing metadata, pointing it at the new proof
+      let tokenURI = '';
+      const metadata = await resolveMetadata(ticket.tokenURI);
+      if (metadata.name) {
+        const metadataHash = await uploadJSON({
+          name: metadata.name,
+          description: metadata.description || '',
+          image: `ipfs://${imageHash}`,
+          attributes: metadata.attributes,
+        }, uploadOptions('Uploading metadata'));
+        tokenURI = `ipfs://${metadataHash}`;
+      }
+
+      setProgress({ stage: '', value: 0 });
+      await resubmitTicket(ticket.tokenId, imageHash, tokenURI);
+      toast.success('Ticket resubmitted for verification');
+      onClose();
+      if (onResubmitted) await onResubmitted();
+    } catch (error) {
+      console.error('Error resubmitting ticket:', error);
+      toast.error(error.reason || 'Failed to resubmit ticket');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Resubmit Ticket</DialogTitle>
+      <DialogContent>
+        {ticket && (
+          <Box sx={{ mt: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {rejection && (
+              <Alert severity="error">
+                <strong>{REJECTION_REASON_LABELS[rejection.reason] || 'Rejected'}</strong>
+                {rejection.note && `: ${rejection.note}`}
+              </Alert>
+            )}
+            <Paper
+              {...getRootProps()}
+              sx={{
+                p: 3,
+                border: '2px dashed',
+                borderColor: isDragActive ? 'primary.main' : 'grey.300',
+                cursor: 'pointer',
+                textAlign: 'center',
+              }}
+            >
+              <input {...getInputProps()} />
+              <CloudUpload sx={{ fontSize: 40, color: 'text.secondary', mb: 1 }} />
+              <Typography variant="body2" color="text.secondary">
+                {isDragActive ? 'Drop the image here' : 'Drag & drop a new ticket image, or click to select'}
+              </Typography>
+            </Paper>
+            {imagePreview && (
+              <Box
+                component="img"
+                src={imagePreview}
+                alt="New proof preview"
+                sx={{ maxWidth: '100%', maxHeight: 240, objectFit: 'contain', borderRadius: 1 }}
+              />
+            )}
+            {submitting && progress.stage && (
+              <Box>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  {progress.stage}... {progress.value}%
+                </Typography>
+                <LinearProgress variant="determinate" value={progress.value} />
+              </Box>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleResubmit}
+          disabled={submitting}
+          startIcon={submitting && <CircularProgress size={20} />}
+        >
+          {submitting ? 'Resubmitting...' : 'Resubmit for Verification'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ResubmitTicketDialog;
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { QRCodeSVG } from 'qrcode.react';
+import { toast } from 'react-toastify';
+import { useWeb3 } from '../context/Web3Context';
+
+/**
+ * Shows a ticket's entry QR code: a short-lived pass signed by the owner (EIP-712) that the
+ * gate scanner checks before redeeming. Revoking invalidates every pass shown so far.
+ */
+const ShowTicketDialog = ({ open, onClose, ticket }) => {
+  const { signTicketPass, revokeTicketPasses } = useWeb3();
+
+  const [pass, setPass] = useState(null);
+  const [signing, setSigning] = useState(false);
+  const [revoking, setRevoking] = useState(false);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    if (open && ticket) {
+      setPass(null);
+      handleSign();
+    }
+  }, [open, ticket]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [open]);
+
+  const handleSign = async () => {
+    try {
+      setSigning(true);
+      setPass(await signTicketPass(ticket.tokenId));
+    } catch (error) {
+      console.error('Error signing ticket pass:', error);
+      toast.error(error.reason || 'Failed to sign ticket pass');
+    } finally {
+      setSigning(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    try {
+      setRevoking(true);
+      await revokeTicketPasses(ticket.tokenId);
+      toast.success('Previous QR codes revoked');
+      await handleSign();
+    } catch (error) {
+      console.error('Error revoking ticket passes:', error);
+      toast.error(error.reason || 'Failed to revoke QR codes');
+    } finally {
+      setRevoking(false);
+    }
+  };
+
+  if (!ticket) return null;
+
+  const expired = pass && pass.expiry <= now;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Ticket #{ticket.tokenId}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {ticket.event ? `${ticket.event.name} • ` : ''}{ticket.ticketInfo.seatInfo}
+        </Typography>
+
+        <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: 280, my: 2 }}>
+          {signing ? (
+            <CircularProgress />
+          ) : pass && !expired ? (
+            <QRCodeSVG value={JSON.stringify(pass)} size={256} includeMargin />
+          ) : (
+            <Alert severity="warning">
+              {expired ? 'This QR code has expired.' : 'Sign the pass in your wallet to show the QR code.'}
+            </Alert>
+          )}
+        </Box>
+
+        {pass && !expired && (
+          <Typography variant="body2" align="center">
+            Valid for {Math.floor((pass.expiry - now) / 60)}m {(pass.expiry - now) % 60}s
+          </Typography>
+        )}
+
+        <Alert severity="info" sx={{ mt: 2 }}>
+          Show this code at the gate. It only works for you as the current owner, expires after a few
+          minutes and cannot be scanned twice. If someone copied it, revoke it below.
+        </Alert>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleRevoke} color="error" disabled={signing || revoking}>
+          {revoking ? <CircularProgress size={20} /> : 'Revoke Codes'}
+        </Button>
+        <Button onClick={handleSign} disabled={signing || revoking}>
+          Refresh
+        </Button>
+        <Button onClick={onClose} variant="contained">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ShowTicketDialog;
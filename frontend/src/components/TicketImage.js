@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { CardMedia } from '@mui/material';
+import { resolveMetadata } from '../storage/metadata';
+
+const PLACEHOLDER_IMAGE = '/placeholder-ticket.jpg';
+
+/**
+ * Resolves a ticket's tokenURI to its metadata; null while loading
+ */
+export const useTicketMetadata = (tokenURI) => {
+  const [metadata, setMetadata] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setMetadata(null);
+    resolveMetadata(tokenURI).then((resolved) => {
+      if (!cancelled) setMetadata(resolved);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [tokenURI]);
+
+  return metadata;
+};
+
+/**
+ * Ticket image from the metadata's image field, moving on to the next
+ * gateway when one fails and ending on a placeholder.
+ */
+const TicketImage = ({ tokenURI, metadata: resolvedMetadata, alt, height, sx }) => {
+  const fetchedMetadata = useTicketMetadata(resolvedMetadata ? null : tokenURI);
+  const metadata = resolvedMetadata || fetchedMetadata;
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    setAttempt(0);
+  }, [metadata]);
+
+  const imageUrls = metadata ? metadata.imageUrls : [];
+  const src = imageUrls[attempt] || PLACEHOLDER_IMAGE;
+
+  return (
+    <CardMedia
+      component="img"
+      height={height}
+      image={src}
+      alt={alt || (metadata && metadata.name) || 'Ticket'}
+      onError={() => {
+        if (attempt < imageUrls.length) setAttempt(attempt + 1);
+      }}
+      sx={{ objectFit: 'cover', ...sx }}
+    />
+  );
+};
+
+export default TicketImage;
@@ -5,9 +5,76 @@ import { toast } from 'react-toastify';
 // Import contract ABIs and addresses
 import EventTicketNFTABI from '../contracts/EventTicketNFT.json';
 import TicketMarketplaceABI from '../contracts/TicketMarketplace.json';
+import TicketAuctionHouseABI from '../contracts/TicketAuctionHouse.json';
+import TicketOfferBookABI from '../contracts/TicketOfferBook.json';
+import TicketDisputeCouncilABI from '../contracts/TicketDisputeCouncil.json';
+import TicketGateABI from '../contracts/TicketGate.json';
+import TicketRefundVaultABI from '../contracts/TicketRefundVault.json';
+import TicketRolesABI from '../contracts/TicketRoles.json';
 
 const Web3Context = createContext();
 
+// Minimal ERC-20 interface for payment tokens
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+export const NATIVE_TOKEN = { address: ethers.ZeroAddress, symbol: 'ETH', decimals: 18 };
+
+// Roles of the shared TicketRoles registry, in the order the admin dashboard lists them
+export const ROLES = [
+  { id: ethers.ZeroHash, label: 'Admin', description: 'Configures the contracts, manages every event and grants roles' },
+  { id: ethers.id('VERIFIER_ROLE'), label: 'Verifier', description: 'Verifies and rejects submitted tickets' },
+  { id: ethers.id('DISPUTE_RESOLVER_ROLE'), label: 'Dispute Resolver', description: 'Resolves or votes on escrow disputes' },
+  { id: ethers.id('ORGANIZER_ROLE'), label: 'Organizer', description: 'Creates events' },
+  { id: ethers.id('GATE_SCANNER_ROLE'), label: 'Gate Scanner', description: 'Checks tickets in at every event' },
+  { id: ethers.id('TREASURER_ROLE'), label: 'Treasurer', description: 'Withdraws marketplace fees and reclaims unallocated keeper funds' },
+  { id: ethers.id('PAUSER_ROLE'), label: 'Pauser', description: 'Pauses and unpauses trading' },
+  { id: ethers.id('MARKETPLACE_ROLE'), label: 'Marketplace', description: 'Trading contract allowed to lock, dispute and transfer tickets' },
+  { id: ethers.id('REDEEMER_ROLE'), label: 'Redeemer', description: 'Gate contract allowed to redeem tickets and settle their escrows' },
+  { id: ethers.id('REFUND_VAULT_ROLE'), label: 'Refund Vault', description: 'Refund vault contract allowed to cancel, reschedule and refund tickets' },
+];
+export const [ADMIN_ROLE, VERIFIER_ROLE, DISPUTE_RESOLVER_ROLE, ORGANIZER_ROLE, GATE_SCANNER_ROLE, TREASURER_ROLE, PAUSER_ROLE] =
+  ROLES.map((role) => role.id);
+
+export const EVENT_CANCELLED = 2; // EventTicketNFT.EventStatus.CANCELLED
+export const TICKET_LOCKED = 2; // EventTicketNFT.TicketStatus.LOCKED
+export const TICKET_CANCELLED = 7; // EventTicketNFT.TicketStatus.CANCELLED
+
+// EIP-712 ticket pass shown as a QR code at the venue gate (see TicketGate)
+export const TICKET_PASS_TTL = 15 * 60;
+export const TICKET_PASS_TYPES = {
+  TicketPass: [
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+};
+
+export const ticketPassDomain = (chainId, gateAddress) => ({
+  name: 'TicketGate',
+  version: '1',
+  chainId,
+  verifyingContract: gateAddress,
+});
+
+// Recovers who signed a pass without touching the network
+export const recoverTicketPassSigner = (pass) =>
+  ethers.verifyTypedData(
+    ticketPassDomain(pass.chainId, pass.gate),
+    TICKET_PASS_TYPES,
+    { tokenId: pass.tokenId, nonce: pass.nonce, expiry: pass.expiry },
+    pass.signature
+  );
+
+// Event-log indexer (see indexer/); pages fall back to contract reads without it
+const INDEXER_URL = process.env.REACT_APP_INDEXER_URL || 'http://localhost:4000';
+
+const tokenMetadataCache = {};
+
 export const useWeb3 = () => {
   const context = useContext(Web3Context);
   if (!context) {
@@ -25,12 +92,24 @@ export const Web3Provider = ({ children }) => {
   const [contracts, setContracts] = useState({
     ticketNFT: null,
     marketplace: null,
+    auctionHouse: null,
+    offerBook: null,
+    disputeCouncil: null,
+    gate: null,
+    refundVault: null,
+    roles: null,
   });
 
   // Contract addresses (these will be set after deployment)
   const CONTRACT_ADDRESSES = {
     TICKET_NFT: EventTicketNFTABI.address || '',
     MARKETPLACE: TicketMarketplaceABI.address || '',
+    AUCTION_HOUSE: TicketAuctionHouseABI.address || '',
+    OFFER_BOOK: TicketOfferBookABI.address || '',
+    DISPUTE_COUNCIL: TicketDisputeCouncilABI.address || '',
+    GATE: TicketGateABI.address || '',
+    REFUND_VAULT: TicketRefundVaultABI.address || '',
+    ROLES: TicketRolesABI.address || '',
   };
 
   // Network configuration
@@ -85,7 +164,7 @@ export const Web3Provider = ({ children }) => {
       // User disconnected
       setAccount(null);
       setSigner(null);
-      setContracts({ ticketNFT: null, marketplace: null });
+      setContracts({ ticketNFT: null, marketplace: null, auctionHouse: null, offerBook: null, disputeCouncil: null, gate: null, refundVault: null, roles: null });
     } else {
       // User switched accounts
       setAccount(accounts[0]);
@@ -122,7 +201,31 @@ export const Web3Provider = ({ children }) => {
         signer
       );
 
-      setContracts({ ticketNFT, marketplace });
+      const auctionHouse = CONTRACT_ADDRESSES.AUCTION_HOUSE
+        ? new ethers.Contract(CONTRACT_ADDRESSES.AUCTION_HOUSE, TicketAuctionHouseABI.abi, signer)
+        : null;
+
+      const offerBook = CONTRACT_ADDRESSES.OFFER_BOOK
+        ? new ethers.Contract(CONTRACT_ADDRESSES.OFFER_BOOK, TicketOfferBookABI.abi, signer)
+        : null;
+
+      const disputeCouncil = CONTRACT_ADDRESSES.DISPUTE_COUNCIL
+        ? new ethers.Contract(CONTRACT_ADDRESSES.DISPUTE_COUNCIL, TicketDisputeCouncilABI.abi, signer)
+        : null;
+
+      const gate = CONTRACT_ADDRESSES.GATE
+        ? new ethers.Contract(CONTRACT_ADDRESSES.GATE, TicketGateABI.abi, signer)
+        : null;
+
+      const refundVault = CONTRACT_ADDRESSES.REFUND_VAULT
+        ? new ethers.Contract(CONTRACT_ADDRESSES.REFUND_VAULT, TicketRefundVaultABI.abi, signer)
+        : null;
+
+      const roles = CONTRACT_ADDRESSES.ROLES
+        ? new ethers.Contract(CONTRACT_ADDRESSES.ROLES, TicketRolesABI.abi, signer)
+        : null;
+
+      setContracts({ ticketNFT, marketplace, auctionHouse, offerBook, disputeCouncil, gate, refundVault, roles });
 
       // const network = await signer.provider.getNetwork();
       // console.log("Connected network:", network);
@@ -187,7 +290,7 @@ export const Web3Provider = ({ children }) => {
     setProvider(null);
     setSigner(null);
     setChainId(null);
-    setContracts({ ticketNFT: null, marketplace: null });
+    setContracts({ ticketNFT: null, marketplace: null, auctionHouse: null, offerBook: null, disputeCouncil: null, gate: null, refundVault: null, roles: null });
     toast.info('Wallet disconnected');
   };
 
@@ -224,18 +327,153 @@ export const Web3Provider = ({ children }) => {
     return ethers.parseEther(value.toString());
   };
 
+  const formatEventDate = (timestamp) => {
+    if (!timestamp) return '';
+    return new Date(Number(timestamp) * 1000).toLocaleString();
+  };
+
+  const formatTokenAmount = (value, token = NATIVE_TOKEN) => {
+    return ethers.formatUnits(value, token.decimals);
+  };
+
+  const parseTokenAmount = (value, token = NATIVE_TOKEN) => {
+    return ethers.parseUnits(value.toString(), token.decimals);
+  };
+
+  // Mirrors EventTicketNFT.tradingFreezesAt for an event loaded with loadEvents
+  const isTradingFrozen = (event, now = Math.floor(Date.now() / 1000)) => {
+    if (event.status === EVENT_CANCELLED) return true;
+    return event.freezeWindow > 0 && now >= event.startTime - event.freezeWindow;
+  };
+
+  // Whether holders of a rescheduled event can still hand their tickets back for a refund
+  const isOptOutOpen = (event, now = Math.floor(Date.now() / 1000)) => {
+    return event.status !== EVENT_CANCELLED && now <= event.optOutDeadline;
+  };
+
+  // Explains why an event's resales are closed
+  const describeFreeze = (event) => {
+    if (event.status === EVENT_CANCELLED) return 'Event cancelled';
+    const hours = event.freezeWindow / 3600;
+    const window = hours >= 1 ? `${Number(hours.toFixed(1))}h` : `${Math.round(event.freezeWindow / 60)}m`;
+    return `Resale closes ${window} before the event starts (${formatEventDate(event.startTime - event.freezeWindow)})`;
+  };
+
+  // Payment token helpers
+  const getTokenMetadata = async (address) => {
+    if (!address || address === ethers.ZeroAddress) return NATIVE_TOKEN;
+
+    const key = address.toLowerCase();
+    if (!tokenMetadataCache[key]) {
+      const token = new ethers.Contract(address, ERC20_ABI, signer || provider);
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      tokenMetadataCache[key] = { address, symbol, decimals: Number(decimals) };
+    }
+    return tokenMetadataCache[key];
+  };
+
+  const loadPaymentTokens = async () => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+
+    const updates = await contracts.marketplace.queryFilter(
+      contracts.marketplace.filters.PaymentTokenUpdated()
+    );
+    const addresses = [...new Set(updates.map((log) => log.args.token))];
+    const tokens = [NATIVE_TOKEN];
+
+    for (const address of addresses) {
+      if (await contracts.marketplace.allowedPaymentTokens(address)) {
+        tokens.push(await getTokenMetadata(address));
+      }
+    }
+
+    return tokens;
+  };
+
+  const getEventPaymentToken = async (eventId) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    return await getTokenMetadata(await contracts.marketplace.eventPaymentToken(eventId));
+  };
+
+  const setEventPaymentToken = async (eventId, tokenAddress) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.setEventPaymentToken(eventId, tokenAddress);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error setting event payment token:', error);
+      throw error;
+    }
+  };
+
+  // Event registry helpers
+  const loadEvents = async () => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+
+    const totalEvents = await contracts.ticketNFT.totalEvents();
+    const events = [];
+
+    for (let eventId = 1; eventId <= Number(totalEvents); eventId++) {
+      try {
+        const eventInfo = await contracts.ticketNFT.getEventInfo(eventId);
+        events.push({
+          eventId: eventId.toString(),
+          organizer: eventInfo.organizer,
+          name: eventInfo.name,
+          venue: eventInfo.venue,
+          startTime: Number(eventInfo.startTime),
+          capacity: Number(eventInfo.capacity),
+          ticketsMinted: Number(eventInfo.ticketsMinted),
+          ticketsVerified: Number(eventInfo.ticketsVerified),
+          status: Number(eventInfo.status),
+          freezeWindow: Number(await contracts.ticketNFT.freezeWindows(eventId)),
+          optOutDeadline: contracts.refundVault
+            ? Number(await contracts.refundVault.optOutDeadlines(eventId))
+            : 0,
+          paymentToken: contracts.marketplace
+            ? await getEventPaymentToken(eventId)
+            : NATIVE_TOKEN,
+        });
+      } catch (error) {
+        console.error(`Error loading event ${eventId}:`, error);
+      }
+    }
+
+    return events;
+  };
+
+  const createEvent = async (eventData) => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.ticketNFT.createEvent(
+        eventData.name,
+        eventData.venue,
+        eventData.startTime,
+        eventData.capacity
+      );
+      
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error creating event:', error);
+      throw error;
+    }
+  };
+
   // Contract interaction helpers
   const mintTicket = async (ticketData) => {
     if (!contracts.ticketNFT) throw new Error('Contract not initialized');
     
     try {
+      const paymentToken = await getEventPaymentToken(ticketData.eventId);
       const tx = await contracts.ticketNFT.mintTicket(
         account,
-        ticketData.eventName,
-        ticketData.eventDate,
-        ticketData.venue,
+        ticketData.eventId,
         ticketData.seatInfo,
-        parseEther(String(ticketData.originalPrice || "0")),
+        parseTokenAmount(String(ticketData.originalPrice || "0"), paymentToken),
         ticketData.proofImageHash,
         ticketData.tokenURI
       );
@@ -248,11 +486,86 @@ export const Web3Provider = ({ children }) => {
     }
   };
 
+  const batchMintTickets = async (eventId, seats, metadataURI) => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+    
+    try {
+      const paymentToken = await getEventPaymentToken(eventId);
+      const tx = await contracts.ticketNFT.batchMintTickets(
+        eventId,
+        seats.map((seat) => seat.seatInfo),
+        seats.map((seat) => parseTokenAmount(String(seat.price || "0"), paymentToken)),
+        metadataURI
+      );
+      
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error batch minting tickets:', error);
+      throw error;
+    }
+  };
+
+  const setFreezeWindow = async (eventId, freezeWindow) => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.ticketNFT.setFreezeWindow(eventId, freezeWindow);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error setting freeze window:', error);
+      throw error;
+    }
+  };
+
+  const setEventRoyalty = async (eventId, receiver, royaltyBps) => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.ticketNFT.setEventRoyalty(eventId, receiver, royaltyBps);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error setting event royalty:', error);
+      throw error;
+    }
+  };
+
+  const listPrimaryTickets = async (tokenIds) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.listPrimaryTickets(tokenIds);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error listing primary tickets:', error);
+      throw error;
+    }
+  };
+
+  const getTicketPaymentToken = async (tokenId) => {
+    const ticketInfo = await contracts.ticketNFT.getTicketInfo(tokenId);
+    return await getEventPaymentToken(ticketInfo.eventId);
+  };
+
+  // Approves the spender for a token payment when the current allowance is too low
+  const ensureAllowance = async (tokenAddress, spender, amount) => {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+    const allowance = await token.allowance(account, spender);
+    if (allowance < amount) {
+      const approveTx = await token.approve(spender, amount);
+      await approveTx.wait();
+    }
+  };
+
   const listTicket = async (tokenId, price) => {
     if (!contracts.marketplace) throw new Error('Contract not initialized');
     
     try {
-      const tx = await contracts.marketplace.listTicket(tokenId, parseEther(price));
+      const paymentToken = await getTicketPaymentToken(tokenId);
+      const tx = await contracts.marketplace.listTicket(tokenId, parseTokenAmount(price, paymentToken));
       await tx.wait();
       return tx;
     } catch (error) {
@@ -261,69 +574,1011 @@ export const Web3Provider = ({ children }) => {
     }
   };
 
-  const purchaseTicket = async (tokenId, price) => {
+  const unlistTicket = async (tokenId) => {
     if (!contracts.marketplace) throw new Error('Contract not initialized');
     
     try {
-      const tx = await contracts.marketplace.purchaseTicket(tokenId, {
-        value: parseEther(price)
-      });
+      const tx = await contracts.marketplace.unlistTicket(tokenId);
       await tx.wait();
       return tx;
     } catch (error) {
-      console.error('Error purchasing ticket:', error);
+      console.error('Error unlisting ticket:', error);
       throw error;
     }
   };
 
-  const confirmTransaction = async (tokenId) => {
+  const purchaseTicket = async (tokenId) => {
     if (!contracts.marketplace) throw new Error('Contract not initialized');
     
     try {
-      const tx = await contracts.marketplace.confirmTransaction(tokenId);
+      const listing = await contracts.marketplace.listings(tokenId);
+
+      if (listing.paymentToken === ethers.ZeroAddress) {
+        const tx = await contracts.marketplace.purchaseTicket(tokenId, {
+          value: listing.price
+        });
+        await tx.wait();
+        return tx;
+      }
+
+      // Token purchases need an allowance for the marketplace first
+      await ensureAllowance(listing.paymentToken, contracts.marketplace.target, listing.price);
+
+      const tx = await contracts.marketplace.purchaseTicket(tokenId);
       await tx.wait();
       return tx;
     } catch (error) {
-      console.error('Error confirming transaction:', error);
+      console.error('Error purchasing ticket:', error);
       throw error;
     }
   };
 
-  const raiseDispute = async (tokenId, reason) => {
-    if (!contracts.marketplace) throw new Error('Contract not initialized');
+  // Auction helpers
+  const createAuction = async (tokenId, auctionData) => {
+    if (!contracts.auctionHouse) throw new Error('Contract not initialized');
     
     try {
-      const tx = await contracts.marketplace.raiseDispute(tokenId, reason);
+      const paymentToken = await getTicketPaymentToken(tokenId);
+      const tx = auctionData.type === 'english'
+        ? await contracts.auctionHouse.createEnglishAuction(
+            tokenId,
+            parseTokenAmount(auctionData.startPrice, paymentToken),
+            parseTokenAmount(auctionData.minIncrement, paymentToken),
+            auctionData.duration
+          )
+        : await contracts.auctionHouse.createDutchAuction(
+            tokenId,
+            parseTokenAmount(auctionData.startPrice, paymentToken),
+            parseTokenAmount(auctionData.endPrice, paymentToken),
+            auctionData.duration
+          );
       await tx.wait();
       return tx;
     } catch (error) {
-      console.error('Error raising dispute:', error);
+      console.error('Error creating auction:', error);
       throw error;
     }
   };
 
-  const verifyTicket = async (tokenId) => {
-    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+  const placeBid = async (tokenId, amount) => {
+    if (!contracts.auctionHouse) throw new Error('Contract not initialized');
     
     try {
-      const tx = await contracts.ticketNFT.verifyTicket(tokenId);
+      const auction = await contracts.auctionHouse.auctions(tokenId);
+      const paymentToken = await getTokenMetadata(auction.paymentToken);
+      const value = parseTokenAmount(amount, paymentToken);
+
+      let tx;
+      if (auction.paymentToken === ethers.ZeroAddress) {
+        tx = await contracts.auctionHouse.placeBid(tokenId, value, { value });
+      } else {
+        await ensureAllowance(auction.paymentToken, contracts.auctionHouse.target, value);
+        tx = await contracts.auctionHouse.placeBid(tokenId, value);
+      }
       await tx.wait();
       return tx;
     } catch (error) {
-      console.error('Error verifying ticket:', error);
+      console.error('Error placing bid:', error);
       throw error;
     }
   };
 
-  const resolveDispute = async (tokenId, sellerWins) => {
-    if (!contracts.marketplace) throw new Error('Contract not initialized');
+  const buyAuctionNow = async (tokenId) => {
+    if (!contracts.auctionHouse) throw new Error('Contract not initialized');
     
     try {
-      const tx = await contracts.marketplace.resolveDispute(tokenId, sellerWins);
+      const auction = await contracts.auctionHouse.auctions(tokenId);
+      // The price only falls, so paying the current price always covers it
+      const price = await contracts.auctionHouse.currentPrice(tokenId);
+
+      let tx;
+      if (auction.paymentToken === ethers.ZeroAddress) {
+        tx = await contracts.auctionHouse.buyNow(tokenId, { value: price });
+      } else {
+        await ensureAllowance(auction.paymentToken, contracts.auctionHouse.target, price);
+        tx = await contracts.auctionHouse.buyNow(tokenId);
+      }
       await tx.wait();
       return tx;
     } catch (error) {
-      console.error('Error resolving dispute:', error);
+      console.error('Error buying auction ticket:', error);
+      throw error;
+    }
+  };
+
+  const settleAuction = async (tokenId) => {
+    if (!contracts.auctionHouse) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.auctionHouse.settleAuction(tokenId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error settling auction:', error);
+      throw error;
+    }
+  };
+
+  const cancelAuction = async (tokenId) => {
+    if (!contracts.auctionHouse) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.auctionHouse.cancelAuction(tokenId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error cancelling auction:', error);
+      throw error;
+    }
+  };
+
+  const withdrawAuctionReturns = async (tokenAddress) => {
+    if (!contracts.auctionHouse) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.auctionHouse.withdrawReturns(tokenAddress);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error withdrawing auction returns:', error);
+      throw error;
+    }
+  };
+
+  // Returns the indexer's answer, or null when it is unreachable, behind the chain or indexing another deployment
+  const queryIndexer = async (path) => {
+    try {
+      const [response, head] = await Promise.all([
+        fetch(`${INDEXER_URL}${path}`),
+        provider.getBlockNumber(),
+      ]);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const result = await response.json();
+      if (result.ticketNFT !== CONTRACT_ADDRESSES.TICKET_NFT.toLowerCase()) {
+        throw new Error('indexing a different deployment');
+      }
+      if (result.lastBlock < head) {
+        throw new Error(`behind at block ${result.lastBlock} of ${head}`);
+      }
+      return result;
+    } catch (error) {
+      console.warn(`Indexer unavailable (${error.message}), reading from contracts`);
+      return null;
+    }
+  };
+
+  // Converts an indexer record to the shapes returned by the contract getters
+  const fromIndexedTicket = (ticket) => ({
+    tokenId: ticket.tokenId,
+    owner: ethers.getAddress(ticket.owner),
+    tokenURI: ticket.tokenURI,
+    ticketInfo: {
+      ...ticket.ticketInfo,
+      eventId: ethers.toBigInt(ticket.ticketInfo.eventId),
+      originalPrice: ethers.toBigInt(ticket.ticketInfo.originalPrice),
+      originalSeller: ethers.getAddress(ticket.ticketInfo.originalSeller),
+      status: ethers.toBigInt(ticket.ticketInfo.status),
+      listingTimestamp: ethers.toBigInt(ticket.ticketInfo.listingTimestamp),
+    },
+    listing: ticket.listing
+      ? {
+          ...ticket.listing,
+          seller: ethers.getAddress(ticket.listing.seller),
+          price: ethers.toBigInt(ticket.listing.price),
+          timestamp: ethers.toBigInt(ticket.listing.timestamp),
+          paymentToken: ethers.getAddress(ticket.listing.paymentToken),
+        }
+      : { active: false, price: 0n },
+  });
+
+  // Reads every ticket from the contracts, keeping those that match the filter
+  const scanTickets = async (matches) => {
+    const totalSupply = await contracts.ticketNFT.totalSupply();
+    const tickets = [];
+
+    for (let tokenId = 0; tokenId < Number(totalSupply); tokenId++) {
+      try {
+        const [owner, ticketInfo] = await Promise.all([
+          contracts.ticketNFT.ownerOf(tokenId),
+          contracts.ticketNFT.getTicketInfo(tokenId),
+        ]);
+        if (!matches({ owner, ticketInfo })) continue;
+
+        const [tokenURI, listing] = await Promise.all([
+          contracts.ticketNFT.tokenURI(tokenId),
+          contracts.marketplace.listings(tokenId),
+        ]);
+        tickets.push({ tokenId, owner, ticketInfo, tokenURI, listing });
+      } catch (error) {
+        console.warn(`Skipping token ${tokenId}:`, error);
+      }
+    }
+
+    return tickets;
+  };
+
+  const loadTicketsByOwner = async (owner) => {
+    if (!contracts.ticketNFT || !contracts.marketplace) throw new Error('Contract not initialized');
+
+    const indexed = await queryIndexer(`/tickets?owner=${owner}`);
+    if (indexed) return indexed.tickets.map(fromIndexedTicket);
+
+    return await scanTickets((ticket) => ticket.owner.toLowerCase() === owner.toLowerCase());
+  };
+
+  const loadTicketsByStatus = async (status) => {
+    if (!contracts.ticketNFT || !contracts.marketplace) throw new Error('Contract not initialized');
+
+    const indexed = await queryIndexer(`/tickets?status=${status}`);
+    if (indexed) return indexed.tickets.map(fromIndexedTicket);
+
+    return await scanTickets((ticket) => Number(ticket.ticketInfo.status) === status);
+  };
+
+  // Collects every on-chain event that mentions a ticket, oldest first
+  const loadTicketHistory = async (tokenId) => {
+    if (!contracts.ticketNFT || !contracts.marketplace) throw new Error('Contract not initialized');
+
+    const queries = [
+      [contracts.ticketNFT, 'TicketMinted', [tokenId]],
+      [contracts.ticketNFT, 'TicketVerified', [tokenId]],
+      [contracts.ticketNFT, 'TicketRejected', [tokenId]],
+      [contracts.ticketNFT, 'TicketResubmitted', [tokenId]],
+      [contracts.ticketNFT, 'Transfer', [null, null, tokenId]],
+      [contracts.marketplace, 'TicketListed', [tokenId]],
+      [contracts.marketplace, 'TicketUnlisted', [tokenId]],
+      [contracts.marketplace, 'TicketPurchased', [tokenId]],
+      [contracts.marketplace, 'PrimarySaleCompleted', [tokenId]],
+      [contracts.marketplace, 'TransactionConfirmed', [tokenId]],
+      [contracts.marketplace, 'EscrowCompleted', [tokenId]],
+      [contracts.marketplace, 'DisputeRaised', [tokenId]],
+      [contracts.marketplace, 'DisputeResolved', [tokenId]],
+      [contracts.marketplace, 'EscrowRefunded', [tokenId]],
+      [contracts.disputeCouncil, 'VoteCast', [tokenId]],
+      [contracts.disputeCouncil, 'EvidenceSubmitted', [tokenId]],
+      [contracts.marketplace, 'RoyaltyPaid', [tokenId]],
+      [contracts.auctionHouse, 'AuctionCreated', [tokenId]],
+      [contracts.auctionHouse, 'BidPlaced', [tokenId]],
+      [contracts.auctionHouse, 'AuctionSettled', [tokenId]],
+      [contracts.auctionHouse, 'AuctionCancelled', [tokenId]],
+      [contracts.offerBook, 'OfferMade', [null, tokenId]],
+      [contracts.offerBook, 'OfferAccepted', [null, tokenId]],
+      [contracts.gate, 'TicketRedeemed', [tokenId]],
+      [contracts.refundVault, 'RefundClaimed', [tokenId]],
+      [contracts.refundVault, 'TicketOptedOut', [tokenId]],
+    ].filter(([contract]) => contract);
+
+    const logs = (
+      await Promise.all(
+        queries.map(([contract, name, args]) => contract.queryFilter(contract.filters[name](...args)))
+      )
+    ).flat();
+
+    // Plain transfers are only interesting when nothing else explains them
+    const explainedTxs = new Set(
+      logs.filter((log) => log.eventName !== 'Transfer').map((log) => log.transactionHash)
+    );
+    const entries = logs
+      .filter((log) => log.eventName !== 'Transfer' || !explainedTxs.has(log.transactionHash))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const blockNumbers = [...new Set(entries.map((log) => log.blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map((blockNumber) => provider.getBlock(blockNumber)));
+    const timestamps = Object.fromEntries(blocks.map((block) => [block.number, block.timestamp]));
+
+    return entries.map((log) => ({
+      name: log.eventName,
+      args: log.args,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      timestamp: timestamps[log.blockNumber],
+    }));
+  };
+
+  // Offer helpers
+  const loadOffers = async (offerIds) => {
+    const offers = await Promise.all(
+      offerIds.map(async (offerId) => {
+        const offer = await contracts.offerBook.offers(offerId);
+        const paymentToken = await getTokenMetadata(offer.paymentToken);
+        return {
+          offerId: Number(offerId),
+          tokenId: Number(offer.tokenId),
+          buyer: offer.buyer,
+          amount: offer.amount,
+          counterAmount: offer.counterAmount,
+          counterparty: offer.counterparty,
+          expiresAt: Number(offer.expiresAt),
+          status: Number(offer.status),
+          paymentToken,
+        };
+      })
+    );
+    return offers.sort((a, b) => b.offerId - a.offerId);
+  };
+
+  const loadTicketOffers = async (tokenId) => {
+    if (!contracts.offerBook) throw new Error('Contract not initialized');
+    return await loadOffers(await contracts.offerBook.getTokenOffers(tokenId));
+  };
+
+  const makeOffer = async (tokenId, amount, duration) => {
+    if (!contracts.offerBook) throw new Error('Contract not initialized');
+    
+    try {
+      const paymentToken = await getTicketPaymentToken(tokenId);
+      const value = parseTokenAmount(amount, paymentToken);
+
+      let tx;
+      if (paymentToken.address === ethers.ZeroAddress) {
+        tx = await contracts.offerBook.makeOffer(tokenId, value, duration, { value });
+      } else {
+        await ensureAllowance(paymentToken.address, contracts.offerBook.target, value);
+        tx = await contracts.offerBook.makeOffer(tokenId, value, duration);
+      }
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error making offer:', error);
+      throw error;
+    }
+  };
+
+  const acceptOffer = async (offerId) => {
+    if (!contracts.offerBook) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.offerBook.acceptOffer(offerId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error accepting offer:', error);
+      throw error;
+    }
+  };
+
+  const counterOffer = async (offerId, amount, duration) => {
+    if (!contracts.offerBook) throw new Error('Contract not initialized');
+    
+    try {
+      const offer = await contracts.offerBook.offers(offerId);
+      const paymentToken = await getTokenMetadata(offer.paymentToken);
+      const tx = await contracts.offerBook.counterOffer(offerId, parseTokenAmount(amount, paymentToken), duration);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error countering offer:', error);
+      throw error;
+    }
+  };
+
+  const acceptCounterOffer = async (offerId) => {
+    if (!contracts.offerBook) throw new Error('Contract not initialized');
+    
+    try {
+      const offer = await contracts.offerBook.offers(offerId);
+      // Only the difference over the escrowed offer is due
+      const topUp = offer.counterAmount - offer.amount;
+
+      let tx;
+      if (offer.paymentToken === ethers.ZeroAddress) {
+        tx = await contracts.offerBook.acceptCounterOffer(offerId, { value: topUp });
+      } else {
+        await ensureAllowance(offer.paymentToken, contracts.offerBook.target, topUp);
+        tx = await contracts.offerBook.acceptCounterOffer(offerId);
+      }
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error accepting counter-offer:', error);
+      throw error;
+    }
+  };
+
+  const rejectOffer = async (offerId) => {
+    if (!contracts.offerBook) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.offerBook.rejectOffer(offerId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error rejecting offer:', error);
+      throw error;
+    }
+  };
+
+  const cancelOffer = async (offerId) => {
+    if (!contracts.offerBook) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.offerBook.cancelOffer(offerId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error cancelling offer:', error);
+      throw error;
+    }
+  };
+
+  const withdrawOfferReturns = async (tokenAddress) => {
+    if (!contracts.offerBook) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.offerBook.withdrawReturns(tokenAddress);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error withdrawing offer refunds:', error);
+      throw error;
+    }
+  };
+
+  const confirmTransaction = async (tokenId) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.confirmTransaction(tokenId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error confirming transaction:', error);
+      throw error;
+    }
+  };
+
+  const autoReleaseEscrow = async (tokenId) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.autoReleaseEscrow(tokenId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error releasing escrow:', error);
+      throw error;
+    }
+  };
+
+  const raiseDispute = async (tokenId, reason) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.raiseDispute(tokenId, reason);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error raising dispute:', error);
+      throw error;
+    }
+  };
+
+  const verifyTicket = async (tokenId) => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.ticketNFT.verifyTicket(tokenId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error verifying ticket:', error);
+      throw error;
+    }
+  };
+
+  const rejectTicket = async (tokenId, reason, note, burn) => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.ticketNFT.rejectTicket(tokenId, reason, note, burn);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error rejecting ticket:', error);
+      throw error;
+    }
+  };
+
+  const resubmitTicket = async (tokenId, proofImageHash, tokenURI = '') => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.ticketNFT.resubmitTicket(tokenId, proofImageHash, tokenURI);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error resubmitting ticket:', error);
+      throw error;
+    }
+  };
+
+  const loadRejection = async (tokenId) => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+
+    const rejection = await contracts.ticketNFT.rejections(tokenId);
+    return {
+      reason: Number(rejection.reason),
+      note: rejection.note,
+      admin: rejection.admin,
+      timestamp: Number(rejection.timestamp),
+      burned: rejection.burned,
+    };
+  };
+
+  const resolveDispute = async (tokenId, sellerWins) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.resolveDispute(tokenId, sellerWins);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error resolving dispute:', error);
+      throw error;
+    }
+  };
+
+  const resolveDisputePartial = async (tokenId, refundBps, buyerKeepsTicket) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.marketplace.resolveDisputePartial(tokenId, refundBps, buyerKeepsTicket);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error resolving dispute:', error);
+      throw error;
+    }
+  };
+
+  // Dispute council helpers; disputes go through the council once the marketplace points at it
+  const isDisputeCouncilActive = async () => {
+    if (!contracts.marketplace || !contracts.disputeCouncil) return false;
+    const council = await contracts.marketplace.disputeCouncil();
+    return council.toLowerCase() === contracts.disputeCouncil.target.toLowerCase();
+  };
+
+  const loadDisputeVotes = async (tokenId) => {
+    if (!contracts.disputeCouncil) throw new Error('Contract not initialized');
+
+    const [[voters, votes], required] = await Promise.all([
+      contracts.disputeCouncil.getVotes(tokenId),
+      contracts.disputeCouncil.requiredVotes(tokenId),
+    ]);
+    const admins = await Promise.all(voters.map((voter) => contracts.disputeCouncil.isAdmin(voter)));
+    return {
+      votes: voters.map((voter, i) => ({
+        voter,
+        refundBps: Number(votes[i].refundBps),
+        buyerKeepsTicket: votes[i].buyerKeepsTicket,
+        counted: admins[i],
+      })),
+      required: Number(required),
+    };
+  };
+
+  const castDisputeVote = async (tokenId, refundBps, buyerKeepsTicket) => {
+    if (!contracts.disputeCouncil) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.disputeCouncil.castVote(tokenId, refundBps, buyerKeepsTicket);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error casting dispute vote:', error);
+      throw error;
+    }
+  };
+
+  const loadDisputeEvidence = async (tokenId) => {
+    if (!contracts.disputeCouncil) throw new Error('Contract not initialized');
+
+    const thread = await contracts.disputeCouncil.getEvidence(tokenId);
+    return thread.map((entry) => ({
+      author: entry.author,
+      cids: [...entry.cids],
+      note: entry.note,
+      timestamp: Number(entry.timestamp),
+    }));
+  };
+
+  const submitDisputeEvidence = async (tokenId, cids, note) => {
+    if (!contracts.disputeCouncil) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.disputeCouncil.submitEvidence(tokenId, cids, note);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error submitting dispute evidence:', error);
+      throw error;
+    }
+  };
+
+  const executeDispute = async (tokenId) => {
+    if (!contracts.disputeCouncil) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.disputeCouncil.execute(tokenId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error executing dispute:', error);
+      throw error;
+    }
+  };
+
+  // Gate check-in helpers
+  const signTicketPass = async (tokenId, ttlSeconds = TICKET_PASS_TTL) => {
+    if (!contracts.gate || !signer) throw new Error('Contract not initialized');
+
+    const nonce = await contracts.gate.passNonces(tokenId);
+    const pass = {
+      tokenId: Number(tokenId),
+      nonce: Number(nonce),
+      expiry: Math.floor(Date.now() / 1000) + ttlSeconds,
+    };
+    const signature = await signer.signTypedData(
+      ticketPassDomain(chainId, contracts.gate.target),
+      TICKET_PASS_TYPES,
+      pass
+    );
+    return { ...pass, chainId, gate: contracts.gate.target, signature };
+  };
+
+  const revokeTicketPasses = async (tokenId) => {
+    if (!contracts.gate) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.gate.revokeTicketPasses(tokenId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error revoking ticket passes:', error);
+      throw error;
+    }
+  };
+
+  const isGateScanner = async (eventId, address = account) => {
+    if (!contracts.gate || !address) return false;
+    return (await contracts.gate.gateScanners(eventId, address)) || hasRole(GATE_SCANNER_ROLE, address);
+  };
+
+  const setGateScanner = async (eventId, scanner, authorized) => {
+    if (!contracts.gate) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.gate.setGateScanner(eventId, scanner, authorized);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error updating gate scanner:', error);
+      throw error;
+    }
+  };
+
+  const loadGateScanners = async (eventId) => {
+    if (!contracts.gate) throw new Error('Contract not initialized');
+
+    // Replay the scanner updates; the latest one per address wins
+    const logs = await contracts.gate.queryFilter(contracts.gate.filters.GateScannerUpdated(eventId));
+    const scanners = new Map();
+    logs.forEach((log) => scanners.set(log.args.scanner, log.args.authorized));
+    return [...scanners].filter(([, authorized]) => authorized).map(([scanner]) => scanner);
+  };
+
+  // Everything the scanner page needs to check passes without a connection
+  const loadGateSnapshot = async (eventId) => {
+    if (!contracts.ticketNFT || !contracts.gate) throw new Error('Contract not initialized');
+
+    const tokenIds = await contracts.ticketNFT.getEventTickets(eventId);
+    const tickets = {};
+    await Promise.all(
+      tokenIds.map(async (tokenId) => {
+        try {
+          const [owner, info, nonce] = await Promise.all([
+            contracts.ticketNFT.ownerOf(tokenId),
+            contracts.ticketNFT.getTicketInfo(tokenId),
+            contracts.gate.passNonces(tokenId),
+          ]);
+          // A resale buyer can be admitted while their escrow is open; admission releases it
+          let escrowBuyer = null;
+          if (Number(info.status) === TICKET_LOCKED) {
+            const escrow = await contracts.marketplace.escrowTransactions(tokenId);
+            if (escrow.price > 0n && !escrow.completed && !escrow.disputed) escrowBuyer = escrow.buyer;
+          }
+          tickets[tokenId.toString()] = {
+            owner,
+            seatInfo: info.seatInfo,
+            status: Number(info.status),
+            nonce: Number(nonce),
+            escrowBuyer,
+          };
+        } catch (error) {
+          // Burned tickets cannot be redeemed
+        }
+      })
+    );
+
+    return {
+      eventId: eventId.toString(),
+      chainId,
+      gate: contracts.gate.target,
+      takenAt: Math.floor(Date.now() / 1000),
+      tickets,
+    };
+  };
+
+  const redeemTicket = async (pass) => {
+    if (!contracts.gate) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.gate.redeemTicket(pass.tokenId, pass.nonce, pass.expiry, pass.signature);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error redeeming ticket:', error);
+      throw error;
+    }
+  };
+
+  // Event cancellation helpers
+  const cancelEvent = async (eventId) => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.ticketNFT.setEventStatus(eventId, EVENT_CANCELLED);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error cancelling event:', error);
+      throw error;
+    }
+  };
+
+  // Tickets of a cancelled event whose listing, auction or escrow has not been unwound yet
+  const loadTicketsToCancel = async (eventId) => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+
+    const tokenIds = await contracts.ticketNFT.getEventTickets(eventId);
+    const pending = await Promise.all(
+      tokenIds.map(async (tokenId) => {
+        try {
+          const info = await contracts.ticketNFT.getTicketInfo(tokenId);
+          return Number(info.status) === TICKET_CANCELLED ? null : tokenId.toString();
+        } catch (error) {
+          return null; // Burned after rejection
+        }
+      })
+    );
+    return pending.filter(Boolean);
+  };
+
+  const cancelTickets = async (eventId, tokenIds) => {
+    if (!contracts.refundVault) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.refundVault.cancelTickets(eventId, tokenIds);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error cancelling tickets:', error);
+      throw error;
+    }
+  };
+
+  const getRefundDeposit = async (eventId) => {
+    if (!contracts.refundVault) return 0n;
+    return contracts.refundVault.deposits(eventId);
+  };
+
+  const depositRefunds = async (eventId, amount) => {
+    if (!contracts.refundVault) throw new Error('Contract not initialized');
+
+    try {
+      const paymentToken = await getEventPaymentToken(eventId);
+      const value = parseTokenAmount(String(amount), paymentToken);
+
+      if (paymentToken.address === ethers.ZeroAddress) {
+        const tx = await contracts.refundVault.depositRefunds(eventId, value, { value });
+        await tx.wait();
+        return tx;
+      }
+
+      await ensureAllowance(paymentToken.address, contracts.refundVault.target, value);
+      const tx = await contracts.refundVault.depositRefunds(eventId, value);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error depositing refunds:', error);
+      throw error;
+    }
+  };
+
+  const withdrawRefundDeposit = async (eventId, amount) => {
+    if (!contracts.refundVault) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.refundVault.withdrawDeposit(eventId, amount);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error withdrawing refund deposit:', error);
+      throw error;
+    }
+  };
+
+  const isRefundClaimed = async (tokenId) => {
+    if (!contracts.refundVault) return false;
+    return contracts.refundVault.refundClaimed(tokenId);
+  };
+
+  const claimRefund = async (tokenId) => {
+    if (!contracts.refundVault) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.refundVault.claimRefund(tokenId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error claiming refund:', error);
+      throw error;
+    }
+  };
+
+  // Event rescheduling helpers
+  const rescheduleEvent = async (eventId, newStartTime, optOutPeriod) => {
+    if (!contracts.refundVault) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.refundVault.rescheduleEvent(eventId, newStartTime, optOutPeriod);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error rescheduling event:', error);
+      throw error;
+    }
+  };
+
+  // Previous and new start times of an event's latest reschedule, or null if it never moved
+  const loadLatestReschedule = async (eventId) => {
+    if (!contracts.ticketNFT) throw new Error('Contract not initialized');
+
+    const logs = await contracts.ticketNFT.queryFilter(contracts.ticketNFT.filters.EventRescheduled(eventId));
+    if (logs.length === 0) return null;
+    const { args } = logs[logs.length - 1];
+    return { previousStartTime: Number(args.previousStartTime), newStartTime: Number(args.newStartTime) };
+  };
+
+  const optOutTicket = async (tokenId) => {
+    if (!contracts.refundVault) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.refundVault.optOut(tokenId);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error opting out:', error);
+      throw error;
+    }
+  };
+
+  // Role registry helpers
+  const hasRole = async (role, address = account) => {
+    if (!contracts.roles || !address) return false;
+    return contracts.roles.hasRole(role, address);
+  };
+
+  const loadRoleMembers = async () => {
+    if (!contracts.roles) throw new Error('Contract not initialized');
+
+    return Promise.all(
+      ROLES.map(async (role) => {
+        const [count, adminRole] = await Promise.all([
+          contracts.roles.getRoleMemberCount(role.id),
+          contracts.roles.getRoleAdmin(role.id),
+        ]);
+        const members = await Promise.all(
+          Array.from({ length: Number(count) }, (_, i) => contracts.roles.getRoleMember(role.id, i))
+        );
+        return { ...role, adminRole, members };
+      })
+    );
+  };
+
+  const grantRole = async (role, address) => {
+    if (!contracts.roles) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.roles.grantRole(role, address);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error granting role:', error);
+      throw error;
+    }
+  };
+
+  const revokeRole = async (role, address) => {
+    if (!contracts.roles) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await contracts.roles.revokeRole(role, address);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error revoking role:', error);
+      throw error;
+    }
+  };
+
+  const withdrawToken = async (tokenAddress) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.withdrawToken(tokenAddress);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error withdrawing token funds:', error);
+      throw error;
+    }
+  };
+
+  const withdrawFees = async () => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.withdrawFees();
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error withdrawing fees:', error);
+      throw error;
+    }
+  };
+
+  const withdrawTokenFees = async (tokenAddress) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.withdrawTokenFees(tokenAddress);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error withdrawing token fees:', error);
+      throw error;
+    }
+  };
+
+  const setPaymentTokenAllowed = async (tokenAddress, allowed) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.setPaymentTokenAllowed(tokenAddress, allowed);
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error updating payment token:', error);
+      throw error;
+    }
+  };
+
+  const getPendingBalance = async (address) => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    return await contracts.marketplace.pendingWithdrawals(address);
+  };
+
+  const withdraw = async () => {
+    if (!contracts.marketplace) throw new Error('Contract not initialized');
+    
+    try {
+      const tx = await contracts.marketplace.withdraw();
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error withdrawing funds:', error);
       throw error;
     }
   };
@@ -351,15 +1606,89 @@ export const Web3Provider = ({ children }) => {
     formatAddress,
     formatEther,
     parseEther,
+    formatEventDate,
+    formatTokenAmount,
+    parseTokenAmount,
+    isTradingFrozen,
+    describeFreeze,
+    isOptOutOpen,
     
     // Contract interactions
+    getTokenMetadata,
+    loadPaymentTokens,
+    getEventPaymentToken,
+    getTicketPaymentToken,
+    setEventPaymentToken,
+    loadEvents,
+    createEvent,
     mintTicket,
+    batchMintTickets,
+    setEventRoyalty,
+    setFreezeWindow,
     listTicket,
+    unlistTicket,
+    listPrimaryTickets,
     purchaseTicket,
+    loadTicketHistory,
+    loadTicketsByOwner,
+    loadTicketsByStatus,
+    createAuction,
+    placeBid,
+    buyAuctionNow,
+    settleAuction,
+    cancelAuction,
+    withdrawAuctionReturns,
+    loadTicketOffers,
+    makeOffer,
+    acceptOffer,
+    counterOffer,
+    acceptCounterOffer,
+    rejectOffer,
+    cancelOffer,
+    withdrawOfferReturns,
     confirmTransaction,
+    autoReleaseEscrow,
     raiseDispute,
     verifyTicket,
+    rejectTicket,
+    resubmitTicket,
+    loadRejection,
     resolveDispute,
+    resolveDisputePartial,
+    isDisputeCouncilActive,
+    loadDisputeVotes,
+    castDisputeVote,
+    executeDispute,
+    loadDisputeEvidence,
+    submitDisputeEvidence,
+    signTicketPass,
+    revokeTicketPasses,
+    isGateScanner,
+    setGateScanner,
+    loadGateScanners,
+    loadGateSnapshot,
+    redeemTicket,
+    cancelEvent,
+    loadTicketsToCancel,
+    cancelTickets,
+    getRefundDeposit,
+    depositRefunds,
+    withdrawRefundDeposit,
+    isRefundClaimed,
+    claimRefund,
+    rescheduleEvent,
+    loadLatestReschedule,
+    optOutTicket,
+    hasRole,
+    loadRoleMembers,
+    grantRole,
+    revokeRole,
+    getPendingBalance,
+    withdraw,
+    withdrawToken,
+    withdrawFees,
+    withdrawTokenFees,
+    setPaymentTokenAllowed,
   };
 
   return <Web3Context.Provider value={value}>{children}</Web3Context.Provider>;
@@ -25,6 +25,8 @@ import {
   CircularProgress,
   Avatar,
   Divider,
+  TextField,
+  MenuItem,
 } from '@mui/material';
 import {
   AdminPanelSettings,
@@ -34,28 +36,76 @@ import {
   CheckCircle,
   Cancel,
   Visibility,
+  Event,
+  Add,
+  AccountBalance,
+  HelpOutline,
+  ManageAccounts,
 } from '@mui/icons-material';
+import { ethers } from 'ethers';
 import { toast } from 'react-toastify';
-import { useWeb3 } from '../context/Web3Context';
+import { useWeb3, NATIVE_TOKEN, ROLES, ADMIN_ROLE, TREASURER_ROLE } from '../context/Web3Context';
+import CreateEventDialog from '../components/CreateEventDialog';
+import CancelEventDialog from '../components/CancelEventDialog';
+import RescheduleEventDialog from '../components/RescheduleEventDialog';
+import TicketImage, { useTicketMetadata } from '../components/TicketImage';
+import RejectTicketDialog, { REJECTION_REASON_LABELS } from '../components/RejectTicketDialog';
+import DisputeVotes, { leadingResolution } from '../components/DisputeVotes';
+import ResolveDisputeDialog from '../components/ResolveDisputeDialog';
+import DisputeThreadDialog from '../components/DisputeThreadDialog';
 
 const AdminDashboard = () => {
   const {
     account,
+    provider,
     contracts,
     verifyTicket,
-    resolveDispute,
+    loadRejection,
+    isDisputeCouncilActive,
+    loadDisputeVotes,
+    executeDispute,
+    withdrawFees,
+    withdrawTokenFees,
+    setPaymentTokenAllowed,
+    loadPaymentTokens,
+    getTokenMetadata,
+    loadEvents,
+    loadTicketsByStatus,
+    hasRole,
+    loadRoleMembers,
+    grantRole,
+    revokeRole,
     formatEther,
+    formatTokenAmount,
     formatAddress,
+    formatEventDate,
   } = useWeb3();
 
   const [tabValue, setTabValue] = useState(0);
   const [pendingTickets, setPendingTickets] = useState([]);
   const [disputes, setDisputes] = useState([]);
+  const [councilActive, setCouncilActive] = useState(false);
+  const [resolveTarget, setResolveTarget] = useState(null);
+  const [threadTarget, setThreadTarget] = useState(null);
+  const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedTicket, setSelectedTicket] = useState(null);
   const [detailsDialog, setDetailsDialog] = useState(false);
+  const selectedMetadata = useTicketMetadata(selectedTicket && selectedTicket.tokenURI);
+  const [rejectTarget, setRejectTarget] = useState(null); // { ticket, requestInfo }
+  const [previousRejection, setPreviousRejection] = useState(null);
   const [verifying, setVerifying] = useState(false);
   const [resolving, setResolving] = useState(false);
+  const [eventDialog, setEventDialog] = useState(false);
+  const [cancellingEvent, setCancellingEvent] = useState(null);
+  const [reschedulingEvent, setReschedulingEvent] = useState(null);
+  const [treasury, setTreasury] = useState(null);
+  const [withdrawingFees, setWithdrawingFees] = useState(false);
+  const [newTokenAddress, setNewTokenAddress] = useState('');
+  const [roleMembers, setRoleMembers] = useState([]);
+  const [grantAddress, setGrantAddress] = useState('');
+  const [grantRoleId, setGrantRoleId] = useState(ROLES[1].id);
+  const [savingRole, setSavingRole] = useState(false);
 
   useEffect(() => {
     console.log("Contracts inside admin:", contracts);
@@ -70,6 +120,9 @@ const AdminDashboard = () => {
       await Promise.all([
         loadPendingTickets(),
         loadDisputes(),
+        loadEventRegistry(),
+        loadTreasury(),
+        loadRoles(),
       ]);
     } catch (error) {
       console.error('Error loading dashboard data:', error);
@@ -81,33 +134,7 @@ const AdminDashboard = () => {
 
   const loadPendingTickets = async () => {
     try {
-      // Get all tickets and filter for pending ones
-      console.log("Fetching total supply...");
-      console.log("ticketNFT address:", contracts.ticketNFT.target);
-      const totalSupply = await contracts.ticketNFT.totalSupply();
-      console.log("Total tickets:", totalSupply.toString());
-      const pending = [];
-
-      for (let i = 0; i < totalSupply; i++) {
-        try {
-          const ticketInfo = await contracts.ticketNFT.getTicketInfo(i);
-          if (Number(ticketInfo.status) === 0) { // PENDING
-            const owner = await contracts.ticketNFT.ownerOf(i);
-            const tokenURI = await contracts.ticketNFT.tokenURI(i);
-            
-            pending.push({
-              tokenId: i,
-              ticketInfo,
-              owner,
-              tokenURI,
-            });
-          }
-        } catch (error) {
-          console.error(`Error loading ticket ${i}:`, error);
-        }
-      }
-
-      setPendingTickets(pending);
+      setPendingTickets(await loadTicketsByStatus(0)); // PENDING
     } catch (error) {
       console.error('Error loading pending tickets:', error);
     }
@@ -119,6 +146,7 @@ const AdminDashboard = () => {
       const activeEscrows = await contracts.marketplace.getActiveEscrows();
       console.log("Escrows:", activeEscrows);
 
+      const council = await isDisputeCouncilActive();
       const disputedTransactions = [];
 
       for (const tokenId of activeEscrows) {
@@ -130,7 +158,9 @@ const AdminDashboard = () => {
             disputedTransactions.push({
               tokenId: tokenId.toString(),
               escrow,
+              paymentToken: await getTokenMetadata(escrow.paymentToken),
               ticketInfo,
+              ballot: council ? await loadDisputeVotes(tokenId) : null,
             });
           }
         } catch (error) {
@@ -138,12 +168,85 @@ const AdminDashboard = () => {
         }
       }
 
+      setCouncilActive(council);
       setDisputes(disputedTransactions);
     } catch (error) {
       console.error('Error loading disputes:', error);
     }
   };
 
+  const loadEventRegistry = async () => {
+    try {
+      setEvents(await loadEvents());
+    } catch (error) {
+      console.error('Error loading events:', error);
+    }
+  };
+
+  const loadTreasury = async () => {
+    try {
+      const [accruedFees, totalEscrowed, totalPendingWithdrawals, balance, isTreasurer, isAdmin] = await Promise.all([
+        contracts.marketplace.accruedFees(),
+        contracts.marketplace.totalEscrowed(),
+        contracts.marketplace.totalPendingWithdrawals(),
+        provider.getBalance(contracts.marketplace.target),
+        hasRole(TREASURER_ROLE),
+        hasRole(ADMIN_ROLE),
+      ]);
+
+      const tokens = (await loadPaymentTokens()).slice(1); // skip native ETH
+      const tokenTotals = await Promise.all(
+        tokens.map(async (token) => {
+          const [fees, escrowed, pending] = await Promise.all([
+            contracts.marketplace.tokenAccruedFees(token.address),
+            contracts.marketplace.tokenEscrowed(token.address),
+            contracts.marketplace.tokenPendingWithdrawals(token.address),
+          ]);
+          return { token, fees, escrowed, pending };
+        })
+      );
+
+      setTreasury({ accruedFees, totalEscrowed, totalPendingWithdrawals, balance, isTreasurer, isAdmin, tokenTotals });
+    } catch (error) {
+      console.error('Error loading treasury:', error);
+    }
+  };
+
+  const loadRoles = async () => {
+    if (!contracts.roles) return;
+    try {
+      setRoleMembers(await loadRoleMembers());
+    } catch (error) {
+      console.error('Error loading roles:', error);
+    }
+  };
+
+  // Whether the connected account administers a role (the default admin unless delegated)
+  const canAdministerRole = (role) => {
+    const adminRole = roleMembers.find((entry) => entry.id === role.adminRole);
+    return Boolean(
+      adminRole && adminRole.members.some((member) => member.toLowerCase() === account.toLowerCase())
+    );
+  };
+
+  const getEvent = (ticketInfo) => {
+    return events.find((event) => event.eventId === ticketInfo.eventId.toString()) || {};
+  };
+
+  const formatEventPrice = (ticketInfo, value) => {
+    const token = getEvent(ticketInfo).paymentToken || NATIVE_TOKEN;
+    return `${formatTokenAmount(value, token)} ${token.symbol}`;
+  };
+
+  const getEventStatusText = (status) => {
+    switch (status) {
+      case 0: return 'Scheduled';
+      case 1: return 'Completed';
+      case 2: return 'Cancelled';
+      default: return 'Unknown';
+    }
+  };
+
   const handleVerifyTicket = async (tokenId) => {
     try {
       setVerifying(true);
@@ -158,23 +261,93 @@ const AdminDashboard = () => {
     }
   };
 
-  const handleResolveDispute = async (tokenId, sellerWins) => {
+  const handleExecuteDispute = async (tokenId) => {
     try {
       setResolving(true);
-      await resolveDispute(tokenId, sellerWins);
+      await executeDispute(tokenId);
       toast.success('Dispute resolved successfully!');
       await loadDisputes();
     } catch (error) {
-      console.error('Error resolving dispute:', error);
-      toast.error('Failed to resolve dispute');
+      console.error('Error executing dispute:', error);
+      toast.error(error.reason || 'Failed to execute dispute');
     } finally {
       setResolving(false);
     }
   };
 
-  const openTicketDetails = (ticket) => {
+  const handleWithdrawFees = async () => {
+    try {
+      setWithdrawingFees(true);
+      await withdrawFees();
+      toast.success('Fees credited to your pending balance!');
+      await loadTreasury();
+    } catch (error) {
+      console.error('Error withdrawing fees:', error);
+      toast.error('Failed to withdraw fees');
+    } finally {
+      setWithdrawingFees(false);
+    }
+  };
+
+  const handleWithdrawTokenFees = async (token) => {
+    try {
+      setWithdrawingFees(true);
+      await withdrawTokenFees(token.address);
+      toast.success(`${token.symbol} fees credited to your pending balance!`);
+      await loadTreasury();
+    } catch (error) {
+      console.error('Error withdrawing token fees:', error);
+      toast.error('Failed to withdraw fees');
+    } finally {
+      setWithdrawingFees(false);
+    }
+  };
+
+  const handleAllowToken = async () => {
+    try {
+      await setPaymentTokenAllowed(newTokenAddress, true);
+      toast.success('Payment token allowed!');
+      setNewTokenAddress('');
+      await loadTreasury();
+    } catch (error) {
+      console.error('Error allowing payment token:', error);
+      toast.error('Failed to allow payment token');
+    }
+  };
+
+  const handleRoleChange = async (roleId, address, granted) => {
+    if (!ethers.isAddress(address)) {
+      toast.error('Enter a valid address');
+      return;
+    }
+
+    const label = ROLES.find((role) => role.id === roleId).label;
+    try {
+      setSavingRole(true);
+      await (granted ? grantRole(roleId, address) : revokeRole(roleId, address));
+      toast.success(granted ? `${label} role granted!` : `${label} role revoked`);
+      setGrantAddress('');
+      await Promise.all([loadRoles(), loadTreasury()]);
+    } catch (error) {
+      console.error('Error updating role:', error);
+      toast.error(error.reason || 'Failed to update role');
+    } finally {
+      setSavingRole(false);
+    }
+  };
+
+  const openTicketDetails = async (ticket) => {
     setSelectedTicket(ticket);
+    setPreviousRejection(null);
     setDetailsDialog(true);
+
+    // Resubmitted tickets keep their last rejection on-chain
+    try {
+      const rejection = await loadRejection(ticket.tokenId);
+      if (rejection.reason !== 0) setPreviousRejection(rejection);
+    } catch (error) {
+      console.error('Error loading rejection:', error);
+    }
   };
 
   const formatDate = (timestamp) => {
@@ -209,7 +382,7 @@ const AdminDashboard = () => {
             Admin Dashboard
           </Typography>
           <Typography variant="subtitle1" color="text.secondary">
-            Manage ticket verification and dispute resolution
+            Manage events, ticket verification, disputes, the treasury and roles
           </Typography>
         </Box>
       </Box>
@@ -274,6 +447,23 @@ const AdminDashboard = () => {
             label={`Disputes (${disputes.length})`}
             iconPosition="start"
           />
+          <Tab
+            icon={<Event />}
+            label={`Events (${events.length})`}
+            iconPosition="start"
+          />
+          <Tab
+            icon={<AccountBalance />}
+            label="Treasury"
+            iconPosition="start"
+          />
+          {contracts.roles && (
+            <Tab
+              icon={<ManageAccounts />}
+              label="Roles"
+              iconPosition="start"
+            />
+          )}
         </Tabs>
 
         <CardContent sx={{ p: 0 }}>
@@ -298,11 +488,11 @@ const AdminDashboard = () => {
                       <TableCell>#{ticket.tokenId}</TableCell>
                       <TableCell>
                         <Typography variant="subtitle2">
-                          {ticket.ticketInfo.eventName}
+                          {getEvent(ticket.ticketInfo).name}
                         </Typography>
                       </TableCell>
-                      <TableCell>{ticket.ticketInfo.venue}</TableCell>
-                      <TableCell>{ticket.ticketInfo.eventDate}</TableCell>
+                      <TableCell>{getEvent(ticket.ticketInfo).venue}</TableCell>
+                      <TableCell>{formatEventDate(getEvent(ticket.ticketInfo).startTime)}</TableCell>
                       <TableCell>
                         <Chip
                           label={formatAddress(ticket.owner)}
@@ -332,6 +522,21 @@ const AdminDashboard = () => {
                           >
                             Verify
                           </Button>
+                          <Button
+                            size="small"
+                            startIcon={<HelpOutline />}
+                            onClick={() => setRejectTarget({ ticket, requestInfo: true })}
+                          >
+                            Request Info
+                          </Button>
+                          <Button
+                            size="small"
+                            color="error"
+                            startIcon={<Cancel />}
+                            onClick={() => setRejectTarget({ ticket, requestInfo: false })}
+                          >
+                            Reject
+                          </Button>
                         </Box>
                       </TableCell>
                     </TableRow>
@@ -362,6 +567,7 @@ const AdminDashboard = () => {
                     <TableCell>Seller</TableCell>
                     <TableCell>Price</TableCell>
                     <TableCell>Reason</TableCell>
+                    {councilActive && <TableCell>Votes</TableCell>}
                     <TableCell>Actions</TableCell>
                   </TableRow>
                 </TableHead>
@@ -371,7 +577,7 @@ const AdminDashboard = () => {
                       <TableCell>#{dispute.tokenId}</TableCell>
                       <TableCell>
                         <Typography variant="subtitle2">
-                          {dispute.ticketInfo.eventName}
+                          {getEvent(dispute.ticketInfo).name}
                         </Typography>
                       </TableCell>
                       <TableCell>
@@ -391,40 +597,55 @@ const AdminDashboard = () => {
                         />
                       </TableCell>
                       <TableCell>
-                        {formatEther(dispute.escrow.price)} ETH
+                        {formatTokenAmount(dispute.escrow.price, dispute.paymentToken)} {dispute.paymentToken.symbol}
                       </TableCell>
                       <TableCell>
                         <Typography variant="body2" sx={{ maxWidth: 200 }}>
                           {dispute.escrow.disputeReason || 'No reason provided'}
                         </Typography>
                       </TableCell>
+                      {councilActive && (
+                        <TableCell>
+                          <DisputeVotes ballot={dispute.ballot} formatAddress={formatAddress} />
+                        </TableCell>
+                      )}
                       <TableCell>
                         <Box sx={{ display: 'flex', gap: 1, flexDirection: 'column' }}>
                           <Button
                             size="small"
-                            variant="contained"
-                            color="success"
-                            onClick={() => handleResolveDispute(dispute.tokenId, true)}
-                            disabled={resolving}
+                            variant="outlined"
+                            startIcon={<Visibility />}
+                            onClick={() => setThreadTarget(dispute)}
                           >
-                            Seller Wins
+                            Evidence
                           </Button>
                           <Button
                             size="small"
                             variant="contained"
-                            color="primary"
-                            onClick={() => handleResolveDispute(dispute.tokenId, false)}
+                            startIcon={<Gavel />}
+                            onClick={() => setResolveTarget(dispute)}
                             disabled={resolving}
                           >
-                            Buyer Wins
+                            {councilActive ? 'Vote' : 'Resolve'}
                           </Button>
+                          {dispute.ballot && leadingResolution(dispute.ballot) && (
+                            <Button
+                              size="small"
+                              variant="contained"
+                              color="error"
+                              onClick={() => handleExecuteDispute(dispute.tokenId)}
+                              disabled={resolving}
+                            >
+                              Execute
+                            </Button>
+                          )}
                         </Box>
                       </TableCell>
                     </TableRow>
                   ))}
                   {disputes.length === 0 && (
                     <TableRow>
-                      <TableCell colSpan={7} align="center">
+                      <TableCell colSpan={councilActive ? 8 : 7} align="center">
                         <Typography variant="body2" color="text.secondary">
                           No active disputes
                         </Typography>
@@ -435,9 +656,350 @@ const AdminDashboard = () => {
               </Table>
             </TableContainer>
           )}
+
+          {/* Events Tab */}
+          {tabValue === 2 && (
+            <Box>
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', p: 2 }}>
+                <Button
+                  variant="contained"
+                  startIcon={<Add />}
+                  onClick={() => setEventDialog(true)}
+                >
+                  Create Event
+                </Button>
+              </Box>
+              <TableContainer>
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Event ID</TableCell>
+                      <TableCell>Name</TableCell>
+                      <TableCell>Venue</TableCell>
+                      <TableCell>Starts</TableCell>
+                      <TableCell>Organizer</TableCell>
+                      <TableCell>Tickets</TableCell>
+                      <TableCell>Status</TableCell>
+                      <TableCell>Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {events.map((event) => (
+                      <TableRow key={event.eventId}>
+                        <TableCell>#{event.eventId}</TableCell>
+                        <TableCell>
+                          <Typography variant="subtitle2">{event.name}</Typography>
+                        </TableCell>
+                        <TableCell>{event.venue}</TableCell>
+                        <TableCell>{formatEventDate(event.startTime)}</TableCell>
+                        <TableCell>
+                          <Chip
+                            label={formatAddress(event.organizer)}
+                            size="small"
+                            variant="outlined"
+                          />
+                        </TableCell>
+                        <TableCell>{event.ticketsVerified} / {event.capacity}</TableCell>
+                        <TableCell>
+                          <Chip
+                            label={getEventStatusText(event.status)}
+                            color={event.status === 0 ? 'success' : event.status === 2 ? 'error' : 'default'}
+                            size="small"
+                          />
+                        </TableCell>
+                        <TableCell>
+                          {contracts.refundVault && event.status === 0 && (
+                            <Button size="small" onClick={() => setReschedulingEvent(event)}>
+                              Reschedule
+                            </Button>
+                          )}
+                          {contracts.refundVault && event.status !== 1 && (
+                            <Button size="small" color="error" onClick={() => setCancellingEvent(event)}>
+                              {event.status === 0 ? 'Cancel' : 'Unwind'}
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                    {events.length === 0 && (
+                      <TableRow>
+                        <TableCell colSpan={8} align="center">
+                          <Typography variant="body2" color="text.secondary">
+                            No events created yet
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Box>
+          )}
+
+          {/* Treasury Tab */}
+          {tabValue === 3 && treasury && (
+            <Box sx={{ p: 3 }}>
+              <Grid container spacing={3} sx={{ mb: 3 }}>
+                <Grid item xs={12} sm={6} md={3}>
+                  <Typography variant="body2" color="text.secondary">
+                    Accrued Fees
+                  </Typography>
+                  <Typography variant="h5" sx={{ fontWeight: 'bold' }}>
+                    {formatEther(treasury.accruedFees)} ETH
+                  </Typography>
+                </Grid>
+                <Grid item xs={12} sm={6} md={3}>
+                  <Typography variant="body2" color="text.secondary">
+                    Locked in Escrow
+                  </Typography>
+                  <Typography variant="h5" sx={{ fontWeight: 'bold' }}>
+                    {formatEther(treasury.totalEscrowed)} ETH
+                  </Typography>
+                </Grid>
+                <Grid item xs={12} sm={6} md={3}>
+                  <Typography variant="body2" color="text.secondary">
+                    Owed to Users
+                  </Typography>
+                  <Typography variant="h5" sx={{ fontWeight: 'bold' }}>
+                    {formatEther(treasury.totalPendingWithdrawals)} ETH
+                  </Typography>
+                </Grid>
+                <Grid item xs={12} sm={6} md={3}>
+                  <Typography variant="body2" color="text.secondary">
+                    Contract Balance
+                  </Typography>
+                  <Typography variant="h5" sx={{ fontWeight: 'bold' }}>
+                    {formatEther(treasury.balance)} ETH
+                  </Typography>
+                </Grid>
+              </Grid>
+
+              {treasury.balance < treasury.accruedFees + treasury.totalEscrowed + treasury.totalPendingWithdrawals ? (
+                <Alert severity="error" sx={{ mb: 3 }}>
+                  The contract balance does not cover fees, escrows and pending withdrawals.
+                </Alert>
+              ) : (
+                <Alert severity="success" sx={{ mb: 3 }}>
+                  The marketplace is solvent: every escrowed payment and pending withdrawal is backed.
+                </Alert>
+              )}
+
+              <Divider sx={{ mb: 3 }} />
+
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Typography variant="body2" color="text.secondary">
+                  Only accrued fees can be withdrawn, by a treasurer. They are credited to the treasurer's
+                  pending balance and withdrawn from the Profile page.
+                </Typography>
+                <Button
+                  variant="contained"
+                  onClick={handleWithdrawFees}
+                  disabled={
+                    withdrawingFees ||
+                    treasury.accruedFees === 0n ||
+                    !treasury.isTreasurer
+                  }
+                  startIcon={withdrawingFees && <CircularProgress size={20} />}
+                >
+                  {withdrawingFees ? 'Withdrawing...' : 'Withdraw Fees'}
+                </Button>
+              </Box>
+
+              <Typography variant="h6" sx={{ mt: 4, mb: 1 }}>
+                Payment Tokens
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Token</TableCell>
+                      <TableCell>Accrued Fees</TableCell>
+                      <TableCell>Locked in Escrow</TableCell>
+                      <TableCell>Owed to Users</TableCell>
+                      <TableCell>Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {treasury.tokenTotals.map(({ token, fees, escrowed, pending }) => (
+                      <TableRow key={token.address}>
+                        <TableCell>
+                          <Typography variant="subtitle2">{token.symbol}</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {formatAddress(token.address)}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>{formatTokenAmount(fees, token)}</TableCell>
+                        <TableCell>{formatTokenAmount(escrowed, token)}</TableCell>
+                        <TableCell>{formatTokenAmount(pending, token)}</TableCell>
+                        <TableCell>
+                          <Button
+                            size="small"
+                            onClick={() => handleWithdrawTokenFees(token)}
+                            disabled={
+                              withdrawingFees ||
+                              fees === 0n ||
+                              !treasury.isTreasurer
+                            }
+                          >
+                            Withdraw Fees
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                    {treasury.tokenTotals.length === 0 && (
+                      <TableRow>
+                        <TableCell colSpan={5} align="center">
+                          <Typography variant="body2" color="text.secondary">
+                            Only ETH payments are enabled
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              {treasury.isAdmin && (
+                <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+                  <TextField
+                    size="small"
+                    fullWidth
+                    label="ERC-20 token address"
+                    value={newTokenAddress}
+                    onChange={(e) => setNewTokenAddress(e.target.value)}
+                  />
+                  <Button
+                    variant="outlined"
+                    onClick={handleAllowToken}
+                    disabled={!newTokenAddress}
+                  >
+                    Allow Token
+                  </Button>
+                </Box>
+              )}
+            </Box>
+          )}
+
+          {/* Roles Tab */}
+          {tabValue === 4 && (
+            <Box>
+              <TableContainer>
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Role</TableCell>
+                      <TableCell>Members</TableCell>
+                      <TableCell>Granted By</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {roleMembers.map((role) => (
+                      <TableRow key={role.id}>
+                        <TableCell>
+                          <Typography variant="subtitle2">{role.label}</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {role.description}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                            {role.members.map((member) => (
+                              <Chip
+                                key={member}
+                                label={formatAddress(member)}
+                                size="small"
+                                color={member.toLowerCase() === account.toLowerCase() ? 'primary' : 'default'}
+                                onDelete={
+                                  savingRole || !canAdministerRole(role)
+                                    ? undefined
+                                    : () => handleRoleChange(role.id, member, false)
+                                }
+                              />
+                            ))}
+                            {role.members.length === 0 && (
+                              <Typography variant="body2" color="text.secondary">
+                                Nobody
+                              </Typography>
+                            )}
+                          </Box>
+                        </TableCell>
+                        <TableCell>
+                          {ROLES.find((entry) => entry.id === role.adminRole)?.label || 'Unknown role'}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              <Box sx={{ p: 3 }}>
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  Roles apply across the NFT contract and every marketplace contract. Revoking the last
+                  admin cannot be undone.
+                </Alert>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    size="small"
+                    fullWidth
+                    label="Address"
+                    placeholder="0x..."
+                    value={grantAddress}
+                    onChange={(e) => setGrantAddress(e.target.value)}
+                  />
+                  <TextField
+                    select
+                    size="small"
+                    label="Role"
+                    value={grantRoleId}
+                    onChange={(e) => setGrantRoleId(e.target.value)}
+                    sx={{ minWidth: 200 }}
+                  >
+                    {ROLES.map((role) => (
+                      <MenuItem key={role.id} value={role.id}>
+                        {role.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                  <Button
+                    variant="contained"
+                    onClick={() => handleRoleChange(grantRoleId, grantAddress.trim(), true)}
+                    disabled={
+                      savingRole ||
+                      !grantAddress ||
+                      !canAdministerRole(roleMembers.find((role) => role.id === grantRoleId) || {})
+                    }
+                    startIcon={savingRole && <CircularProgress size={20} />}
+                  >
+                    {savingRole ? 'Saving...' : 'Grant'}
+                  </Button>
+                </Box>
+              </Box>
+            </Box>
+          )}
         </CardContent>
       </Card>
 
+      {/* Create Event Dialog */}
+      <CreateEventDialog
+        open={eventDialog}
+        onClose={() => setEventDialog(false)}
+        onCreated={loadEventRegistry}
+      />
+
+      <CancelEventDialog
+        open={Boolean(cancellingEvent)}
+        onClose={() => setCancellingEvent(null)}
+        event={cancellingEvent}
+        onCancelled={loadEventRegistry}
+      />
+
+      <RescheduleEventDialog
+        open={Boolean(reschedulingEvent)}
+        onClose={() => setReschedulingEvent(null)}
+        event={reschedulingEvent}
+        onRescheduled={loadEventRegistry}
+      />
+
       {/* Ticket Details Dialog */}
       <Dialog
         open={detailsDialog}
@@ -450,38 +1012,39 @@ const AdminDashboard = () => {
           {selectedTicket && (
             <Grid container spacing={3}>
               <Grid item xs={12} md={6}>
-                <Box
-                  component="img"
-                  src={selectedTicket.tokenURI.includes('ipfs://') 
-                    ? `https://ipfs.io/ipfs/${selectedTicket.tokenURI.replace('ipfs://', '')}`
-                    : selectedTicket.tokenURI
-                  }
+                <TicketImage
+                  metadata={selectedMetadata}
                   alt="Ticket"
                   sx={{
-                    width: '100%',
-                    height: 'auto',
+                    objectFit: 'contain',
                     borderRadius: 1,
                     border: '1px solid',
                     borderColor: 'grey.300',
                   }}
                 />
+                {selectedMetadata && !selectedMetadata.valid && (
+                  <Alert severity="warning" sx={{ mt: 2 }}>
+                    Metadata does not follow the ERC-721 schema: {selectedMetadata.errors.join('; ')}
+                  </Alert>
+                )}
               </Grid>
               <Grid item xs={12} md={6}>
                 <Typography variant="h6" gutterBottom>
-                  {selectedTicket.ticketInfo.eventName}
+                  {getEvent(selectedTicket.ticketInfo).name}
                 </Typography>
                 <Divider sx={{ my: 2 }} />
                 <Typography variant="body2" gutterBottom>
-                  <strong>Venue:</strong> {selectedTicket.ticketInfo.venue}
+                  <strong>Venue:</strong> {getEvent(selectedTicket.ticketInfo).venue}
                 </Typography>
                 <Typography variant="body2" gutterBottom>
-                  <strong>Date:</strong> {selectedTicket.ticketInfo.eventDate}
+                  <strong>Date:</strong> {formatEventDate(getEvent(selectedTicket.ticketInfo).startTime)}
                 </Typography>
                 <Typography variant="body2" gutterBottom>
                   <strong>Seat:</strong> {selectedTicket.ticketInfo.seatInfo}
                 </Typography>
                 <Typography variant="body2" gutterBottom>
-                  <strong>Original Price:</strong> {formatEther(selectedTicket.ticketInfo.originalPrice)} ETH
+                  <strong>Original Price:</strong>{' '}
+                  {formatEventPrice(selectedTicket.ticketInfo, selectedTicket.ticketInfo.originalPrice)}
                 </Typography>
                 <Typography variant="body2" gutterBottom>
                   <strong>Owner:</strong> {formatAddress(selectedTicket.owner)}
@@ -489,12 +1052,31 @@ const AdminDashboard = () => {
                 <Typography variant="body2" gutterBottom>
                   <strong>Listed:</strong> {formatDate(selectedTicket.ticketInfo.listingTimestamp)}
                 </Typography>
+                {previousRejection && (
+                  <Alert severity="info" sx={{ mt: 2 }}>
+                    Resubmitted after being rejected on {formatDate(previousRejection.timestamp)}:{' '}
+                    {REJECTION_REASON_LABELS[previousRejection.reason]}
+                    {previousRejection.note && ` (${previousRejection.note})`}
+                  </Alert>
+                )}
               </Grid>
             </Grid>
           )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setDetailsDialog(false)}>Close</Button>
+          {selectedTicket && Number(selectedTicket.ticketInfo.status) === 0 && (
+            <Button
+              color="error"
+              startIcon={<Cancel />}
+              onClick={() => {
+                setRejectTarget({ ticket: selectedTicket, requestInfo: false });
+                setDetailsDialog(false);
+              }}
+            >
+              Reject
+            </Button>
+          )}
           {selectedTicket && Number(selectedTicket.ticketInfo.status) === 0 && (
             <Button
               variant="contained"
@@ -511,6 +1093,32 @@ const AdminDashboard = () => {
           )}
         </DialogActions>
       </Dialog>
+
+      <RejectTicketDialog
+        open={Boolean(rejectTarget)}
+        onClose={() => setRejectTarget(null)}
+        ticket={rejectTarget && rejectTarget.ticket}
+        requestInfo={Boolean(rejectTarget && rejectTarget.requestInfo)}
+        onRejected={loadPendingTickets}
+      />
+
+      <ResolveDisputeDialog
+        open={Boolean(resolveTarget)}
+        onClose={() => setResolveTarget(null)}
+        dispute={resolveTarget}
+        councilActive={councilActive}
+        onResolved={loadDisputes}
+      />
+
+      <DisputeThreadDialog
+        open={Boolean(threadTarget)}
+        onClose={() => setThreadTarget(null)}
+        dispute={threadTarget}
+        onResolve={(dispute) => {
+          setThreadTarget(null);
+          setResolveTarget(dispute);
+        }}
+      />
     </Container>
   );
 };
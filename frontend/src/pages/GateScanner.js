@@ -0,0 +1,359 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Container,
+  Typography,
+  Card,
+  CardContent,
+  Grid,
+  Button,
+  Box,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  CircularProgress,
+  Divider,
+} from '@mui/material';
+import { QrCodeScanner, CloudDownload, CheckCircle, Cancel } from '@mui/icons-material';
+import { Html5Qrcode } from 'html5-qrcode';
+import { toast } from 'react-toastify';
+import { useWeb3, recoverTicketPassSigner } from '../context/Web3Context';
+
+const READER_ID = 'gate-qr-reader';
+const SNAPSHOT_PREFIX = 'gate-snapshot:';
+const VERIFIED = 1; // EventTicketNFT.TicketStatus.VERIFIED
+const LOCKED = 2; // EventTicketNFT.TicketStatus.LOCKED
+const UNLOCKED = 3; // EventTicketNFT.TicketStatus.UNLOCKED
+const REDEEMED = 6; // EventTicketNFT.TicketStatus.REDEEMED
+
+const snapshotKey = (chainId, eventId) => `${SNAPSHOT_PREFIX}${chainId}:${eventId}`;
+
+const readSnapshot = (chainId, eventId) => {
+  const saved = localStorage.getItem(snapshotKey(chainId, eventId));
+  return saved ? JSON.parse(saved) : null;
+};
+
+const saveSnapshot = (snapshot) => {
+  localStorage.setItem(snapshotKey(snapshot.chainId, snapshot.eventId), JSON.stringify(snapshot));
+};
+
+// Events with a saved snapshot, so the page still works without a connection
+const cachedEvents = (chainId) =>
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(`${SNAPSHOT_PREFIX}${chainId}:`))
+    .map((key) => JSON.parse(localStorage.getItem(key)))
+    .map((snapshot) => ({ eventId: snapshot.eventId, name: snapshot.eventName }));
+
+/**
+ * Checks a scanned pass against the cached snapshot only, without network access.
+ * Returns the ticket and holder when the pass may be redeemed, or the reason it may not.
+ */
+const checkTicketPass = (text, snapshot) => {
+  let pass;
+  try {
+    pass = JSON.parse(text);
+  } catch (error) {
+    return { error: 'Not a ticket QR code' };
+  }
+  if (pass.tokenId === undefined || pass.nonce === undefined || !pass.expiry || !pass.gate || !pass.signature) {
+    return { error: 'Not a ticket QR code' };
+  }
+  if (pass.chainId !== snapshot.chainId || pass.gate.toLowerCase() !== snapshot.gate.toLowerCase()) {
+    return { pass, error: 'QR code is for another network or deployment' };
+  }
+
+  const ticket = snapshot.tickets[String(pass.tokenId)];
+  if (!ticket) return { pass, error: 'Ticket is not for this event' };
+  if (pass.expiry < Date.now() / 1000) return { pass, ticket, error: 'QR code expired; ask the holder to refresh it' };
+  if (ticket.status === REDEEMED) return { pass, ticket, error: 'Ticket already redeemed' };
+  const inBuyersEscrow =
+    ticket.status === LOCKED && ticket.escrowBuyer && ticket.escrowBuyer.toLowerCase() === ticket.owner.toLowerCase();
+  if (ticket.status !== VERIFIED && ticket.status !== UNLOCKED && !inBuyersEscrow) {
+    return { pass, ticket, error: 'Ticket is not verified, or is disputed or up for auction' };
+  }
+  if (pass.nonce !== ticket.nonce) return { pass, ticket, error: 'QR code was revoked or already used' };
+
+  let holder;
+  try {
+    holder = recoverTicketPassSigner(pass);
+  } catch (error) {
+    return { pass, ticket, error: 'Invalid signature' };
+  }
+  if (holder.toLowerCase() !== ticket.owner.toLowerCase()) {
+    return { pass, ticket, error: 'QR code was not signed by the ticket owner' };
+  }
+
+  return { pass, ticket, holder };
+};
+
+const CameraReader = ({ onScan }) => {
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    const reader = new Html5Qrcode(READER_ID);
+    const started = reader
+      .start({ facingMode: 'environment' }, { fps: 10, qrbox: 250 }, (text) => onScanRef.current(text))
+      .then(() => true)
+      .catch((error) => {
+        console.error('Error starting camera:', error);
+        toast.error('Could not access the camera; paste the code instead');
+        return false;
+      });
+
+    return () => {
+      started.then((running) => running && reader.stop().then(() => reader.clear())).catch(() => {});
+    };
+  }, []);
+
+  return <Box id={READER_ID} sx={{ width: '100%', maxWidth: 400, mx: 'auto' }} />;
+};
+
+const GateScanner = () => {
+  const {
+    account,
+    contracts,
+    chainId,
+    formatAddress,
+    loadEvents,
+    isGateScanner,
+    loadGateSnapshot,
+    redeemTicket,
+  } = useWeb3();
+
+  const [events, setEvents] = useState([]);
+  const [selectedEventId, setSelectedEventId] = useState('');
+  const [snapshot, setSnapshot] = useState(null);
+  const [authorized, setAuthorized] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [manualCode, setManualCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [redeeming, setRedeeming] = useState(false);
+  const lastScan = useRef('');
+
+  useEffect(() => {
+    if (contracts.ticketNFT && chainId) {
+      loadEvents()
+        .then(setEvents)
+        .catch((error) => {
+          console.error('Error loading events, using cached snapshots:', error);
+          setEvents(cachedEvents(chainId));
+        });
+    }
+  }, [contracts, chainId]);
+
+  useEffect(() => {
+    if (!selectedEventId || !chainId) return;
+    setSnapshot(readSnapshot(chainId, selectedEventId));
+    setResult(null);
+    isGateScanner(selectedEventId)
+      .then(setAuthorized)
+      .catch(() => setAuthorized(null)); // Offline; the redeem call will tell
+  }, [selectedEventId, chainId, account]);
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      const event = events.find((item) => item.eventId === selectedEventId);
+      const fresh = { ...(await loadGateSnapshot(selectedEventId)), eventName: event ? event.name : '' };
+      saveSnapshot(fresh);
+      setSnapshot(fresh);
+      toast.success(`Snapshot saved (${Object.keys(fresh.tickets).length} tickets)`);
+    } catch (error) {
+      console.error('Error downloading snapshot:', error);
+      toast.error('Failed to download snapshot');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleCode = (text) => {
+    // The camera reports the same code many times a second
+    if (!snapshot || text === lastScan.current) return;
+    lastScan.current = text;
+    setResult(checkTicketPass(text, snapshot));
+  };
+
+  const handleNext = () => {
+    lastScan.current = '';
+    setManualCode('');
+    setResult(null);
+  };
+
+  const handleRedeem = async () => {
+    try {
+      setRedeeming(true);
+      await redeemTicket(result.pass);
+
+      // Keep the snapshot current so the same ticket is refused at this gate
+      const tokenKey = String(result.pass.tokenId);
+      const updated = {
+        ...snapshot,
+        tickets: {
+          ...snapshot.tickets,
+          [tokenKey]: { ...snapshot.tickets[tokenKey], status: REDEEMED, nonce: result.pass.nonce + 1 },
+        },
+      };
+      saveSnapshot(updated);
+      setSnapshot(updated);
+      toast.success(`Ticket #${result.pass.tokenId} admitted`);
+      handleNext();
+    } catch (error) {
+      console.error('Error redeeming ticket:', error);
+      toast.error(error.reason || 'Failed to redeem ticket');
+    } finally {
+      setRedeeming(false);
+    }
+  };
+
+  if (!account) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 4 }}>
+        <Alert severity="warning">
+          Please connect your scanner wallet to check tickets in.
+        </Alert>
+      </Container>
+    );
+  }
+
+  if (!contracts.gate) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 4 }}>
+        <Alert severity="info">Gate check-in is not deployed on this network.</Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 4 }}>
+        <QrCodeScanner sx={{ fontSize: 40, mr: 2, color: 'primary.main' }} />
+        <Box>
+          <Typography variant="h3" component="h1" sx={{ fontWeight: 'bold' }}>
+            Gate Scanner
+          </Typography>
+          <Typography variant="subtitle1" color="text.secondary">
+            Check ticket QR codes against an offline snapshot and admit their holders
+          </Typography>
+        </Box>
+      </Box>
+
+      <Card sx={{ mb: 4 }}>
+        <CardContent sx={{ p: 4 }}>
+          <Grid container spacing={3} alignItems="center">
+            <Grid item xs={12} md={8}>
+              <FormControl fullWidth>
+                <InputLabel>Event</InputLabel>
+                <Select
+                  value={selectedEventId}
+                  label="Event"
+                  onChange={(e) => setSelectedEventId(e.target.value)}
+                >
+                  {events.map((event) => (
+                    <MenuItem key={event.eventId} value={event.eventId}>
+                      {event.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <Button
+                variant="outlined"
+                fullWidth
+                onClick={handleDownload}
+                disabled={!selectedEventId || downloading}
+                startIcon={downloading ? <CircularProgress size={20} /> : <CloudDownload />}
+              >
+                {snapshot ? 'Refresh Snapshot' : 'Download Snapshot'}
+              </Button>
+            </Grid>
+            {authorized === false && (
+              <Grid item xs={12}>
+                <Alert severity="warning">
+                  {formatAddress(account)} is not a gate scanner for this event. Ask the organizer to add it.
+                </Alert>
+              </Grid>
+            )}
+            {selectedEventId && (
+              <Grid item xs={12}>
+                {snapshot ? (
+                  <Typography variant="body2" color="text.secondary">
+                    Snapshot of {Object.keys(snapshot.tickets).length} tickets taken{' '}
+                    {new Date(snapshot.takenAt * 1000).toLocaleString()}. Tickets sold since then may be
+                    refused until you refresh it.
+                  </Typography>
+                ) : (
+                  <Alert severity="info">Download a snapshot before doors open to check tickets offline.</Alert>
+                )}
+              </Grid>
+            )}
+          </Grid>
+        </CardContent>
+      </Card>
+
+      {snapshot && (
+        <Card>
+          <CardContent sx={{ p: 4 }}>
+            <Typography variant="h6" gutterBottom>
+              Scan Ticket
+            </Typography>
+            <Divider sx={{ mb: 3 }} />
+
+            {scanning && !result && <CameraReader onScan={handleCode} />}
+            <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+              <Button variant="contained" onClick={() => setScanning(!scanning)} startIcon={<QrCodeScanner />}>
+                {scanning ? 'Stop Camera' : 'Start Camera'}
+              </Button>
+              <TextField
+                fullWidth
+                size="small"
+                label="Or paste the QR code contents"
+                value={manualCode}
+                onChange={(e) => setManualCode(e.target.value)}
+              />
+              <Button onClick={() => handleCode(manualCode.trim())} disabled={!manualCode.trim()}>
+                Check
+              </Button>
+            </Box>
+
+            {result && (
+              <Box sx={{ mt: 3 }}>
+                {result.error ? (
+                  <Alert severity="error" icon={<Cancel />}>
+                    {result.pass ? `Ticket #${result.pass.tokenId}: ` : ''}{result.error}
+                  </Alert>
+                ) : (
+                  <Alert severity="success" icon={<CheckCircle />}>
+                    Ticket #{result.pass.tokenId} • {result.ticket.seatInfo} • held by {formatAddress(result.holder)}
+                  </Alert>
+                )}
+                <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+                  {!result.error && (
+                    <Button
+                      variant="contained"
+                      color="success"
+                      onClick={handleRedeem}
+                      disabled={redeeming}
+                      startIcon={redeeming && <CircularProgress size={20} />}
+                    >
+                      {redeeming ? 'Admitting...' : 'Admit'}
+                    </Button>
+                  )}
+                  <Button onClick={handleNext} disabled={redeeming}>
+                    Next Ticket
+                  </Button>
+                </Box>
+              </Box>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </Container>
+  );
+};
+
+export default GateScanner;
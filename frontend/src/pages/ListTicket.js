@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Container,
   Typography,
@@ -13,10 +13,12 @@ import {
   Paper,
   Divider,
   InputAdornment,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  LinearProgress,
 } from '@mui/material';
-import { DatePicker } from '@mui/x-date-pickers/DatePicker';
-import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
-import { AdapterDayjs } from '@mui/x-date-pickers/AdapterDayjs';
 import {
   CloudUpload,
   Event,
@@ -28,16 +30,15 @@ import {
 } from '@mui/icons-material';
 import { useDropzone } from 'react-dropzone';
 import { toast } from 'react-toastify';
-import dayjs from 'dayjs';
 import { useWeb3 } from '../context/Web3Context';
+import { uploadWithRetry, uploadJSON } from '../storage';
 
 const ListTicket = () => {
-  const { account, mintTicket } = useWeb3();
+  const { account, contracts, mintTicket, loadEvents, formatEventDate } = useWeb3();
 
+  const [events, setEvents] = useState([]);
   const [formData, setFormData] = useState({
-    eventName: '',
-    eventDate: null,
-    venue: '',
+    eventId: '',
     seatInfo: '',
     originalPrice: '',
     description: '',
@@ -46,7 +47,54 @@ const ListTicket = () => {
   const [ticketImage, setTicketImage] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
   const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState({ stage: '', value: 0 });
   const [minting, setMinting] = useState(false);
+  const [markupCap, setMarkupCap] = useState(null);
+
+  useEffect(() => {
+    if (contracts.ticketNFT) {
+      loadScheduledEvents();
+    }
+  }, [contracts]);
+
+  const loadScheduledEvents = async () => {
+    try {
+      const allEvents = await loadEvents();
+      const now = Math.floor(Date.now() / 1000);
+      setEvents(
+        allEvents.filter(
+          (event) =>
+            event.status === 0 && // SCHEDULED
+            event.startTime > now &&
+            event.ticketsVerified < event.capacity
+        )
+      );
+    } catch (error) {
+      console.error('Error loading events:', error);
+      toast.error('Failed to load events');
+    }
+  };
+
+  const selectedEvent = events.find((event) => event.eventId === formData.eventId);
+  const currencySymbol = selectedEvent ? selectedEvent.paymentToken.symbol : 'ETH';
+
+  useEffect(() => {
+    if (contracts.marketplace && formData.eventId) {
+      contracts.marketplace
+        .getResaleMarkupCap(formData.eventId)
+        .then((cap) => setMarkupCap(Number(cap)))
+        .catch((error) => {
+          console.error('Error loading resale cap:', error);
+          setMarkupCap(null);
+        });
+    } else {
+      setMarkupCap(null);
+    }
+  }, [contracts, formData.eventId]);
+
+  const resaleCeiling = markupCap !== null && parseFloat(formData.originalPrice) > 0
+    ? (parseFloat(formData.originalPrice) * (10000 + markupCap)) / 10000
+    : null;
 
   const onDrop = (acceptedFiles) => {
     const file = acceptedFiles[0];
@@ -74,31 +122,33 @@ const ListTicket = () => {
     }));
   };
 
-  const uploadToIPFS = async (file) => {
-    // In a real application, you would use IPFS client
-    // For this demo, we'll simulate IPFS upload
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        // Generate a mock IPFS hash
-        const mockHash = `QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG`;
-        resolve(mockHash);
-      }, 2000);
-    });
-  };
+  // Progress and retry callbacks for one upload stage
+  const uploadOptions = (stage) => ({
+    onProgress: (value) => setUploadProgress({ stage, value: Math.round(value * 100) }),
+    onRetry: (attempt, error) => {
+      console.warn(`${stage} attempt ${attempt} failed:`, error);
+      toast.warning(`${stage} failed, retrying (attempt ${attempt + 1})...`);
+    },
+  });
 
   const createMetadata = async (imageHash) => {
     const metadata = {
-      name: formData.eventName,
+      name: selectedEvent.name,
       description: formData.description,
       image: `ipfs://${imageHash}`,
       attributes: [
+        {
+          trait_type: "Event ID",
+          value: selectedEvent.eventId
+        },
         {
           trait_type: "Event Date",
-          value: formData.eventDate.format('YYYY-MM-DD')
+          display_type: "date",
+          value: selectedEvent.startTime
         },
         {
           trait_type: "Venue",
-          value: formData.venue
+          value: selectedEvent.venue
         },
         {
           trait_type: "Seat Info",
@@ -106,14 +156,13 @@ const ListTicket = () => {
         },
         {
           trait_type: "Original Price",
-          value: `${formData.originalPrice} ETH`
+          value: `${formData.originalPrice} ${selectedEvent.paymentToken.symbol}`
         }
       ]
     };
 
     // Upload metadata to IPFS
-    const metadataHash = await uploadToIPFS(JSON.stringify(metadata));
-    return metadataHash;
+    return await uploadJSON(metadata, uploadOptions('Uploading metadata'));
   };
 
   const validateForm = () => {
@@ -122,18 +171,8 @@ const ListTicket = () => {
       return false;
     }
 
-    if (!formData.eventName.trim()) {
-      toast.error('Event name is required');
-      return false;
-    }
-
-    if (!formData.eventDate) {
-      toast.error('Event date is required');
-      return false;
-    }
-
-    if (!formData.venue.trim()) {
-      toast.error('Venue is required');
+    if (!selectedEvent) {
+      toast.error('Please select an event');
       return false;
     }
 
@@ -160,17 +199,17 @@ const ListTicket = () => {
     
     if (!validateForm()) return;
 
+    let uploaded = false;
     try {
       setUploading(true);
       
       // Upload image to IPFS
-      toast.info('Uploading image to IPFS...');
-      const imageHash = await uploadToIPFS(ticketImage);
+      const imageHash = await uploadWithRetry(ticketImage, uploadOptions('Uploading image'));
       
       // Create and upload metadata
-      toast.info('Creating metadata...');
       const metadataHash = await createMetadata(imageHash);
       
+      uploaded = true;
       setUploading(false);
       setMinting(true);
       
@@ -178,9 +217,7 @@ const ListTicket = () => {
       toast.info('Minting ticket NFT...');
       
       const ticketData = {
-        eventName: formData.eventName,
-        eventDate: formData.eventDate.format('YYYY-MM-DD'),
-        venue: formData.venue,
+        eventId: selectedEvent.eventId,
         seatInfo: formData.seatInfo,
         originalPrice: formData.originalPrice,
         proofImageHash: imageHash,
@@ -193,22 +230,24 @@ const ListTicket = () => {
       
       // Reset form
       setFormData({
-        eventName: '',
-        eventDate: null,
-        venue: '',
+        eventId: '',
         seatInfo: '',
         originalPrice: '',
         description: '',
       });
       setTicketImage(null);
       setImagePreview(null);
+      await loadScheduledEvents();
       
     } catch (error) {
       console.error('Error listing ticket:', error);
-      toast.error('Failed to list ticket. Please try again.');
+      toast.error(!uploaded
+        ? 'Failed to upload to IPFS. Check that your IPFS node is running and try again.'
+        : 'Failed to list ticket. Please try again.');
     } finally {
       setUploading(false);
       setMinting(false);
+      setUploadProgress({ stage: '', value: 0 });
     }
   };
 
@@ -226,208 +265,213 @@ const ListTicket = () => {
 
       <Card sx={{ mt: 4 }}>
         <CardContent sx={{ p: 4 }}>
-          <LocalizationProvider dateAdapter={AdapterDayjs}>
-            <Box component="form" onSubmit={handleSubmit}>
-              <Grid container spacing={3}>
-                {/* Event Information */}
-                <Grid item xs={12}>
-                  <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
-                    <Event sx={{ mr: 1 }} />
-                    Event Information
-                  </Typography>
-                  <Divider sx={{ mb: 3 }} />
-                </Grid>
-
-                <Grid item xs={12} md={6}>
-                  <TextField
-                    fullWidth
-                    label="Event Name"
-                    value={formData.eventName}
-                    onChange={(e) => handleInputChange('eventName', e.target.value)}
-                    required
-                    InputProps={{
-                      startAdornment: (
-                        <InputAdornment position="start">
-                          <Event />
-                        </InputAdornment>
-                      ),
-                    }}
-                  />
-                </Grid>
+          <Box component="form" onSubmit={handleSubmit}>
+            <Grid container spacing={3}>
+              {/* Event Information */}
+              <Grid item xs={12}>
+                <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+                  <Event sx={{ mr: 1 }} />
+                  Event Information
+                </Typography>
+                <Divider sx={{ mb: 3 }} />
+              </Grid>
 
-                <Grid item xs={12} md={6}>
-                  <DatePicker
-                    label="Event Date"
-                    value={formData.eventDate}
-                    onChange={(newValue) => handleInputChange('eventDate', newValue)}
-                    renderInput={(params) => <TextField {...params} fullWidth required />}
-                    minDate={dayjs()}
-                  />
-                </Grid>
+              <Grid item xs={12}>
+                <FormControl fullWidth required>
+                  <InputLabel>Event</InputLabel>
+                  <Select
+                    value={formData.eventId}
+                    label="Event"
+                    onChange={(e) => handleInputChange('eventId', e.target.value)}
+                  >
+                    {events.map((event) => (
+                      <MenuItem key={event.eventId} value={event.eventId}>
+                        {event.name} — {event.venue} ({formatEventDate(event.startTime)})
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                {events.length === 0 && (
+                  <Alert severity="warning" sx={{ mt: 2 }}>
+                    No upcoming events are open for tickets. An organizer must create the event first.
+                  </Alert>
+                )}
+              </Grid>
 
+              {selectedEvent && (
                 <Grid item xs={12}>
-                  <TextField
-                    fullWidth
-                    label="Venue"
-                    value={formData.venue}
-                    onChange={(e) => handleInputChange('venue', e.target.value)}
-                    required
-                    InputProps={{
-                      startAdornment: (
-                        <InputAdornment position="start">
-                          <LocationOn />
-                        </InputAdornment>
-                      ),
-                    }}
-                  />
+                  <Box sx={{ display: 'flex', gap: 3, color: 'text.secondary' }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                      <Event sx={{ fontSize: 16, mr: 1 }} />
+                      <Typography variant="body2">{formatEventDate(selectedEvent.startTime)}</Typography>
+                    </Box>
+                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                      <LocationOn sx={{ fontSize: 16, mr: 1 }} />
+                      <Typography variant="body2">{selectedEvent.venue}</Typography>
+                    </Box>
+                  </Box>
                 </Grid>
+              )}
+
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  label="Seat Information"
+                  value={formData.seatInfo}
+                  onChange={(e) => handleInputChange('seatInfo', e.target.value)}
+                  placeholder="e.g., Section A, Row 5, Seat 10"
+                  required
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <Chair />
+                      </InputAdornment>
+                    ),
+                  }}
+                />
+              </Grid>
 
-                <Grid item xs={12} md={6}>
-                  <TextField
-                    fullWidth
-                    label="Seat Information"
-                    value={formData.seatInfo}
-                    onChange={(e) => handleInputChange('seatInfo', e.target.value)}
-                    placeholder="e.g., Section A, Row 5, Seat 10"
-                    required
-                    InputProps={{
-                      startAdornment: (
-                        <InputAdornment position="start">
-                          <Chair />
-                        </InputAdornment>
-                      ),
-                    }}
-                  />
-                </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  label="Original Price"
+                  type="number"
+                  value={formData.originalPrice}
+                  onChange={(e) => handleInputChange('originalPrice', e.target.value)}
+                  required
+                  helperText={
+                    resaleCeiling !== null
+                      ? `Resale capped at ${resaleCeiling} ${currencySymbol} (+${markupCap / 100}%)`
+                      : `The face value printed on your ticket, in ${currencySymbol}`
+                  }
+                  inputProps={{ min: 0, step: 0.001 }}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <AttachMoney />
+                      </InputAdornment>
+                    ),
+                    endAdornment: <InputAdornment position="end">{currencySymbol}</InputAdornment>,
+                  }}
+                />
+              </Grid>
 
-                <Grid item xs={12} md={6}>
-                  <TextField
-                    fullWidth
-                    label="Original Price"
-                    type="number"
-                    value={formData.originalPrice}
-                    onChange={(e) => handleInputChange('originalPrice', e.target.value)}
-                    required
-                    inputProps={{ min: 0, step: 0.001 }}
-                    InputProps={{
-                      startAdornment: (
-                        <InputAdornment position="start">
-                          <AttachMoney />
-                        </InputAdornment>
-                      ),
-                      endAdornment: <InputAdornment position="end">ETH</InputAdornment>,
-                    }}
-                  />
-                </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  label="Description (Optional)"
+                  value={formData.description}
+                  onChange={(e) => handleInputChange('description', e.target.value)}
+                  multiline
+                  rows={3}
+                  placeholder="Additional details about the ticket or event..."
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <Description />
+                      </InputAdornment>
+                    ),
+                  }}
+                />
+              </Grid>
 
-                <Grid item xs={12}>
-                  <TextField
-                    fullWidth
-                    label="Description (Optional)"
-                    value={formData.description}
-                    onChange={(e) => handleInputChange('description', e.target.value)}
-                    multiline
-                    rows={3}
-                    placeholder="Additional details about the ticket or event..."
-                    InputProps={{
-                      startAdornment: (
-                        <InputAdornment position="start">
-                          <Description />
-                        </InputAdornment>
-                      ),
-                    }}
-                  />
-                </Grid>
+              {/* Image Upload */}
+              <Grid item xs={12}>
+                <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+                  <Image sx={{ mr: 1 }} />
+                  Ticket Image
+                </Typography>
+                <Divider sx={{ mb: 3 }} />
+              </Grid>
 
-                {/* Image Upload */}
-                <Grid item xs={12}>
-                  <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
-                    <Image sx={{ mr: 1 }} />
-                    Ticket Image
-                  </Typography>
-                  <Divider sx={{ mb: 3 }} />
-                </Grid>
+              <Grid item xs={12}>
+                <Paper
+                  {...getRootProps()}
+                  sx={{
+                    p: 3,
+                    border: '2px dashed',
+                    borderColor: isDragActive ? 'primary.main' : 'grey.300',
+                    backgroundColor: isDragActive ? 'primary.light' : 'background.paper',
+                    cursor: 'pointer',
+                    transition: 'all 0.2s ease',
+                    '&:hover': {
+                      borderColor: 'primary.main',
+                      backgroundColor: 'primary.light',
+                    },
+                  }}
+                >
+                  <input {...getInputProps()} />
+                  <Box sx={{ textAlign: 'center' }}>
+                    <CloudUpload sx={{ fontSize: 48, color: 'text.secondary', mb: 2 }} />
+                    <Typography variant="h6" gutterBottom>
+                      {isDragActive ? 'Drop the image here' : 'Upload Ticket Image'}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      Drag & drop your ticket image here, or click to select
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                      Supported formats: JPG, PNG, GIF, WEBP (Max 10MB)
+                    </Typography>
+                  </Box>
+                </Paper>
+              </Grid>
 
+              {imagePreview && (
                 <Grid item xs={12}>
-                  <Paper
-                    {...getRootProps()}
-                    sx={{
-                      p: 3,
-                      border: '2px dashed',
-                      borderColor: isDragActive ? 'primary.main' : 'grey.300',
-                      backgroundColor: isDragActive ? 'primary.light' : 'background.paper',
-                      cursor: 'pointer',
-                      transition: 'all 0.2s ease',
-                      '&:hover': {
-                        borderColor: 'primary.main',
-                        backgroundColor: 'primary.light',
-                      },
-                    }}
-                  >
-                    <input {...getInputProps()} />
-                    <Box sx={{ textAlign: 'center' }}>
-                      <CloudUpload sx={{ fontSize: 48, color: 'text.secondary', mb: 2 }} />
-                      <Typography variant="h6" gutterBottom>
-                        {isDragActive ? 'Drop the image here' : 'Upload Ticket Image'}
-                      </Typography>
-                      <Typography variant="body2" color="text.secondary">
-                        Drag & drop your ticket image here, or click to select
-                      </Typography>
-                      <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                        Supported formats: JPG, PNG, GIF, WEBP (Max 10MB)
-                      </Typography>
-                    </Box>
-                  </Paper>
+                  <Box sx={{ mt: 2 }}>
+                    <Typography variant="subtitle2" gutterBottom>
+                      Preview:
+                    </Typography>
+                    <Box
+                      component="img"
+                      src={imagePreview}
+                      alt="Ticket preview"
+                      sx={{
+                        maxWidth: 300,
+                        maxHeight: 200,
+                        width: 'auto',
+                        height: 'auto',
+                        borderRadius: 1,
+                        border: '1px solid',
+                        borderColor: 'grey.300',
+                      }}
+                    />
+                  </Box>
                 </Grid>
-
-                {imagePreview && (
-                  <Grid item xs={12}>
-                    <Box sx={{ mt: 2 }}>
-                      <Typography variant="subtitle2" gutterBottom>
-                        Preview:
-                      </Typography>
-                      <Box
-                        component="img"
-                        src={imagePreview}
-                        alt="Ticket preview"
-                        sx={{
-                          maxWidth: 300,
-                          maxHeight: 200,
-                          width: 'auto',
-                          height: 'auto',
-                          borderRadius: 1,
-                          border: '1px solid',
-                          borderColor: 'grey.300',
-                        }}
-                      />
-                    </Box>
-                  </Grid>
+              )}
+
+              {/* Submit Button */}
+              <Grid item xs={12}>
+                <Alert severity="info" sx={{ mb: 3 }}>
+                  Your ticket will be minted as an NFT and submitted for admin verification before appearing on the marketplace.
+                </Alert>
+                
+                <Button
+                  type="submit"
+                  variant="contained"
+                  size="large"
+                  fullWidth
+                  disabled={isProcessing || !account}
+                  startIcon={isProcessing && <CircularProgress size={20} />}
+                  sx={{ py: 1.5, fontSize: '1.1rem', fontWeight: 'bold' }}
+                >
+                  {!account ? 'Connect Wallet to List Ticket' :
+                   uploading ? 'Uploading to IPFS...' :
+                   minting ? 'Minting NFT...' :
+                   'List Ticket for Verification'}
+                </Button>
+
+                {uploading && uploadProgress.stage && (
+                  <Box sx={{ mt: 2 }}>
+                    <Typography variant="body2" color="text.secondary" gutterBottom>
+                      {uploadProgress.stage}... {uploadProgress.value}%
+                    </Typography>
+                    <LinearProgress variant="determinate" value={uploadProgress.value} />
+                  </Box>
                 )}
-
-                {/* Submit Button */}
-                <Grid item xs={12}>
-                  <Alert severity="info" sx={{ mb: 3 }}>
-                    Your ticket will be minted as an NFT and submitted for admin verification before appearing on the marketplace.
-                  </Alert>
-                  
-                  <Button
-                    type="submit"
-                    variant="contained"
-                    size="large"
-                    fullWidth
-                    disabled={isProcessing || !account}
-                    startIcon={isProcessing && <CircularProgress size={20} />}
-                    sx={{ py: 1.5, fontSize: '1.1rem', fontWeight: 'bold' }}
-                  >
-                    {!account ? 'Connect Wallet to List Ticket' :
-                     uploading ? 'Uploading to IPFS...' :
-                     minting ? 'Minting NFT...' :
-                     'List Ticket for Verification'}
-                  </Button>
-                </Grid>
               </Grid>
-            </Box>
-          </LocalizationProvider>
+            </Grid>
+          </Box>
         </CardContent>
       </Card>
     </Container>
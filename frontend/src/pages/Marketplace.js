@@ -4,7 +4,6 @@ import {
   Typography,
   Grid,
   Card,
-  CardMedia,
   CardContent,
   CardActions,
   Button,
@@ -31,26 +30,42 @@ import {
   Chair,
   AttachMoney,
   Verified,
+  LockClock,
+  EventBusy,
 } from '@mui/icons-material';
+import { Link as RouterLink } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { useWeb3 } from '../context/Web3Context';
+import { ethers } from 'ethers';
+import { useWeb3, EVENT_CANCELLED } from '../context/Web3Context';
+import AuctionCard from '../components/AuctionCard';
+import TicketImage from '../components/TicketImage';
 
 const Marketplace = () => {
   const {
     account,
     contracts,
-    formatEther,
+    formatTokenAmount,
+    formatAddress,
+    formatEventDate,
+    isTradingFrozen,
+    describeFreeze,
+    getTokenMetadata,
+    loadEvents,
     purchaseTicket,
   } = useWeb3();
 
   const [tickets, setTickets] = useState([]);
+  const [auctions, setAuctions] = useState([]);
+  const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [eventFilter, setEventFilter] = useState('all');
   const [sortBy, setSortBy] = useState('newest');
   const [priceRange, setPriceRange] = useState({ min: '', max: '' });
   const [selectedTicket, setSelectedTicket] = useState(null);
   const [purchaseDialog, setPurchaseDialog] = useState(false);
   const [purchasing, setPurchasing] = useState(false);
+  const [priceBreakdown, setPriceBreakdown] = useState(null);
 
   useEffect(() => {
     loadTickets();
@@ -62,8 +77,13 @@ const Marketplace = () => {
     try {
       setLoading(true);
       
-      // Get active listings
-      const activeListings = await contracts.marketplace.getActiveListings();
+      // Get active listings and the event registry
+      const [activeListings, allEvents] = await Promise.all([
+        contracts.marketplace.getActiveListings(),
+        loadEvents(),
+      ]);
+      const eventsById = Object.fromEntries(allEvents.map((event) => [event.eventId, event]));
+      setEvents(allEvents);
       
       const ticketsData = await Promise.all(
         activeListings.map(async (tokenId) => {
@@ -71,11 +91,14 @@ const Marketplace = () => {
             const listing = await contracts.marketplace.listings(tokenId);
             const ticketInfo = await contracts.ticketNFT.getTicketInfo(tokenId);
             const tokenURI = await contracts.ticketNFT.tokenURI(tokenId);
+            const paymentToken = await getTokenMetadata(listing.paymentToken);
             
             return {
               tokenId: tokenId.toString(),
               listing,
+              paymentToken,
               ticketInfo,
+              event: eventsById[ticketInfo.eventId.toString()],
               tokenURI,
             };
           } catch (error) {
@@ -86,9 +109,11 @@ const Marketplace = () => {
       );
       setTickets(
         ticketsData.filter(
-          (ticket) => ticket !== null && Number(ticket.ticketInfo.status) === 1 // VERIFIED
+          (ticket) => ticket !== null && ticket.event && Number(ticket.ticketInfo.status) === 1 // VERIFIED
         )
       );
+
+      await loadAuctions(eventsById);
     } catch (error) {
       console.error('Error loading tickets:', error);
       toast.error('Failed to load tickets');
@@ -97,6 +122,35 @@ const Marketplace = () => {
     }
   };
 
+  const loadAuctions = async (eventsById) => {
+    if (!contracts.auctionHouse) return;
+
+    try {
+      const auctionTokenIds = await contracts.auctionHouse.getActiveAuctions();
+      const auctionsData = await Promise.all(
+        auctionTokenIds.map(async (tokenId) => {
+          const [auction, ticketInfo, tokenURI] = await Promise.all([
+            contracts.auctionHouse.auctions(tokenId),
+            contracts.ticketNFT.getTicketInfo(tokenId),
+            contracts.ticketNFT.tokenURI(tokenId),
+          ]);
+
+          return {
+            tokenId: tokenId.toString(),
+            auction,
+            paymentToken: await getTokenMetadata(auction.paymentToken),
+            ticketInfo,
+            event: eventsById[ticketInfo.eventId.toString()],
+            tokenURI,
+          };
+        })
+      );
+      setAuctions(auctionsData.filter((auction) => auction.event));
+    } catch (error) {
+      console.error('Error loading auctions:', error);
+    }
+  };
+
   const handlePurchase = async (ticket) => {
     if (!account) {
       toast.error('Please connect your wallet');
@@ -109,7 +163,40 @@ const Marketplace = () => {
     }
 
     setSelectedTicket(ticket);
+    setPriceBreakdown(null);
     setPurchaseDialog(true);
+    await loadPriceBreakdown(ticket);
+  };
+
+  // Splits the listing price into marketplace fee, organizer royalty and seller net
+  const loadPriceBreakdown = async (ticket) => {
+    try {
+      const price = ticket.listing.price;
+      const [feeBps, [royaltyReceiver, royaltyAmount]] = await Promise.all([
+        contracts.marketplace.marketplaceFee(),
+        contracts.ticketNFT.royaltyInfo(ticket.tokenId, price),
+      ]);
+
+      const fee = (price * feeBps) / 10000n;
+      const paysRoyalty =
+        !ticket.listing.primarySale &&
+        royaltyReceiver !== ethers.ZeroAddress &&
+        royaltyReceiver.toLowerCase() !== ticket.listing.seller.toLowerCase();
+      const royalty = paysRoyalty ? royaltyAmount : 0n;
+
+      setPriceBreakdown({
+        fee,
+        royalty,
+        royaltyReceiver,
+        sellerNet: price - fee - royalty,
+      });
+    } catch (error) {
+      console.error('Error loading price breakdown:', error);
+    }
+  };
+
+  const formatPrice = (value, ticket) => {
+    return `${formatTokenAmount(value, ticket.paymentToken)} ${ticket.paymentToken.symbol}`;
   };
 
   const confirmPurchase = async () => {
@@ -117,9 +204,7 @@ const Marketplace = () => {
 
     try {
       setPurchasing(true);
-      const price = formatEther(selectedTicket.listing.price);
-      
-      await purchaseTicket(selectedTicket.tokenId, price);
+      await purchaseTicket(selectedTicket.tokenId);
       
       toast.success('Ticket purchased successfully!');
       setPurchaseDialog(false);
@@ -134,19 +219,21 @@ const Marketplace = () => {
 
   const filteredAndSortedTickets = tickets
     .filter(ticket => {
-      const matchesSearch = ticket.ticketInfo.eventName
+      const matchesEvent = eventFilter === 'all' || ticket.event.eventId === eventFilter;
+
+      const matchesSearch = ticket.event.name
         .toLowerCase()
         .includes(searchTerm.toLowerCase()) ||
-        ticket.ticketInfo.venue
+        ticket.event.venue
         .toLowerCase()
         .includes(searchTerm.toLowerCase());
       
-      const price = parseFloat(formatEther(ticket.listing.price));
+      const price = parseFloat(formatTokenAmount(ticket.listing.price, ticket.paymentToken));
       const matchesPrice = 
         (!priceRange.min || price >= parseFloat(priceRange.min)) &&
         (!priceRange.max || price <= parseFloat(priceRange.max));
       
-      return matchesSearch && matchesPrice;
+      return matchesEvent && matchesSearch && matchesPrice;
     })
     .sort((a, b) => {
       switch (sortBy) {
@@ -155,19 +242,49 @@ const Marketplace = () => {
         case 'price-high':
           return b.listing.price.sub(a.listing.price);
         case 'event-name':
-          return a.ticketInfo.eventName.localeCompare(b.ticketInfo.eventName);
+          return a.event.name.localeCompare(b.event.name);
+        case 'event-date':
+          return a.event.startTime - b.event.startTime;
         case 'newest':
         default:
           return b.listing.timestamp - a.listing.timestamp;
       }
     });
 
+  // Group tickets by event, keeping the sort order of each event's first ticket.
+  // Resales inside the event's freeze window and every listing of a cancelled event cannot be
+  // bought until the cancellation is unwound, so they are only counted.
+  const ticketsByEvent = filteredAndSortedTickets.reduce((groups, ticket) => {
+    let group = groups.find((g) => g.event.eventId === ticket.event.eventId);
+    if (!group) {
+      group = { event: ticket.event, tickets: [], frozen: 0 };
+      groups.push(group);
+    }
+    const cancelled = ticket.event.status === EVENT_CANCELLED;
+    if (cancelled || (!ticket.listing.primarySale && isTradingFrozen(ticket.event))) {
+      group.frozen += 1;
+    } else {
+      group.tickets.push(ticket);
+    }
+    return groups;
+  }, []);
+  const visibleTicketCount = ticketsByEvent.reduce((count, group) => count + group.tickets.length, 0);
+
+  const visibleAuctions = auctions.filter(
+    (auction) =>
+      auction.event.status !== EVENT_CANCELLED &&
+      (eventFilter === 'all' || auction.event.eventId === eventFilter)
+  );
+
   const getStatusColor = (status) => {
     switch (status) {
       case 1: return 'success'; // VERIFIED
       case 2: return 'warning'; // LOCKED
       case 3: return 'info';    // UNLOCKED
       case 4: return 'error';   // DISPUTED
+      case 5: return 'error';   // REJECTED
+      case 6: return 'secondary'; // REDEEMED
+      case 7: return 'error';   // CANCELLED
       default: return 'default'; // PENDING
     }
   };
@@ -179,6 +296,9 @@ const Marketplace = () => {
       case 2: return 'Locked';
       case 3: return 'Unlocked';
       case 4: return 'Disputed';
+      case 5: return 'Rejected';
+      case 6: return 'Redeemed';
+      case 7: return 'Cancelled';
       default: return 'Unknown';
     }
   };
@@ -209,7 +329,25 @@ const Marketplace = () => {
         </Box>
         
         <Grid container spacing={3}>
-          <Grid item xs={12} md={4}>
+          <Grid item xs={12} md={3}>
+            <FormControl fullWidth>
+              <InputLabel>Event</InputLabel>
+              <Select
+                value={eventFilter}
+                label="Event"
+                onChange={(e) => setEventFilter(e.target.value)}
+              >
+                <MenuItem value="all">All Events</MenuItem>
+                {events.map((event) => (
+                  <MenuItem key={event.eventId} value={event.eventId}>
+                    {event.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={12} md={3}>
             <TextField
               fullWidth
               label="Search events or venues"
@@ -233,6 +371,7 @@ const Marketplace = () => {
                 <MenuItem value="price-low">Price: Low to High</MenuItem>
                 <MenuItem value="price-high">Price: High to Low</MenuItem>
                 <MenuItem value="event-name">Event Name</MenuItem>
+                <MenuItem value="event-date">Event Date</MenuItem>
               </Select>
             </FormControl>
           </Grid>
@@ -240,14 +379,14 @@ const Marketplace = () => {
           <Grid item xs={12} md={3}>
             <Box sx={{ display: 'flex', gap: 1 }}>
               <TextField
-                label="Min Price (ETH)"
+                label="Min Price"
                 type="number"
                 value={priceRange.min}
                 onChange={(e) => setPriceRange(prev => ({ ...prev, min: e.target.value }))}
                 size="small"
               />
               <TextField
-                label="Max Price (ETH)"
+                label="Max Price"
                 type="number"
                 value={priceRange.max}
                 onChange={(e) => setPriceRange(prev => ({ ...prev, max: e.target.value }))}
@@ -258,6 +397,22 @@ const Marketplace = () => {
         </Grid>
       </Card>
 
+      {/* Live Auctions */}
+      {visibleAuctions.length > 0 && (
+        <Box sx={{ mb: 4 }}>
+          <Typography variant="h5" component="h2" sx={{ fontWeight: 'bold', mb: 2 }}>
+            Live Auctions
+          </Typography>
+          <Grid container spacing={3}>
+            {visibleAuctions.map((auction) => (
+              <Grid item xs={12} sm={6} md={4} lg={3} key={auction.tokenId}>
+                <AuctionCard ticket={auction} onUpdated={loadTickets} />
+              </Grid>
+            ))}
+          </Grid>
+        </Box>
+      )}
+
       {/* Results */}
       {filteredAndSortedTickets.length === 0 ? (
         <Alert severity="info" sx={{ mb: 4 }}>
@@ -265,100 +420,132 @@ const Marketplace = () => {
         </Alert>
       ) : (
         <Typography variant="h6" gutterBottom>
-          {filteredAndSortedTickets.length} ticket(s) found
+          {visibleTicketCount} ticket(s) found across {ticketsByEvent.length} event(s)
         </Typography>
       )}
 
-      {/* Tickets Grid */}
-      <Grid container spacing={3}>
-        {filteredAndSortedTickets.map((ticket) => (
-          <Grid item xs={12} sm={6} md={4} lg={3} key={ticket.tokenId}>
-            <Card 
-              sx={{ 
-                height: '100%', 
-                display: 'flex', 
-                flexDirection: 'column',
-                transition: 'transform 0.2s, box-shadow 0.2s',
-                '&:hover': {
-                  transform: 'translateY(-4px)',
-                  boxShadow: 6,
-                },
-              }}
-            >
-              <CardMedia
-                component="img"
-                height="200"
-                image={ticket.tokenURI.includes('ipfs://') 
-                  ? `https://ipfs.io/ipfs/${ticket.tokenURI.replace('ipfs://', '')}`
-                  : ticket.tokenURI || '/placeholder-ticket.jpg'
-                }
-                alt={ticket.ticketInfo.eventName}
-                sx={{ objectFit: 'cover' }}
-              />
-              
-              <CardContent sx={{ flexGrow: 1 }}>
-                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
-                  <Typography variant="h6" component="h2" sx={{ fontWeight: 'bold' }}>
-                    {ticket.ticketInfo.eventName}
-                  </Typography>
-                  <Chip
-                    size="small"
-                    icon={<Verified />}
-                    label={getStatusText(Number(ticket.ticketInfo.status))}
-                    color={getStatusColor(Number(ticket.ticketInfo.status))}
-                  />
-                </Box>
-                
-                <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                  <Event sx={{ fontSize: 16, mr: 1, color: 'text.secondary' }} />
-                  <Typography variant="body2" color="text.secondary">
-                    {ticket.ticketInfo.eventDate}
-                  </Typography>
-                </Box>
-                
-                <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                  <LocationOn sx={{ fontSize: 16, mr: 1, color: 'text.secondary' }} />
-                  <Typography variant="body2" color="text.secondary">
-                    {ticket.ticketInfo.venue}
-                  </Typography>
-                </Box>
-                
-                <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
-                  <Chair sx={{ fontSize: 16, mr: 1, color: 'text.secondary' }} />
-                  <Typography variant="body2" color="text.secondary">
-                    {ticket.ticketInfo.seatInfo}
-                  </Typography>
-                </Box>
-                
-                <Divider sx={{ my: 1 }} />
-                
-                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                  <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                    <AttachMoney sx={{ fontSize: 20, color: 'primary.main' }} />
-                    <Typography variant="h6" color="primary.main" sx={{ fontWeight: 'bold' }}>
-                      {formatEther(ticket.listing.price)} ETH
-                    </Typography>
-                  </Box>
-                </Box>
-              </CardContent>
-              
-              <CardActions sx={{ p: 2, pt: 0 }}>
-                <Button
-                  variant="contained"
-                  fullWidth
-                  onClick={() => handlePurchase(ticket)}
-                  disabled={!account || ticket.listing.seller.toLowerCase() === account?.toLowerCase()}
-                  sx={{ fontWeight: 'bold' }}
+      {/* Tickets Grid, grouped by event */}
+      {ticketsByEvent.map((group) => (
+        <Box key={group.event.eventId} sx={{ mb: 4 }}>
+          <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 2, mb: 2 }}>
+            <Typography variant="h5" component="h2" sx={{ fontWeight: 'bold' }}>
+              {group.event.name}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {group.event.venue} • {formatEventDate(group.event.startTime)}
+            </Typography>
+          </Box>
+
+          {group.event.status === EVENT_CANCELLED ? (
+            <Alert severity="error" icon={<EventBusy />} sx={{ mb: 2 }}>
+              This event was cancelled. Its {group.frozen} listing(s) are closing and ticket holders
+              can claim refunds from My Tickets.
+            </Alert>
+          ) : group.frozen > 0 && (
+            <Alert severity="warning" icon={<LockClock />} sx={{ mb: 2 }}>
+              {describeFreeze(group.event)}. {group.frozen} resale listing(s) hidden.
+            </Alert>
+          )}
+
+          <Grid container spacing={3}>
+            {group.tickets.map((ticket) => (
+              <Grid item xs={12} sm={6} md={4} lg={3} key={ticket.tokenId}>
+                <Card 
+                  sx={{ 
+                    height: '100%', 
+                    display: 'flex', 
+                    flexDirection: 'column',
+                    transition: 'transform 0.2s, box-shadow 0.2s',
+                    '&:hover': {
+                      transform: 'translateY(-4px)',
+                      boxShadow: 6,
+                    },
+                  }}
                 >
-                  {!account ? 'Connect Wallet' : 
-                   ticket.listing.seller.toLowerCase() === account?.toLowerCase() ? 'Your Ticket' :
-                   'Purchase Ticket'}
-                </Button>
-              </CardActions>
-            </Card>
+                  <TicketImage tokenURI={ticket.tokenURI} height="200" alt={ticket.event.name} />
+                  
+                  <CardContent sx={{ flexGrow: 1 }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+                      <Typography variant="h6" component="h2" sx={{ fontWeight: 'bold' }}>
+                        {ticket.event.name}
+                      </Typography>
+                      <Chip
+                        size="small"
+                        icon={<Verified />}
+                        label={getStatusText(Number(ticket.ticketInfo.status))}
+                        color={getStatusColor(Number(ticket.ticketInfo.status))}
+                      />
+                    </Box>
+
+                    {ticket.listing.primarySale && (
+                      <Chip
+                        size="small"
+                        label="Primary Sale"
+                        color="secondary"
+                        variant="outlined"
+                        sx={{ mb: 1 }}
+                      />
+                    )}
+                    
+                    <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                      <Event sx={{ fontSize: 16, mr: 1, color: 'text.secondary' }} />
+                      <Typography variant="body2" color="text.secondary">
+                        {formatEventDate(ticket.event.startTime)}
+                      </Typography>
+                    </Box>
+                    
+                    <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                      <LocationOn sx={{ fontSize: 16, mr: 1, color: 'text.secondary' }} />
+                      <Typography variant="body2" color="text.secondary">
+                        {ticket.event.venue}
+                      </Typography>
+                    </Box>
+                    
+                    <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+                      <Chair sx={{ fontSize: 16, mr: 1, color: 'text.secondary' }} />
+                      <Typography variant="body2" color="text.secondary">
+                        {ticket.ticketInfo.seatInfo}
+                      </Typography>
+                    </Box>
+                    
+                    <Divider sx={{ my: 1 }} />
+                    
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                        <AttachMoney sx={{ fontSize: 20, color: 'primary.main' }} />
+                        <Typography variant="h6" color="primary.main" sx={{ fontWeight: 'bold' }}>
+                          {formatPrice(ticket.listing.price, ticket)}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  </CardContent>
+                  
+                  <CardActions sx={{ p: 2, pt: 0 }}>
+                    <Button
+                      component={RouterLink}
+                      to={`/ticket/${ticket.tokenId}`}
+                      variant="outlined"
+                    >
+                      Details
+                    </Button>
+                    <Button
+                      variant="contained"
+                      fullWidth
+                      onClick={() => handlePurchase(ticket)}
+                      disabled={!account || ticket.listing.seller.toLowerCase() === account?.toLowerCase()}
+                      sx={{ fontWeight: 'bold' }}
+                    >
+                      {!account ? 'Connect Wallet' : 
+                       ticket.listing.seller.toLowerCase() === account?.toLowerCase() ? 'Your Ticket' :
+                       'Purchase Ticket'}
+                    </Button>
+                  </CardActions>
+                </Card>
+              </Grid>
+            ))}
           </Grid>
-        ))}
-      </Grid>
+        </Box>
+      ))}
 
       {/* Purchase Confirmation Dialog */}
       <Dialog
@@ -372,20 +559,56 @@ const Marketplace = () => {
           {selectedTicket && (
             <Box>
               <Typography variant="h6" gutterBottom>
-                {selectedTicket.ticketInfo.eventName}
+                {selectedTicket.event.name}
               </Typography>
               <Typography variant="body2" color="text.secondary" gutterBottom>
-                {selectedTicket.ticketInfo.venue} • {selectedTicket.ticketInfo.eventDate}
+                {selectedTicket.event.venue} • {formatEventDate(selectedTicket.event.startTime)}
               </Typography>
               <Typography variant="body2" gutterBottom>
                 Seat: {selectedTicket.ticketInfo.seatInfo}
               </Typography>
               <Typography variant="h5" color="primary" sx={{ mt: 2, fontWeight: 'bold' }}>
-                Price: {formatEther(selectedTicket.listing.price)} ETH
+                Price: {formatPrice(selectedTicket.listing.price, selectedTicket)}
               </Typography>
-              <Alert severity="info" sx={{ mt: 2 }}>
-                After purchase, the ticket will be transferred to your wallet but will remain locked until both parties confirm the transaction or 7 days pass.
-              </Alert>
+              {priceBreakdown && (
+                <Box sx={{ mt: 2 }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <Typography variant="body2" color="text.secondary">Marketplace fee</Typography>
+                    <Typography variant="body2">{formatPrice(priceBreakdown.fee, selectedTicket)}</Typography>
+                  </Box>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <Typography variant="body2" color="text.secondary">
+                      Organizer royalty
+                      {priceBreakdown.royalty > 0n && ` (${formatAddress(priceBreakdown.royaltyReceiver)})`}
+                    </Typography>
+                    <Typography variant="body2">{formatPrice(priceBreakdown.royalty, selectedTicket)}</Typography>
+                  </Box>
+                  <Divider sx={{ my: 1 }} />
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <Typography variant="body2" sx={{ fontWeight: 'bold' }}>
+                      {selectedTicket.listing.primarySale ? 'Organizer receives' : 'Seller receives'}
+                    </Typography>
+                    <Typography variant="body2" sx={{ fontWeight: 'bold' }}>
+                      {formatPrice(priceBreakdown.sellerNet, selectedTicket)}
+                    </Typography>
+                  </Box>
+                </Box>
+              )}
+              {selectedTicket.paymentToken.address !== ethers.ZeroAddress && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  This ticket is priced in {selectedTicket.paymentToken.symbol}. Your wallet will first ask you to
+                  approve the marketplace to spend {formatPrice(selectedTicket.listing.price, selectedTicket)}.
+                </Alert>
+              )}
+              {selectedTicket.listing.primarySale ? (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  This ticket is sold directly by the event organizer. It will be transferred to your wallet immediately.
+                </Alert>
+              ) : (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  After purchase, the ticket will be transferred to your wallet but will remain locked until both parties confirm the transaction or the escrow deadline after the event passes.
+                </Alert>
+              )}
             </Box>
           )}
         </DialogContent>
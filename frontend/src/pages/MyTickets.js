@@ -14,14 +14,39 @@ import {
   Chip,
   Box,
   Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Tabs,
+  Tab,
 } from '@mui/material';
-import { useWeb3 } from '../context/Web3Context';
+import { Link as RouterLink } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { ethers } from 'ethers';
+import { useWeb3, EVENT_CANCELLED, TICKET_CANCELLED } from '../context/Web3Context';
+import ListForSaleDialog from '../components/ListForSaleDialog';
+import CreateAuctionDialog from '../components/CreateAuctionDialog';
+import OfferTable, { isOfferLive } from '../components/OfferTable';
+import ResubmitTicketDialog from '../components/ResubmitTicketDialog';
+import ShowTicketDialog from '../components/ShowTicketDialog';
+import { REJECTION_REASON_LABELS } from '../components/RejectTicketDialog';
+
+const REJECTED = 5; // EventTicketNFT.TicketStatus.REJECTED
+const REDEEMED = 6; // EventTicketNFT.TicketStatus.REDEEMED
 
 const MyTickets = () => {
-  const { account, contracts, formatEther, formatAddress } = useWeb3();
+  const { account, contracts, formatTokenAmount, formatAddress, formatEventDate, isTradingFrozen, describeFreeze, isOptOutOpen, loadEvents, loadTicketsByOwner, cancelAuction, loadTicketOffers, loadRejection, isRefundClaimed, claimRefund, optOutTicket } = useWeb3();
 
   const [myTickets, setMyTickets] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [eventFilter, setEventFilter] = useState('all');
+  const [listingTicket, setListingTicket] = useState(null);
+  const [auctionTicket, setAuctionTicket] = useState(null);
+  const [resubmitTicket, setResubmitTicket] = useState(null);
+  const [shownTicket, setShownTicket] = useState(null);
+  const [tabValue, setTabValue] = useState(0);
+  const [incomingOffers, setIncomingOffers] = useState([]);
 
   useEffect(() => {
     if (contracts.ticketNFT && account) {
@@ -32,26 +57,24 @@ const MyTickets = () => {
   const loadMyTickets = async () => {
     try {
       setLoading(true);
-      const totalSupply = await contracts.ticketNFT.totalSupply();
-      const owned = [];
-
-      for (let i = 0; i < totalSupply; i++) {
-        try {
-          const owner = await contracts.ticketNFT.ownerOf(i);
-          if (owner.toLowerCase() === account.toLowerCase()) {
-            const ticketInfo = await contracts.ticketNFT.getTicketInfo(i);
-            // console.log("Ticket Info for Token", i, ticketInfo);
-            // console.log("Status (raw):", ticketInfo.status);
-            // console.log("Status (by index):", ticketInfo[6]);  // Adjust index if needed
-            const tokenURI = await contracts.ticketNFT.tokenURI(i);
-            owned.push({ tokenId: i, ticketInfo, tokenURI });
-          }
-        } catch (err) {
-          console.warn(`Skipping token ${i}:`, err);
-        }
-      }
+      const [tickets, allEvents] = await Promise.all([
+        loadTicketsByOwner(account),
+        loadEvents(),
+      ]);
+      const eventsById = Object.fromEntries(allEvents.map((event) => [event.eventId, event]));
+
+      const owned = await Promise.all(
+        tickets.map(async (ticket) => ({
+          ...ticket,
+          event: eventsById[ticket.ticketInfo.eventId.toString()],
+          auction: contracts.auctionHouse ? await contracts.auctionHouse.auctions(ticket.tokenId) : null,
+          rejection: Number(ticket.ticketInfo.status) === REJECTED ? await loadRejection(ticket.tokenId) : null,
+          refundClaimed: Number(ticket.ticketInfo.status) === TICKET_CANCELLED ? await isRefundClaimed(ticket.tokenId) : false,
+        }))
+      );
 
       setMyTickets(owned);
+      await loadIncomingOffers(owned);
     } catch (error) {
       console.error('Failed to load tickets:', error);
     } finally {
@@ -59,10 +82,85 @@ const MyTickets = () => {
     }
   };
 
+  const loadIncomingOffers = async (owned) => {
+    if (!contracts.offerBook) return;
+    try {
+      const perTicket = await Promise.all(
+        owned.map(async (ticket) => {
+          const offers = await loadTicketOffers(ticket.tokenId);
+          const label = ticket.event
+            ? `${ticket.event.name} · ${ticket.ticketInfo.seatInfo}`
+            : ticket.ticketInfo.seatInfo;
+          return offers.filter(isOfferLive).map((offer) => ({ ...offer, ticketLabel: label }));
+        })
+      );
+      setIncomingOffers(perTicket.flat());
+    } catch (error) {
+      console.error('Failed to load offers:', error);
+    }
+  };
+
   const formatDate = (timestamp) => {
     return new Date(timestamp * 1000).toLocaleDateString();
   };
 
+  const handleCancelAuction = async (ticket) => {
+    try {
+      await cancelAuction(ticket.tokenId);
+      toast.success('Auction cancelled');
+      await loadMyTickets();
+    } catch (error) {
+      console.error('Error cancelling auction:', error);
+      toast.error(error.reason || 'Failed to cancel auction');
+    }
+  };
+
+  const handleClaimRefund = async (ticket) => {
+    try {
+      await claimRefund(ticket.tokenId);
+      toast.success('Refund claimed');
+      await loadMyTickets();
+    } catch (error) {
+      console.error('Error claiming refund:', error);
+      toast.error(error.reason || 'Failed to claim refund');
+    }
+  };
+
+  const handleOptOut = async (ticket) => {
+    try {
+      await optOutTicket(ticket.tokenId);
+      toast.success('Ticket returned and refunded');
+      await loadMyTickets();
+    } catch (error) {
+      console.error('Error opting out:', error);
+      toast.error(error.reason || 'Failed to return ticket');
+    }
+  };
+
+  // Only tickets bought from the organizer are refunded from the organizer's deposit
+  const isRefundable = (ticket) =>
+    contracts.refundVault &&
+    ticket.event &&
+    ticket.ticketInfo.originalSeller.toLowerCase() === ticket.event.organizer.toLowerCase() &&
+    account.toLowerCase() !== ticket.event.organizer.toLowerCase();
+
+  const canList = (ticket) => {
+    const status = Number(ticket.ticketInfo.status);
+    return (status === 1 || status === 3) && !(ticket.listing && ticket.listing.active); // VERIFIED or UNLOCKED
+  };
+
+  // Distinct events across owned tickets, in order of first appearance
+  const myEvents = myTickets.reduce((list, ticket) => {
+    if (ticket.event && !list.some((event) => event.eventId === ticket.event.eventId)) {
+      list.push(ticket.event);
+    }
+    return list;
+  }, []);
+
+  const visibleEvents = myEvents
+    .filter((event) => eventFilter === 'all' || event.eventId === eventFilter)
+    .sort((a, b) => a.startTime - b.startTime);
+
   if (!account) {
     return (
       <Container maxWidth="xl" sx={{ mt: 4 }}>
@@ -77,7 +175,42 @@ const MyTickets = () => {
         My Tickets
       </Typography>
 
-      {loading ? (
+      <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 2 }}>
+        <Tabs value={tabValue} onChange={(e, value) => setTabValue(value)}>
+          <Tab label="Tickets" />
+          <Tab label={`Incoming Offers (${incomingOffers.length})`} />
+        </Tabs>
+      </Box>
+
+      {tabValue === 1 && (
+        loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <OfferTable offers={incomingOffers} isOwner showTicket onChanged={loadMyTickets} />
+        )
+      )}
+
+      {tabValue === 0 && !loading && myEvents.length > 1 && (
+        <FormControl sx={{ minWidth: 240, mb: 2 }} size="small">
+          <InputLabel>Event</InputLabel>
+          <Select
+            value={eventFilter}
+            label="Event"
+            onChange={(e) => setEventFilter(e.target.value)}
+          >
+            <MenuItem value="all">All Events</MenuItem>
+            {myEvents.map((event) => (
+              <MenuItem key={event.eventId} value={event.eventId}>
+                {event.name}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+
+      {tabValue !== 0 ? null : loading ? (
         <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
           <CircularProgress />
         </Box>
@@ -89,54 +222,198 @@ const MyTickets = () => {
             <TableHead>
               <TableRow>
                 <TableCell>Token ID</TableCell>
-                <TableCell>Event Name</TableCell>
-                <TableCell>Venue</TableCell>
-                <TableCell>Date</TableCell>
                 <TableCell>Seat</TableCell>
                 <TableCell>Original Price</TableCell>
                 <TableCell>Status</TableCell>
+                <TableCell>Actions</TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
-              {myTickets.map((ticket) => (
-                <TableRow key={ticket.tokenId}>
-                  <TableCell>#{ticket.tokenId}</TableCell>
-                  <TableCell>{ticket.ticketInfo.eventName}</TableCell>
-                  <TableCell>{ticket.ticketInfo.venue}</TableCell>
-                  <TableCell>{ticket.ticketInfo.eventDate}</TableCell>
-                  <TableCell>{ticket.ticketInfo.seatInfo}</TableCell>
-                  <TableCell>{formatEther(ticket.ticketInfo.originalPrice)} ETH</TableCell>
-                  <TableCell>
-                    <Chip
-                      label={
-                        Number(ticket.ticketInfo.status) === 0
-                          ? 'Pending'
-                          : Number(ticket.ticketInfo.status) === 1
-                          ? 'Verified'
-                          : Number(ticket.ticketInfo.status) === 2
-                          ? 'Locked'
-                          : Number(ticket.ticketInfo.status) === 3
-                          ? 'Unlocked'
-                          : Number(ticket.ticketInfo.status) === 4
-                          ? 'Disputed'
-                          : '-'
-                      }
-                      color={
-                        Number(ticket.ticketInfo.status) === 1 ? 'success' :
-                        Number(ticket.ticketInfo.status) === 2 ? 'warning' :
-                        Number(ticket.ticketInfo.status) === 4 ? 'error' :
-                        'default'
-                      }
-                      size="small"
-                    />
-
-                  </TableCell>
-                </TableRow>
+              {visibleEvents.map((event) => (
+                <React.Fragment key={event.eventId}>
+                  <TableRow sx={{ backgroundColor: 'grey.100' }}>
+                    <TableCell colSpan={5}>
+                      <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+                        {event.name}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {event.venue} • {formatEventDate(event.startTime)}
+                      </Typography>
+                      {event.status === EVENT_CANCELLED && (
+                        <Alert severity="error" sx={{ mt: 1 }}>
+                          This event was cancelled. Tickets bought from the organizer can be refunded at
+                          their original price once unwound. Escrow payments and auction bids are
+                          returned to your balance on the Profile page.
+                        </Alert>
+                      )}
+                      {isOptOutOpen(event) && (
+                        <Alert severity="warning" sx={{ mt: 1 }}>
+                          This event was rescheduled. If you can no longer attend, tickets bought from
+                          the organizer can be returned for their original price until{' '}
+                          {formatEventDate(event.optOutDeadline)}; unlist them first.
+                        </Alert>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                  {myTickets
+                    .filter((ticket) => ticket.event && ticket.event.eventId === event.eventId)
+                    .map((ticket) => (
+                      <TableRow key={ticket.tokenId}>
+                        <TableCell>
+                          <Button component={RouterLink} to={`/ticket/${ticket.tokenId}`} size="small">
+                            #{ticket.tokenId}
+                          </Button>
+                        </TableCell>
+                        <TableCell>{ticket.ticketInfo.seatInfo}</TableCell>
+                        <TableCell>
+                          {formatTokenAmount(ticket.ticketInfo.originalPrice, event.paymentToken)} {event.paymentToken.symbol}
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            label={
+                              Number(ticket.ticketInfo.status) === 0
+                                ? 'Pending'
+                                : Number(ticket.ticketInfo.status) === 1
+                                ? 'Verified'
+                                : Number(ticket.ticketInfo.status) === 2
+                                ? 'Locked'
+                                : Number(ticket.ticketInfo.status) === 3
+                                ? 'Unlocked'
+                                : Number(ticket.ticketInfo.status) === 4
+                                ? 'Disputed'
+                                : Number(ticket.ticketInfo.status) === REJECTED
+                                ? 'Rejected'
+                                : Number(ticket.ticketInfo.status) === REDEEMED
+                                ? 'Redeemed'
+                                : Number(ticket.ticketInfo.status) === TICKET_CANCELLED
+                                ? 'Cancelled'
+                                : '-'
+                            }
+                            color={
+                              Number(ticket.ticketInfo.status) === 1 ? 'success' :
+                              Number(ticket.ticketInfo.status) === 2 ? 'warning' :
+                              Number(ticket.ticketInfo.status) === 4 ? 'error' :
+                              Number(ticket.ticketInfo.status) === REJECTED ? 'error' :
+                              Number(ticket.ticketInfo.status) === REDEEMED ? 'secondary' :
+                              Number(ticket.ticketInfo.status) === TICKET_CANCELLED ? 'error' :
+                              'default'
+                            }
+                            size="small"
+                          />
+
+                        </TableCell>
+                        <TableCell>
+                          {ticket.listing && ticket.listing.active ? (
+                            <Chip
+                              label={`Listed at ${formatTokenAmount(ticket.listing.price, event.paymentToken)} ${event.paymentToken.symbol}`}
+                              color="primary"
+                              variant="outlined"
+                              size="small"
+                            />
+                          ) : ticket.auction && ticket.auction.active ? (
+                            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                              <Chip label="In auction" color="secondary" variant="outlined" size="small" />
+                              {ticket.auction.highestBidder === ethers.ZeroAddress && (
+                                <Button size="small" onClick={() => handleCancelAuction(ticket)}>
+                                  Cancel
+                                </Button>
+                              )}
+                            </Box>
+                          ) : Number(ticket.ticketInfo.status) === TICKET_CANCELLED ? (
+                            ticket.refundClaimed ? (
+                              <Chip label="Refunded" color="success" variant="outlined" size="small" />
+                            ) : isRefundable(ticket) ? (
+                              <Button size="small" variant="contained" onClick={() => handleClaimRefund(ticket)}>
+                                Claim Refund
+                              </Button>
+                            ) : (
+                              '—'
+                            )
+                          ) : event.status === EVENT_CANCELLED ? (
+                            <Chip label="Refund pending" variant="outlined" size="small" />
+                          ) : ticket.rejection ? (
+                            <Box>
+                              <Typography variant="body2" color="error">
+                                {REJECTION_REASON_LABELS[ticket.rejection.reason]}
+                                {ticket.rejection.note && `: ${ticket.rejection.note}`}
+                              </Typography>
+                              <Button size="small" variant="outlined" sx={{ mt: 1 }} onClick={() => setResubmitTicket(ticket)}>
+                                Resubmit
+                              </Button>
+                            </Box>
+                          ) : canList(ticket) ? (
+                            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                              {isTradingFrozen(event) ? (
+                                <Chip label="Resale closed" variant="outlined" size="small" title={describeFreeze(event)} />
+                              ) : (
+                                <>
+                                  <Button
+                                    size="small"
+                                    variant="contained"
+                                    onClick={() => setListingTicket(ticket)}
+                                  >
+                                    List for Sale
+                                  </Button>
+                                  <Button
+                                    size="small"
+                                    variant="outlined"
+                                    onClick={() => setAuctionTicket(ticket)}
+                                  >
+                                    Auction
+                                  </Button>
+                                </>
+                              )}
+                              {contracts.gate && (
+                                <Button size="small" onClick={() => setShownTicket(ticket)}>
+                                  Show Ticket
+                                </Button>
+                              )}
+                              {isOptOutOpen(event) && isRefundable(ticket) && (
+                                <Button size="small" color="warning" onClick={() => handleOptOut(ticket)}>
+                                  Return for Refund
+                                </Button>
+                              )}
+                            </Box>
+                          ) : (
+                            '—'
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                </React.Fragment>
               ))}
             </TableBody>
           </Table>
         </TableContainer>
       )}
+
+      <ListForSaleDialog
+        open={Boolean(listingTicket)}
+        onClose={() => setListingTicket(null)}
+        ticket={listingTicket}
+        onListed={loadMyTickets}
+      />
+
+      <CreateAuctionDialog
+        open={Boolean(auctionTicket)}
+        onClose={() => setAuctionTicket(null)}
+        ticket={auctionTicket}
+        onCreated={loadMyTickets}
+      />
+
+      <ResubmitTicketDialog
+        open={Boolean(resubmitTicket)}
+        onClose={() => setResubmitTicket(null)}
+        ticket={resubmitTicket}
+        rejection={resubmitTicket && resubmitTicket.rejection}
+        onResubmitted={loadMyTickets}
+      />
+
+      <ShowTicketDialog
+        open={Boolean(shownTicket)}
+        onClose={() => setShownTicket(null)}
+        ticket={shownTicket}
+      />
     </Container>
   );
 };
@@ -12,14 +12,19 @@ import {
   Paper,
   Chip,
   CircularProgress,
-  Box
+  Box,
+  Button
 } from '@mui/material';
+import { Forum } from '@mui/icons-material';
 import { useWeb3 } from '../context/Web3Context';
+import DisputeThreadDialog from '../components/DisputeThreadDialog';
+import EscrowCountdown from '../components/EscrowCountdown';
 
 const MyTransactions = () => {
-  const { account, contracts, formatEther, formatAddress } = useWeb3();
+  const { account, contracts, formatTokenAmount, formatAddress, getTokenMetadata, loadEvents } = useWeb3();
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [threadTarget, setThreadTarget] = useState(null);
 
   useEffect(() => {
     if (contracts.marketplace && contracts.ticketNFT && account) {
@@ -30,7 +35,11 @@ const MyTransactions = () => {
   const loadMyTransactions = async () => {
     try {
       setLoading(true);
-      const tokenIds = await contracts.marketplace.getActiveEscrows();
+      const [tokenIds, allEvents] = await Promise.all([
+        contracts.marketplace.getActiveEscrows(),
+        loadEvents(),
+      ]);
+      const eventsById = Object.fromEntries(allEvents.map((event) => [event.eventId, event]));
       const txs = [];
 
       for (const tokenId of tokenIds) {
@@ -40,12 +49,18 @@ const MyTransactions = () => {
             escrow.buyer.toLowerCase() === account.toLowerCase() ||
             escrow.seller.toLowerCase() === account.toLowerCase()
           ) {
-            const ticketInfo = await contracts.ticketNFT.getTicketInfo(tokenId);
+            const [ticketInfo, deadline] = await Promise.all([
+              contracts.ticketNFT.getTicketInfo(tokenId),
+              contracts.marketplace.escrowDeadline(tokenId),
+            ]);
 
             txs.push({
               tokenId: tokenId.toString(),
               escrow,
+              paymentToken: await getTokenMetadata(escrow.paymentToken),
               ticketInfo,
+              deadline: Number(deadline),
+              event: eventsById[ticketInfo.eventId.toString()],
             });
           }
         } catch (err) {
@@ -98,14 +113,15 @@ const MyTransactions = () => {
                 <TableCell>Seller</TableCell>
                 <TableCell>Price</TableCell>
                 <TableCell>Status</TableCell>
-                <TableCell>Dispute Reason</TableCell>
+                <TableCell>Escrow Deadline</TableCell>
+                <TableCell>Dispute</TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
               {transactions.map((tx) => (
                 <TableRow key={tx.tokenId}>
                   <TableCell>#{tx.tokenId}</TableCell>
-                  <TableCell>{tx.ticketInfo.eventName}</TableCell>
+                  <TableCell>{tx.event ? tx.event.name : `Event #${tx.ticketInfo.eventId}`}</TableCell>
                   <TableCell>
                     <Chip
                       label={formatAddress(tx.escrow.buyer)}
@@ -122,15 +138,35 @@ const MyTransactions = () => {
                       variant="outlined"
                     />
                   </TableCell>
-                  <TableCell>{formatEther(tx.escrow.price)} ETH</TableCell>
+                  <TableCell>{formatTokenAmount(tx.escrow.price, tx.paymentToken)} {tx.paymentToken.symbol}</TableCell>
                   <TableCell>{getStatusChip(tx.escrow)}</TableCell>
-                  <TableCell>{tx.escrow.disputeReason || '—'}</TableCell>
+                  <TableCell>
+                    {tx.escrow.completed ? '—' : <EscrowCountdown deadline={tx.deadline} disputed={tx.escrow.disputed} />}
+                  </TableCell>
+                  <TableCell>
+                    {tx.escrow.disputed ? (
+                      <Box>
+                        <Typography variant="body2" sx={{ maxWidth: 240 }}>
+                          {tx.escrow.disputeReason || 'No reason provided'}
+                        </Typography>
+                        <Button size="small" startIcon={<Forum />} onClick={() => setThreadTarget(tx)}>
+                          View Thread
+                        </Button>
+                      </Box>
+                    ) : '—'}
+                  </TableCell>
                 </TableRow>
               ))}
             </TableBody>
           </Table>
         </TableContainer>
       )}
+
+      <DisputeThreadDialog
+        open={Boolean(threadTarget)}
+        onClose={() => setThreadTarget(null)}
+        dispute={threadTarget}
+      />
     </Container>
   );
 };
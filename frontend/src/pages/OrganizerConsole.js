@@ -0,0 +1,990 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Typography,
+  Card,
+  CardContent,
+  Grid,
+  Button,
+  Box,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+  Divider,
+  InputAdornment,
+  Chip,
+} from '@mui/material';
+import {
+  Business,
+  Add,
+  CloudUpload,
+  ConfirmationNumber,
+  Storefront,
+  Paid,
+  QrCodeScanner,
+  LockClock,
+  EventBusy,
+  EventRepeat,
+} from '@mui/icons-material';
+import { ethers } from 'ethers';
+import { useDropzone } from 'react-dropzone';
+import { toast } from 'react-toastify';
+import { useWeb3, EVENT_CANCELLED } from '../context/Web3Context';
+import CreateEventDialog from '../components/CreateEventDialog';
+import CancelEventDialog from '../components/CancelEventDialog';
+import RescheduleEventDialog from '../components/RescheduleEventDialog';
+
+const PRIMARY_LISTING_BATCH_SIZE = 50;
+const MAX_FREEZE_HOURS = 7 * 24; // EventTicketNFT.MAX_FREEZE_WINDOW
+const REFUND_CLAIM_PERIOD = 90 * 24 * 60 * 60; // TicketRefundVault.CLAIM_PERIOD
+
+/**
+ * Parses a seat map CSV with `section,row,seat[,price]` columns.
+ * A header row is skipped; rows without a price fall back to defaultPrice.
+ */
+const parseSeatCsv = (text, defaultPrice) => {
+  const lines = text.split(/\r?\n/);
+  const seats = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const [section, row, seat, price] = line.split(',').map((cell) => cell.trim());
+
+    if (index === 0 && section.toLowerCase() === 'section') return;
+    if (!section || !row || !seat) {
+      throw new Error(`Line ${index + 1}: expected section,row,seat[,price]`);
+    }
+
+    const seatPrice = price || defaultPrice;
+    if (!seatPrice || isNaN(parseFloat(seatPrice)) || parseFloat(seatPrice) <= 0) {
+      throw new Error(`Line ${index + 1}: missing or invalid price`);
+    }
+
+    seats.push({
+      section,
+      row,
+      seat,
+      seatInfo: `Section ${section}, Row ${row}, Seat ${seat}`,
+      price: seatPrice,
+    });
+  });
+
+  return seats;
+};
+
+const OrganizerConsole = () => {
+  const {
+    account,
+    contracts,
+    loadEvents,
+    batchMintTickets,
+    listPrimaryTickets,
+    setEventRoyalty,
+    loadPaymentTokens,
+    setEventPaymentToken,
+    loadGateScanners,
+    setGateScanner,
+    setFreezeWindow,
+    loadTicketsToCancel,
+    getRefundDeposit,
+    depositRefunds,
+    withdrawRefundDeposit,
+    formatTokenAmount,
+    formatAddress,
+    formatEventDate,
+    isOptOutOpen,
+  } = useWeb3();
+
+  const [events, setEvents] = useState([]);
+  const [selectedEventId, setSelectedEventId] = useState('');
+  const [eventDialog, setEventDialog] = useState(false);
+  const [defaultPrice, setDefaultPrice] = useState('');
+  const [metadataURI, setMetadataURI] = useState('');
+  const [csvText, setCsvText] = useState('');
+  const [csvFileName, setCsvFileName] = useState('');
+  const [seats, setSeats] = useState([]);
+  const [csvError, setCsvError] = useState(null);
+  const [unlistedTokenIds, setUnlistedTokenIds] = useState([]);
+  const [minting, setMinting] = useState(false);
+  const [listing, setListing] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [royaltyReceiver, setRoyaltyReceiver] = useState('');
+  const [royaltyPercent, setRoyaltyPercent] = useState('');
+  const [savingRoyalty, setSavingRoyalty] = useState(false);
+  const [paymentTokens, setPaymentTokens] = useState([]);
+  const [savingCurrency, setSavingCurrency] = useState(false);
+  const [scanners, setScanners] = useState([]);
+  const [newScanner, setNewScanner] = useState('');
+  const [savingScanner, setSavingScanner] = useState(false);
+  const [freezeHours, setFreezeHours] = useState('');
+  const [savingFreeze, setSavingFreeze] = useState(false);
+  const [refundDeposit, setRefundDeposit] = useState(0n);
+  const [depositAmount, setDepositAmount] = useState('');
+  const [savingDeposit, setSavingDeposit] = useState(false);
+  const [ticketsToCancel, setTicketsToCancel] = useState([]);
+  const [cancelDialog, setCancelDialog] = useState(false);
+  const [rescheduleDialog, setRescheduleDialog] = useState(false);
+
+  useEffect(() => {
+    if (contracts.ticketNFT && account) {
+      loadMyEvents();
+    }
+  }, [contracts, account]);
+
+  useEffect(() => {
+    if (contracts.marketplace) {
+      loadPaymentTokens()
+        .then(setPaymentTokens)
+        .catch((error) => console.error('Error loading payment tokens:', error));
+    }
+  }, [contracts]);
+
+  useEffect(() => {
+    if (contracts.ticketNFT && contracts.marketplace && selectedEventId) {
+      loadInventory();
+      loadRoyalty();
+      loadScanners();
+    }
+  }, [contracts, selectedEventId]);
+
+  // Reloads with the events so a cancellation shows the tickets still to unwind
+  useEffect(() => {
+    if (contracts.refundVault && selectedEventId) {
+      loadRefunds();
+    }
+  }, [contracts, selectedEventId, events]);
+
+  useEffect(() => {
+    const event = events.find((item) => item.eventId === selectedEventId);
+    setFreezeHours(event && event.freezeWindow > 0 ? String(event.freezeWindow / 3600) : '');
+  }, [events, selectedEventId]);
+
+  useEffect(() => {
+    if (!csvText) {
+      setSeats([]);
+      setCsvError(null);
+      return;
+    }
+
+    try {
+      setSeats(parseSeatCsv(csvText, defaultPrice));
+      setCsvError(null);
+    } catch (error) {
+      setSeats([]);
+      setCsvError(error.message);
+    }
+  }, [csvText, defaultPrice]);
+
+  const loadMyEvents = async () => {
+    try {
+      const allEvents = await loadEvents();
+      setEvents(
+        allEvents.filter((event) => event.organizer.toLowerCase() === account.toLowerCase())
+      );
+    } catch (error) {
+      console.error('Error loading events:', error);
+      toast.error('Failed to load events');
+    }
+  };
+
+  const loadInventory = async () => {
+    try {
+      const tokenIds = await contracts.ticketNFT.getEventTickets(selectedEventId);
+      const unlisted = [];
+
+      for (const tokenId of tokenIds) {
+        const [owner, listingInfo] = await Promise.all([
+          contracts.ticketNFT.ownerOf(tokenId).catch(() => null), // burned after rejection
+          contracts.marketplace.listings(tokenId),
+        ]);
+        if (owner && owner.toLowerCase() === account.toLowerCase() && !listingInfo.active) {
+          unlisted.push(tokenId.toString());
+        }
+      }
+
+      setUnlistedTokenIds(unlisted);
+    } catch (error) {
+      console.error('Error loading inventory:', error);
+    }
+  };
+
+  const loadRoyalty = async () => {
+    try {
+      const royalty = await contracts.ticketNFT.eventRoyalties(selectedEventId);
+      const isSet = royalty.receiver !== '0x0000000000000000000000000000000000000000';
+      setRoyaltyReceiver(isSet ? royalty.receiver : account);
+      setRoyaltyPercent(isSet ? String(Number(royalty.royaltyFraction) / 100) : '');
+    } catch (error) {
+      console.error('Error loading royalty:', error);
+    }
+  };
+
+  const handleSaveRoyalty = async () => {
+    const percent = parseFloat(royaltyPercent);
+    if (isNaN(percent) || percent < 0 || percent > 10) {
+      toast.error('Royalty must be between 0% and 10%');
+      return;
+    }
+
+    try {
+      setSavingRoyalty(true);
+      await setEventRoyalty(selectedEventId, royaltyReceiver, Math.round(percent * 100));
+      toast.success('Royalty updated!');
+      await loadRoyalty();
+    } catch (error) {
+      console.error('Error saving royalty:', error);
+      toast.error('Failed to update royalty');
+    } finally {
+      setSavingRoyalty(false);
+    }
+  };
+
+  const loadScanners = async () => {
+    if (!contracts.gate) return;
+    try {
+      setScanners(await loadGateScanners(selectedEventId));
+    } catch (error) {
+      console.error('Error loading gate scanners:', error);
+    }
+  };
+
+  const handleScannerChange = async (scanner, authorized) => {
+    if (!ethers.isAddress(scanner)) {
+      toast.error('Enter a valid scanner address');
+      return;
+    }
+
+    try {
+      setSavingScanner(true);
+      await setGateScanner(selectedEventId, scanner, authorized);
+      toast.success(authorized ? 'Gate scanner added!' : 'Gate scanner removed');
+      setNewScanner('');
+      await loadScanners();
+    } catch (error) {
+      console.error('Error updating gate scanner:', error);
+      toast.error(error.reason || 'Failed to update gate scanner');
+    } finally {
+      setSavingScanner(false);
+    }
+  };
+
+  const handleSaveFreeze = async () => {
+    const hours = freezeHours === '' ? 0 : parseFloat(freezeHours);
+    if (isNaN(hours) || hours < 0 || hours > MAX_FREEZE_HOURS) {
+      toast.error(`Freeze window must be between 0 and ${MAX_FREEZE_HOURS} hours`);
+      return;
+    }
+
+    try {
+      setSavingFreeze(true);
+      await setFreezeWindow(selectedEventId, Math.round(hours * 3600));
+      toast.success(hours > 0 ? 'Resale freeze updated!' : 'Resale freeze removed');
+      await loadMyEvents();
+    } catch (error) {
+      console.error('Error saving freeze window:', error);
+      toast.error(error.reason || 'Failed to update resale freeze');
+    } finally {
+      setSavingFreeze(false);
+    }
+  };
+
+  const loadRefunds = async () => {
+    if (!contracts.refundVault) return;
+    try {
+      const event = events.find((item) => item.eventId === selectedEventId);
+      const [deposit, pending] = await Promise.all([
+        getRefundDeposit(selectedEventId),
+        event && event.status === EVENT_CANCELLED ? loadTicketsToCancel(selectedEventId) : [],
+      ]);
+      setRefundDeposit(deposit);
+      setTicketsToCancel(pending);
+    } catch (error) {
+      console.error('Error loading refunds:', error);
+    }
+  };
+
+  const handleDeposit = async () => {
+    if (!(parseFloat(depositAmount) > 0)) {
+      toast.error('Enter an amount to deposit');
+      return;
+    }
+
+    try {
+      setSavingDeposit(true);
+      await depositRefunds(selectedEventId, depositAmount);
+      toast.success('Refund deposit added!');
+      setDepositAmount('');
+      await loadRefunds();
+    } catch (error) {
+      console.error('Error depositing refunds:', error);
+      toast.error(error.reason || 'Failed to deposit refunds');
+    } finally {
+      setSavingDeposit(false);
+    }
+  };
+
+  const handleWithdrawDeposit = async () => {
+    try {
+      setSavingDeposit(true);
+      await withdrawRefundDeposit(selectedEventId, refundDeposit);
+      toast.success('Unclaimed refunds withdrawn');
+      await loadRefunds();
+    } catch (error) {
+      console.error('Error withdrawing refund deposit:', error);
+      toast.error(error.reason || 'Failed to withdraw refund deposit');
+    } finally {
+      setSavingDeposit(false);
+    }
+  };
+
+  const handleCurrencyChange = async (tokenAddress) => {
+    try {
+      setSavingCurrency(true);
+      await setEventPaymentToken(selectedEventId, tokenAddress);
+      toast.success('Event currency updated!');
+      await loadMyEvents();
+    } catch (error) {
+      console.error('Error setting event currency:', error);
+      toast.error('Failed to update event currency');
+    } finally {
+      setSavingCurrency(false);
+    }
+  };
+
+  const onDrop = (acceptedFiles) => {
+    const file = acceptedFiles[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = () => {
+        setCsvFileName(file.name);
+        setCsvText(reader.result);
+      };
+      reader.readAsText(file);
+    }
+  };
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'text/csv': ['.csv'],
+    },
+    maxFiles: 1,
+  });
+
+  const selectedEvent = events.find((event) => event.eventId === selectedEventId);
+  const remainingCapacity = selectedEvent ? selectedEvent.capacity - selectedEvent.ticketsVerified : 0;
+  const isScheduled = selectedEvent && selectedEvent.status === 0; // SCHEDULED
+
+  const handleBatchMint = async () => {
+    if (!selectedEvent) {
+      toast.error('Please select an event');
+      return;
+    }
+
+    if (seats.length === 0) {
+      toast.error('Please upload a seat map');
+      return;
+    }
+
+    if (seats.length > remainingCapacity) {
+      toast.error(`Seat map exceeds remaining capacity (${remainingCapacity})`);
+      return;
+    }
+
+    try {
+      setMinting(true);
+      const batchSize = Number(await contracts.ticketNFT.MAX_BATCH_SIZE());
+      setProgress({ done: 0, total: seats.length });
+
+      for (let i = 0; i < seats.length; i += batchSize) {
+        const batch = seats.slice(i, i + batchSize);
+        toast.info(`Minting seats ${i + 1}-${i + batch.length} of ${seats.length}...`);
+        await batchMintTickets(selectedEvent.eventId, batch, metadataURI);
+        setProgress({ done: i + batch.length, total: seats.length });
+      }
+
+      toast.success(`${seats.length} seats minted successfully!`);
+      setCsvText('');
+      setCsvFileName('');
+      await Promise.all([loadMyEvents(), loadInventory()]);
+    } catch (error) {
+      console.error('Error batch minting:', error);
+      toast.error('Failed to mint seats');
+    } finally {
+      setMinting(false);
+    }
+  };
+
+  const handleListPrimary = async () => {
+    try {
+      setListing(true);
+      setProgress({ done: 0, total: unlistedTokenIds.length });
+
+      for (let i = 0; i < unlistedTokenIds.length; i += PRIMARY_LISTING_BATCH_SIZE) {
+        const batch = unlistedTokenIds.slice(i, i + PRIMARY_LISTING_BATCH_SIZE);
+        await listPrimaryTickets(batch);
+        setProgress({ done: i + batch.length, total: unlistedTokenIds.length });
+      }
+
+      toast.success('Tickets listed for primary sale!');
+      await loadInventory();
+    } catch (error) {
+      console.error('Error listing primary tickets:', error);
+      toast.error('Failed to list tickets');
+    } finally {
+      setListing(false);
+    }
+  };
+
+  if (!account) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 4 }}>
+        <Alert severity="warning">
+          Please connect your wallet to access the organizer console.
+        </Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 4 }}>
+        <Business sx={{ fontSize: 40, mr: 2, color: 'primary.main' }} />
+        <Box>
+          <Typography variant="h3" component="h1" sx={{ fontWeight: 'bold' }}>
+            Organizer Console
+          </Typography>
+          <Typography variant="subtitle1" color="text.secondary">
+            Issue your event's seat inventory and sell it directly to fans
+          </Typography>
+        </Box>
+      </Box>
+
+      <Card sx={{ mb: 4 }}>
+        <CardContent sx={{ p: 4 }}>
+          <Grid container spacing={3} alignItems="center">
+            <Grid item xs={12} md={8}>
+              <FormControl fullWidth>
+                <InputLabel>Event</InputLabel>
+                <Select
+                  value={selectedEventId}
+                  label="Event"
+                  onChange={(e) => setSelectedEventId(e.target.value)}
+                >
+                  {events.map((event) => (
+                    <MenuItem key={event.eventId} value={event.eventId}>
+                      {event.name} — {event.venue} ({formatEventDate(event.startTime)})
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <Button
+                variant="outlined"
+                fullWidth
+                startIcon={<Add />}
+                onClick={() => setEventDialog(true)}
+              >
+                Create Event
+              </Button>
+            </Grid>
+            {events.length === 0 && (
+              <Grid item xs={12}>
+                <Alert severity="info">
+                  You have no events yet. Creating events requires the Organizer role, granted by an admin from the Roles tab.
+                </Alert>
+              </Grid>
+            )}
+            {selectedEvent && (
+              <Grid item xs={12} md={8}>
+                <Typography variant="body2" color="text.secondary">
+                  {selectedEvent.ticketsVerified} / {selectedEvent.capacity} seats taken
+                  • {remainingCapacity} remaining
+                </Typography>
+              </Grid>
+            )}
+            {selectedEvent && (
+              <Grid item xs={12} md={4}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Currency</InputLabel>
+                  <Select
+                    value={selectedEvent.paymentToken.address}
+                    label="Currency"
+                    onChange={(e) => handleCurrencyChange(e.target.value)}
+                    disabled={savingCurrency || selectedEvent.ticketsMinted > 0}
+                  >
+                    {paymentTokens.map((token) => (
+                      <MenuItem key={token.address} value={token.address}>
+                        {token.symbol}
+                      </MenuItem>
+                    ))}
+                    {!paymentTokens.some((token) => token.address === selectedEvent.paymentToken.address) && (
+                      <MenuItem value={selectedEvent.paymentToken.address}>
+                        {selectedEvent.paymentToken.symbol}
+                      </MenuItem>
+                    )}
+                  </Select>
+                </FormControl>
+                <Typography variant="caption" color="text.secondary">
+                  {selectedEvent.ticketsMinted > 0
+                    ? 'Locked once tickets are issued'
+                    : 'Tickets are priced and sold in this currency'}
+                </Typography>
+              </Grid>
+            )}
+          </Grid>
+        </CardContent>
+      </Card>
+
+      {selectedEvent && (
+        <Card sx={{ mb: 4 }}>
+          <CardContent sx={{ p: 4 }}>
+            <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+              <ConfirmationNumber sx={{ mr: 1 }} />
+              Batch Mint Seats
+            </Typography>
+            <Divider sx={{ mb: 3 }} />
+
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  label="Default Price"
+                  type="number"
+                  value={defaultPrice}
+                  onChange={(e) => setDefaultPrice(e.target.value)}
+                  helperText="Used for rows without a price column"
+                  inputProps={{ min: 0, step: 0.001 }}
+                  InputProps={{
+                    endAdornment: (
+                      <InputAdornment position="end">{selectedEvent.paymentToken.symbol}</InputAdornment>
+                    ),
+                  }}
+                />
+              </Grid>
+              <Grid item xs={12} md={8}>
+                <TextField
+                  fullWidth
+                  label="Metadata URI"
+                  value={metadataURI}
+                  onChange={(e) => setMetadataURI(e.target.value)}
+                  placeholder="ipfs://..."
+                  helperText="Shared token metadata for every seat in the batch"
+                />
+              </Grid>
+
+              <Grid item xs={12}>
+                <Paper
+                  {...getRootProps()}
+                  sx={{
+                    p: 3,
+                    border: '2px dashed',
+                    borderColor: isDragActive ? 'primary.main' : 'grey.300',
+                    cursor: 'pointer',
+                    textAlign: 'center',
+                  }}
+                >
+                  <input {...getInputProps()} />
+                  <CloudUpload sx={{ fontSize: 48, color: 'text.secondary', mb: 1 }} />
+                  <Typography variant="h6">
+                    {csvFileName || (isDragActive ? 'Drop the seat map here' : 'Upload Seat Map CSV')}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    Columns: section,row,seat,price (price optional)
+                  </Typography>
+                </Paper>
+              </Grid>
+
+              {csvError && (
+                <Grid item xs={12}>
+                  <Alert severity="error">{csvError}</Alert>
+                </Grid>
+              )}
+
+              {seats.length > 0 && (
+                <Grid item xs={12}>
+                  <Typography variant="subtitle2" gutterBottom>
+                    {seats.length} seat(s) parsed
+                  </Typography>
+                  {seats.length > remainingCapacity && (
+                    <Alert severity="warning" sx={{ mb: 2 }}>
+                      Seat map exceeds the event's remaining capacity of {remainingCapacity}.
+                    </Alert>
+                  )}
+                  <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 300 }}>
+                    <Table size="small" stickyHeader>
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Section</TableCell>
+                          <TableCell>Row</TableCell>
+                          <TableCell>Seat</TableCell>
+                          <TableCell>Price</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {seats.map((seat) => (
+                          <TableRow key={seat.seatInfo}>
+                            <TableCell>{seat.section}</TableCell>
+                            <TableCell>{seat.row}</TableCell>
+                            <TableCell>{seat.seat}</TableCell>
+                            <TableCell>{seat.price} {selectedEvent.paymentToken.symbol}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </Grid>
+              )}
+
+              {(minting || listing) && progress.total > 0 && (
+                <Grid item xs={12}>
+                  <LinearProgress
+                    variant="determinate"
+                    value={(progress.done / progress.total) * 100}
+                  />
+                </Grid>
+              )}
+
+              <Grid item xs={12}>
+                <Button
+                  variant="contained"
+                  size="large"
+                  fullWidth
+                  onClick={handleBatchMint}
+                  disabled={minting || seats.length === 0}
+                  startIcon={minting && <CircularProgress size={20} />}
+                >
+                  {minting
+                    ? `Minting ${progress.done} / ${progress.total}...`
+                    : `Mint ${seats.length} Seat(s)`}
+                </Button>
+              </Grid>
+            </Grid>
+          </CardContent>
+        </Card>
+      )}
+
+      {selectedEvent && (
+        <Card sx={{ mb: 4 }}>
+          <CardContent sx={{ p: 4 }}>
+            <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+              <Paid sx={{ mr: 1 }} />
+              Resale Royalties
+            </Typography>
+            <Divider sx={{ mb: 3 }} />
+
+            <Typography variant="body2" color="text.secondary" paragraph>
+              Earn a share of every secondary sale of this event's tickets (ERC-2981). The royalty is
+              paid out of escrow when a resale completes.
+            </Typography>
+
+            <Grid container spacing={3} alignItems="center">
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  label="Royalty Receiver"
+                  value={royaltyReceiver}
+                  onChange={(e) => setRoyaltyReceiver(e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <TextField
+                  fullWidth
+                  label="Royalty"
+                  type="number"
+                  value={royaltyPercent}
+                  onChange={(e) => setRoyaltyPercent(e.target.value)}
+                  inputProps={{ min: 0, max: 10, step: 0.1 }}
+                  InputProps={{
+                    endAdornment: <InputAdornment position="end">%</InputAdornment>,
+                  }}
+                />
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <Button
+                  variant="contained"
+                  fullWidth
+                  onClick={handleSaveRoyalty}
+                  disabled={savingRoyalty || !royaltyReceiver || royaltyPercent === ''}
+                  startIcon={savingRoyalty && <CircularProgress size={20} />}
+                >
+                  {savingRoyalty ? 'Saving...' : 'Save Royalty'}
+                </Button>
+              </Grid>
+            </Grid>
+          </CardContent>
+        </Card>
+      )}
+
+      {selectedEvent && (
+        <Card sx={{ mb: 4 }}>
+          <CardContent sx={{ p: 4 }}>
+            <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+              <LockClock sx={{ mr: 1 }} />
+              Resale Freeze
+            </Typography>
+            <Divider sx={{ mb: 3 }} />
+
+            <Typography variant="body2" color="text.secondary" paragraph>
+              Stop resales, auctions, offers and transfers of this event's tickets for a period before
+              it starts, so the gate snapshot stays accurate. Primary sales and escrow settlement
+              continue. Leave empty or 0 to allow trading until the doors open.
+            </Typography>
+
+            <Grid container spacing={3} alignItems="center">
+              <Grid item xs={12} md={9}>
+                <TextField
+                  fullWidth
+                  label="Freeze Before Start"
+                  type="number"
+                  value={freezeHours}
+                  onChange={(e) => setFreezeHours(e.target.value)}
+                  inputProps={{ min: 0, max: MAX_FREEZE_HOURS, step: 1 }}
+                  InputProps={{
+                    endAdornment: <InputAdornment position="end">hours</InputAdornment>,
+                  }}
+                />
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <Button
+                  variant="contained"
+                  fullWidth
+                  onClick={handleSaveFreeze}
+                  disabled={savingFreeze}
+                  startIcon={savingFreeze && <CircularProgress size={20} />}
+                >
+                  {savingFreeze ? 'Saving...' : 'Save Freeze'}
+                </Button>
+              </Grid>
+            </Grid>
+          </CardContent>
+        </Card>
+      )}
+
+      {selectedEvent && contracts.gate && (
+        <Card sx={{ mb: 4 }}>
+          <CardContent sx={{ p: 4 }}>
+            <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+              <QrCodeScanner sx={{ mr: 1 }} />
+              Gate Scanners
+            </Typography>
+            <Divider sx={{ mb: 3 }} />
+
+            <Typography variant="body2" color="text.secondary" paragraph>
+              Wallets allowed to check tickets in at the venue. Scanners open the Gate Scanner page,
+              download a snapshot of this event's tickets and redeem the QR codes holders show.
+            </Typography>
+
+            {scanners.length > 0 && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+                {scanners.map((scanner) => (
+                  <Chip
+                    key={scanner}
+                    label={formatAddress(scanner)}
+                    onDelete={savingScanner ? undefined : () => handleScannerChange(scanner, false)}
+                  />
+                ))}
+              </Box>
+            )}
+
+            <Grid container spacing={3} alignItems="center">
+              <Grid item xs={12} md={9}>
+                <TextField
+                  fullWidth
+                  label="Scanner Address"
+                  placeholder="0x..."
+                  value={newScanner}
+                  onChange={(e) => setNewScanner(e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <Button
+                  variant="contained"
+                  fullWidth
+                  onClick={() => handleScannerChange(newScanner.trim(), true)}
+                  disabled={savingScanner || !newScanner}
+                  startIcon={savingScanner && <CircularProgress size={20} />}
+                >
+                  {savingScanner ? 'Saving...' : 'Add Scanner'}
+                </Button>
+              </Grid>
+            </Grid>
+          </CardContent>
+        </Card>
+      )}
+
+      {selectedEvent && (
+        <Card>
+          <CardContent sx={{ p: 4 }}>
+            <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+              <Storefront sx={{ mr: 1 }} />
+              Primary Sale
+            </Typography>
+            <Divider sx={{ mb: 3 }} />
+
+            <Typography variant="body2" color="text.secondary" paragraph>
+              {unlistedTokenIds.length} ticket(s) in your wallet are not yet on sale. Primary
+              listings sell at each seat's original price and settle directly to you, without escrow.
+            </Typography>
+
+            <Button
+              variant="contained"
+              color="secondary"
+              onClick={handleListPrimary}
+              disabled={listing || unlistedTokenIds.length === 0}
+              startIcon={listing && <CircularProgress size={20} />}
+            >
+              {listing ? 'Listing...' : `List ${unlistedTokenIds.length} Ticket(s) for Sale`}
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {selectedEvent && contracts.refundVault && (
+        <Card sx={{ mt: 4 }}>
+          <CardContent sx={{ p: 4 }}>
+            <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+              <EventBusy sx={{ mr: 1 }} />
+              Changes & Refunds
+            </Typography>
+            <Divider sx={{ mb: 3 }} />
+
+            <Typography variant="body2" color="text.secondary" paragraph>
+              If the event is cancelled, holders of tickets you sold claim their original price from
+              this deposit; if it is rescheduled, they can opt out for it until the window you set
+              closes. Unclaimed funds can be withdrawn from{' '}
+              {formatEventDate(selectedEvent.startTime + REFUND_CLAIM_PERIOD)}.
+            </Typography>
+
+            <Grid container spacing={3} alignItems="center">
+              <Grid item xs={12} md={4}>
+                <Typography variant="subtitle2" color="text.secondary">
+                  Refund Deposit
+                </Typography>
+                <Typography variant="h6">
+                  {formatTokenAmount(refundDeposit, selectedEvent.paymentToken)} {selectedEvent.paymentToken.symbol}
+                </Typography>
+              </Grid>
+              <Grid item xs={12} md={5}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Add to Deposit"
+                  type="number"
+                  value={depositAmount}
+                  onChange={(e) => setDepositAmount(e.target.value)}
+                  disabled={selectedEvent.ticketsMinted === 0}
+                  helperText={selectedEvent.ticketsMinted === 0 ? 'Issue tickets first' : ' '}
+                  inputProps={{ min: 0, step: 0.001 }}
+                  InputProps={{
+                    endAdornment: (
+                      <InputAdornment position="end">{selectedEvent.paymentToken.symbol}</InputAdornment>
+                    ),
+                  }}
+                />
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <Button
+                  variant="contained"
+                  fullWidth
+                  onClick={handleDeposit}
+                  disabled={savingDeposit || !depositAmount}
+                  startIcon={savingDeposit && <CircularProgress size={20} />}
+                >
+                  Deposit
+                </Button>
+              </Grid>
+              {refundDeposit > 0n && Date.now() / 1000 >= selectedEvent.startTime + REFUND_CLAIM_PERIOD && (
+                <Grid item xs={12}>
+                  <Button variant="outlined" onClick={handleWithdrawDeposit} disabled={savingDeposit}>
+                    Withdraw Unclaimed Deposit
+                  </Button>
+                </Grid>
+              )}
+              {isOptOutOpen(selectedEvent) && (
+                <Grid item xs={12}>
+                  <Alert severity="info">
+                    Rescheduled to {formatEventDate(selectedEvent.startTime)}. Holders can opt out until{' '}
+                    {formatEventDate(selectedEvent.optOutDeadline)}; keep the deposit funded until then.
+                  </Alert>
+                </Grid>
+              )}
+              <Grid item xs={12}>
+                {selectedEvent.status === EVENT_CANCELLED ? (
+                  <Alert
+                    severity="warning"
+                    action={ticketsToCancel.length > 0 && (
+                      <Button color="inherit" size="small" onClick={() => setCancelDialog(true)}>
+                        Unwind
+                      </Button>
+                    )}
+                  >
+                    This event is cancelled.{' '}
+                    {ticketsToCancel.length > 0
+                      ? `${ticketsToCancel.length} ticket(s) still need their sales unwound.`
+                      : 'All tickets are cancelled and their sales refunded.'}
+                  </Alert>
+                ) : (
+                  <Box sx={{ display: 'flex', gap: 2 }}>
+                    <Button
+                      variant="outlined"
+                      startIcon={<EventRepeat />}
+                      onClick={() => setRescheduleDialog(true)}
+                      disabled={!isScheduled}
+                    >
+                      Reschedule
+                    </Button>
+                    <Button
+                      variant="outlined"
+                      color="error"
+                      startIcon={<EventBusy />}
+                      onClick={() => setCancelDialog(true)}
+                      disabled={!isScheduled}
+                    >
+                      Cancel Event
+                    </Button>
+                  </Box>
+                )}
+              </Grid>
+            </Grid>
+          </CardContent>
+        </Card>
+      )}
+
+      <CreateEventDialog
+        open={eventDialog}
+        onClose={() => setEventDialog(false)}
+        onCreated={loadMyEvents}
+      />
+
+      <CancelEventDialog
+        open={cancelDialog}
+        onClose={() => setCancelDialog(false)}
+        event={selectedEvent}
+        onCancelled={loadMyEvents}
+      />
+
+      <RescheduleEventDialog
+        open={rescheduleDialog}
+        onClose={() => setRescheduleDialog(false)}
+        event={selectedEvent}
+        onRescheduled={loadMyEvents}
+      />
+    </Container>
+  );
+};
+
+export default OrganizerConsole;
@@ -1,10 +1,127 @@
-import React from 'react';
-import { Container, Typography, Card, CardContent, Box, Chip } from '@mui/material';
-import { Person, AccountBalanceWallet } from '@mui/icons-material';
-import { useWeb3 } from '../context/Web3Context';
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Typography,
+  Card,
+  CardContent,
+  Box,
+  Chip,
+  Button,
+  CircularProgress,
+} from '@mui/material';
+import { Person, AccountBalanceWallet, Savings, Gavel } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { ethers } from 'ethers';
+import { useWeb3, NATIVE_TOKEN } from '../context/Web3Context';
 
 const Profile = () => {
-  const { account, chainId, getNetworkName, formatAddress } = useWeb3();
+  const {
+    account,
+    chainId,
+    contracts,
+    getNetworkName,
+    formatEther,
+    formatTokenAmount,
+    getPendingBalance,
+    loadPaymentTokens,
+    withdraw,
+    withdrawToken,
+    withdrawAuctionReturns,
+    withdrawOfferReturns,
+  } = useWeb3();
+
+  const [pendingBalance, setPendingBalance] = useState(0n);
+  const [tokenBalances, setTokenBalances] = useState([]);
+  const [refunds, setRefunds] = useState([]);
+  const [withdrawing, setWithdrawing] = useState(false);
+
+  useEffect(() => {
+    if (contracts.marketplace && account) {
+      loadPendingBalance();
+    }
+  }, [contracts, account]);
+
+  const loadPendingBalance = async () => {
+    try {
+      setPendingBalance(await getPendingBalance(account));
+
+      const tokens = (await loadPaymentTokens()).filter((token) => token.address !== ethers.ZeroAddress);
+      const balances = await Promise.all(
+        tokens.map(async (token) => ({
+          token,
+          amount: await contracts.marketplace.pendingTokenWithdrawals(account, token.address),
+        }))
+      );
+      setTokenBalances(balances.filter((balance) => balance.amount > 0n));
+
+      // Auction and offer refunds are held by their own contracts
+      const sources = [
+        { key: 'auction', label: 'Auction refund', contract: contracts.auctionHouse },
+        { key: 'offer', label: 'Offer refund', contract: contracts.offerBook },
+      ].filter((source) => source.contract);
+      const returns = await Promise.all(
+        sources.map(async (source) => [
+          { source, token: NATIVE_TOKEN, amount: await source.contract.pendingReturns(account) },
+          ...(await Promise.all(
+            tokens.map(async (token) => ({
+              source,
+              token,
+              amount: await source.contract.pendingTokenReturns(account, token.address),
+            }))
+          )),
+        ])
+      );
+      setRefunds(returns.flat().filter((entry) => entry.amount > 0n));
+    } catch (error) {
+      console.error('Error loading pending balance:', error);
+    }
+  };
+
+  const handleWithdrawToken = async (token) => {
+    try {
+      setWithdrawing(true);
+      await withdrawToken(token.address);
+      toast.success(`${token.symbol} withdrawn!`);
+      await loadPendingBalance();
+    } catch (error) {
+      console.error('Error withdrawing token funds:', error);
+      toast.error(`Failed to withdraw ${token.symbol}`);
+    } finally {
+      setWithdrawing(false);
+    }
+  };
+
+  const handleWithdrawRefund = async ({ source, token }) => {
+    try {
+      setWithdrawing(true);
+      if (source.key === 'auction') {
+        await withdrawAuctionReturns(token.address);
+      } else {
+        await withdrawOfferReturns(token.address);
+      }
+      toast.success(`${source.label} withdrawn!`);
+      await loadPendingBalance();
+    } catch (error) {
+      console.error('Error withdrawing refund:', error);
+      toast.error(`Failed to withdraw ${source.label.toLowerCase()}`);
+    } finally {
+      setWithdrawing(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    try {
+      setWithdrawing(true);
+      await withdraw();
+      toast.success('Funds withdrawn!');
+      await loadPendingBalance();
+    } catch (error) {
+      console.error('Error withdrawing funds:', error);
+      toast.error('Failed to withdraw funds');
+    } finally {
+      setWithdrawing(false);
+    }
+  };
 
   if (!account) {
     return (
@@ -23,7 +140,7 @@ const Profile = () => {
         </Typography>
       </Box>
 
-      <Card>
+      <Card sx={{ mb: 3 }}>
         <CardContent>
           <Typography variant="h6" gutterBottom>
             Wallet Information
@@ -41,8 +158,94 @@ const Profile = () => {
           )}
         </CardContent>
       </Card>
+
+      <Card>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Pending Balance
+          </Typography>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Sale proceeds, royalties and refunds are credited here when an escrow settles.
+            Withdraw them to your wallet at any time.
+          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Box sx={{ display: 'flex', alignItems: 'center' }}>
+              <Savings sx={{ mr: 1, color: 'primary.main' }} />
+              <Typography variant="h5" sx={{ fontWeight: 'bold' }}>
+                {formatEther(pendingBalance)} ETH
+              </Typography>
+            </Box>
+            <Button
+              variant="contained"
+              onClick={handleWithdraw}
+              disabled={withdrawing || pendingBalance === 0n}
+              startIcon={withdrawing && <CircularProgress size={20} />}
+            >
+              {withdrawing ? 'Withdrawing...' : 'Withdraw'}
+            </Button>
+          </Box>
+          {tokenBalances.map(({ token, amount }) => (
+            <Box
+              key={token.address}
+              sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mt: 2 }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <Savings sx={{ mr: 1, color: 'primary.main' }} />
+                <Typography variant="h5" sx={{ fontWeight: 'bold' }}>
+                  {formatTokenAmount(amount, token)} {token.symbol}
+                </Typography>
+              </Box>
+              <Button
+                variant="contained"
+                onClick={() => handleWithdrawToken(token)}
+                disabled={withdrawing}
+              >
+                Withdraw {token.symbol}
+              </Button>
+            </Box>
+          ))}
+        </CardContent>
+      </Card>
+
+      {refunds.length > 0 && (
+        <Card sx={{ mt: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Refunds
+            </Typography>
+            <Typography variant="body2" color="text.secondary" paragraph>
+              Outbid amounts, Dutch auction overpayments and rejected or cancelled offers are held until you withdraw them.
+            </Typography>
+            {refunds.map((refund) => (
+              <Box
+                key={`${refund.source.key}-${refund.token.address}`}
+                sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mt: 2 }}
+              >
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <Gavel sx={{ mr: 1, color: 'primary.main' }} />
+                  <Box>
+                    <Typography variant="h5" sx={{ fontWeight: 'bold' }}>
+                      {formatTokenAmount(refund.amount, refund.token)} {refund.token.symbol}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {refund.source.label}
+                    </Typography>
+                  </Box>
+                </Box>
+                <Button
+                  variant="contained"
+                  onClick={() => handleWithdrawRefund(refund)}
+                  disabled={withdrawing}
+                >
+                  Withdraw {refund.token.symbol}
+                </Button>
+              </Box>
+            ))}
+          </CardContent>
+        </Card>
+      )}
     </Container>
   );
 };
 
-export default Profile; 
\ No newline at end of file
+export default Profile;
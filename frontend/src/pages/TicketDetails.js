@@ -1,21 +1,571 @@
-import React from 'react';
-import { Container, Typography, Alert } from '@mui/material';
-import { useParams } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import {
+  Container,
+  Typography,
+  Alert,
+  Card,
+  CardContent,
+  Grid,
+  Box,
+  Button,
+  Chip,
+  Divider,
+  TextField,
+  InputAdornment,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { Event, LocationOn, Chair, Person, History } from '@mui/icons-material';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { ethers } from 'ethers';
+import { useWeb3, EVENT_CANCELLED } from '../context/Web3Context';
+import OfferTable from '../components/OfferTable';
+import ListForSaleDialog from '../components/ListForSaleDialog';
+import TicketImage, { useTicketMetadata } from '../components/TicketImage';
+import { REJECTION_REASON_LABELS } from '../components/RejectTicketDialog';
+import { describeResolution } from '../components/DisputeVotes';
+
+const STATUS_LABELS = ['Pending', 'Verified', 'Locked', 'Unlocked', 'Disputed', 'Rejected', 'Redeemed', 'Cancelled'];
+const STATUS_COLORS = ['default', 'success', 'warning', 'info', 'error', 'error', 'secondary', 'error'];
 
 const TicketDetails = () => {
   const { tokenId } = useParams();
+  const {
+    account,
+    contracts,
+    formatAddress,
+    formatTokenAmount,
+    formatEventDate,
+    isTradingFrozen,
+    describeFreeze,
+    isOptOutOpen,
+    getTicketPaymentToken,
+    loadTicketHistory,
+    loadTicketOffers,
+    makeOffer,
+    purchaseTicket,
+    unlistTicket,
+    confirmTransaction,
+    autoReleaseEscrow,
+    raiseDispute,
+  } = useWeb3();
+
+  const [ticket, setTicket] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [offers, setOffers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [offerAmount, setOfferAmount] = useState('');
+  const [offerHours, setOfferHours] = useState('24');
+  const [submitting, setSubmitting] = useState(false);
+  const [listingOpen, setListingOpen] = useState(false);
+  const [disputeOpen, setDisputeOpen] = useState(false);
+  const [disputeReason, setDisputeReason] = useState('');
+  const metadata = useTicketMetadata(ticket && ticket.tokenURI);
+
+  useEffect(() => {
+    if (contracts.ticketNFT && contracts.marketplace) {
+      loadTicket();
+    }
+  }, [contracts, tokenId]);
+
+  const loadTicket = async () => {
+    try {
+      setLoading(true);
+      const [ticketInfo, owner, tokenURI, listing, escrow, escrowDeadline, maxPrice, paymentToken] = await Promise.all([
+        contracts.ticketNFT.getTicketInfo(tokenId),
+        contracts.ticketNFT.ownerOf(tokenId),
+        contracts.ticketNFT.tokenURI(tokenId),
+        contracts.marketplace.listings(tokenId),
+        contracts.marketplace.escrowTransactions(tokenId),
+        contracts.marketplace.escrowDeadline(tokenId),
+        contracts.marketplace.getMaxResalePrice(tokenId),
+        getTicketPaymentToken(tokenId),
+      ]);
+      const [eventInfo, freezeWindow, auction] = await Promise.all([
+        contracts.ticketNFT.getEventInfo(ticketInfo.eventId),
+        contracts.ticketNFT.freezeWindows(ticketInfo.eventId),
+        contracts.auctionHouse ? contracts.auctionHouse.auctions(tokenId) : null,
+      ]);
+      const event = {
+        eventId: ticketInfo.eventId.toString(),
+        name: eventInfo.name,
+        venue: eventInfo.venue,
+        startTime: Number(eventInfo.startTime),
+        freezeWindow: Number(freezeWindow),
+        paymentToken,
+      };
+
+      setTicket({
+        tokenId: Number(tokenId),
+        ticketInfo,
+        owner,
+        tokenURI,
+        listing,
+        escrow,
+        releaseTime: Number(escrowDeadline),
+        auction,
+        maxPrice,
+        paymentToken,
+        event,
+      });
+      await Promise.all([loadOffers(), loadHistory()]);
+    } catch (error) {
+      console.error('Error loading ticket:', error);
+      setTicket(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadHistory = async () => {
+    try {
+      setHistory(await loadTicketHistory(tokenId));
+    } catch (error) {
+      console.error('Error loading ticket history:', error);
+    }
+  };
+
+  const loadOffers = async () => {
+    if (!contracts.offerBook) return;
+    try {
+      setOffers(await loadTicketOffers(tokenId));
+    } catch (error) {
+      console.error('Error loading offers:', error);
+    }
+  };
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setSubmitting(true);
+      await action();
+      toast.success(successMessage);
+      await loadTicket();
+    } catch (error) {
+      console.error('Ticket action failed:', error);
+      toast.error(error.reason || 'Transaction failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleMakeOffer = async () => {
+    if (!offerAmount) {
+      toast.error('Please enter an offer amount');
+      return;
+    }
+
+    const hours = parseFloat(offerHours);
+    if (!hours || hours < 1 || hours > 720) {
+      toast.error('Duration must be between 1 hour and 30 days');
+      return;
+    }
+
+    await runAction(
+      () => makeOffer(tokenId, offerAmount, Math.round(hours * 3600)),
+      'Offer sent! Your funds are held until the seller responds.'
+    );
+    setOfferAmount('');
+  };
+
+  const handleRaiseDispute = async () => {
+    if (!disputeReason.trim()) {
+      toast.error('Please describe the problem');
+      return;
+    }
+    setDisputeOpen(false);
+    await runAction(() => raiseDispute(tokenId, disputeReason.trim()), 'Dispute raised. An admin will review it.');
+    setDisputeReason('');
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ mt: 4, textAlign: 'center' }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  if (!ticket) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 4 }}>
+        <Alert severity="error">Ticket #{tokenId} does not exist.</Alert>
+      </Container>
+    );
+  }
+
+  const { ticketInfo, listing, escrow, releaseTime, auction, paymentToken } = ticket;
+  const status = Number(ticketInfo.status);
+  const formatPrice = (amount) => `${formatTokenAmount(amount, paymentToken)} ${paymentToken.symbol}`;
+  const isSame = (address) => account && address.toLowerCase() === account.toLowerCase();
+
+  const isOwner = isSame(ticket.owner);
+  const hasEscrow = escrow.price > 0n && !escrow.completed;
+  const isEscrowParty = hasEscrow && (isSame(escrow.buyer) || isSame(escrow.seller));
+  const hasConfirmed = hasEscrow && (isSame(escrow.buyer) ? escrow.buyerConfirmed : escrow.sellerConfirmed);
+  const canRelease = hasEscrow && !escrow.disputed && Date.now() / 1000 >= releaseTime;
+  const inAuction = auction && auction.active;
+  const cancelled = ticket.event.status === EVENT_CANCELLED;
+  const frozen = isTradingFrozen(ticket.event);
+  const canList = isOwner && (status === 1 || status === 3) && !listing.active && !inAuction && !frozen;
+
+  const describeEntry = ({ name, args }) => {
+    switch (name) {
+      case 'TicketMinted': return `Minted to ${formatAddress(args.seller)}`;
+      case 'TicketVerified': return `Verified by ${formatAddress(args.admin)}`;
+      case 'TicketRejected': return `Rejected by ${formatAddress(args.admin)} (${REJECTION_REASON_LABELS[Number(args.reason)]})${args.note ? `: "${args.note}"` : ''}${args.burned ? '; ticket burned' : ''}`;
+      case 'TicketResubmitted': return `Resubmitted for verification by ${formatAddress(args.owner)}`;
+      case 'Transfer': return `Transferred from ${formatAddress(args.from)} to ${formatAddress(args.to)}`;
+      case 'TicketListed': return `Listed by ${formatAddress(args.seller)} for ${formatPrice(args.price)}`;
+      case 'TicketUnlisted': return `Unlisted by ${formatAddress(args.seller)}`;
+      case 'TicketPurchased': return `Bought by ${formatAddress(args.buyer)} for ${formatPrice(args.price)}; payment held in escrow`;
+      case 'PrimarySaleCompleted': return `Sold by the organizer to ${formatAddress(args.buyer)} for ${formatPrice(args.price)}`;
+      case 'TransactionConfirmed': return `${args.isSeller ? 'Seller' : 'Buyer'} ${formatAddress(args.confirmer)} confirmed the sale`;
+      case 'EscrowCompleted': return 'Escrow released to the seller';
+      case 'DisputeRaised': return `Dispute raised by ${formatAddress(args.raiser)}: "${args.reason}"`;
+      case 'DisputeResolved': return `Dispute resolved (${describeResolution({ refundBps: Number(args.refundBps), buyerKeepsTicket: args.buyerKeepsTicket })}); ${formatPrice(args.buyerRefund)} refunded to the buyer`;
+      case 'EvidenceSubmitted': return `Evidence added by ${formatAddress(args.author)}${args.cids.length ? ` (${args.cids.length} attachment${args.cids.length === 1 ? '' : 's'})` : ''}${args.note ? `: "${args.note}"` : ''}`;
+      case 'VoteCast': return `${formatAddress(args.admin)} voted: ${describeResolution({ refundBps: Number(args.refundBps), buyerKeepsTicket: args.buyerKeepsTicket })}`;
+      case 'RoyaltyPaid': return `Royalty of ${formatPrice(args.amount)} paid to ${formatAddress(args.receiver)}`;
+      case 'AuctionCreated': return `${Number(args.auctionType) === 0 ? 'English' : 'Dutch'} auction started by ${formatAddress(args.seller)}`;
+      case 'TicketRedeemed': return `Checked in at the gate by scanner ${formatAddress(args.scanner)}`;
+      case 'BidPlaced': return `Bid of ${formatPrice(args.amount)} by ${formatAddress(args.bidder)}`;
+      case 'AuctionSettled': return args.winner === ethers.ZeroAddress
+        ? 'Auction ended without bids'
+        : `Auction won by ${formatAddress(args.winner)} for ${formatPrice(args.price)}`;
+      case 'AuctionCancelled': return 'Auction cancelled';
+      case 'OfferMade': return `Offer of ${formatPrice(args.amount)} by ${formatAddress(args.buyer)}`;
+      case 'EscrowRefunded': return `Event cancelled; ${formatPrice(args.amount)} refunded to the buyer ${formatAddress(args.buyer)}`;
+      case 'RefundClaimed': return `Original price of ${formatPrice(args.amount)} refunded to ${formatAddress(args.holder)}`;
+      case 'TicketOptedOut': return `Returned to the organizer by ${formatAddress(args.holder)} after the event was rescheduled; ${formatPrice(args.amount)} refunded`;
+      case 'OfferAccepted': return `Offer accepted by ${formatAddress(args.seller)} at ${formatPrice(args.price)}`;
+      default: return name;
+    }
+  };
+
+  const renderListingActions = () => {
+    if (listing.active) {
+      if (isSame(listing.seller)) {
+        return (
+          <Button variant="outlined" disabled={submitting}
+            onClick={() => runAction(() => unlistTicket(tokenId), 'Ticket unlisted')}>
+            Unlist
+          </Button>
+        );
+      }
+      if (frozen && (cancelled || !listing.primarySale)) {
+        return <Alert severity="warning">{describeFreeze(ticket.event)}.</Alert>;
+      }
+      return (
+        <Button variant="contained" disabled={!account || submitting}
+          onClick={() => runAction(() => purchaseTicket(tokenId), 'Ticket purchased! Funds are held in escrow.')}>
+          {account ? `Buy for ${formatPrice(listing.price)}` : 'Connect Wallet'}
+        </Button>
+      );
+    }
+    if (canList) {
+      return (
+        <Button variant="contained" onClick={() => setListingOpen(true)}>
+          List for Sale
+        </Button>
+      );
+    }
+    return null;
+  };
 
   return (
-    <Container maxWidth="md" sx={{ mt: 4 }}>
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
       <Typography variant="h3" component="h1" gutterBottom sx={{ fontWeight: 'bold' }}>
-        Ticket Details
+        {metadata && metadata.name ? metadata.name : `Ticket #${tokenId}`}
       </Typography>
-      
-      <Alert severity="info">
-        Detailed view for ticket #{tokenId}. Implementation pending.
-      </Alert>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={5}>
+          <Card>
+            <TicketImage metadata={metadata} height="320" alt={ticket.event.name} />
+            {metadata && (metadata.description || metadata.attributes.length > 0) && (
+              <CardContent>
+                {metadata.description && (
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    {metadata.description}
+                  </Typography>
+                )}
+                {metadata.attributes.length > 0 && (
+                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                    {metadata.attributes.map((attribute) => (
+                      <Chip
+                        key={attribute.trait_type}
+                        size="small"
+                        variant="outlined"
+                        label={`${attribute.trait_type}: ${attribute.value}`}
+                      />
+                    ))}
+                  </Box>
+                )}
+              </CardContent>
+            )}
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={7}>
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
+                <Typography variant="h5" sx={{ fontWeight: 'bold' }}>
+                  {ticket.event.name}
+                </Typography>
+                <Chip label={STATUS_LABELS[status]} color={STATUS_COLORS[status]} />
+              </Box>
+
+              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                <Event sx={{ fontSize: 18, mr: 1, color: 'text.secondary' }} />
+                <Typography color="text.secondary">{formatEventDate(ticket.event.startTime)}</Typography>
+              </Box>
+              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                <LocationOn sx={{ fontSize: 18, mr: 1, color: 'text.secondary' }} />
+                <Typography color="text.secondary">{ticket.event.venue}</Typography>
+              </Box>
+              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                <Chair sx={{ fontSize: 18, mr: 1, color: 'text.secondary' }} />
+                <Typography color="text.secondary">{ticketInfo.seatInfo}</Typography>
+              </Box>
+              <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+                <Person sx={{ fontSize: 18, mr: 1, color: 'text.secondary' }} />
+                <Typography color="text.secondary">
+                  Owned by {isOwner ? 'you' : formatAddress(ticket.owner)}
+                </Typography>
+              </Box>
+
+              {cancelled && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  This event was cancelled. The ticket can no longer be traded; buyers in escrow are
+                  refunded and holders who bought from the organizer can claim the original price in
+                  My Tickets.
+                </Alert>
+              )}
+              {isOptOutOpen(ticket.event) && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  This event was rescheduled to {formatEventDate(ticket.event.startTime)}. Holders of
+                  tickets bought from the organizer can return them for the original price from My
+                  Tickets until {formatEventDate(ticket.event.optOutDeadline)}.
+                </Alert>
+              )}
+
+              <Divider sx={{ my: 2 }} />
+
+              <Typography variant="body2" color="text.secondary">
+                Original price {formatPrice(ticketInfo.originalPrice)} ·{' '}
+                {ticket.maxPrice > 0n ? `resale cap ${formatPrice(ticket.maxPrice)}` : 'free tickets cannot be resold'}
+              </Typography>
+              {listing.active && (
+                <Typography variant="h5" color="primary.main" sx={{ fontWeight: 'bold', mt: 1 }}>
+                  {listing.primarySale ? 'Primary sale' : 'Listed'} at {formatPrice(listing.price)}
+                </Typography>
+              )}
+              {inAuction && (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  This ticket is up for auction.{' '}
+                  <Button component={RouterLink} to="/marketplace" size="small">
+                    View live auctions
+                  </Button>
+                </Alert>
+              )}
+
+              <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+                {renderListingActions()}
+              </Box>
+            </CardContent>
+          </Card>
+
+          {escrow.price > 0n && (
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                  <Typography variant="h6">Escrow</Typography>
+                  {escrow.completed ? (
+                    <Chip label="Completed" color="success" size="small" />
+                  ) : escrow.disputed ? (
+                    <Chip label="Disputed" color="error" size="small" />
+                  ) : (
+                    <Chip label="In Progress" color="warning" size="small" />
+                  )}
+                </Box>
+                <Typography variant="body2">Buyer: {formatAddress(escrow.buyer)}{escrow.buyerConfirmed && ' ✓'}</Typography>
+                <Typography variant="body2">Seller: {formatAddress(escrow.seller)}{escrow.sellerConfirmed && ' ✓'}</Typography>
+                <Typography variant="body2">Price: {formatPrice(escrow.price)}</Typography>
+                {hasEscrow && !escrow.disputed && (
+                  <Typography variant="body2" color="text.secondary">
+                    Disputes close and funds auto-release {new Date(releaseTime * 1000).toLocaleString()}
+                  </Typography>
+                )}
+                {escrow.disputed && (
+                  <Alert severity="error" sx={{ mt: 1 }}>
+                    Dispute: {escrow.disputeReason}
+                  </Alert>
+                )}
+
+                {hasEscrow && (
+                  <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+                    {isEscrowParty && !escrow.disputed && !hasConfirmed && (
+                      <Button variant="contained" disabled={submitting}
+                        onClick={() => runAction(() => confirmTransaction(tokenId), 'Transaction confirmed')}>
+                        Confirm
+                      </Button>
+                    )}
+                    {isEscrowParty && !escrow.disputed && !canRelease && (
+                      <Button variant="outlined" color="error" disabled={submitting}
+                        onClick={() => setDisputeOpen(true)}>
+                        Raise Dispute
+                      </Button>
+                    )}
+                    {canRelease && (
+                      <Button variant="outlined" disabled={!account || submitting}
+                        onClick={() => runAction(() => autoReleaseEscrow(tokenId), 'Escrow released')}>
+                        Release Funds
+                      </Button>
+                    )}
+                  </Box>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Offers
+              </Typography>
+
+              {!contracts.offerBook ? (
+                <Alert severity="info">Offers are not available on this deployment.</Alert>
+              ) : (
+                <>
+                  {account && !isOwner && ticket.maxPrice === 0n && (
+                    <Alert severity="info" sx={{ mb: 3 }}>
+                      Free tickets cannot be resold, so they take no offers.
+                    </Alert>
+                  )}
+                  {account && !isOwner && frozen && ticket.maxPrice > 0n && (
+                    <Alert severity="warning" sx={{ mb: 3 }}>
+                      {describeFreeze(ticket.event)}, so new offers are closed.
+                    </Alert>
+                  )}
+                  {account && !isOwner && !frozen && ticket.maxPrice > 0n && (
+                    <Box sx={{ display: 'flex', gap: 2, mb: 3, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+                      <TextField
+                        size="small"
+                        label="Your Offer"
+                        type="number"
+                        value={offerAmount}
+                        onChange={(e) => setOfferAmount(e.target.value)}
+                        helperText={`Up to ${formatPrice(ticket.maxPrice)}`}
+                        InputProps={{
+                          endAdornment: <InputAdornment position="end">{paymentToken.symbol}</InputAdornment>,
+                        }}
+                      />
+                      <TextField
+                        size="small"
+                        label="Valid For"
+                        type="number"
+                        value={offerHours}
+                        onChange={(e) => setOfferHours(e.target.value)}
+                        inputProps={{ min: 1, max: 720, step: 1 }}
+                        InputProps={{
+                          endAdornment: <InputAdornment position="end">hours</InputAdornment>,
+                        }}
+                        sx={{ width: 140 }}
+                      />
+                      <Button
+                        variant="contained"
+                        onClick={handleMakeOffer}
+                        disabled={submitting}
+                        startIcon={submitting && <CircularProgress size={16} />}
+                      >
+                        Make Offer
+                      </Button>
+                    </Box>
+                  )}
+
+                  <OfferTable offers={offers} isOwner={isOwner} onChanged={loadTicket} />
+                </>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+                <History sx={{ mr: 1 }} />
+                <Typography variant="h6">History</Typography>
+              </Box>
+              {history.length === 0 ? (
+                <Typography color="text.secondary">No on-chain activity found.</Typography>
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Date</TableCell>
+                      <TableCell>Activity</TableCell>
+                      <TableCell>Transaction</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {history.map((entry, index) => (
+                      <TableRow key={`${entry.transactionHash}-${index}`}>
+                        <TableCell>{new Date(entry.timestamp * 1000).toLocaleString()}</TableCell>
+                        <TableCell>{describeEntry(entry)}</TableCell>
+                        <TableCell sx={{ fontFamily: 'monospace' }}>{formatAddress(entry.transactionHash)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      <ListForSaleDialog
+        open={listingOpen}
+        onClose={() => setListingOpen(false)}
+        ticket={ticket}
+        onListed={loadTicket}
+      />
+
+      <Dialog open={disputeOpen} onClose={() => setDisputeOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Raise Dispute</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Funds stay in escrow until an admin resolves the dispute.
+          </Typography>
+          <TextField
+            label="What went wrong?"
+            value={disputeReason}
+            onChange={(e) => setDisputeReason(e.target.value)}
+            multiline
+            rows={3}
+            fullWidth
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDisputeOpen(false)}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleRaiseDispute}>
+            Raise Dispute
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
 
-export default TicketDetails; 
\ No newline at end of file
+export default TicketDetails;
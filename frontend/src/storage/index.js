@@ -0,0 +1,57 @@
+import { createKuboStorage } from './kubo';
+import { createMemoryStorage } from './memory';
+
+// Storage backend: 'kubo' (local IPFS node) or 'memory' (in-process, for tests)
+const STORAGE_BACKEND = process.env.REACT_APP_STORAGE || 'kubo';
+const IPFS_API_URL = process.env.REACT_APP_IPFS_API_URL || 'http://127.0.0.1:5001/api/v0';
+export const IPFS_GATEWAY_URL = process.env.REACT_APP_IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/';
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+let storage = null;
+
+/**
+ * Returns the configured storage adapter. Adapters expose
+ * add(content, { onProgress }) => cid, get(cid) => Blob and toUrl(cid).
+ */
+export const getStorage = () => {
+  if (!storage) {
+    storage = STORAGE_BACKEND === 'memory'
+      ? createMemoryStorage()
+      : createKuboStorage({ apiUrl: IPFS_API_URL, gatewayUrl: IPFS_GATEWAY_URL });
+  }
+  return storage;
+};
+
+/**
+ * Replaces the storage adapter, e.g. with createMemoryStorage() in tests
+ */
+export const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Uploads content, retrying failed attempts with exponential backoff.
+ * onProgress receives a 0-1 fraction, onRetry the failed attempt number and error.
+ */
+export const uploadWithRetry = async (content, { onProgress, onRetry } = {}) => {
+  const adapter = getStorage();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      if (onProgress) onProgress(0);
+      return await adapter.add(content, { onProgress });
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS) throw error;
+      if (onRetry) onRetry(attempt, error);
+      await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+export const uploadJSON = (value, options) => uploadWithRetry(JSON.stringify(value, null, 2), options);
+
+export { createKuboStorage, createMemoryStorage };
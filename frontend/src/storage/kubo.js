@@ -0,0 +1,37 @@
+import { create } from 'ipfs-http-client';
+
+/**
+ * Storage adapter backed by a local IPFS node through the Kubo HTTP API.
+ * Content is pinned so it survives the node's garbage collection.
+ */
+export const createKuboStorage = ({ apiUrl, gatewayUrl }) => {
+  const client = create({ url: apiUrl });
+
+  const add = async (content, { onProgress } = {}) => {
+    const size = content.size ?? content.length ?? 0;
+    const result = await client.add(content, {
+      cidVersion: 1,
+      pin: true,
+      progress: (bytes) => {
+        if (onProgress && size > 0) onProgress(Math.min(bytes / size, 1));
+      },
+    });
+    if (onProgress) onProgress(1);
+    return result.cid.toString();
+  };
+
+  const get = async (cid) => {
+    const chunks = [];
+    for await (const chunk of client.cat(cid)) {
+      chunks.push(chunk);
+    }
+    return new Blob(chunks);
+  };
+
+  return {
+    name: 'kubo',
+    add,
+    get,
+    toUrl: (cid) => `${gatewayUrl}${cid}`,
+  };
+};
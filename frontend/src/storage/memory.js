@@ -0,0 +1,58 @@
+import { CID } from 'ipfs-http-client';
+
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+
+const toBytes = async (content) => {
+  if (typeof content === 'string') return new TextEncoder().encode(content);
+  if (content instanceof Blob) return new Uint8Array(await content.arrayBuffer());
+  return new Uint8Array(content);
+};
+
+// CIDv1 of the raw bytes. This matches `ipfs add --cid-version=1 --raw-leaves` only for content
+// up to its 256 KiB chunk size; Kubo splits larger files into a dag-pb tree with a different root CID.
+const computeCid = async (bytes) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  const multihash = new Uint8Array(2 + digest.length);
+  multihash.set([SHA2_256, digest.length]);
+  multihash.set(digest, 2);
+  return CID.create(1, RAW_CODEC, { code: SHA2_256, size: digest.length, digest, bytes: multihash }).toString();
+};
+
+/**
+ * In-process content-addressed store for tests and offline development.
+ * Content lives only as long as the page, and URLs are object URLs.
+ */
+export const createMemoryStorage = () => {
+  const blocks = new Map();
+  const urls = new Map();
+
+  const add = async (content, { onProgress } = {}) => {
+    const bytes = await toBytes(content);
+    const cid = await computeCid(bytes);
+    blocks.set(cid, bytes);
+    if (onProgress) onProgress(1);
+    return cid;
+  };
+
+  const get = async (cid) => {
+    const bytes = blocks.get(cid);
+    if (!bytes) throw new Error(`Content ${cid} not found`);
+    return new Blob([bytes]);
+  };
+
+  const toUrl = (cid) => {
+    if (!blocks.has(cid)) return null;
+    if (!urls.has(cid)) {
+      urls.set(cid, URL.createObjectURL(new Blob([blocks.get(cid)])));
+    }
+    return urls.get(cid);
+  };
+
+  return {
+    name: 'memory',
+    add,
+    get,
+    toUrl,
+  };
+};
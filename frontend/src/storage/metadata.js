@@ -0,0 +1,145 @@
+import { getStorage, IPFS_GATEWAY_URL } from './index';
+
+// Tried in order after the configured gateway when content does not load
+const FALLBACK_GATEWAYS = (process.env.REACT_APP_IPFS_FALLBACK_GATEWAYS ||
+  'https://dweb.link/ipfs/,https://cloudflare-ipfs.com/ipfs/')
+  .split(',')
+  .map((gateway) => gateway.trim())
+  .filter(Boolean);
+
+const FETCH_TIMEOUT_MS = 10000;
+
+const cache = new Map();
+
+/**
+ * Returns "<cid>/<path>" for ipfs:// URIs and gateway URLs, or null for anything else
+ */
+export const toIpfsPath = (uri) => {
+  if (!uri) return null;
+  if (uri.startsWith('ipfs://')) return uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+  const match = uri.match(/^https?:\/\/[^/]+\/ipfs\/(.+)$/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Candidate URLs for a URI: the storage adapter's own URL, then each gateway.
+ * URIs that are not IPFS content (https, data:) are returned as-is.
+ */
+export const toGatewayUrls = (uri) => {
+  if (!uri) return [];
+  const ipfsPath = toIpfsPath(uri);
+  if (!ipfsPath) return [uri];
+
+  const urls = [
+    getStorage().toUrl(ipfsPath),
+    ...[IPFS_GATEWAY_URL, ...FALLBACK_GATEWAYS].map((gateway) => `${gateway}${ipfsPath}`),
+  ];
+  return [...new Set(urls.filter(Boolean))];
+};
+
+const isString = (value) => typeof value === 'string';
+
+/**
+ * Checks metadata against the ERC-721 metadata JSON schema (name, description
+ * and image are strings) and the common attributes extension.
+ */
+export const validateMetadata = (metadata) => {
+  const errors = [];
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return ['Metadata is not a JSON object'];
+  }
+  ['name', 'description', 'image'].forEach((field) => {
+    if (metadata[field] === undefined) {
+      errors.push(`Missing "${field}"`);
+    } else if (!isString(metadata[field])) {
+      errors.push(`"${field}" must be a string`);
+    }
+  });
+  if (metadata.attributes !== undefined) {
+    const attributesValid = Array.isArray(metadata.attributes) && metadata.attributes.every(
+      (attribute) => attribute && isString(attribute.trait_type) && attribute.value !== undefined
+    );
+    if (!attributesValid) {
+      errors.push('"attributes" must be a list of { trait_type, value } entries');
+    }
+  }
+  return errors;
+};
+
+const fetchWithTimeout = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+    return response;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Loads the first candidate that responds; undefined means the tokenURI is an image itself
+const fetchMetadataJSON = async (tokenURI) => {
+  let lastError;
+  for (const url of toGatewayUrls(tokenURI)) {
+    try {
+      const response = await fetchWithTimeout(url);
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.startsWith('image/')) return undefined;
+      const text = await response.text();
+      try {
+        return JSON.parse(text);
+      } catch {
+        // Gateways and object URLs often omit the content type on raw image blocks
+        return undefined;
+      }
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError || new Error('No URL to fetch');
+};
+
+const resolve = async (tokenURI) => {
+  let metadata;
+  try {
+    metadata = await fetchMetadataJSON(tokenURI);
+  } catch (error) {
+    // Unreachable content is not cached so the next render tries again
+    cache.delete(tokenURI);
+    console.warn(`Could not load metadata for ${tokenURI}:`, error);
+    return { imageUrls: [], attributes: [], valid: false, errors: ['Metadata could not be loaded'] };
+  }
+
+  // Tickets minted before metadata JSON existed store the proof image directly
+  if (metadata === undefined) {
+    return { imageUrls: toGatewayUrls(tokenURI), attributes: [], valid: false, errors: ['tokenURI points at an image, not metadata'] };
+  }
+
+  const errors = validateMetadata(metadata);
+  const safe = metadata && typeof metadata === 'object' ? metadata : {};
+  return {
+    name: isString(safe.name) ? safe.name : undefined,
+    description: isString(safe.description) ? safe.description : undefined,
+    imageUrls: isString(safe.image) ? toGatewayUrls(safe.image) : [],
+    attributes: Array.isArray(safe.attributes)
+      ? safe.attributes.filter((attribute) => attribute && isString(attribute.trait_type))
+      : [],
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Resolves a tokenURI to its metadata, with image candidates ready for <img>.
+ * Results are cached per tokenURI and concurrent lookups share one request.
+ */
+export const resolveMetadata = (tokenURI) => {
+  if (!tokenURI) {
+    return Promise.resolve({ imageUrls: [], attributes: [], valid: false, errors: ['No tokenURI'] });
+  }
+  if (!cache.has(tokenURI)) {
+    cache.set(tokenURI, resolve(tokenURI));
+  }
+  return cache.get(tokenURI);
+};
@@ -1,6 +1,43 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+// Releases expired escrows; see keeper/ for the standalone Node keeper
+task("release-escrows", "Auto-releases escrows past their deadline")
+  .addFlag("dryRun", "Only simulate the releases")
+  .addOptionalParam("report", "Write the JSON report to this file instead of printing it")
+  .addOptionalParam("batchSize", "Escrows per batch", 20, types.int)
+  .setAction(async ({ dryRun, report: reportFile, batchSize }, hre) => {
+    const { Keeper, writeReport, formatBounty } = require("./keeper/keeper");
+    const deployment = (name) => {
+      const file = path.join(__dirname, "frontend", "src", "contracts", `${name}.json`);
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")).address : "";
+    };
+
+    const marketplaceAddress = deployment("TicketMarketplace");
+    if (!marketplaceAddress) throw new Error("TicketMarketplace has no address; deploy the contracts first");
+    const escrowKeeperAddress = deployment("TicketEscrowKeeper");
+
+    const keeper = new Keeper({
+      marketplace: await hre.ethers.getContractAt("TicketMarketplace", marketplaceAddress),
+      escrowKeeper: escrowKeeperAddress
+        ? await hre.ethers.getContractAt("TicketEscrowKeeper", escrowKeeperAddress)
+        : null,
+      provider: hre.ethers.provider,
+      batchSize,
+      dryRun,
+    });
+
+    const report = await keeper.run();
+    if (report.escrowKeeper && !dryRun) {
+      console.log(`Earned ${formatBounty(report)} in bounties`);
+    }
+    writeReport(report, reportFile);
+  });
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -0,0 +1,58 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TicketStore } = require("./store");
+const { Indexer } = require("./indexer");
+const { createServer } = require("./server");
+
+const RPC_URL = process.env.INDEXER_RPC_URL || "http://127.0.0.1:8545";
+const PORT = Number(process.env.INDEXER_PORT || 4000);
+const POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_MS || 2000);
+const START_BLOCK = Number(process.env.INDEXER_START_BLOCK || 0);
+
+// The deploy script writes addresses and ABIs here for the frontend
+const loadContract = (name, provider) => {
+  const file = path.join(__dirname, "..", "frontend", "src", "contracts", `${name}.json`);
+  const { address, abi } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!address) {
+    throw new Error(`${name} has no address in ${file}; deploy the contracts first`);
+  }
+  return new ethers.Contract(address, abi, provider);
+};
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const ticketNFT = loadContract("EventTicketNFT", provider);
+  const marketplace = loadContract("TicketMarketplace", provider);
+
+  const store = new TicketStore(path.join(__dirname, "data", `${chainId}.json`)).load({
+    chainId: Number(chainId),
+    ticketNFT: ticketNFT.target,
+    marketplace: marketplace.target,
+    startBlock: START_BLOCK,
+  });
+  console.log(`Indexing chain ${chainId} from block ${store.lastBlock + 1} via ${RPC_URL}`);
+
+  const indexer = new Indexer({ ticketNFT, marketplace, store, provider });
+  await indexer.sync();
+  indexer.start(POLL_INTERVAL_MS);
+
+  const server = createServer(store);
+  server.listen(PORT, () => {
+    console.log(`Indexer API listening on http://localhost:${PORT}`);
+  });
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
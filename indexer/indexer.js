@@ -0,0 +1,207 @@
+const { ethers } = require("ethers");
+
+// Events that change a ticket's indexed state, and the argument holding its token ID
+const TICKET_EVENTS = {
+  ticketNFT: {
+    TicketMinted: "tokenId",
+    TicketVerified: "tokenId",
+    TicketRejected: "tokenId",
+    TicketResubmitted: "tokenId",
+    TicketLocked: "tokenId",
+    TicketUnlocked: "tokenId",
+    TicketStatusChanged: "tokenId",
+    Transfer: "tokenId",
+  },
+  marketplace: {
+    TicketListed: "tokenId",
+    TicketUnlisted: "tokenId",
+    TicketPurchased: "tokenId",
+    PrimarySaleCompleted: "tokenId",
+    EscrowCreated: "tokenId",
+    TransactionConfirmed: "tokenId",
+    EscrowCompleted: "tokenId",
+    DisputeRaised: "tokenId",
+    DisputeResolved: "tokenId",
+    EscrowRefunded: "tokenId",
+  },
+};
+
+// Events that change every ticket of an event (e.g. the date in rendered metadata), and the
+// argument holding its event ID
+const EVENT_WIDE_EVENTS = {
+  ticketNFT: {
+    EventRescheduled: "eventId",
+  },
+};
+
+const toAddress = (address) => address.toLowerCase();
+
+/**
+ * Follows EventTicketNFT and TicketMarketplace logs and keeps the store in sync.
+ * Logs only tell which tickets changed; each touched ticket is then re-read from the
+ * contracts at the synced block, so the store always matches on-chain state.
+ */
+class Indexer {
+  constructor({ ticketNFT, marketplace, store, provider, batchSize = 2000, logger = console }) {
+    this.ticketNFT = ticketNFT;
+    this.marketplace = marketplace;
+    this.store = store;
+    this.provider = provider;
+    this.batchSize = batchSize;
+    this.logger = logger;
+    this.timer = null;
+    this.syncing = false;
+  }
+
+  /**
+   * Indexes every block up to the current head
+   */
+  async sync() {
+    if (this.syncing) return this.store.lastBlock;
+    this.syncing = true;
+
+    try {
+      const head = await this.provider.getBlockNumber();
+
+      // A restarted local node starts from block 0 again
+      if (this.store.lastBlock > head) {
+        this.logger.warn(`Indexed block ${this.store.lastBlock} is ahead of the chain head ${head}, reindexing`);
+        this.store.reset({ ...this.store.data, startBlock: 0 });
+      }
+
+      while (this.store.lastBlock < head) {
+        const fromBlock = this.store.lastBlock + 1;
+        const toBlock = Math.min(head, fromBlock + this.batchSize - 1);
+        const touched = await this.collectTouchedTokens(fromBlock, toBlock);
+
+        for (const tokenId of touched) {
+          await this.refreshTicket(tokenId, toBlock);
+        }
+
+        this.store.lastBlock = toBlock;
+        this.store.save();
+        if (touched.size > 0) {
+          this.logger.log(`Indexed blocks ${fromBlock}-${toBlock}: ${touched.size} ticket(s) updated`);
+        }
+      }
+
+      return head;
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Returns the token IDs mentioned by ticket events in a block range, plus every ticket of
+   * events changed as a whole
+   */
+  async collectTouchedTokens(fromBlock, toBlock) {
+    const touched = new Set();
+
+    for (const [contractName, events] of Object.entries(TICKET_EVENTS)) {
+      const eventWide = EVENT_WIDE_EVENTS[contractName] || {};
+      const logs = await this[contractName].queryFilter("*", fromBlock, toBlock);
+      for (const log of logs) {
+        const argName = events[log.eventName];
+        if (argName) {
+          touched.add(Number(log.args[argName]));
+        }
+        if (eventWide[log.eventName]) {
+          const tokenIds = await this.ticketNFT.getEventTickets(log.args[eventWide[log.eventName]], {
+            blockTag: toBlock,
+          });
+          tokenIds.forEach((tokenId) => touched.add(Number(tokenId)));
+        }
+      }
+    }
+
+    return touched;
+  }
+
+  /**
+   * Re-reads a ticket's owner, metadata, listing and escrow at a block
+   */
+  async refreshTicket(tokenId, blockTag) {
+    const overrides = { blockTag };
+
+    // Burned tickets (e.g. rejected as fraud) revert on every per-token read
+    try {
+      await this.ticketNFT.ownerOf(tokenId, overrides);
+    } catch (error) {
+      if (!String(error.reason || error.message).includes("ERC721: invalid token ID")) throw error;
+      this.store.removeTicket(tokenId);
+      return;
+    }
+
+    const [owner, tokenURI, info, listing, escrow] = await Promise.all([
+      this.ticketNFT.ownerOf(tokenId, overrides),
+      this.ticketNFT.tokenURI(tokenId, overrides),
+      this.ticketNFT.getTicketInfo(tokenId, overrides),
+      this.marketplace.listings(tokenId, overrides),
+      this.marketplace.escrowTransactions(tokenId, overrides),
+    ]);
+
+    this.store.upsertTicket({
+      tokenId,
+      owner: toAddress(owner),
+      tokenURI,
+      ticketInfo: {
+        eventId: info.eventId.toString(),
+        seatInfo: info.seatInfo,
+        originalPrice: info.originalPrice.toString(),
+        originalSeller: toAddress(info.originalSeller),
+        status: Number(info.status),
+        listingTimestamp: info.listingTimestamp.toString(),
+        proofImageHash: info.proofImageHash,
+      },
+      listing: listing.seller === ethers.ZeroAddress ? null : {
+        seller: toAddress(listing.seller),
+        price: listing.price.toString(),
+        active: listing.active,
+        timestamp: listing.timestamp.toString(),
+        primarySale: listing.primarySale,
+        paymentToken: toAddress(listing.paymentToken),
+      },
+      escrow: escrow.price === 0n ? null : {
+        seller: toAddress(escrow.seller),
+        buyer: toAddress(escrow.buyer),
+        price: escrow.price.toString(),
+        startTime: escrow.startTime.toString(),
+        sellerConfirmed: escrow.sellerConfirmed,
+        buyerConfirmed: escrow.buyerConfirmed,
+        disputed: escrow.disputed,
+        completed: escrow.completed,
+        disputeReason: escrow.disputeReason,
+        paymentToken: toAddress(escrow.paymentToken),
+      },
+      updatedBlock: blockTag,
+    });
+  }
+
+  /**
+   * Polls for new blocks until stopped
+   */
+  start(intervalMs = 2000) {
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        this.logger.error("Indexer sync failed:", error.message);
+      }
+      if (this.timer !== null) {
+        this.timer = setTimeout(poll, intervalMs);
+      }
+    };
+
+    this.timer = setTimeout(poll, 0);
+  }
+
+  stop() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = { Indexer, TICKET_EVENTS, EVENT_WIDE_EVENTS };
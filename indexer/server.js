@@ -0,0 +1,75 @@
+const http = require("http");
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Read-only HTTP API over the ticket store:
+ *   GET /status
+ *   GET /tickets?owner=0x..&status=0&eventId=1
+ *   GET /tickets/:tokenId
+ *   GET /listings
+ *   GET /escrows?party=0x..
+ *   GET /disputes
+ * List responses carry the indexed block and contract address so clients can
+ * tell whether the index matches the deployment they are connected to.
+ */
+const createServer = (store) => {
+  return http.createServer((req, res) => {
+    if (req.method !== "GET") {
+      sendJson(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const query = Object.fromEntries(url.searchParams);
+    const envelope = (key, value) => ({
+      chainId: store.data.chainId,
+      ticketNFT: store.data.ticketNFT,
+      lastBlock: store.lastBlock,
+      [key]: value,
+    });
+
+    try {
+      const ticketMatch = url.pathname.match(/^\/tickets\/(\d+)$/);
+      if (ticketMatch) {
+        const ticket = store.getTicket(Number(ticketMatch[1]));
+        if (!ticket) {
+          sendJson(res, 404, { error: "Ticket not indexed" });
+        } else {
+          sendJson(res, 200, envelope("ticket", ticket));
+        }
+        return;
+      }
+
+      switch (url.pathname) {
+        case "/status":
+          sendJson(res, 200, envelope("ticketCount", Object.keys(store.data.tickets).length));
+          return;
+        case "/tickets":
+          sendJson(res, 200, envelope("tickets", store.findTickets(query)));
+          return;
+        case "/listings":
+          sendJson(res, 200, envelope("tickets", store.findListings()));
+          return;
+        case "/escrows":
+          sendJson(res, 200, envelope("tickets", store.findEscrows(query)));
+          return;
+        case "/disputes":
+          sendJson(res, 200, envelope("tickets", store.findDisputes()));
+          return;
+        default:
+          sendJson(res, 404, { error: "Not found" });
+      }
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+};
+
+module.exports = { createServer };
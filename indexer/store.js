@@ -0,0 +1,116 @@
+const fs = require("fs");
+const path = require("path");
+
+// Mirrors EventTicketNFT.TicketStatus
+const TicketStatus = {
+  PENDING: 0,
+  VERIFIED: 1,
+  LOCKED: 2,
+  UNLOCKED: 3,
+  DISPUTED: 4,
+  REJECTED: 5,
+  REDEEMED: 6,
+  CANCELLED: 7,
+};
+
+/**
+ * JSON-file backed ticket database. Records hold plain JSON (amounts as decimal strings)
+ * so they can be served by the API as-is.
+ */
+class TicketStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+  }
+
+  /**
+   * Loads the database, starting fresh when it belongs to another chain or deployment
+   */
+  load(meta) {
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      if (
+        saved.chainId === meta.chainId &&
+        saved.ticketNFT === meta.ticketNFT.toLowerCase() &&
+        saved.marketplace === meta.marketplace.toLowerCase()
+      ) {
+        this.data = saved;
+        return this;
+      }
+    }
+
+    this.reset(meta);
+    return this;
+  }
+
+  reset(meta) {
+    this.data = {
+      chainId: meta.chainId,
+      ticketNFT: meta.ticketNFT.toLowerCase(),
+      marketplace: meta.marketplace.toLowerCase(),
+      lastBlock: meta.startBlock !== undefined ? meta.startBlock - 1 : -1,
+      tickets: {},
+    };
+  }
+
+  save() {
+    if (!this.filePath) return;
+
+    // Write to a temp file first so a crash never leaves a truncated database
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get lastBlock() {
+    return this.data.lastBlock;
+  }
+
+  set lastBlock(blockNumber) {
+    this.data.lastBlock = blockNumber;
+  }
+
+  upsertTicket(record) {
+    this.data.tickets[record.tokenId] = record;
+  }
+
+  removeTicket(tokenId) {
+    delete this.data.tickets[tokenId];
+  }
+
+  getTicket(tokenId) {
+    return this.data.tickets[tokenId] || null;
+  }
+
+  /**
+   * Finds tickets by owner, status and/or event ID
+   */
+  findTickets({ owner, status, eventId } = {}) {
+    return Object.values(this.data.tickets)
+      .filter((ticket) => owner === undefined || ticket.owner === owner.toLowerCase())
+      .filter((ticket) => status === undefined || ticket.ticketInfo.status === Number(status))
+      .filter((ticket) => eventId === undefined || ticket.ticketInfo.eventId === String(eventId))
+      .sort((a, b) => a.tokenId - b.tokenId);
+  }
+
+  findListings() {
+    return this.findTickets().filter((ticket) => ticket.listing && ticket.listing.active);
+  }
+
+  /**
+   * Finds open escrows, optionally only those where `party` is the buyer or seller
+   */
+  findEscrows({ party } = {}) {
+    const account = party && party.toLowerCase();
+    return this.findTickets()
+      .filter((ticket) => ticket.escrow && !ticket.escrow.completed)
+      .filter((ticket) => !account || ticket.escrow.buyer === account || ticket.escrow.seller === account);
+  }
+
+  findDisputes() {
+    return this.findEscrows().filter((ticket) => ticket.escrow.disputed);
+  }
+}
+
+module.exports = { TicketStore, TicketStatus };
@@ -0,0 +1,57 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { Keeper, writeReport, formatBounty } = require("./keeper");
+
+const RPC_URL = process.env.KEEPER_RPC_URL || "http://127.0.0.1:8545";
+const PRIVATE_KEY = process.env.KEEPER_PRIVATE_KEY;
+
+// Usage: node keeper/index.js [--dry-run] [--report <file>] [--batch-size <n>]
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+const DRY_RUN = args.includes("--dry-run");
+const REPORT_FILE = option("--report");
+const BATCH_SIZE = Number(option("--batch-size") || process.env.KEEPER_BATCH_SIZE || 20);
+
+// The deploy script writes addresses and ABIs here for the frontend
+const loadContract = (name, runner, { optional = false } = {}) => {
+  const file = path.join(__dirname, "..", "frontend", "src", "contracts", `${name}.json`);
+  const { address, abi } = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  if (!address) {
+    if (optional) return null;
+    throw new Error(`${name} has no address in ${file}; deploy the contracts first`);
+  }
+  return new ethers.Contract(address, abi, runner);
+};
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  if (!PRIVATE_KEY && !DRY_RUN) {
+    throw new Error("Set KEEPER_PRIVATE_KEY to send transactions, or pass --dry-run");
+  }
+  const runner = PRIVATE_KEY ? new ethers.Wallet(PRIVATE_KEY, provider) : provider;
+
+  const keeper = new Keeper({
+    marketplace: loadContract("TicketMarketplace", runner),
+    escrowKeeper: loadContract("TicketEscrowKeeper", runner, { optional: true }),
+    provider,
+    batchSize: BATCH_SIZE,
+    dryRun: DRY_RUN,
+  });
+
+  const report = await keeper.run();
+  if (report.escrowKeeper && !DRY_RUN) {
+    console.log(`Earned ${formatBounty(report)} in bounties`);
+  }
+  writeReport(report, REPORT_FILE);
+  if (REPORT_FILE) console.log(`Report written to ${REPORT_FILE}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
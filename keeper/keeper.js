@@ -0,0 +1,163 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Finds open escrows past their deadline (TicketMarketplace.escrowDeadline) and releases
+ * them. With a TicketEscrowKeeper contract each batch is a single releaseEscrows
+ * transaction that earns its bounty; without one, every escrow gets its own
+ * autoReleaseEscrow transaction. Dry runs only simulate the releases.
+ */
+class Keeper {
+  constructor({ marketplace, escrowKeeper = null, provider, batchSize = 20, dryRun = false, logger = console }) {
+    this.marketplace = marketplace;
+    this.escrowKeeper = escrowKeeper;
+    this.provider = provider;
+    this.batchSize = batchSize;
+    this.dryRun = dryRun;
+    this.logger = logger;
+  }
+
+  /**
+   * Splits the active escrows into those due for release and those to leave alone
+   */
+  async findDueEscrows() {
+    const block = await this.provider.getBlock("latest");
+    const overrides = { blockTag: block.number };
+    const tokenIds = await this.marketplace.getActiveEscrows(overrides);
+
+    const due = [];
+    const skipped = [];
+    for (const tokenId of tokenIds) {
+      const [escrow, deadline] = await Promise.all([
+        this.marketplace.escrowTransactions(tokenId, overrides),
+        this.marketplace.escrowDeadline(tokenId, overrides),
+      ]);
+      const entry = { tokenId: Number(tokenId), deadline: Number(deadline) };
+
+      if (escrow.disputed) {
+        skipped.push({ ...entry, reason: "disputed" });
+      } else if (block.timestamp < deadline) {
+        skipped.push({ ...entry, reason: "not due" });
+      } else {
+        due.push(entry);
+      }
+    }
+
+    return { blockNumber: block.number, timestamp: block.timestamp, scanned: tokenIds.length, due, skipped };
+  }
+
+  /**
+   * Releases every due escrow in batches and returns a JSON-serializable report
+   */
+  async run() {
+    const { chainId } = await this.provider.getNetwork();
+    const scan = await this.findDueEscrows();
+    const report = {
+      chainId: Number(chainId),
+      marketplace: this.marketplace.target,
+      escrowKeeper: this.escrowKeeper ? this.escrowKeeper.target : null,
+      dryRun: this.dryRun,
+      ...scan,
+      released: [],
+      failed: [],
+      bounty: "0",
+    };
+
+    for (let i = 0; i < scan.due.length; i += this.batchSize) {
+      const batch = scan.due.slice(i, i + this.batchSize).map((entry) => entry.tokenId);
+      if (this.dryRun) {
+        await this.simulateBatch(batch, report);
+      } else if (this.escrowKeeper) {
+        await this.releaseThroughKeeper(batch, report);
+      } else {
+        await this.releaseDirectly(batch, report);
+      }
+    }
+
+    this.logger.log(
+      `${this.dryRun ? "[dry run] " : ""}Scanned ${report.scanned} escrow(s): ` +
+        `${scan.due.length} due, ${report.released.length} released, ${report.failed.length} failed`
+    );
+    return report;
+  }
+
+  async simulateBatch(tokenIds, report) {
+    for (const tokenId of tokenIds) {
+      try {
+        await this.marketplace.autoReleaseEscrow.staticCall(tokenId);
+        report.released.push({ tokenId, txHash: null });
+      } catch (error) {
+        report.failed.push({ tokenId, error: errorMessage(error) });
+      }
+    }
+  }
+
+  async releaseThroughKeeper(tokenIds, report) {
+    try {
+      const tx = await this.escrowKeeper.releaseEscrows(tokenIds);
+      const receipt = await tx.wait();
+
+      const skipped = new Set();
+      for (const log of receipt.logs) {
+        const parsed = this.escrowKeeper.interface.parseLog(log);
+        if (!parsed) continue;
+        if (parsed.name === "ReleaseSkipped") skipped.add(Number(parsed.args.tokenId));
+        if (parsed.name === "EscrowsReleased") {
+          report.bounty = (BigInt(report.bounty) + parsed.args.reward).toString();
+        }
+      }
+      for (const tokenId of tokenIds) {
+        if (skipped.has(tokenId)) {
+          report.failed.push({ tokenId, error: "skipped by TicketEscrowKeeper" });
+        } else {
+          report.released.push({ tokenId, txHash: receipt.hash });
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Batch ${tokenIds.join(", ")} failed:`, errorMessage(error));
+      tokenIds.forEach((tokenId) => report.failed.push({ tokenId, error: errorMessage(error) }));
+    }
+  }
+
+  async releaseDirectly(tokenIds, report) {
+    // Send the whole batch before waiting, so it can land in the same block
+    const sent = [];
+    for (const tokenId of tokenIds) {
+      try {
+        sent.push({ tokenId, tx: await this.marketplace.autoReleaseEscrow(tokenId) });
+      } catch (error) {
+        report.failed.push({ tokenId, error: errorMessage(error) });
+      }
+    }
+
+    for (const { tokenId, tx } of sent) {
+      try {
+        const receipt = await tx.wait();
+        report.released.push({ tokenId, txHash: receipt.hash });
+      } catch (error) {
+        report.failed.push({ tokenId, error: errorMessage(error) });
+      }
+    }
+  }
+}
+
+const errorMessage = (error) => error.reason || error.shortMessage || error.message;
+
+/**
+ * Writes a report as JSON to a file, or prints it when no file is given
+ */
+const writeReport = (report, file) => {
+  const json = JSON.stringify(report, null, 2);
+  if (file) {
+    fs.writeFileSync(file, `${json}\n`);
+  } else {
+    console.log(json);
+  }
+};
+
+/**
+ * Formats a report's bounty for logs
+ */
+const formatBounty = (report) => `${ethers.formatEther(report.bounty)} ETH`;
+
+module.exports = { Keeper, writeReport, formatBounty };
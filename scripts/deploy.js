@@ -11,32 +11,135 @@ async function main() {
   console.log("Account balance:", balance.toString());
 
 
+  // Deploy the role registry shared by every contract; the deployer gets all roles but gate scanner
+  console.log("\n1. Deploying TicketRoles...");
+  const TicketRoles = await ethers.getContractFactory("TicketRoles");
+  const roles = await TicketRoles.deploy();
+  await roles.waitForDeployment();
+  console.log("TicketRoles deployed to:", roles.target);
+
   // Deploy EventTicketNFT contract
-  console.log("\n1. Deploying EventTicketNFT...");
+  console.log("\n2. Deploying EventTicketNFT...");
   const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
-  const ticketNFT = await EventTicketNFT.deploy();
+  const ticketNFT = await EventTicketNFT.deploy(roles.target);
   await ticketNFT.waitForDeployment();
   console.log("EventTicketNFT deployed to:", ticketNFT.target);
   
   // Deploy TicketMarketplace contract
-  console.log("\n2. Deploying TicketMarketplace...");
+  console.log("\n3. Deploying TicketMarketplace...");
   const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
   const marketplace = await TicketMarketplace.deploy(ticketNFT.target);
   await marketplace.waitForDeployment();
   console.log("TicketMarketplace deployed to:", marketplace.target);
 
-  // Authorize marketplace in NFT contract
-  console.log("\n3. Authorizing marketplace in NFT contract...");
-  const authorizeTx = await ticketNFT.authorizeMarketplace(marketplace.target);
-  await authorizeTx.wait();
+  // Let the marketplace lock, dispute and transfer tickets
+  console.log("\n4. Granting the marketplace role...");
+  const MARKETPLACE_ROLE = ethers.id("MARKETPLACE_ROLE");
+  await (await roles.grantRole(MARKETPLACE_ROLE, marketplace.target)).wait();
   console.log("Marketplace authorized successfully");
 
+  // Deploy TicketAuctionHouse and let it lock tickets and open escrows
+  console.log("\n5. Deploying TicketAuctionHouse...");
+  const TicketAuctionHouse = await ethers.getContractFactory("TicketAuctionHouse");
+  const auctionHouse = await TicketAuctionHouse.deploy(ticketNFT.target, marketplace.target);
+  await auctionHouse.waitForDeployment();
+  console.log("TicketAuctionHouse deployed to:", auctionHouse.target);
+
+  await (await roles.grantRole(MARKETPLACE_ROLE, auctionHouse.target)).wait();
+  await (await marketplace.setAuctionHouse(auctionHouse.target)).wait();
+  console.log("Auction house authorized successfully");
+
+  // Deploy TicketOfferBook and let it open escrows for accepted offers
+  console.log("\n6. Deploying TicketOfferBook...");
+  const TicketOfferBook = await ethers.getContractFactory("TicketOfferBook");
+  const offerBook = await TicketOfferBook.deploy(ticketNFT.target, marketplace.target);
+  await offerBook.waitForDeployment();
+  console.log("TicketOfferBook deployed to:", offerBook.target);
+
+  await (await marketplace.setOfferBook(offerBook.target)).wait();
+  console.log("Offer book authorized successfully");
+
+  // Deploy TicketDisputeCouncil and route dispute resolution through dispute resolver votes
+  console.log("\n7. Deploying TicketDisputeCouncil...");
+  const TicketDisputeCouncil = await ethers.getContractFactory("TicketDisputeCouncil");
+  const disputeCouncil = await TicketDisputeCouncil.deploy(marketplace.target);
+  await disputeCouncil.waitForDeployment();
+  console.log("TicketDisputeCouncil deployed to:", disputeCouncil.target);
+
+  await (await marketplace.setDisputeCouncil(disputeCouncil.target)).wait();
+  console.log("Dispute council authorized (quorum 1; the default admin raises it with setQuorum)");
+
+  // Deploy TicketEscrowKeeper so keepers can release expired escrows in batches
+  console.log("\n8. Deploying TicketEscrowKeeper...");
+  const TicketEscrowKeeper = await ethers.getContractFactory("TicketEscrowKeeper");
+  const escrowKeeper = await TicketEscrowKeeper.deploy(marketplace.target);
+  await escrowKeeper.waitForDeployment();
+  console.log("TicketEscrowKeeper deployed to:", escrowKeeper.target);
+
+  if (process.env.KEEPER_BOUNTY) {
+    await (await escrowKeeper.setBounty(ethers.parseEther(process.env.KEEPER_BOUNTY))).wait();
+    console.log(`Keeper bounty set to ${process.env.KEEPER_BOUNTY} ETH per escrow; fund it by sending ETH to the contract (treasurers reclaim unallocated funds)`);
+  }
+
+  // Deploy TicketGate and let it mark tickets as redeemed at the venue
+  console.log("\n9. Deploying TicketGate...");
+  const TicketGate = await ethers.getContractFactory("TicketGate");
+  const gate = await TicketGate.deploy(ticketNFT.target, marketplace.target);
+  await gate.waitForDeployment();
+  console.log("TicketGate deployed to:", gate.target);
+
+  await (await roles.grantRole(ethers.id("REDEEMER_ROLE"), gate.target)).wait();
+  console.log("Gate allowed to redeem tickets and settle their escrows; organizers add scanners per event");
+
+  // Deploy TicketRefundVault so cancelled events can be unwound and refunded
+  console.log("\n10. Deploying TicketRefundVault...");
+  const TicketRefundVault = await ethers.getContractFactory("TicketRefundVault");
+  const refundVault = await TicketRefundVault.deploy(ticketNFT.target, marketplace.target, auctionHouse.target);
+  await refundVault.waitForDeployment();
+  console.log("TicketRefundVault deployed to:", refundVault.target);
+
+  await (await roles.grantRole(ethers.id("REFUND_VAULT_ROLE"), refundVault.target)).wait();
+  console.log("Refund vault allowed to cancel, reschedule and refund tickets");
+
+  // Deploy TicketRenderer; tokenURI is only built on-chain when ONCHAIN_TOKEN_URI=true
+  console.log("\n11. Deploying TicketRenderer...");
+  const TicketRenderer = await ethers.getContractFactory("TicketRenderer");
+  const renderer = await TicketRenderer.deploy(ticketNFT.target);
+  await renderer.waitForDeployment();
+  console.log("TicketRenderer deployed to:", renderer.target);
+
+  if (process.env.ONCHAIN_TOKEN_URI === "true") {
+    await (await ticketNFT.setRenderer(renderer.target)).wait();
+    console.log("On-chain tokenURI enabled");
+  }
+
+  // Deploy a mock stablecoin for local testing of token payments
+  let mockUSDC;
+  if (network.name === "localhost" || network.name === "hardhat") {
+    console.log("\n12. Deploying mock USDC for local token payments...");
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDC = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await mockUSDC.waitForDeployment();
+    console.log("Mock USDC deployed to:", mockUSDC.target);
+
+    await (await marketplace.setPaymentTokenAllowed(mockUSDC.target, true)).wait();
+    const signers = await ethers.getSigners();
+    for (const signer of signers.slice(0, 5)) {
+      await (await mockUSDC.mint(signer.address, ethers.parseUnits("10000", 6))).wait();
+    }
+    console.log("Mock USDC allowed and minted to the first 5 accounts");
+  }
+
   // Save deployment addresses
   const deploymentData = {
     network: network.name,
     chainId: network.config.chainId,
     deployer: deployer.address,
     contracts: {
+      TicketRoles: {
+        address: roles.target,
+        transactionHash: roles.deploymentTransaction().hash
+      },
       EventTicketNFT: {
         address: ticketNFT.target,
         transactionHash: ticketNFT.deploymentTransaction().hash
@@ -44,7 +147,41 @@ async function main() {
       TicketMarketplace: {
         address: marketplace.target,
         transactionHash: marketplace.deploymentTransaction().hash
-      }
+      },
+      TicketAuctionHouse: {
+        address: auctionHouse.target,
+        transactionHash: auctionHouse.deploymentTransaction().hash
+      },
+      TicketOfferBook: {
+        address: offerBook.target,
+        transactionHash: offerBook.deploymentTransaction().hash
+      },
+      TicketDisputeCouncil: {
+        address: disputeCouncil.target,
+        transactionHash: disputeCouncil.deploymentTransaction().hash
+      },
+      TicketEscrowKeeper: {
+        address: escrowKeeper.target,
+        transactionHash: escrowKeeper.deploymentTransaction().hash
+      },
+      TicketGate: {
+        address: gate.target,
+        transactionHash: gate.deploymentTransaction().hash
+      },
+      TicketRefundVault: {
+        address: refundVault.target,
+        transactionHash: refundVault.deploymentTransaction().hash
+      },
+      TicketRenderer: {
+        address: renderer.target,
+        transactionHash: renderer.deploymentTransaction().hash
+      },
+      ...(mockUSDC && {
+        MockUSDC: {
+          address: mockUSDC.target,
+          transactionHash: mockUSDC.deploymentTransaction().hash
+        }
+      })
     },
     deploymentTime: new Date().toISOString()
   };
@@ -64,8 +201,23 @@ async function main() {
   }
 
   // Copy ABIs
+  const rolesArtifact = JSON.parse(fs.readFileSync('artifacts/contracts/TicketRoles.sol/TicketRoles.json'));
   const eventTicketNFTArtifact = JSON.parse(fs.readFileSync('artifacts/contracts/EventTicketNFT.sol/EventTicketNFT.json'));
   const marketplaceArtifact = JSON.parse(fs.readFileSync('artifacts/contracts/TicketMarketplace.sol/TicketMarketplace.json'));
+  const auctionHouseArtifact = JSON.parse(fs.readFileSync('artifacts/contracts/TicketAuctionHouse.sol/TicketAuctionHouse.json'));
+  const offerBookArtifact = JSON.parse(fs.readFileSync('artifacts/contracts/TicketOfferBook.sol/TicketOfferBook.json'));
+  const disputeCouncilArtifact = JSON.parse(fs.readFileSync('artifacts/contracts/TicketDisputeCouncil.sol/TicketDisputeCouncil.json'));
+  const escrowKeeperArtifact = JSON.parse(fs.readFileSync('artifacts/contracts/TicketEscrowKeeper.sol/TicketEscrowKeeper.json'));
+  const gateArtifact = JSON.parse(fs.readFileSync('artifacts/contracts/TicketGate.sol/TicketGate.json'));
+  const refundVaultArtifact = JSON.parse(fs.readFileSync('artifacts/contracts/TicketRefundVault.sol/TicketRefundVault.json'));
+
+  fs.writeFileSync(
+    `${artifactsPath}/TicketRoles.json`,
+    JSON.stringify({
+      address: roles.target,
+      abi: rolesArtifact.abi
+    }, null, 2)
+  );
 
   fs.writeFileSync(
     `${artifactsPath}/EventTicketNFT.json`,
@@ -83,17 +235,75 @@ async function main() {
     }, null, 2)
   );
 
+  fs.writeFileSync(
+    `${artifactsPath}/TicketAuctionHouse.json`,
+    JSON.stringify({
+      address: auctionHouse.target,
+      abi: auctionHouseArtifact.abi
+    }, null, 2)
+  );
+
+  fs.writeFileSync(
+    `${artifactsPath}/TicketOfferBook.json`,
+    JSON.stringify({
+      address: offerBook.target,
+      abi: offerBookArtifact.abi
+    }, null, 2)
+  );
+
+  fs.writeFileSync(
+    `${artifactsPath}/TicketDisputeCouncil.json`,
+    JSON.stringify({
+      address: disputeCouncil.target,
+      abi: disputeCouncilArtifact.abi
+    }, null, 2)
+  );
+
+  fs.writeFileSync(
+    `${artifactsPath}/TicketEscrowKeeper.json`,
+    JSON.stringify({
+      address: escrowKeeper.target,
+      abi: escrowKeeperArtifact.abi
+    }, null, 2)
+  );
+
+  fs.writeFileSync(
+    `${artifactsPath}/TicketGate.json`,
+    JSON.stringify({
+      address: gate.target,
+      abi: gateArtifact.abi
+    }, null, 2)
+  );
+
+  fs.writeFileSync(
+    `${artifactsPath}/TicketRefundVault.json`,
+    JSON.stringify({
+      address: refundVault.target,
+      abi: refundVaultArtifact.abi
+    }, null, 2)
+  );
+
   console.log("Contract ABIs copied to frontend");
 
   console.log("\n🎉 Deployment completed successfully!");
   console.log("\nContract Addresses:");
   console.log("==================");
+  console.log(`TicketRoles: ${roles.target}`);
   console.log(`EventTicketNFT: ${ticketNFT.target}`);
   console.log(`TicketMarketplace: ${marketplace.target}`);
+  console.log(`TicketAuctionHouse: ${auctionHouse.target}`);
+  console.log(`TicketOfferBook: ${offerBook.target}`);
+  console.log(`TicketDisputeCouncil: ${disputeCouncil.target}`);
+  console.log(`TicketEscrowKeeper: ${escrowKeeper.target}`);
+  console.log(`TicketGate: ${gate.target}`);
+  console.log(`TicketRefundVault: ${refundVault.target}`);
+  if (mockUSDC) {
+    console.log(`MockUSDC: ${mockUSDC.target}`);
+  }
   console.log("\nNext Steps:");
   console.log("1. Update frontend environment variables");
   console.log("2. Start the frontend application");
-  console.log("3. Add admin addresses if needed");
+  console.log("3. Grant roles to verifiers, organizers and staff from the admin dashboard");
 }
 
 main()
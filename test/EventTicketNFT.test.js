@@ -1,14 +1,19 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("EventTicketNFT", function () {
-  let eventTicketNFT;
-  let owner, admin, seller, buyer, marketplace;
+  let roles, eventTicketNFT;
+  let owner, admin, seller, buyer, marketplace, organizer;
+  let eventId, eventStart;
 
-  const sampleTicket = {
-    eventName: "Rock Concert 2024",
-    eventDate: "2024-12-31",
+  const sampleEvent = {
+    name: "Rock Concert 2024",
     venue: "Madison Square Garden",
+    capacity: 100
+  };
+
+  const sampleTicket = {
     seatInfo: "Section A, Row 5, Seat 10",
     originalPrice: ethers.parseEther("0.1"),
     proofImageHash: "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG",
@@ -16,26 +21,41 @@ describe("EventTicketNFT", function () {
   };
 
   beforeEach(async function () {
-    [owner, admin, seller, buyer, marketplace] = await ethers.getSigners();
+    [owner, admin, seller, buyer, marketplace, organizer] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
 
     const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
-    eventTicketNFT = await EventTicketNFT.deploy();
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
     await eventTicketNFT.waitForDeployment();
 
-    // Add admin
-    await eventTicketNFT.addAdmin(admin.address);
+    // Grant the verifier role
+    await roles.grantRole(ethers.id("VERIFIER_ROLE"), admin.address);
     
     // Authorize marketplace
-    await eventTicketNFT.authorizeMarketplace(marketplace.address);
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), marketplace.address);
+
+    // Register organizer and create an event
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+    eventStart = (await time.latest()) + 30 * 24 * 60 * 60;
+    await eventTicketNFT.connect(organizer).createEvent(
+      sampleEvent.name,
+      sampleEvent.venue,
+      eventStart,
+      sampleEvent.capacity
+    );
+    eventId = 1;
   });
 
   describe("Deployment", function () {
-    it("Should set the right owner", async function () {
-      expect(await eventTicketNFT.owner()).to.equal(owner.address);
+    it("Should use the shared role registry", async function () {
+      expect(await eventTicketNFT.roles()).to.equal(roles.target);
     });
 
-    it("Should set deployer as admin", async function () {
-      expect(await eventTicketNFT.admins(owner.address)).to.be.true;
+    it("Should give the deployer the default admin role", async function () {
+      expect(await roles.hasRole(ethers.ZeroHash, owner.address)).to.be.true;
     });
 
     it("Should have correct name and symbol", async function () {
@@ -44,23 +64,195 @@ describe("EventTicketNFT", function () {
     });
   });
 
-  describe("Admin Management", function () {
-    it("Should allow owner to add admin", async function () {
-      const newAdmin = ethers.Wallet.createRandom();
-      await eventTicketNFT.addAdmin(newAdmin.address);
-      expect(await eventTicketNFT.admins(newAdmin.address)).to.be.true;
+  describe("Role Management", function () {
+    it("Should let verifiers verify tickets once granted", async function () {
+      await eventTicketNFT.mintTicket(seller.address, eventId, "A1", 1, "QmHash", "ipfs://QmMetadata");
+      await expect(eventTicketNFT.connect(buyer).verifyTicket(0)).to.be.revertedWith("Caller is missing role");
+
+      await roles.grantRole(ethers.id("VERIFIER_ROLE"), buyer.address);
+      await eventTicketNFT.connect(buyer).verifyTicket(0);
+      expect((await eventTicketNFT.getTicketInfo(0)).status).to.equal(1); // VERIFIED
+    });
+
+    it("Should stop revoked verifiers", async function () {
+      await roles.revokeRole(ethers.id("VERIFIER_ROLE"), admin.address);
+      await eventTicketNFT.mintTicket(seller.address, eventId, "A1", 1, "QmHash", "ipfs://QmMetadata");
+      await expect(eventTicketNFT.connect(admin).verifyTicket(0)).to.be.revertedWith("Caller is missing role");
+    });
+
+    it("Should let the default admin manage any event", async function () {
+      expect(await eventTicketNFT.canManageEvent(eventId, organizer.address)).to.be.true;
+      expect(await eventTicketNFT.canManageEvent(eventId, owner.address)).to.be.true;
+      expect(await eventTicketNFT.canManageEvent(eventId, admin.address)).to.be.false;
+    });
+
+    it("Should only let the redeemer role mark tickets redeemed", async function () {
+      await eventTicketNFT.mintTicket(seller.address, eventId, "A1", 1, "QmHash", "ipfs://QmMetadata");
+      await eventTicketNFT.connect(admin).verifyTicket(0);
+      await expect(eventTicketNFT.connect(marketplace).markAsRedeemed(0)).to.be.revertedWith("Caller is missing role");
+
+      await roles.grantRole(ethers.id("REDEEMER_ROLE"), buyer.address);
+      await eventTicketNFT.connect(buyer).markAsRedeemed(0);
+      expect((await eventTicketNFT.getTicketInfo(0)).status).to.equal(6); // REDEEMED
     });
 
-    it("Should allow owner to remove admin", async function () {
-      await eventTicketNFT.removeAdmin(admin.address);
-      expect(await eventTicketNFT.admins(admin.address)).to.be.false;
+    it("Should only let the refund vault role cancel, reschedule or return tickets", async function () {
+      await eventTicketNFT.mintTicket(seller.address, eventId, "A1", 1, "QmHash", "ipfs://QmMetadata");
+      await eventTicketNFT.connect(admin).verifyTicket(0);
+      await expect(eventTicketNFT.connect(marketplace).returnToOrganizer(0)).to.be.revertedWith("Caller is missing role");
+      await expect(
+        eventTicketNFT.connect(marketplace).rescheduleEvent(eventId, eventStart + 3600)
+      ).to.be.revertedWith("Caller is missing role");
+
+      await roles.grantRole(ethers.id("REFUND_VAULT_ROLE"), buyer.address);
+      await eventTicketNFT.connect(buyer).returnToOrganizer(0);
+      expect(await eventTicketNFT.ownerOf(0)).to.equal(organizer.address);
     });
 
-    it("Should not allow non-owner to add admin", async function () {
-      const newAdmin = ethers.Wallet.createRandom();
+    it("Should not let verifiers configure the contract", async function () {
       await expect(
-        eventTicketNFT.connect(admin).addAdmin(newAdmin.address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+        eventTicketNFT.connect(admin).setRenderer(admin.address)
+      ).to.be.revertedWith("Caller is missing role");
+    });
+
+    it("Should stop a marketplace once its role is revoked", async function () {
+      await eventTicketNFT.mintTicket(seller.address, eventId, "A1", 1, "QmHash", "ipfs://QmMetadata");
+      await eventTicketNFT.connect(admin).verifyTicket(0);
+
+      await roles.revokeRole(ethers.id("MARKETPLACE_ROLE"), marketplace.address);
+      await expect(eventTicketNFT.connect(marketplace).lockTicket(0)).to.be.revertedWith("Caller is missing role");
+      await expect(
+        eventTicketNFT.connect(marketplace).marketplaceTransfer(seller.address, buyer.address, 0)
+      ).to.be.revertedWith("Caller is missing role");
+    });
+  });
+
+  describe("Event Registry", function () {
+    it("Should create an event owned by the organizer", async function () {
+      const eventInfo = await eventTicketNFT.getEventInfo(eventId);
+      expect(eventInfo.organizer).to.equal(organizer.address);
+      expect(eventInfo.name).to.equal(sampleEvent.name);
+      expect(eventInfo.venue).to.equal(sampleEvent.venue);
+      expect(eventInfo.startTime).to.equal(eventStart);
+      expect(eventInfo.capacity).to.equal(sampleEvent.capacity);
+      expect(eventInfo.status).to.equal(0); // SCHEDULED
+      expect(await eventTicketNFT.totalEvents()).to.equal(1);
+    });
+
+    it("Should emit EventCreated", async function () {
+      await expect(
+        eventTicketNFT.connect(organizer).createEvent("Jazz Night", "Blue Note", eventStart, 50)
+      )
+        .to.emit(eventTicketNFT, "EventCreated")
+        .withArgs(2, organizer.address, "Jazz Night", eventStart);
+    });
+
+    it("Should not allow non-organizer to create event", async function () {
+      await expect(
+        eventTicketNFT.connect(seller).createEvent("Jazz Night", "Blue Note", eventStart, 50)
+      ).to.be.revertedWith("Caller is missing role");
+    });
+
+    it("Should not create event in the past", async function () {
+      await expect(
+        eventTicketNFT.connect(organizer).createEvent("Jazz Night", "Blue Note", 1, 50)
+      ).to.be.revertedWith("Event must start in the future");
+    });
+
+    it("Should not mint for unknown event", async function () {
+      await expect(
+        eventTicketNFT.mintTicket(
+          seller.address,
+          42,
+          sampleTicket.seatInfo,
+          sampleTicket.originalPrice,
+          sampleTicket.proofImageHash,
+          sampleTicket.tokenURI
+        )
+      ).to.be.revertedWith("Event does not exist");
+    });
+
+    it("Should enforce event capacity", async function () {
+      await eventTicketNFT.connect(organizer).createEvent("Small Gig", "Basement", eventStart, 1);
+      await eventTicketNFT.mintTicket(
+        seller.address,
+        2,
+        sampleTicket.seatInfo,
+        sampleTicket.originalPrice,
+        sampleTicket.proofImageHash,
+        sampleTicket.tokenURI
+      );
+      await eventTicketNFT.connect(admin).verifyTicket(0);
+
+      await expect(
+        eventTicketNFT.mintTicket(
+          buyer.address,
+          2,
+          sampleTicket.seatInfo,
+          sampleTicket.originalPrice,
+          sampleTicket.proofImageHash,
+          sampleTicket.tokenURI
+        )
+      ).to.be.revertedWith("Event sold out");
+    });
+
+    it("Should not mint for cancelled event", async function () {
+      await eventTicketNFT.connect(organizer).setEventStatus(eventId, 2); // CANCELLED
+
+      await expect(
+        eventTicketNFT.mintTicket(
+          seller.address,
+          eventId,
+          sampleTicket.seatInfo,
+          sampleTicket.originalPrice,
+          sampleTicket.proofImageHash,
+          sampleTicket.tokenURI
+        )
+      ).to.be.revertedWith("Event not scheduled");
+    });
+
+    it("Should only allow event organizer or admin to change status", async function () {
+      await expect(
+        eventTicketNFT.connect(seller).setEventStatus(eventId, 1)
+      ).to.be.revertedWith("Only event organizer can perform this action");
+
+      await expect(eventTicketNFT.connect(owner).setEventStatus(eventId, 1))
+        .to.emit(eventTicketNFT, "EventStatusChanged")
+        .withArgs(eventId, 1); // COMPLETED
+    });
+
+    it("Should track tickets per event", async function () {
+      await eventTicketNFT.mintTicket(
+        seller.address,
+        eventId,
+        sampleTicket.seatInfo,
+        sampleTicket.originalPrice,
+        sampleTicket.proofImageHash,
+        sampleTicket.tokenURI
+      );
+
+      const tokenIds = await eventTicketNFT.getEventTickets(eventId);
+      expect(tokenIds.map(Number)).to.deep.equal([0]);
+      expect((await eventTicketNFT.getEventInfo(eventId)).ticketsMinted).to.equal(1);
+      expect((await eventTicketNFT.getEventInfo(eventId)).ticketsVerified).to.equal(0);
+
+      await eventTicketNFT.connect(admin).verifyTicket(0);
+      expect((await eventTicketNFT.getEventInfo(eventId)).ticketsVerified).to.equal(1);
+    });
+
+    it("Should not let pending tickets hold event capacity", async function () {
+      await eventTicketNFT.connect(organizer).createEvent("Small Gig", "Basement", eventStart, 2);
+      await eventTicketNFT.connect(buyer).mintTicket(buyer.address, 2, "A1", 1, "QmHash", "ipfs://QmMetadata");
+      await eventTicketNFT.connect(buyer).mintTicket(buyer.address, 2, "A2", 1, "QmHash", "ipfs://QmMetadata");
+
+      await eventTicketNFT.connect(organizer).batchMintTickets(2, ["B1", "B2"], [1, 1], "ipfs://QmMetadata");
+      expect((await eventTicketNFT.getEventInfo(2)).ticketsMinted).to.equal(4);
+      expect((await eventTicketNFT.getEventInfo(2)).ticketsVerified).to.equal(2);
+
+      await expect(eventTicketNFT.connect(admin).verifyTicket(0)).to.be.revertedWith("Event sold out");
+      await expect(
+        eventTicketNFT.connect(buyer).mintTicket(buyer.address, 2, "A3", 1, "QmHash", "ipfs://QmMetadata")
+      ).to.be.revertedWith("Event sold out");
     });
   });
 
@@ -68,9 +260,7 @@ describe("EventTicketNFT", function () {
     it("Should mint a ticket with correct information", async function () {
       const tx = await eventTicketNFT.mintTicket(
         seller.address,
-        sampleTicket.eventName,
-        sampleTicket.eventDate,
-        sampleTicket.venue,
+        eventId,
         sampleTicket.seatInfo,
         sampleTicket.originalPrice,
         sampleTicket.proofImageHash,
@@ -79,13 +269,13 @@ describe("EventTicketNFT", function () {
 
       await expect(tx)
         .to.emit(eventTicketNFT, "TicketMinted")
-        .withArgs(0, seller.address, sampleTicket.eventName);
+        .withArgs(0, seller.address, eventId);
 
       expect(await eventTicketNFT.ownerOf(0)).to.equal(seller.address);
       expect(await eventTicketNFT.tokenURI(0)).to.equal(sampleTicket.tokenURI);
 
       const ticketInfo = await eventTicketNFT.getTicketInfo(0);
-      expect(ticketInfo.eventName).to.equal(sampleTicket.eventName);
+      expect(ticketInfo.eventId).to.equal(eventId);
       expect(ticketInfo.originalSeller).to.equal(seller.address);
       expect(ticketInfo.status).to.equal(0); // PENDING
     });
@@ -93,9 +283,7 @@ describe("EventTicketNFT", function () {
     it("Should increment token ID", async function () {
       await eventTicketNFT.mintTicket(
         seller.address,
-        sampleTicket.eventName,
-        sampleTicket.eventDate,
-        sampleTicket.venue,
+        eventId,
         sampleTicket.seatInfo,
         sampleTicket.originalPrice,
         sampleTicket.proofImageHash,
@@ -104,9 +292,7 @@ describe("EventTicketNFT", function () {
 
       await eventTicketNFT.mintTicket(
         seller.address,
-        "Another Event",
-        "2024-11-01",
-        "Another Venue",
+        eventId,
         "Section B",
         ethers.parseEther("0.2"),
         "QmAnotherHash",
@@ -118,13 +304,158 @@ describe("EventTicketNFT", function () {
     });
   });
 
+  describe("Batch Minting", function () {
+    const seats = ["Section A, Row 1, Seat 1", "Section A, Row 1, Seat 2", "Section A, Row 1, Seat 3"];
+    const prices = [ethers.parseEther("0.1"), ethers.parseEther("0.1"), ethers.parseEther("0.2")];
+    const metadataURI = "ipfs://QmEventMetadata";
+
+    it("Should mint pre-verified seats to the organizer", async function () {
+      const tx = await eventTicketNFT.connect(organizer).batchMintTickets(eventId, seats, prices, metadataURI);
+
+      await expect(tx)
+        .to.emit(eventTicketNFT, "TicketsBatchMinted")
+        .withArgs(eventId, organizer.address, seats.length);
+
+      for (let i = 0; i < seats.length; i++) {
+        expect(await eventTicketNFT.ownerOf(i)).to.equal(organizer.address);
+        const ticketInfo = await eventTicketNFT.getTicketInfo(i);
+        expect(ticketInfo.seatInfo).to.equal(seats[i]);
+        expect(ticketInfo.originalPrice).to.equal(prices[i]);
+        expect(ticketInfo.status).to.equal(1); // VERIFIED
+      }
+      expect((await eventTicketNFT.getEventInfo(eventId)).ticketsMinted).to.equal(seats.length);
+      expect((await eventTicketNFT.getEventInfo(eventId)).ticketsVerified).to.equal(seats.length);
+    });
+
+    it("Should not allow other accounts to batch mint", async function () {
+      await expect(
+        eventTicketNFT.connect(seller).batchMintTickets(eventId, seats, prices, metadataURI)
+      ).to.be.revertedWith("Only event organizer can perform this action");
+    });
+
+    it("Should reject mismatched seat and price arrays", async function () {
+      await expect(
+        eventTicketNFT.connect(organizer).batchMintTickets(eventId, seats, prices.slice(1), metadataURI)
+      ).to.be.revertedWith("Seats and prices length mismatch");
+    });
+
+    it("Should not exceed event capacity", async function () {
+      await eventTicketNFT.connect(organizer).createEvent("Small Gig", "Basement", eventStart, 2);
+
+      await expect(
+        eventTicketNFT.connect(organizer).batchMintTickets(2, seats, prices, metadataURI)
+      ).to.be.revertedWith("Event sold out");
+    });
+  });
+
+  describe("Royalties", function () {
+    beforeEach(async function () {
+      await eventTicketNFT.mintTicket(
+        seller.address,
+        eventId,
+        sampleTicket.seatInfo,
+        sampleTicket.originalPrice,
+        sampleTicket.proofImageHash,
+        sampleTicket.tokenURI
+      );
+    });
+
+    it("Should support the ERC-2981 interface", async function () {
+      expect(await eventTicketNFT.supportsInterface("0x2a55205a")).to.be.true;
+    });
+
+    it("Should return no royalty by default", async function () {
+      const [receiver, amount] = await eventTicketNFT.royaltyInfo(0, ethers.parseEther("1"));
+      expect(receiver).to.equal(ethers.ZeroAddress);
+      expect(amount).to.equal(0);
+    });
+
+    it("Should apply the event royalty to its tickets", async function () {
+      await expect(eventTicketNFT.connect(organizer).setEventRoyalty(eventId, organizer.address, 500))
+        .to.emit(eventTicketNFT, "EventRoyaltyUpdated")
+        .withArgs(eventId, organizer.address, 500);
+
+      const [receiver, amount] = await eventTicketNFT.royaltyInfo(0, ethers.parseEther("1"));
+      expect(receiver).to.equal(organizer.address);
+      expect(amount).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("Should prefer a token royalty over the event royalty", async function () {
+      await eventTicketNFT.connect(organizer).setEventRoyalty(eventId, organizer.address, 500);
+      await eventTicketNFT.connect(organizer).setTokenRoyalty(0, admin.address, 100);
+
+      const [receiver, amount] = await eventTicketNFT.royaltyInfo(0, ethers.parseEther("1"));
+      expect(receiver).to.equal(admin.address);
+      expect(amount).to.equal(ethers.parseEther("0.01"));
+    });
+
+    it("Should reject royalties above the maximum", async function () {
+      await expect(
+        eventTicketNFT.connect(organizer).setEventRoyalty(eventId, organizer.address, 1001)
+      ).to.be.revertedWith("Royalty too high");
+    });
+
+    it("Should only allow the event organizer to set royalties", async function () {
+      await expect(
+        eventTicketNFT.connect(seller).setEventRoyalty(eventId, seller.address, 500)
+      ).to.be.revertedWith("Only event organizer can perform this action");
+    });
+  });
+
+  describe("Freeze Window", function () {
+    const HOUR = 60 * 60;
+
+    beforeEach(async function () {
+      await eventTicketNFT.mintTicket(
+        seller.address,
+        eventId,
+        sampleTicket.seatInfo,
+        sampleTicket.originalPrice,
+        sampleTicket.proofImageHash,
+        sampleTicket.tokenURI
+      );
+    });
+
+    it("Should not freeze trading without a freeze window", async function () {
+      expect(await eventTicketNFT.tradingFreezesAt(0)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should let the event organizer set a bounded freeze window", async function () {
+      await expect(eventTicketNFT.connect(organizer).setFreezeWindow(eventId, 2 * HOUR))
+        .to.emit(eventTicketNFT, "FreezeWindowUpdated")
+        .withArgs(eventId, 2 * HOUR);
+      expect(await eventTicketNFT.tradingFreezesAt(0)).to.equal(eventStart - 2 * HOUR);
+
+      await expect(
+        eventTicketNFT.connect(organizer).setFreezeWindow(eventId, 8 * 24 * HOUR)
+      ).to.be.revertedWith("Freeze window too long");
+      await expect(
+        eventTicketNFT.connect(seller).setFreezeWindow(eventId, HOUR)
+      ).to.be.revertedWith("Only event organizer can perform this action");
+    });
+
+    it("Should block transfers inside the freeze window", async function () {
+      await eventTicketNFT.connect(organizer).setFreezeWindow(eventId, 2 * HOUR);
+      await time.increaseTo(eventStart - 2 * HOUR);
+
+      await expect(
+        eventTicketNFT.connect(seller).transferFrom(seller.address, buyer.address, 0)
+      ).to.be.revertedWith("Ticket trading frozen");
+      await expect(
+        eventTicketNFT.connect(seller)["safeTransferFrom(address,address,uint256)"](seller.address, buyer.address, 0)
+      ).to.be.revertedWith("Ticket trading frozen");
+
+      // Marketplace settlement still moves tickets, e.g. when a dispute returns one to its seller
+      await eventTicketNFT.connect(marketplace).marketplaceTransfer(seller.address, buyer.address, 0);
+      expect(await eventTicketNFT.ownerOf(0)).to.equal(buyer.address);
+    });
+  });
+
   describe("Ticket Verification", function () {
     beforeEach(async function () {
       await eventTicketNFT.mintTicket(
         seller.address,
-        sampleTicket.eventName,
-        sampleTicket.eventDate,
-        sampleTicket.venue,
+        eventId,
         sampleTicket.seatInfo,
         sampleTicket.originalPrice,
         sampleTicket.proofImageHash,
@@ -146,7 +477,7 @@ describe("EventTicketNFT", function () {
     it("Should not allow non-admin to verify ticket", async function () {
       await expect(
         eventTicketNFT.connect(seller).verifyTicket(0)
-      ).to.be.revertedWith("Only admin can perform this action");
+      ).to.be.revertedWith("Caller is missing role");
     });
 
     it("Should not verify already verified ticket", async function () {
@@ -158,13 +489,96 @@ describe("EventTicketNFT", function () {
     });
   });
 
+  describe("Ticket Rejection", function () {
+    const UNREADABLE_PROOF = 2;
+    const FRAUD = 4;
+    const MORE_INFO_NEEDED = 5;
+
+    beforeEach(async function () {
+      await eventTicketNFT.mintTicket(
+        seller.address,
+        eventId,
+        sampleTicket.seatInfo,
+        sampleTicket.originalPrice,
+        sampleTicket.proofImageHash,
+        sampleTicket.tokenURI
+      );
+    });
+
+    it("Should allow admin to reject ticket with a reason", async function () {
+      await expect(eventTicketNFT.connect(admin).rejectTicket(0, UNREADABLE_PROOF, "Photo is blurry", false))
+        .to.emit(eventTicketNFT, "TicketRejected")
+        .withArgs(0, admin.address, UNREADABLE_PROOF, "Photo is blurry", false);
+
+      expect((await eventTicketNFT.getTicketInfo(0)).status).to.equal(5); // REJECTED
+      const rejection = await eventTicketNFT.rejections(0);
+      expect(rejection.reason).to.equal(UNREADABLE_PROOF);
+      expect(rejection.note).to.equal("Photo is blurry");
+      expect(rejection.admin).to.equal(admin.address);
+      expect(await eventTicketNFT.ownerOf(0)).to.equal(seller.address);
+    });
+
+    it("Should only reject pending tickets with a reason", async function () {
+      await expect(
+        eventTicketNFT.connect(seller).rejectTicket(0, FRAUD, "", false)
+      ).to.be.revertedWith("Caller is missing role");
+      await expect(
+        eventTicketNFT.connect(admin).rejectTicket(0, 0, "", false)
+      ).to.be.revertedWith("Rejection reason required");
+
+      await eventTicketNFT.connect(admin).verifyTicket(0);
+      await expect(
+        eventTicketNFT.connect(admin).rejectTicket(0, FRAUD, "", false)
+      ).to.be.revertedWith("Ticket not pending verification");
+    });
+
+    it("Should burn a rejected ticket without taking event capacity", async function () {
+      await expect(eventTicketNFT.connect(admin).rejectTicket(0, FRAUD, "Counterfeit", true))
+        .to.emit(eventTicketNFT, "Transfer")
+        .withArgs(seller.address, ethers.ZeroAddress, 0);
+
+      await expect(eventTicketNFT.ownerOf(0)).to.be.revertedWith("ERC721: invalid token ID");
+      expect((await eventTicketNFT.rejections(0)).burned).to.be.true;
+      expect((await eventTicketNFT.getEventInfo(eventId)).ticketsMinted).to.equal(0);
+      expect((await eventTicketNFT.getEventInfo(eventId)).ticketsVerified).to.equal(0);
+    });
+
+    it("Should let the owner resubmit a rejected ticket", async function () {
+      await eventTicketNFT.connect(admin).rejectTicket(0, MORE_INFO_NEEDED, "Show the seat number", false);
+
+      await expect(
+        eventTicketNFT.connect(buyer).resubmitTicket(0, "QmNewProof", "")
+      ).to.be.revertedWith("Not ticket owner");
+      await expect(
+        eventTicketNFT.connect(seller).resubmitTicket(0, "", "")
+      ).to.be.revertedWith("Proof required");
+
+      await expect(eventTicketNFT.connect(seller).resubmitTicket(0, "QmNewProof", "ipfs://QmNewMetadata"))
+        .to.emit(eventTicketNFT, "TicketResubmitted")
+        .withArgs(0, seller.address, "QmNewProof");
+
+      const ticketInfo = await eventTicketNFT.getTicketInfo(0);
+      expect(ticketInfo.status).to.equal(0); // PENDING
+      expect(ticketInfo.proofImageHash).to.equal("QmNewProof");
+      expect(await eventTicketNFT.tokenURI(0)).to.equal("ipfs://QmNewMetadata");
+
+      // Back in the queue, so it can be verified now
+      await eventTicketNFT.connect(admin).verifyTicket(0);
+      expect((await eventTicketNFT.getTicketInfo(0)).status).to.equal(1);
+    });
+
+    it("Should only resubmit rejected tickets", async function () {
+      await expect(
+        eventTicketNFT.connect(seller).resubmitTicket(0, "QmNewProof", "")
+      ).to.be.revertedWith("Ticket not rejected");
+    });
+  });
+
   describe("Ticket Locking", function () {
     beforeEach(async function () {
       await eventTicketNFT.mintTicket(
         seller.address,
-        sampleTicket.eventName,
-        sampleTicket.eventDate,
-        sampleTicket.venue,
+        eventId,
         sampleTicket.seatInfo,
         sampleTicket.originalPrice,
         sampleTicket.proofImageHash,
@@ -187,7 +601,7 @@ describe("EventTicketNFT", function () {
     it("Should not allow non-marketplace to lock ticket", async function () {
       await expect(
         eventTicketNFT.connect(seller).lockTicket(0)
-      ).to.be.revertedWith("Only authorized marketplace");
+      ).to.be.revertedWith("Caller is missing role");
     });
 
     it("Should prevent transfer of locked ticket", async function () {
@@ -215,9 +629,7 @@ describe("EventTicketNFT", function () {
     beforeEach(async function () {
       await eventTicketNFT.mintTicket(
         seller.address,
-        sampleTicket.eventName,
-        sampleTicket.eventDate,
-        sampleTicket.venue,
+        eventId,
         sampleTicket.seatInfo,
         sampleTicket.originalPrice,
         sampleTicket.proofImageHash,
@@ -255,9 +667,7 @@ describe("EventTicketNFT", function () {
     beforeEach(async function () {
       await eventTicketNFT.mintTicket(
         seller.address,
-        sampleTicket.eventName,
-        sampleTicket.eventDate,
-        sampleTicket.venue,
+        eventId,
         sampleTicket.seatInfo,
         sampleTicket.originalPrice,
         sampleTicket.proofImageHash,
@@ -290,9 +700,7 @@ describe("EventTicketNFT", function () {
       await expect(
         eventTicketNFT.mintTicket(
           seller.address,
-          sampleTicket.eventName,
-          sampleTicket.eventDate,
-          sampleTicket.venue,
+          eventId,
           sampleTicket.seatInfo,
           sampleTicket.originalPrice,
           sampleTicket.proofImageHash,
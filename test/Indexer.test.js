@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TicketStore, TicketStatus } = require("../indexer/store");
+const { Indexer } = require("../indexer/indexer");
+const { createServer } = require("../indexer/server");
+
+describe("Indexer", function () {
+  let roles, eventTicketNFT, marketplace, store, indexer, dbPath;
+  let owner, admin, seller, buyer, organizer;
+
+  const price = ethers.parseEther("1");
+  const silentLogger = { log() {}, warn() {}, error() {} };
+
+  const mintTicket = async (to, seat) => {
+    await eventTicketNFT.mintTicket(to.address, 1, seat, price, "QmHash", "ipfs://QmMetadata");
+  };
+
+  const openStore = () =>
+    new TicketStore(dbPath).load({
+      chainId: 1337,
+      ticketNFT: eventTicketNFT.target,
+      marketplace: marketplace.target,
+    });
+
+  beforeEach(async function () {
+    [owner, admin, seller, buyer, organizer] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(eventTicketNFT.target);
+    await marketplace.waitForDeployment();
+
+    await roles.grantRole(ethers.id("VERIFIER_ROLE"), admin.address);
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), marketplace.target);
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+    await eventTicketNFT.connect(organizer).createEvent(
+      "Rock Concert 2024",
+      "Madison Square Garden",
+      (await time.latest()) + 30 * 24 * 60 * 60,
+      100
+    );
+
+    dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "db.json");
+    store = openStore();
+    indexer = new Indexer({
+      ticketNFT: eventTicketNFT,
+      marketplace,
+      store,
+      provider: ethers.provider,
+      logger: silentLogger,
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+  });
+
+  it("Should index tickets by owner and status", async function () {
+    await mintTicket(seller, "A1");
+    await mintTicket(seller, "A2");
+    await mintTicket(buyer, "B1");
+    await eventTicketNFT.connect(admin).verifyTicket(1);
+
+    await indexer.sync();
+
+    expect(store.findTickets({ owner: seller.address }).map((t) => t.tokenId)).to.deep.equal([0, 1]);
+    expect(store.findTickets({ status: TicketStatus.PENDING }).map((t) => t.tokenId)).to.deep.equal([0, 2]);
+    expect(store.findTickets({ eventId: 1 })).to.have.length(3);
+
+    const ticket = store.getTicket(1);
+    expect(ticket.ticketInfo.seatInfo).to.equal("A2");
+    expect(ticket.ticketInfo.originalPrice).to.equal(price.toString());
+    expect(ticket.tokenURI).to.equal("ipfs://QmMetadata");
+  });
+
+  it("Should follow listings, escrows and disputes incrementally", async function () {
+    await mintTicket(seller, "A1");
+    await eventTicketNFT.connect(admin).verifyTicket(0);
+    await marketplace.connect(seller).listTicket(0, price);
+    await indexer.sync();
+
+    expect(store.findListings().map((t) => t.tokenId)).to.deep.equal([0]);
+    expect(store.findEscrows()).to.deep.equal([]);
+
+    await marketplace.connect(buyer).purchaseTicket(0, { value: price });
+    await indexer.sync();
+
+    expect(store.findListings()).to.deep.equal([]);
+    expect(store.findTickets({ owner: buyer.address }).map((t) => t.tokenId)).to.deep.equal([0]);
+    expect(store.findEscrows({ party: seller.address })).to.have.length(1);
+    expect(store.getTicket(0).ticketInfo.status).to.equal(TicketStatus.LOCKED);
+
+    await marketplace.connect(buyer).raiseDispute(0, "Seat does not exist");
+    await indexer.sync();
+
+    const [dispute] = store.findDisputes();
+    expect(dispute.escrow.disputeReason).to.equal("Seat does not exist");
+    expect(dispute.ticketInfo.status).to.equal(TicketStatus.DISPUTED);
+  });
+
+  it("Should track rejections and drop burned tickets", async function () {
+    await mintTicket(seller, "A1");
+    await mintTicket(seller, "A2");
+    await indexer.sync();
+
+    await eventTicketNFT.connect(admin).rejectTicket(0, 2, "Blurry photo", false);
+    await eventTicketNFT.connect(admin).rejectTicket(1, 4, "Counterfeit", true);
+    await indexer.sync();
+
+    expect(store.findTickets({ status: TicketStatus.REJECTED }).map((t) => t.tokenId)).to.deep.equal([0]);
+    expect(store.getTicket(1)).to.equal(null);
+
+    await eventTicketNFT.connect(seller).resubmitTicket(0, "QmNewProof", "");
+    await indexer.sync();
+
+    const ticket = store.getTicket(0);
+    expect(ticket.ticketInfo.status).to.equal(TicketStatus.PENDING);
+    expect(ticket.ticketInfo.proofImageHash).to.equal("QmNewProof");
+  });
+
+  it("Should refresh every ticket of a rescheduled event", async function () {
+    await mintTicket(seller, "A1");
+    await mintTicket(buyer, "B1");
+    await indexer.sync();
+    const indexedBlock = store.getTicket(0).updatedBlock;
+
+    // Stands in for the refund vault, which holds the role to reschedule events
+    await roles.grantRole(ethers.id("REFUND_VAULT_ROLE"), owner.address);
+    await eventTicketNFT.rescheduleEvent(1, (await time.latest()) + 60 * 24 * 60 * 60);
+    await indexer.sync();
+
+    for (const tokenId of [0, 1]) {
+      expect(store.getTicket(tokenId).updatedBlock).to.be.greaterThan(indexedBlock);
+    }
+  });
+
+  it("Should resume from the persisted block", async function () {
+    await mintTicket(seller, "A1");
+    await indexer.sync();
+    const indexedBlock = store.lastBlock;
+
+    const reopened = openStore();
+    expect(reopened.lastBlock).to.equal(indexedBlock);
+    expect(reopened.getTicket(0).owner).to.equal(seller.address.toLowerCase());
+
+    // A different deployment must not reuse the database
+    const otherDeployment = new TicketStore(dbPath).load({
+      chainId: 1337,
+      ticketNFT: buyer.address,
+      marketplace: marketplace.target,
+    });
+    expect(otherDeployment.lastBlock).to.equal(-1);
+  });
+
+  it("Should serve indexed data over HTTP", async function () {
+    await mintTicket(seller, "A1");
+    await indexer.sync();
+
+    const server = createServer(store);
+    await new Promise((resolve) => server.listen(0, resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const byOwner = await (await fetch(`${baseUrl}/tickets?owner=${seller.address}`)).json();
+      expect(byOwner.ticketNFT).to.equal(eventTicketNFT.target.toLowerCase());
+      expect(byOwner.tickets.map((t) => t.tokenId)).to.deep.equal([0]);
+
+      const single = await fetch(`${baseUrl}/tickets/0`);
+      expect((await single.json()).ticket.ticketInfo.seatInfo).to.equal("A1");
+
+      expect((await fetch(`${baseUrl}/tickets/99`)).status).to.equal(404);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
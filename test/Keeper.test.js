@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Keeper, writeReport } = require("../keeper/keeper");
+
+describe("Keeper", function () {
+  let roles, eventTicketNFT, marketplace, escrowKeeper;
+  let owner, seller, buyer, organizer, keeperSigner;
+  let eventStart;
+
+  const price = ethers.parseEther("1");
+  const silentLogger = { log() {}, warn() {}, error() {} };
+
+  async function openEscrow() {
+    const tokenId = await eventTicketNFT.totalSupply();
+    await eventTicketNFT.mintTicket(seller.address, 1, "A1", price, "QmHash", "ipfs://QmMetadata");
+    await eventTicketNFT.verifyTicket(tokenId);
+    await marketplace.connect(seller).listTicket(tokenId, price);
+    await marketplace.connect(buyer).purchaseTicket(tokenId, { value: price });
+    return Number(tokenId);
+  }
+
+  const createKeeper = (options = {}) =>
+    new Keeper({
+      marketplace: marketplace.connect(keeperSigner),
+      provider: ethers.provider,
+      logger: silentLogger,
+      ...options,
+    });
+
+  beforeEach(async function () {
+    [owner, seller, buyer, organizer, keeperSigner] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(eventTicketNFT.target);
+    await marketplace.waitForDeployment();
+
+    const TicketEscrowKeeper = await ethers.getContractFactory("TicketEscrowKeeper");
+    escrowKeeper = await TicketEscrowKeeper.deploy(marketplace.target);
+    await escrowKeeper.waitForDeployment();
+
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), marketplace.target);
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+    eventStart = (await time.latest()) + 30 * 24 * 60 * 60;
+    await eventTicketNFT.connect(organizer).createEvent("Rock Concert 2024", "Madison Square Garden", eventStart, 100);
+  });
+
+  it("Should find escrows past their deadline and skip disputed or pending ones", async function () {
+    const due = await openEscrow();
+    const disputed = await openEscrow();
+    await marketplace.connect(buyer).raiseDispute(disputed, "Wrong seat");
+
+    let scan = await createKeeper().findDueEscrows();
+    expect(scan.scanned).to.equal(2);
+    expect(scan.due).to.deep.equal([]);
+    expect(scan.skipped.map((entry) => entry.reason)).to.deep.equal(["not due", "disputed"]);
+
+    await time.increaseTo(await marketplace.escrowDeadline(due));
+    scan = await createKeeper().findDueEscrows();
+    expect(scan.due).to.deep.equal([{ tokenId: due, deadline: Number(await marketplace.escrowDeadline(due)) }]);
+  });
+
+  it("Should only simulate releases in a dry run", async function () {
+    const tokenId = await openEscrow();
+    await time.increaseTo(await marketplace.escrowDeadline(tokenId));
+
+    const report = await createKeeper({ dryRun: true }).run();
+    expect(report.dryRun).to.be.true;
+    expect(report.released).to.deep.equal([{ tokenId, txHash: null }]);
+    expect((await marketplace.escrowTransactions(tokenId)).completed).to.be.false;
+  });
+
+  it("Should release due escrows directly in batches", async function () {
+    const tokenIds = [await openEscrow(), await openEscrow(), await openEscrow()];
+    await time.increaseTo(await marketplace.escrowDeadline(tokenIds[2]));
+
+    const report = await createKeeper({ batchSize: 2 }).run();
+    expect(report.released.map((entry) => entry.tokenId)).to.deep.equal(tokenIds);
+    expect(report.failed).to.deep.equal([]);
+    expect(report.escrowKeeper).to.equal(null);
+    for (const tokenId of tokenIds) {
+      expect((await marketplace.escrowTransactions(tokenId)).completed).to.be.true;
+    }
+    expect(await marketplace.getActiveEscrows()).to.deep.equal([]);
+  });
+
+  it("Should release through TicketEscrowKeeper and report the bounty", async function () {
+    await escrowKeeper.setBounty(ethers.parseEther("0.01"));
+    await owner.sendTransaction({ to: escrowKeeper.target, value: ethers.parseEther("1") });
+    const tokenIds = [await openEscrow(), await openEscrow(), await openEscrow()];
+    await time.increaseTo(await marketplace.escrowDeadline(tokenIds[2]));
+
+    const report = await createKeeper({ escrowKeeper: escrowKeeper.connect(keeperSigner), batchSize: 2 }).run();
+    expect(report.released.map((entry) => entry.tokenId)).to.deep.equal(tokenIds);
+    // Two batches, so two transactions
+    expect(new Set(report.released.map((entry) => entry.txHash)).size).to.equal(2);
+    expect(report.bounty).to.equal(ethers.parseEther("0.03").toString());
+    expect(await escrowKeeper.pendingBounties(keeperSigner.address)).to.equal(ethers.parseEther("0.03"));
+  });
+
+  it("Should write a JSON report", async function () {
+    const tokenId = await openEscrow();
+    await time.increaseTo(await marketplace.escrowDeadline(tokenId));
+
+    const report = await createKeeper().run();
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "keeper-")), "report.json");
+    writeReport(report, file);
+
+    const written = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(written.chainId).to.equal(1337);
+    expect(written.marketplace).to.equal(marketplace.target);
+    expect(written.released[0].tokenId).to.equal(tokenId);
+  });
+});
@@ -0,0 +1,356 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TicketAuctionHouse", function () {
+  let roles, eventTicketNFT, marketplace, auctionHouse;
+  let owner, admin, seller, bidder1, bidder2, organizer;
+  let eventId, tokenId;
+
+  const HOUR = 60 * 60;
+  const originalPrice = ethers.parseEther("1");
+  const maxPrice = ethers.parseEther("1.1"); // default 10% resale cap
+
+  beforeEach(async function () {
+    [owner, admin, seller, bidder1, bidder2, organizer] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(eventTicketNFT.target);
+    await marketplace.waitForDeployment();
+
+    const TicketAuctionHouse = await ethers.getContractFactory("TicketAuctionHouse");
+    auctionHouse = await TicketAuctionHouse.deploy(eventTicketNFT.target, marketplace.target);
+    await auctionHouse.waitForDeployment();
+
+    await roles.grantRole(ethers.id("VERIFIER_ROLE"), admin.address);
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), marketplace.target);
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), auctionHouse.target);
+    await marketplace.setAuctionHouse(auctionHouse.target);
+
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+    await eventTicketNFT.connect(organizer).createEvent(
+      "Rock Concert 2024",
+      "Madison Square Garden",
+      (await time.latest()) + 30 * 24 * HOUR,
+      100
+    );
+    eventId = 1;
+
+    tokenId = 0;
+    await eventTicketNFT.mintTicket(
+      seller.address,
+      eventId,
+      "Section A, Row 5, Seat 10",
+      originalPrice,
+      "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG",
+      "https://ipfs.io/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+    );
+    await eventTicketNFT.connect(admin).verifyTicket(tokenId);
+  });
+
+  describe("English Auction", function () {
+    const reserve = ethers.parseEther("0.5");
+    const increment = ethers.parseEther("0.1");
+
+    beforeEach(async function () {
+      await auctionHouse.connect(seller).createEnglishAuction(tokenId, reserve, increment, 24 * HOUR);
+    });
+
+    it("Should lock the ticket while the auction runs", async function () {
+      expect(await eventTicketNFT.isLocked(tokenId)).to.be.true;
+      expect(await auctionHouse.getActiveAuctions()).to.deep.equal([BigInt(tokenId)]);
+
+      await expect(
+        marketplace.connect(seller).listTicket(tokenId, originalPrice)
+      ).to.be.revertedWith("Ticket not verified or available for sale");
+    });
+
+    it("Should enforce the reserve and bid increments", async function () {
+      await expect(
+        auctionHouse.connect(bidder1).placeBid(tokenId, reserve - 1n, { value: reserve - 1n })
+      ).to.be.revertedWith("Bid too low");
+
+      await auctionHouse.connect(bidder1).placeBid(tokenId, reserve, { value: reserve });
+      expect(await auctionHouse.minimumBid(tokenId)).to.equal(reserve + increment);
+
+      const lowRaise = reserve + increment - 1n;
+      await expect(
+        auctionHouse.connect(bidder2).placeBid(tokenId, lowRaise, { value: lowRaise })
+      ).to.be.revertedWith("Bid too low");
+    });
+
+    it("Should not accept bids above the resale cap", async function () {
+      const bid = maxPrice + 1n;
+      await expect(
+        auctionHouse.connect(bidder1).placeBid(tokenId, bid, { value: bid })
+      ).to.be.revertedWith("Bid exceeds resale cap");
+    });
+
+    it("Should credit outbid bidders for withdrawal", async function () {
+      await auctionHouse.connect(bidder1).placeBid(tokenId, reserve, { value: reserve });
+      const raise = reserve + increment;
+      await auctionHouse.connect(bidder2).placeBid(tokenId, raise, { value: raise });
+
+      expect(await auctionHouse.pendingReturns(bidder1.address)).to.equal(reserve);
+      await expect(auctionHouse.connect(bidder1).withdrawReturns(ethers.ZeroAddress))
+        .to.changeEtherBalance(bidder1, reserve);
+      await expect(
+        auctionHouse.connect(bidder1).withdrawReturns(ethers.ZeroAddress)
+      ).to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("Should extend the auction when bids arrive near the end", async function () {
+      const auction = await auctionHouse.auctions(tokenId);
+      await time.increaseTo(auction.endTime - 60n);
+
+      await expect(auctionHouse.connect(bidder1).placeBid(tokenId, reserve, { value: reserve }))
+        .to.emit(auctionHouse, "AuctionExtended");
+
+      const extended = await auctionHouse.auctions(tokenId);
+      expect(extended.endTime).to.equal(BigInt(await time.latest()) + 600n);
+    });
+
+    it("Should move the winning bid into marketplace escrow", async function () {
+      await auctionHouse.connect(bidder1).placeBid(tokenId, reserve, { value: reserve });
+      await expect(auctionHouse.settleAuction(tokenId)).to.be.revertedWith("Auction not ended");
+
+      await time.increase(24 * HOUR);
+      await expect(auctionHouse.connect(bidder2).settleAuction(tokenId))
+        .to.emit(marketplace, "EscrowCreated")
+        .withArgs(tokenId, bidder1.address, seller.address, reserve);
+
+      const escrow = await marketplace.escrowTransactions(tokenId);
+      expect(escrow.buyer).to.equal(bidder1.address);
+      expect(escrow.price).to.equal(reserve);
+      expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(bidder1.address);
+      expect(await eventTicketNFT.isLocked(tokenId)).to.be.true;
+      expect(await marketplace.totalEscrowed()).to.equal(reserve);
+      expect(await auctionHouse.getActiveAuctions()).to.deep.equal([]);
+
+      await marketplace.connect(bidder1).confirmTransaction(tokenId);
+      await marketplace.connect(seller).confirmTransaction(tokenId);
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.4875"));
+    });
+
+    it("Should release the ticket when no bids were placed", async function () {
+      await time.increase(24 * HOUR);
+      await auctionHouse.settleAuction(tokenId);
+
+      expect(await eventTicketNFT.isLocked(tokenId)).to.be.false;
+      expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(seller.address);
+    });
+
+    it("Should only let the seller cancel before any bids", async function () {
+      await expect(auctionHouse.connect(bidder1).cancelAuction(tokenId))
+        .to.be.revertedWith("Only seller can cancel");
+
+      await auctionHouse.connect(bidder1).placeBid(tokenId, reserve, { value: reserve });
+      await expect(auctionHouse.connect(seller).cancelAuction(tokenId))
+        .to.be.revertedWith("Auction has bids");
+    });
+
+    it("Should let a resold ticket be auctioned again", async function () {
+      await auctionHouse.connect(bidder1).placeBid(tokenId, reserve, { value: reserve });
+      await time.increase(24 * HOUR);
+      await auctionHouse.settleAuction(tokenId);
+      await marketplace.connect(bidder1).confirmTransaction(tokenId);
+      await marketplace.connect(seller).confirmTransaction(tokenId);
+
+      await auctionHouse.connect(bidder1).createEnglishAuction(tokenId, reserve, increment, HOUR);
+      expect((await auctionHouse.auctions(tokenId)).seller).to.equal(bidder1.address);
+    });
+  });
+
+  describe("Dutch Auction", function () {
+    const startPrice = ethers.parseEther("1.1");
+    const floorPrice = ethers.parseEther("0.5");
+
+    beforeEach(async function () {
+      await auctionHouse.connect(seller).createDutchAuction(tokenId, startPrice, floorPrice, 10 * HOUR);
+    });
+
+    it("Should decrease the price linearly to the floor", async function () {
+      const auction = await auctionHouse.auctions(tokenId);
+      await time.increaseTo(auction.startTime + 5n * BigInt(HOUR));
+      expect(await auctionHouse.currentPrice(tokenId)).to.equal(ethers.parseEther("0.8"));
+
+      await time.increaseTo(auction.endTime);
+      expect(await auctionHouse.currentPrice(tokenId)).to.equal(floorPrice);
+    });
+
+    it("Should open escrow at the current price and credit overpayment", async function () {
+      const auction = await auctionHouse.auctions(tokenId);
+      await time.setNextBlockTimestamp(auction.startTime + 5n * BigInt(HOUR));
+
+      await expect(auctionHouse.connect(bidder1).buyNow(tokenId, { value: startPrice }))
+        .to.emit(marketplace, "EscrowCreated")
+        .withArgs(tokenId, bidder1.address, seller.address, ethers.parseEther("0.8"));
+      expect(await auctionHouse.pendingReturns(bidder1.address)).to.equal(ethers.parseEther("0.3"));
+      expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(bidder1.address);
+    });
+
+    it("Should reject underpayment", async function () {
+      await expect(
+        auctionHouse.connect(bidder1).buyNow(tokenId, { value: floorPrice })
+      ).to.be.revertedWith("Incorrect payment amount");
+    });
+
+    it("Should not sell after the auction expires", async function () {
+      await time.increase(10 * HOUR);
+
+      await expect(
+        auctionHouse.connect(bidder1).buyNow(tokenId, { value: startPrice })
+      ).to.be.revertedWith("Auction ended");
+      await auctionHouse.settleAuction(tokenId);
+      expect(await eventTicketNFT.isLocked(tokenId)).to.be.false;
+    });
+
+    it("Should reject a start price above the resale cap", async function () {
+      await auctionHouse.connect(seller).cancelAuction(tokenId);
+
+      await expect(
+        auctionHouse.connect(seller).createDutchAuction(tokenId, maxPrice + 1n, floorPrice, HOUR)
+      ).to.be.revertedWith("Price exceeds resale cap");
+    });
+
+    it("Should not auction free tickets", async function () {
+      await eventTicketNFT.mintTicket(seller.address, eventId, "A2", 0, "QmHash", "ipfs://QmMetadata");
+      await eventTicketNFT.connect(admin).verifyTicket(1);
+
+      await expect(
+        auctionHouse.connect(seller).createDutchAuction(1, 2, 1, HOUR)
+      ).to.be.revertedWith("Free tickets cannot be resold");
+      await expect(
+        auctionHouse.connect(seller).createEnglishAuction(1, 1, 1, HOUR)
+      ).to.be.revertedWith("Free tickets cannot be resold");
+    });
+  });
+
+  describe("Token Auctions", function () {
+    const usdc = (amount) => ethers.parseUnits(amount, 6);
+    let token, usdcTokenId;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await token.waitForDeployment();
+
+      await marketplace.setPaymentTokenAllowed(token.target, true);
+      await eventTicketNFT.connect(organizer).createEvent(
+        "Jazz Night",
+        "Blue Note",
+        (await time.latest()) + 30 * 24 * HOUR,
+        50
+      );
+      await marketplace.connect(organizer).setEventPaymentToken(2, token.target);
+      await eventTicketNFT.connect(organizer).batchMintTickets(2, ["GA"], [usdc("100")], "ipfs://QmEvent");
+      usdcTokenId = 1;
+
+      for (const bidder of [bidder1, bidder2]) {
+        await token.mint(bidder.address, usdc("1000"));
+        await token.connect(bidder).approve(auctionHouse.target, usdc("1000"));
+      }
+    });
+
+    it("Should take token bids and settle them into escrow", async function () {
+      await auctionHouse.connect(organizer).createEnglishAuction(usdcTokenId, usdc("50"), usdc("5"), HOUR);
+
+      await auctionHouse.connect(bidder1).placeBid(usdcTokenId, usdc("50"));
+      await auctionHouse.connect(bidder2).placeBid(usdcTokenId, usdc("60"));
+      expect(await auctionHouse.pendingTokenReturns(bidder1.address, token.target)).to.equal(usdc("50"));
+
+      await time.increase(HOUR);
+      await auctionHouse.settleAuction(usdcTokenId);
+
+      expect(await marketplace.tokenEscrowed(token.target)).to.equal(usdc("60"));
+      expect(await token.balanceOf(marketplace.target)).to.equal(usdc("60"));
+      expect(await token.balanceOf(auctionHouse.target)).to.equal(usdc("50"));
+
+      await auctionHouse.connect(bidder1).withdrawReturns(token.target);
+      expect(await token.balanceOf(auctionHouse.target)).to.equal(0);
+    });
+
+    it("Should reject ETH on token auctions", async function () {
+      await auctionHouse.connect(organizer).createEnglishAuction(usdcTokenId, usdc("50"), usdc("5"), HOUR);
+
+      await expect(
+        auctionHouse.connect(bidder1).placeBid(usdcTokenId, usdc("50"), { value: 1 })
+      ).to.be.revertedWith("Auction is priced in a token");
+    });
+  });
+
+  describe("Marketplace Integration", function () {
+    it("Should only accept escrows from the auction house", async function () {
+      await expect(
+        marketplace.connect(seller).createAuctionEscrow(tokenId, seller.address, bidder1.address, 1, ethers.ZeroAddress, { value: 1 })
+      ).to.be.revertedWith("Only auction house");
+    });
+
+    it("Should not auction a ticket listed at a fixed price", async function () {
+      await marketplace.connect(seller).listTicket(tokenId, originalPrice);
+
+      await expect(
+        auctionHouse.connect(seller).createEnglishAuction(tokenId, originalPrice, 1, HOUR)
+      ).to.be.revertedWith("Ticket already listed");
+    });
+  });
+
+  describe("Freeze Window", function () {
+    const reserve = ethers.parseEther("0.5");
+    const increment = ethers.parseEther("0.1");
+
+    it("Should stop auctions from trading tickets once the event's freeze window begins", async function () {
+      await auctionHouse.connect(seller).createEnglishAuction(tokenId, reserve, increment, 25 * 24 * HOUR);
+      await auctionHouse.connect(bidder1).placeBid(tokenId, reserve, { value: reserve });
+
+      await eventTicketNFT.connect(organizer).setFreezeWindow(eventId, 7 * 24 * HOUR);
+      await time.increaseTo(await eventTicketNFT.tradingFreezesAt(tokenId));
+      await expect(
+        auctionHouse.connect(bidder2).placeBid(tokenId, reserve + increment, { value: reserve + increment })
+      ).to.be.revertedWith("Ticket trading frozen");
+
+      // Bids placed before the freeze still settle into escrow
+      await time.increase(25 * 24 * HOUR);
+      await expect(auctionHouse.settleAuction(tokenId)).to.emit(auctionHouse, "AuctionSettled");
+    });
+
+    it("Should not start auctions that end after trading freezes or the event starts", async function () {
+      await expect(
+        auctionHouse.connect(seller).createEnglishAuction(tokenId, reserve, increment, 30 * 24 * HOUR)
+      ).to.be.revertedWith("Auction would end after trading freezes");
+
+      await eventTicketNFT.connect(organizer).setFreezeWindow(eventId, 7 * 24 * HOUR);
+      expect(await auctionHouse.tradingCutoff(tokenId)).to.equal(await eventTicketNFT.tradingFreezesAt(tokenId));
+      await expect(
+        auctionHouse.connect(seller).createEnglishAuction(tokenId, reserve, increment, 25 * 24 * HOUR)
+      ).to.be.revertedWith("Auction would end after trading freezes");
+    });
+
+    it("Should not extend a late bid past the freeze, so settling opens escrow before it", async function () {
+      await eventTicketNFT.connect(organizer).setFreezeWindow(eventId, 7 * 24 * HOUR);
+      const freezesAt = await eventTicketNFT.tradingFreezesAt(tokenId);
+      const start = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(start);
+      await auctionHouse.connect(seller).createEnglishAuction(tokenId, reserve, increment, Number(freezesAt) - start);
+      expect((await auctionHouse.auctions(tokenId)).endTime).to.equal(freezesAt);
+
+      await time.setNextBlockTimestamp(freezesAt - 60n);
+      await expect(auctionHouse.connect(bidder1).placeBid(tokenId, reserve, { value: reserve }))
+        .to.not.emit(auctionHouse, "AuctionExtended");
+      expect((await auctionHouse.auctions(tokenId)).endTime).to.equal(freezesAt);
+
+      await time.setNextBlockTimestamp(freezesAt);
+      await expect(auctionHouse.settleAuction(tokenId))
+        .to.emit(marketplace, "TicketPurchased")
+        .withArgs(tokenId, bidder1.address, seller.address, reserve);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TicketDisputeCouncil", function () {
+  let roles, eventTicketNFT, marketplace, council;
+  let owner, admin1, admin2, admin3, seller, buyer, organizer;
+
+  // Proposals as (refundBps, buyerKeepsTicket)
+  const Vote = { SELLER: [0, true], BUYER: [10000, false], SPLIT: [5000, true] };
+  const price = ethers.parseEther("1");
+
+  // Sells a verified ticket from seller to buyer and has the buyer dispute it
+  async function openDispute(ticketPrice = price) {
+    const tokenId = await eventTicketNFT.totalSupply();
+    await eventTicketNFT.mintTicket(seller.address, 1, "A1", ticketPrice, "QmHash", "ipfs://QmMetadata");
+    await eventTicketNFT.verifyTicket(tokenId);
+    await marketplace.connect(seller).listTicket(tokenId, ticketPrice);
+    await marketplace.connect(buyer).purchaseTicket(tokenId, { value: ticketPrice });
+    await marketplace.connect(buyer).raiseDispute(tokenId, "Seat does not exist");
+    return tokenId;
+  }
+
+  beforeEach(async function () {
+    [owner, admin1, admin2, admin3, seller, buyer, organizer] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(eventTicketNFT.target);
+    await marketplace.waitForDeployment();
+
+    const TicketDisputeCouncil = await ethers.getContractFactory("TicketDisputeCouncil");
+    council = await TicketDisputeCouncil.deploy(marketplace.target);
+    await council.waitForDeployment();
+
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), marketplace.target);
+    await marketplace.setDisputeCouncil(council.target);
+    for (const admin of [admin1, admin2, admin3]) {
+      await roles.grantRole(ethers.id("DISPUTE_RESOLVER_ROLE"), admin.address);
+    }
+    await council.setQuorum(2);
+
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+    await eventTicketNFT.connect(organizer).createEvent(
+      "Rock Concert 2024",
+      "Madison Square Garden",
+      (await time.latest()) + 30 * 24 * 60 * 60,
+      100
+    );
+  });
+
+  it("Should route dispute resolution through the council", async function () {
+    const tokenId = await openDispute();
+    await expect(
+      marketplace.connect(admin1).resolveDispute(tokenId, true)
+    ).to.be.revertedWith("Only dispute council");
+  });
+
+  it("Should execute once the quorum agrees", async function () {
+    const tokenId = await openDispute();
+
+    await expect(council.connect(admin1).castVote(tokenId, ...Vote.BUYER))
+      .to.emit(council, "VoteCast")
+      .withArgs(tokenId, admin1.address, ...Vote.BUYER);
+    expect((await marketplace.escrowTransactions(tokenId)).completed).to.be.false;
+
+    await expect(council.connect(admin2).castVote(tokenId, ...Vote.BUYER))
+      .to.emit(council, "DisputeExecuted")
+      .withArgs(tokenId, ...Vote.BUYER, 2)
+      .and.to.emit(marketplace, "DisputeResolved")
+      .withArgs(tokenId, council.target, 10000, price, false);
+
+    expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(price);
+    expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(seller.address);
+
+    const [voters, votes] = await council.getVotes(tokenId);
+    expect(voters).to.deep.equal([admin1.address, admin2.address]);
+    expect(votes.map((vote) => [Number(vote.refundBps), vote.buyerKeepsTicket])).to.deep.equal([Vote.BUYER, Vote.BUYER]);
+
+    await expect(
+      council.connect(admin3).castVote(tokenId, ...Vote.SELLER)
+    ).to.be.revertedWith("No open dispute");
+  });
+
+  it("Should split the payment and leave the ticket with the buyer", async function () {
+    const tokenId = await openDispute();
+    await council.connect(admin1).castVote(tokenId, ...Vote.SPLIT);
+    await expect(council.connect(admin2).castVote(tokenId, ...Vote.SPLIT))
+      .to.emit(marketplace, "DisputeResolved")
+      .withArgs(tokenId, council.target, 5000, price / 2n, true);
+
+    expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(price / 2n);
+    // Seller's half less the 2.5% marketplace fee
+    expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.4875"));
+    expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(buyer.address);
+    expect(await eventTicketNFT.isLocked(tokenId)).to.be.false;
+  });
+
+  it("Should only count matching proposals together", async function () {
+    const tokenId = await openDispute();
+    await council.connect(admin1).castVote(tokenId, 3000, true);
+    await council.connect(admin2).castVote(tokenId, 3000, false);
+    await council.connect(admin3).castVote(tokenId, 5000, true);
+    expect((await marketplace.escrowTransactions(tokenId)).completed).to.be.false;
+
+    await expect(council.connect(admin3).castVote(tokenId, 3000, true))
+      .to.emit(council, "DisputeExecuted")
+      .withArgs(tokenId, 3000, true, 2);
+    expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("0.3"));
+    expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(buyer.address);
+  });
+
+  it("Should reject refunds above the full price", async function () {
+    const tokenId = await openDispute();
+    await expect(council.connect(admin1).castVote(tokenId, 10001, false)).to.be.revertedWith("Invalid refund percentage");
+  });
+
+  it("Should not execute a tie", async function () {
+    const tokenId = await openDispute();
+    await council.setQuorum(1);
+    await council.connect(admin1).castVote(tokenId, ...Vote.SELLER);
+    expect((await marketplace.escrowTransactions(tokenId)).completed).to.be.true;
+
+    const tiedTokenId = await openDispute();
+    await council.setQuorum(2);
+    await council.connect(admin1).castVote(tiedTokenId, ...Vote.SELLER);
+    await council.connect(admin2).castVote(tiedTokenId, ...Vote.BUYER);
+
+    // Lowering the quorum leaves both outcomes with enough votes, which is still a tie
+    await council.setQuorum(1);
+    await expect(council.connect(admin1).execute(tiedTokenId)).to.be.revertedWith("Quorum not reached");
+
+    await council.setQuorum(2);
+    await expect(council.connect(admin3).castVote(tiedTokenId, ...Vote.BUYER))
+      .to.emit(council, "DisputeExecuted")
+      .withArgs(tiedTokenId, ...Vote.BUYER, 2);
+  });
+
+  it("Should apply a quorum change to votes already cast", async function () {
+    const tokenId = await openDispute();
+    await council.setQuorum(3);
+    await council.connect(admin1).castVote(tokenId, ...Vote.SELLER);
+    await council.connect(admin2).castVote(tokenId, ...Vote.SELLER);
+    expect((await marketplace.escrowTransactions(tokenId)).completed).to.be.false;
+
+    await expect(council.connect(seller).execute(tokenId)).to.be.revertedWith("Only admin can perform this action");
+    await expect(council.connect(admin1).execute(tokenId)).to.be.revertedWith("Quorum not reached");
+
+    await expect(council.setQuorum(0)).to.be.revertedWith("Quorum must be positive");
+    await expect(council.connect(admin1).setQuorum(2)).to.be.revertedWith("Caller is missing role");
+    await expect(council.connect(admin1).setHighValueThreshold(ethers.ZeroAddress, 1)).to.be.revertedWith("Caller is missing role");
+    await council.setQuorum(2);
+
+    await expect(council.connect(admin3).execute(tokenId))
+      .to.emit(marketplace, "DisputeResolved")
+      .withArgs(tokenId, council.target, 0, 0, true);
+  });
+
+  it("Should drop the votes of revoked dispute resolvers", async function () {
+    const tokenId = await openDispute();
+    await council.connect(admin1).castVote(tokenId, ...Vote.BUYER);
+    await roles.revokeRole(ethers.id("DISPUTE_RESOLVER_ROLE"), admin1.address);
+
+    await expect(
+      council.connect(admin1).castVote(tokenId, ...Vote.BUYER)
+    ).to.be.revertedWith("Only admin can perform this action");
+
+    // admin1's vote no longer counts, so a second vote is not enough
+    await council.connect(admin2).castVote(tokenId, ...Vote.BUYER);
+    expect(await council.tally(tokenId, ...Vote.BUYER)).to.equal(1);
+    expect((await marketplace.escrowTransactions(tokenId)).completed).to.be.false;
+
+    await council.connect(admin3).castVote(tokenId, ...Vote.BUYER);
+    expect((await marketplace.escrowTransactions(tokenId)).completed).to.be.true;
+  });
+
+  it("Should let an admin change their vote", async function () {
+    const tokenId = await openDispute();
+    await council.connect(admin1).castVote(tokenId, ...Vote.SELLER);
+    await council.connect(admin1).castVote(tokenId, ...Vote.BUYER);
+
+    const [voters] = await council.getVotes(tokenId);
+    expect(voters).to.deep.equal([admin1.address]);
+    expect(await council.tally(tokenId, ...Vote.SELLER)).to.equal(0);
+    expect(await council.tally(tokenId, ...Vote.BUYER)).to.equal(1);
+  });
+
+  it("Should only require the quorum from the high-value threshold", async function () {
+    await council.setHighValueThreshold(ethers.ZeroAddress, ethers.parseEther("0.5"));
+
+    const cheapTokenId = await openDispute(ethers.parseEther("0.1"));
+    expect(await council.requiredVotes(cheapTokenId)).to.equal(1);
+    await council.connect(admin1).castVote(cheapTokenId, ...Vote.SELLER);
+    expect((await marketplace.escrowTransactions(cheapTokenId)).completed).to.be.true;
+
+    const expensiveTokenId = await openDispute(ethers.parseEther("0.5"));
+    expect(await council.requiredVotes(expensiveTokenId)).to.equal(2);
+  });
+
+  it("Should start a fresh ballot for a new dispute on the same ticket", async function () {
+    const tokenId = await openDispute();
+    await council.connect(admin1).castVote(tokenId, ...Vote.SELLER);
+    await council.connect(admin2).castVote(tokenId, ...Vote.SELLER);
+
+    // The buyer keeps the ticket and resells it
+    await marketplace.connect(buyer).listTicket(tokenId, price);
+    await marketplace.connect(organizer).purchaseTicket(tokenId, { value: price });
+    await marketplace.connect(organizer).raiseDispute(tokenId, "Wrong seat");
+
+    const [voters] = await council.getVotes(tokenId);
+    expect(voters).to.deep.equal([]);
+  });
+
+  it("Should let admins resolve directly again when the council is removed", async function () {
+    const tokenId = await openDispute();
+    await marketplace.setDisputeCouncil(ethers.ZeroAddress);
+    await expect(marketplace.connect(admin1).resolveDisputePartial(tokenId, ...Vote.SPLIT))
+      .to.emit(marketplace, "DisputeResolved")
+      .withArgs(tokenId, admin1.address, 5000, price / 2n, true);
+  });
+
+  describe("Evidence", function () {
+    it("Should keep an append-only thread from both parties", async function () {
+      const tokenId = await openDispute();
+
+      await expect(council.connect(buyer).submitEvidence(tokenId, ["QmSeatPhoto", "QmVenueMap"], "Seat A1 is not on the map"))
+        .to.emit(council, "EvidenceSubmitted")
+        .withArgs(tokenId, buyer.address, 0, ["QmSeatPhoto", "QmVenueMap"], "Seat A1 is not on the map");
+      await council.connect(seller).submitEvidence(tokenId, ["QmReceipt"], "");
+      await council.connect(admin1).submitEvidence(tokenId, [], "Seller, please share the original order");
+
+      const thread = await council.getEvidence(tokenId);
+      expect(thread.map((entry) => entry.author)).to.deep.equal([buyer.address, seller.address, admin1.address]);
+      expect(thread[0].cids).to.deep.equal(["QmSeatPhoto", "QmVenueMap"]);
+      expect(thread[1].cids).to.deep.equal(["QmReceipt"]);
+      expect(thread[2].note).to.equal("Seller, please share the original order");
+      expect(thread[2].timestamp).to.equal(await time.latest());
+    });
+
+    it("Should only accept evidence from the parties and admins", async function () {
+      const tokenId = await openDispute();
+      await expect(
+        council.connect(organizer).submitEvidence(tokenId, [], "I was there")
+      ).to.be.revertedWith("Not a party to the dispute");
+    });
+
+    it("Should validate evidence", async function () {
+      const tokenId = await openDispute();
+      await expect(council.connect(buyer).submitEvidence(tokenId, [], "")).to.be.revertedWith("Evidence required");
+      await expect(council.connect(buyer).submitEvidence(tokenId, [""], "")).to.be.revertedWith("Empty attachment");
+      await expect(
+        council.connect(buyer).submitEvidence(tokenId, Array(6).fill("QmPhoto"), "")
+      ).to.be.revertedWith("Too many attachments");
+      await expect(
+        council.connect(buyer).submitEvidence(tokenId, [], "x".repeat(1001))
+      ).to.be.revertedWith("Note too long");
+    });
+
+    it("Should close the thread when the dispute is resolved", async function () {
+      const tokenId = await openDispute();
+      await council.connect(buyer).submitEvidence(tokenId, ["QmSeatPhoto"], "");
+      await council.connect(admin1).castVote(tokenId, ...Vote.BUYER);
+      await council.connect(admin2).castVote(tokenId, ...Vote.BUYER);
+
+      await expect(
+        council.connect(seller).submitEvidence(tokenId, [], "Too late")
+      ).to.be.revertedWith("No open dispute");
+      // The resolved dispute's thread stays readable
+      expect(await council.getEvidence(tokenId)).to.have.length(1);
+    });
+  });
+});
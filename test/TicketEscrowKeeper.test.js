@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TicketEscrowKeeper", function () {
+  let roles, eventTicketNFT, marketplace, escrowKeeper;
+  let owner, seller, buyer, organizer, keeper;
+  let eventStart;
+
+  const price = ethers.parseEther("1");
+  const bounty = ethers.parseEther("0.01");
+
+  // Sells a verified ticket from seller to buyer, leaving the payment in escrow
+  async function openEscrow() {
+    const tokenId = await eventTicketNFT.totalSupply();
+    await eventTicketNFT.mintTicket(seller.address, 1, "A1", price, "QmHash", "ipfs://QmMetadata");
+    await eventTicketNFT.verifyTicket(tokenId);
+    await marketplace.connect(seller).listTicket(tokenId, price);
+    await marketplace.connect(buyer).purchaseTicket(tokenId, { value: price });
+    return tokenId;
+  }
+
+  beforeEach(async function () {
+    [owner, seller, buyer, organizer, keeper] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(eventTicketNFT.target);
+    await marketplace.waitForDeployment();
+
+    const TicketEscrowKeeper = await ethers.getContractFactory("TicketEscrowKeeper");
+    escrowKeeper = await TicketEscrowKeeper.deploy(marketplace.target);
+    await escrowKeeper.waitForDeployment();
+
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), marketplace.target);
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+    eventStart = (await time.latest()) + 30 * 24 * 60 * 60;
+    await eventTicketNFT.connect(organizer).createEvent("Rock Concert 2024", "Madison Square Garden", eventStart, 100);
+
+    await escrowKeeper.setBounty(bounty);
+    await owner.sendTransaction({ to: escrowKeeper.target, value: ethers.parseEther("1") });
+  });
+
+  it("Should release due escrows in one transaction and credit the bounty", async function () {
+    const first = await openEscrow();
+    const second = await openEscrow();
+    await time.increaseTo(await marketplace.escrowDeadline(second));
+
+    await expect(escrowKeeper.connect(keeper).releaseEscrows([first, second]))
+      .to.emit(escrowKeeper, "EscrowsReleased")
+      .withArgs(keeper.address, 2, 0, bounty * 2n)
+      .and.to.emit(marketplace, "EscrowCompleted");
+
+    expect((await marketplace.escrowTransactions(first)).completed).to.be.true;
+    expect((await marketplace.escrowTransactions(second)).completed).to.be.true;
+    expect(await escrowKeeper.pendingBounties(keeper.address)).to.equal(bounty * 2n);
+
+    await expect(escrowKeeper.connect(keeper).withdrawBounty()).to.changeEtherBalances(
+      [keeper, escrowKeeper],
+      [bounty * 2n, -bounty * 2n]
+    );
+  });
+
+  it("Should skip escrows that are not due without paying for them", async function () {
+    const disputed = await openEscrow();
+    await marketplace.connect(buyer).raiseDispute(disputed, "Wrong seat");
+    const due = await openEscrow();
+    await time.increaseTo(await marketplace.escrowDeadline(due));
+
+    await expect(escrowKeeper.connect(keeper).releaseEscrows([disputed, due, due]))
+      .to.emit(escrowKeeper, "ReleaseSkipped")
+      .withArgs(disputed)
+      .and.to.emit(escrowKeeper, "EscrowsReleased")
+      .withArgs(keeper.address, 1, 2, bounty);
+
+    await expect(escrowKeeper.releaseEscrows([])).to.be.revertedWith("No escrows given");
+  });
+
+  it("Should cap the bounty at the available funds", async function () {
+    await escrowKeeper.setBounty(ethers.parseEther("0.6"));
+    const first = await openEscrow();
+    const second = await openEscrow();
+    await time.increaseTo(await marketplace.escrowDeadline(second));
+
+    await escrowKeeper.connect(keeper).releaseEscrows([first]);
+    await expect(escrowKeeper.connect(keeper).releaseEscrows([second]))
+      .to.emit(escrowKeeper, "EscrowsReleased")
+      .withArgs(keeper.address, 1, 0, ethers.parseEther("0.4"));
+    expect(await escrowKeeper.availableFunds()).to.equal(0);
+  });
+
+  it("Should only let the default admin set bounties and treasurers reclaim unallocated funds", async function () {
+    expect(await escrowKeeper.roles()).to.equal(roles.target);
+    await expect(escrowKeeper.connect(keeper).setBounty(1)).to.be.revertedWith("Caller is missing role");
+    await expect(escrowKeeper.connect(keeper).reclaimFunds(1)).to.be.revertedWith("Caller is missing role");
+
+    const treasurer = seller;
+    await roles.grantRole(ethers.id("TREASURER_ROLE"), treasurer.address);
+    await expect(escrowKeeper.connect(treasurer).setBounty(1)).to.be.revertedWith("Caller is missing role");
+
+    const tokenId = await openEscrow();
+    await time.increaseTo(await marketplace.escrowDeadline(tokenId));
+    await escrowKeeper.connect(keeper).releaseEscrows([tokenId]);
+
+    // The keeper's earned bounty cannot be reclaimed
+    const available = ethers.parseEther("1") - bounty;
+    await expect(escrowKeeper.connect(treasurer).reclaimFunds(available + 1n)).to.be.revertedWith("Insufficient available funds");
+    await expect(escrowKeeper.connect(treasurer).reclaimFunds(available)).to.changeEtherBalance(treasurer, available);
+    await expect(escrowKeeper.connect(keeper).withdrawBounty()).to.changeEtherBalance(keeper, bounty);
+  });
+});
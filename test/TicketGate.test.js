@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TicketGate", function () {
+  let roles, eventTicketNFT, marketplace, gate;
+  let owner, organizer, holder, scanner, stranger;
+  let eventId, tokenId;
+
+  const HOUR = 60 * 60;
+  const price = ethers.parseEther("1");
+  const REDEEMED = 6; // EventTicketNFT.TicketStatus.REDEEMED
+
+  // Signs a TicketPass the way the frontend does for the "Show ticket" QR code
+  async function signPass(signer, { nonce, expiry } = {}) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const pass = {
+      tokenId,
+      nonce: nonce ?? (await gate.passNonces(tokenId)),
+      expiry: expiry ?? (await time.latest()) + HOUR,
+    };
+    const signature = await signer.signTypedData(
+      { name: "TicketGate", version: "1", chainId, verifyingContract: gate.target },
+      { TicketPass: [
+        { name: "tokenId", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+      ] },
+      pass
+    );
+    return [pass.tokenId, pass.nonce, pass.expiry, signature];
+  }
+
+  beforeEach(async function () {
+    [owner, organizer, holder, scanner, stranger] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(eventTicketNFT.target);
+    await marketplace.waitForDeployment();
+
+    const TicketGate = await ethers.getContractFactory("TicketGate");
+    gate = await TicketGate.deploy(eventTicketNFT.target, marketplace.target);
+    await gate.waitForDeployment();
+
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), marketplace.target);
+    await roles.grantRole(ethers.id("REDEEMER_ROLE"), gate.target);
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+    await eventTicketNFT.connect(organizer).createEvent(
+      "Rock Concert 2024",
+      "Madison Square Garden",
+      (await time.latest()) + 30 * 24 * HOUR,
+      100
+    );
+    eventId = 1;
+
+    tokenId = 0;
+    await eventTicketNFT.mintTicket(holder.address, eventId, "A1", price, "QmHash", "ipfs://QmMetadata");
+    await eventTicketNFT.verifyTicket(tokenId);
+    await gate.connect(organizer).setGateScanner(eventId, scanner.address, true);
+  });
+
+  it("Should let the event organizer manage gate scanners", async function () {
+    await expect(gate.connect(stranger).setGateScanner(eventId, stranger.address, true))
+      .to.be.revertedWith("Only event organizer can perform this action");
+
+    await expect(gate.connect(organizer).setGateScanner(eventId, scanner.address, false))
+      .to.emit(gate, "GateScannerUpdated")
+      .withArgs(eventId, scanner.address, false);
+    expect(await gate.gateScanners(eventId, scanner.address)).to.be.false;
+  });
+
+  it("Should accept platform-wide gate scanners at every event", async function () {
+    await expect(gate.connect(stranger).redeemTicket(...(await signPass(holder))))
+      .to.be.revertedWith("Only gate scanner");
+
+    await roles.grantRole(ethers.id("GATE_SCANNER_ROLE"), stranger.address);
+    await expect(gate.connect(stranger).redeemTicket(...(await signPass(holder))))
+      .to.emit(gate, "TicketRedeemed")
+      .withArgs(tokenId, eventId, holder.address, stranger.address);
+  });
+
+  it("Should redeem a ticket with the owner's signed pass", async function () {
+    const pass = await signPass(holder);
+
+    await expect(gate.connect(scanner).redeemTicket(...pass))
+      .to.emit(gate, "TicketRedeemed")
+      .withArgs(tokenId, eventId, holder.address, scanner.address)
+      .and.to.emit(eventTicketNFT, "TicketStatusChanged")
+      .withArgs(tokenId, REDEEMED);
+
+    expect((await eventTicketNFT.getTicketInfo(tokenId)).status).to.equal(REDEEMED);
+    expect(await gate.passNonces(tokenId)).to.equal(1);
+
+    // The same QR code cannot be scanned twice
+    await expect(gate.connect(scanner).redeemTicket(...pass)).to.be.revertedWith("Pass revoked");
+  });
+
+  it("Should reject passes from other scanners, signers or past their expiry", async function () {
+    await expect(gate.connect(stranger).redeemTicket(...(await signPass(holder))))
+      .to.be.revertedWith("Only gate scanner");
+
+    await expect(gate.connect(scanner).redeemTicket(...(await signPass(stranger))))
+      .to.be.revertedWith("Invalid pass signature");
+
+    const expired = await signPass(holder, { expiry: (await time.latest()) + 60 });
+    await time.increase(120);
+    await expect(gate.connect(scanner).redeemTicket(...expired)).to.be.revertedWith("Pass expired");
+  });
+
+  it("Should invalidate passes signed by a previous owner or revoked by the owner", async function () {
+    const leaked = await signPass(holder);
+    await expect(gate.connect(stranger).revokeTicketPasses(tokenId)).to.be.revertedWith("Not ticket owner");
+    await expect(gate.connect(holder).revokeTicketPasses(tokenId))
+      .to.emit(gate, "TicketPassesRevoked")
+      .withArgs(tokenId, 0);
+    await expect(gate.connect(scanner).redeemTicket(...leaked)).to.be.revertedWith("Pass revoked");
+
+    const stale = await signPass(holder);
+    await eventTicketNFT.connect(holder).transferFrom(holder.address, stranger.address, tokenId);
+    await expect(gate.connect(scanner).redeemTicket(...stale)).to.be.revertedWith("Invalid pass signature");
+    await gate.connect(scanner).redeemTicket(...(await signPass(stranger)));
+  });
+
+  it("Should block transfers and listings of redeemed tickets", async function () {
+    await gate.connect(scanner).redeemTicket(...(await signPass(holder)));
+
+    await expect(eventTicketNFT.connect(holder).transferFrom(holder.address, stranger.address, tokenId))
+      .to.be.revertedWith("Ticket already redeemed");
+    await expect(marketplace.connect(holder).listTicket(tokenId, price))
+      .to.be.revertedWith("Ticket not verified or available for sale");
+    await expect(eventTicketNFT.connect(holder).burn(tokenId)).to.not.be.reverted;
+  });
+
+  it("Should redeem a resale buyer's ticket in escrow and release the escrow to the seller", async function () {
+    await marketplace.connect(holder).listTicket(tokenId, price);
+    await marketplace.connect(stranger).purchaseTicket(tokenId, { value: price });
+    const fee = (price * (await marketplace.marketplaceFee())) / 10000n;
+
+    await expect(gate.connect(scanner).redeemTicket(...(await signPass(stranger))))
+      .to.emit(marketplace, "EscrowCompleted")
+      .withArgs(tokenId, stranger.address, holder.address)
+      .and.to.emit(gate, "TicketRedeemed")
+      .withArgs(tokenId, eventId, stranger.address, scanner.address);
+
+    expect((await eventTicketNFT.getTicketInfo(tokenId)).status).to.equal(REDEEMED);
+    expect(await eventTicketNFT.isLocked(tokenId)).to.be.false;
+    expect(await marketplace.pendingWithdrawals(holder.address)).to.equal(price - fee);
+    expect(await marketplace.getActiveEscrows()).to.be.empty;
+  });
+
+  it("Should close the listing of a ticket redeemed while listed", async function () {
+    await marketplace.connect(holder).listTicket(tokenId, price);
+
+    await expect(gate.connect(scanner).redeemTicket(...(await signPass(holder))))
+      .to.emit(marketplace, "TicketUnlisted")
+      .withArgs(tokenId, holder.address);
+
+    expect((await marketplace.listings(tokenId)).active).to.be.false;
+    expect(await marketplace.getActiveListings()).to.be.empty;
+    await expect(marketplace.connect(stranger).purchaseTicket(tokenId, { value: price }))
+      .to.be.revertedWith("Ticket not for sale");
+  });
+
+  it("Should not redeem disputed tickets or tickets of cancelled events", async function () {
+    await marketplace.connect(holder).listTicket(tokenId, price);
+    await marketplace.connect(stranger).purchaseTicket(tokenId, { value: price });
+    await marketplace.connect(stranger).raiseDispute(tokenId, "Wrong seat");
+    await expect(gate.connect(scanner).redeemTicket(...(await signPass(stranger))))
+      .to.be.revertedWith("Ticket not redeemable");
+    await marketplace.resolveDispute(tokenId, true);
+
+    await eventTicketNFT.connect(organizer).setEventStatus(eventId, 2); // CANCELLED
+    await expect(gate.connect(scanner).redeemTicket(...(await signPass(stranger))))
+      .to.be.revertedWith("Event not scheduled");
+  });
+});
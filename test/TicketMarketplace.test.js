@@ -0,0 +1,732 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TicketMarketplace", function () {
+  let roles, eventTicketNFT, marketplace;
+  let owner, admin, seller, buyer, organizer, other;
+  let eventId, eventStart;
+
+  const sampleTicket = {
+    seatInfo: "Section A, Row 5, Seat 10",
+    originalPrice: ethers.parseEther("0.1"),
+    proofImageHash: "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG",
+    tokenURI: "https://ipfs.io/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+  };
+
+  // Mints a ticket to the seller and verifies it, returning its token ID
+  async function mintVerifiedTicket(price = sampleTicket.originalPrice) {
+    const tokenId = await eventTicketNFT.totalSupply();
+    await eventTicketNFT.mintTicket(
+      seller.address,
+      eventId,
+      sampleTicket.seatInfo,
+      price,
+      sampleTicket.proofImageHash,
+      sampleTicket.tokenURI
+    );
+    await eventTicketNFT.connect(admin).verifyTicket(tokenId);
+    return tokenId;
+  }
+
+  beforeEach(async function () {
+    [owner, admin, seller, buyer, organizer, other] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(eventTicketNFT.target);
+    await marketplace.waitForDeployment();
+
+    await roles.grantRole(ethers.id("VERIFIER_ROLE"), admin.address);
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), marketplace.target);
+    await roles.grantRole(ethers.id("DISPUTE_RESOLVER_ROLE"), admin.address);
+
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+    eventStart = (await time.latest()) + 30 * 24 * 60 * 60;
+    await eventTicketNFT.connect(organizer).createEvent(
+      "Rock Concert 2024",
+      "Madison Square Garden",
+      eventStart,
+      100
+    );
+    eventId = 1;
+  });
+
+  describe("Escrow Purchase", function () {
+    it("Should lock a resale ticket in escrow on purchase", async function () {
+      const tokenId = await mintVerifiedTicket();
+      const price = ethers.parseEther("0.1");
+      await marketplace.connect(seller).listTicket(tokenId, price);
+
+      await expect(marketplace.connect(buyer).purchaseTicket(tokenId, { value: price }))
+        .to.emit(marketplace, "EscrowCreated")
+        .withArgs(tokenId, buyer.address, seller.address, price);
+
+      expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(buyer.address);
+      expect(await eventTicketNFT.isLocked(tokenId)).to.be.true;
+    });
+
+    it("Should release funds to seller once both parties confirm", async function () {
+      const price = ethers.parseEther("1");
+      const tokenId = await mintVerifiedTicket(price);
+      await marketplace.connect(seller).listTicket(tokenId, price);
+      await marketplace.connect(buyer).purchaseTicket(tokenId, { value: price });
+
+      await marketplace.connect(buyer).confirmTransaction(tokenId);
+      await expect(marketplace.connect(seller).confirmTransaction(tokenId))
+        .to.emit(marketplace, "FundsCredited")
+        .withArgs(seller.address, ethers.parseEther("0.975"));
+
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.975"));
+
+      expect(await eventTicketNFT.isLocked(tokenId)).to.be.false;
+    });
+  });
+
+  describe("Escrow Deadline", function () {
+    const price = ethers.parseEther("1");
+    const day = 24 * 60 * 60;
+    let tokenId;
+
+    beforeEach(async function () {
+      tokenId = await mintVerifiedTicket(price);
+      await marketplace.connect(seller).listTicket(tokenId, price);
+      await marketplace.connect(buyer).purchaseTicket(tokenId, { value: price });
+    });
+
+    it("Should release escrow a delay after the event starts", async function () {
+      expect(await marketplace.escrowDeadline(tokenId)).to.equal(eventStart + day);
+
+      // A week after purchase the event has not happened yet
+      await time.increase(7 * day);
+      await expect(marketplace.connect(other).autoReleaseEscrow(tokenId)).to.be.revertedWith(
+        "Confirmation period not ended"
+      );
+
+      await time.increaseTo(eventStart + day);
+      await expect(marketplace.connect(other).autoReleaseEscrow(tokenId)).to.emit(marketplace, "EscrowCompleted");
+    });
+
+    it("Should close disputes at the deadline", async function () {
+      const otherTokenId = await mintVerifiedTicket(price);
+      await marketplace.connect(seller).listTicket(otherTokenId, price);
+      await marketplace.connect(buyer).purchaseTicket(otherTokenId, { value: price });
+
+      await time.increaseTo(eventStart + day - 10);
+      await marketplace.connect(buyer).raiseDispute(tokenId, "Denied entry");
+      await time.increaseTo(eventStart + day);
+      await expect(
+        marketplace.connect(buyer).raiseDispute(otherTokenId, "Denied entry")
+      ).to.be.revertedWith("Dispute window closed");
+    });
+
+    it("Should follow the configured release delay", async function () {
+      await expect(marketplace.setReleaseDelay(6 * 60 * 60))
+        .to.emit(marketplace, "ReleaseDelayUpdated")
+        .withArgs(6 * 60 * 60);
+      expect(await marketplace.escrowDeadline(tokenId)).to.equal(eventStart + 6 * 60 * 60);
+
+      await expect(marketplace.setReleaseDelay(31 * day)).to.be.revertedWith("Release delay too long");
+      await expect(marketplace.connect(admin).setReleaseDelay(day)).to.be.revertedWith(
+        "Caller is missing role"
+      );
+    });
+  });
+
+  describe("Freeze Window", function () {
+    const HOUR = 60 * 60;
+    const price = sampleTicket.originalPrice;
+
+    beforeEach(async function () {
+      await eventTicketNFT.connect(organizer).setFreezeWindow(eventId, 2 * HOUR);
+    });
+
+    it("Should stop listings and resales in the final hours before the event", async function () {
+      const listed = await mintVerifiedTicket();
+      const unlisted = await mintVerifiedTicket();
+      await marketplace.connect(seller).listTicket(listed, price);
+
+      await time.increaseTo(eventStart - 2 * HOUR);
+      await expect(marketplace.connect(seller).listTicket(unlisted, price)).to.be.revertedWith(
+        "Ticket trading frozen"
+      );
+      await expect(
+        marketplace.connect(buyer).purchaseTicket(listed, { value: price })
+      ).to.be.revertedWith("Ticket trading frozen");
+
+      // The seller can still take a frozen listing down
+      await expect(marketplace.connect(seller).unlistTicket(listed)).to.emit(marketplace, "TicketUnlisted");
+    });
+
+    it("Should keep primary sales open during the freeze", async function () {
+      const tokenId = await eventTicketNFT.totalSupply();
+      await eventTicketNFT.connect(organizer).batchMintTickets(eventId, ["GA-1"], [price], "ipfs://QmSeatMap");
+      await marketplace.connect(organizer).listPrimaryTickets([tokenId]);
+
+      await time.increaseTo(eventStart - HOUR);
+      await expect(marketplace.connect(buyer).purchaseTicket(tokenId, { value: price }))
+        .to.emit(marketplace, "PrimarySaleCompleted");
+    });
+  });
+
+  describe("Resale Price Cap", function () {
+    const originalPrice = ethers.parseEther("1");
+    let tokenId;
+
+    beforeEach(async function () {
+      tokenId = await mintVerifiedTicket(originalPrice);
+    });
+
+    it("Should default to a 10% global markup cap", async function () {
+      expect(await marketplace.maxResaleMarkup()).to.equal(1000);
+      expect(await marketplace.getResaleMarkupCap(eventId)).to.equal(1000);
+      expect(await marketplace.getMaxResalePrice(tokenId)).to.equal(ethers.parseEther("1.1"));
+    });
+
+    it("Should allow listing exactly at the ceiling", async function () {
+      await expect(marketplace.connect(seller).listTicket(tokenId, ethers.parseEther("1.1")))
+        .to.emit(marketplace, "TicketListed")
+        .withArgs(tokenId, seller.address, ethers.parseEther("1.1"));
+    });
+
+    it("Should reject listing one wei above the ceiling", async function () {
+      await expect(
+        marketplace.connect(seller).listTicket(tokenId, ethers.parseEther("1.1") + 1n)
+      ).to.be.revertedWith("Price exceeds resale cap");
+    });
+
+    it("Should allow listing below the original price", async function () {
+      await marketplace.connect(seller).listTicket(tokenId, ethers.parseEther("0.5"));
+      expect((await marketplace.listings(tokenId)).active).to.be.true;
+    });
+
+    it("Should cap resale at face value when markup is zero", async function () {
+      await marketplace.updateMaxResaleMarkup(0);
+
+      await expect(
+        marketplace.connect(seller).listTicket(tokenId, originalPrice + 1n)
+      ).to.be.revertedWith("Price exceeds resale cap");
+      await marketplace.connect(seller).listTicket(tokenId, originalPrice);
+    });
+
+    it("Should apply a per-event cap over the global cap", async function () {
+      await expect(marketplace.connect(organizer).setEventMaxResaleMarkup(eventId, 5000))
+        .to.emit(marketplace, "EventMaxResaleMarkupUpdated")
+        .withArgs(eventId, 5000);
+
+      expect(await marketplace.getMaxResalePrice(tokenId)).to.equal(ethers.parseEther("1.5"));
+      await marketplace.connect(seller).listTicket(tokenId, ethers.parseEther("1.5"));
+    });
+
+    it("Should allow a per-event cap of zero", async function () {
+      await marketplace.setEventMaxResaleMarkup(eventId, 0);
+
+      expect(await marketplace.getMaxResalePrice(tokenId)).to.equal(originalPrice);
+      await expect(
+        marketplace.connect(seller).listTicket(tokenId, originalPrice + 1n)
+      ).to.be.revertedWith("Price exceeds resale cap");
+    });
+
+    it("Should not let free tickets be resold, only given away", async function () {
+      const freeTokenId = await mintVerifiedTicket(0);
+      expect(await marketplace.getMaxResalePrice(freeTokenId)).to.equal(0);
+
+      await expect(
+        marketplace.connect(seller).listTicket(freeTokenId, 1)
+      ).to.be.revertedWith("Free tickets cannot be resold");
+      await eventTicketNFT.connect(seller).transferFrom(seller.address, buyer.address, freeTokenId);
+      expect(await eventTicketNFT.ownerOf(freeTokenId)).to.equal(buyer.address);
+    });
+
+    it("Should fall back to the global cap once the event cap is cleared", async function () {
+      await marketplace.connect(organizer).setEventMaxResaleMarkup(eventId, 0);
+      await marketplace.connect(organizer).clearEventMaxResaleMarkup(eventId);
+
+      expect(await marketplace.getResaleMarkupCap(eventId)).to.equal(1000);
+    });
+
+    it("Should not allow others to set an event cap", async function () {
+      await expect(
+        marketplace.connect(seller).setEventMaxResaleMarkup(eventId, 5000)
+      ).to.be.revertedWith("Only event organizer or admin");
+    });
+
+    it("Should only allow the default admin to update the global cap", async function () {
+      await expect(
+        marketplace.connect(admin).updateMaxResaleMarkup(5000)
+      ).to.be.revertedWith("Caller is missing role");
+    });
+  });
+
+  describe("Royalties", function () {
+    const price = ethers.parseEther("1");
+    let tokenId;
+
+    beforeEach(async function () {
+      tokenId = await mintVerifiedTicket(price);
+      await eventTicketNFT.connect(organizer).setEventRoyalty(eventId, organizer.address, 500);
+      await marketplace.connect(seller).listTicket(tokenId, price);
+      await marketplace.connect(buyer).purchaseTicket(tokenId, { value: price });
+    });
+
+    it("Should pay the royalty out of escrow on completion", async function () {
+      await marketplace.connect(buyer).confirmTransaction(tokenId);
+
+      const tx = marketplace.connect(seller).confirmTransaction(tokenId);
+      await expect(tx)
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(tokenId, organizer.address, ethers.parseEther("0.05"));
+      // 1 ETH - 2.5% fee - 5% royalty
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.925"));
+      expect(await marketplace.pendingWithdrawals(organizer.address)).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("Should pay the royalty when a dispute is resolved for the seller", async function () {
+      await marketplace.connect(buyer).raiseDispute(tokenId, "Seat mismatch");
+
+      await marketplace.connect(admin).resolveDispute(tokenId, true);
+
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.925"));
+      expect(await marketplace.pendingWithdrawals(organizer.address)).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("Should not pay a royalty when the buyer is refunded", async function () {
+      await marketplace.connect(buyer).raiseDispute(tokenId, "Fake ticket");
+
+      await marketplace.connect(admin).resolveDispute(tokenId, false);
+
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(price);
+      expect(await marketplace.pendingWithdrawals(organizer.address)).to.equal(0);
+    });
+  });
+
+  describe("Dispute Resolution", function () {
+    const price = ethers.parseEther("1");
+    let tokenId;
+
+    beforeEach(async function () {
+      tokenId = await mintVerifiedTicket(price);
+      await marketplace.connect(seller).listTicket(tokenId, price);
+      await marketplace.connect(buyer).purchaseTicket(tokenId, { value: price });
+      await marketplace.connect(buyer).raiseDispute(tokenId, "Wrong section");
+    });
+
+    it("Should report full outcomes in the resolution event", async function () {
+      await expect(marketplace.connect(admin).resolveDispute(tokenId, false))
+        .to.emit(marketplace, "DisputeResolved")
+        .withArgs(tokenId, admin.address, 10000, price, false);
+      expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(seller.address);
+    });
+
+    it("Should refund a share to the buyer and pay the seller the rest", async function () {
+      await expect(marketplace.connect(admin).resolveDisputePartial(tokenId, 3000, true))
+        .to.emit(marketplace, "DisputeResolved")
+        .withArgs(tokenId, admin.address, 3000, ethers.parseEther("0.3"), true);
+
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("0.3"));
+      // 0.7 ETH less the 2.5% marketplace fee
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.6825"));
+      expect(await marketplace.accruedFees()).to.equal(ethers.parseEther("0.0175"));
+      expect(await marketplace.totalEscrowed()).to.equal(0);
+      expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(buyer.address);
+      expect(await eventTicketNFT.isLocked(tokenId)).to.be.false;
+    });
+
+    it("Should return the ticket to the seller when chosen", async function () {
+      await marketplace.connect(admin).resolveDisputePartial(tokenId, 8000, false);
+
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("0.8"));
+      expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(seller.address);
+      expect((await marketplace.escrowTransactions(tokenId)).completed).to.be.true;
+    });
+
+    it("Should pay the royalty only on the seller's share", async function () {
+      const royaltyTokenId = await mintVerifiedTicket(price);
+      await eventTicketNFT.connect(organizer).setEventRoyalty(eventId, organizer.address, 500);
+      await marketplace.connect(seller).listTicket(royaltyTokenId, price);
+      await marketplace.connect(buyer).purchaseTicket(royaltyTokenId, { value: price });
+      await marketplace.connect(buyer).raiseDispute(royaltyTokenId, "Late delivery");
+
+      await expect(marketplace.connect(admin).resolveDisputePartial(royaltyTokenId, 5000, true))
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(royaltyTokenId, organizer.address, ethers.parseEther("0.025"));
+    });
+
+    it("Should reject invalid partial resolutions", async function () {
+      await expect(
+        marketplace.connect(admin).resolveDisputePartial(tokenId, 10001, true)
+      ).to.be.revertedWith("Invalid refund percentage");
+      await expect(
+        marketplace.connect(other).resolveDisputePartial(tokenId, 5000, true)
+      ).to.be.revertedWith("Caller is missing role");
+
+      await marketplace.connect(admin).resolveDisputePartial(tokenId, 5000, true);
+      await expect(
+        marketplace.connect(admin).resolveDisputePartial(tokenId, 5000, true)
+      ).to.be.revertedWith("Transaction already completed");
+    });
+  });
+
+  describe("Primary Sale", function () {
+    const seats = ["Section A, Row 1, Seat 1", "Section A, Row 1, Seat 2"];
+    const prices = [ethers.parseEther("0.1"), ethers.parseEther("0.2")];
+
+    beforeEach(async function () {
+      await eventTicketNFT.connect(organizer).batchMintTickets(eventId, seats, prices, "ipfs://QmEvent");
+    });
+
+    it("Should list organizer tickets at their original price", async function () {
+      await marketplace.connect(organizer).listPrimaryTickets([0, 1]);
+
+      const listing = await marketplace.listings(1);
+      expect(listing.seller).to.equal(organizer.address);
+      expect(listing.price).to.equal(prices[1]);
+      expect(listing.primarySale).to.be.true;
+      expect((await marketplace.getActiveListings()).length).to.equal(2);
+    });
+
+    it("Should not allow non-organizers to list primary sale", async function () {
+      await eventTicketNFT.connect(organizer).transferFrom(organizer.address, other.address, 0);
+
+      await expect(
+        marketplace.connect(other).listPrimaryTickets([0])
+      ).to.be.revertedWith("Only event organizer can list primary sale");
+    });
+
+    it("Should settle primary purchases directly with the organizer", async function () {
+      await marketplace.connect(organizer).listPrimaryTickets([0]);
+      const fee = (prices[0] * 250n) / 10000n;
+
+      const tx = marketplace.connect(buyer).purchaseTicket(0, { value: prices[0] });
+      await expect(tx)
+        .to.emit(marketplace, "PrimarySaleCompleted")
+        .withArgs(0, buyer.address, organizer.address, prices[0]);
+      await expect(tx).to.emit(marketplace, "FundsCredited").withArgs(organizer.address, prices[0] - fee);
+      expect(await marketplace.pendingWithdrawals(organizer.address)).to.equal(prices[0] - fee);
+
+      expect(await eventTicketNFT.ownerOf(0)).to.equal(buyer.address);
+      expect(await eventTicketNFT.isLocked(0)).to.be.false;
+      expect((await marketplace.escrowTransactions(0)).price).to.equal(0);
+      expect((await marketplace.listings(0)).active).to.be.false;
+    });
+
+    it("Should let primary buyers resell through escrow", async function () {
+      await marketplace.connect(organizer).listPrimaryTickets([0]);
+      await marketplace.connect(buyer).purchaseTicket(0, { value: prices[0] });
+
+      await marketplace.connect(buyer).listTicket(0, prices[0]);
+      await marketplace.connect(other).purchaseTicket(0, { value: prices[0] });
+
+      expect(await eventTicketNFT.ownerOf(0)).to.equal(other.address);
+      expect(await eventTicketNFT.isLocked(0)).to.be.true;
+    });
+  });
+
+  describe("Withdrawals", function () {
+    const price = ethers.parseEther("1");
+    let tokenId;
+
+    beforeEach(async function () {
+      tokenId = await mintVerifiedTicket(price);
+      await marketplace.connect(seller).listTicket(tokenId, price);
+    });
+
+    it("Should let payees withdraw their credited balance", async function () {
+      await marketplace.connect(buyer).purchaseTicket(tokenId, { value: price });
+      await marketplace.connect(buyer).confirmTransaction(tokenId);
+      await marketplace.connect(seller).confirmTransaction(tokenId);
+
+      const amount = ethers.parseEther("0.975");
+      const tx = marketplace.connect(seller).withdraw();
+      await expect(tx).to.emit(marketplace, "FundsWithdrawn").withArgs(seller.address, amount);
+      await expect(tx).to.changeEtherBalances([seller, marketplace], [amount, -amount]);
+
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(0);
+      expect(await marketplace.totalPendingWithdrawals()).to.equal(0);
+    });
+
+    it("Should not allow withdrawing an empty balance", async function () {
+      await expect(marketplace.connect(other).withdraw()).to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("Should resolve disputes for contract buyers that reject Ether", async function () {
+      const RejectingBuyer = await ethers.getContractFactory("RejectingBuyer");
+      const contractBuyer = await RejectingBuyer.deploy(marketplace.target);
+      await contractBuyer.waitForDeployment();
+
+      await contractBuyer.purchaseTicket(tokenId, { value: price });
+      await contractBuyer.raiseDispute(tokenId, "Fake ticket");
+
+      await expect(marketplace.connect(admin).resolveDispute(tokenId, false))
+        .to.emit(marketplace, "DisputeResolved");
+      expect(await marketplace.pendingWithdrawals(contractBuyer.target)).to.equal(price);
+
+      await expect(contractBuyer.withdraw()).to.be.revertedWith("Withdrawal failed");
+      expect(await marketplace.pendingWithdrawals(contractBuyer.target)).to.equal(price);
+    });
+
+    it("Should only credit fees not owed to users", async function () {
+      await marketplace.connect(buyer).purchaseTicket(tokenId, { value: price });
+      await marketplace.connect(buyer).confirmTransaction(tokenId);
+      await marketplace.connect(seller).confirmTransaction(tokenId);
+
+      const fee = ethers.parseEther("0.025");
+      await expect(marketplace.withdrawFees())
+        .to.emit(marketplace, "FeesWithdrawn")
+        .withArgs(owner.address, fee);
+      expect(await marketplace.pendingWithdrawals(owner.address)).to.equal(fee);
+      await expect(marketplace.withdrawFees()).to.be.revertedWith("No fees to withdraw");
+    });
+  });
+
+  describe("Treasury", function () {
+    const price = ethers.parseEther("1");
+
+    // Every wei held must be owed to a payee, an open escrow or the fee pool
+    async function expectSolvent() {
+      const balance = await ethers.provider.getBalance(marketplace.target);
+      const owed =
+        (await marketplace.accruedFees()) +
+        (await marketplace.totalEscrowed()) +
+        (await marketplace.totalPendingWithdrawals());
+      expect(balance).to.equal(owed);
+    }
+
+    async function purchase(tokenId, from = buyer) {
+      await marketplace.connect(seller).listTicket(tokenId, price);
+      await marketplace.connect(from).purchaseTicket(tokenId, { value: price });
+    }
+
+    it("Should track escrowed funds separately from fees", async function () {
+      const tokenId = await mintVerifiedTicket(price);
+      await purchase(tokenId);
+
+      expect(await marketplace.totalEscrowed()).to.equal(price);
+      expect(await marketplace.accruedFees()).to.equal(0);
+
+      await marketplace.connect(buyer).confirmTransaction(tokenId);
+      await marketplace.connect(seller).confirmTransaction(tokenId);
+
+      expect(await marketplace.totalEscrowed()).to.equal(0);
+      expect(await marketplace.accruedFees()).to.equal(ethers.parseEther("0.025"));
+    });
+
+    it("Should not let fee withdrawals touch open escrows", async function () {
+      const settled = await mintVerifiedTicket(price);
+      const open = await mintVerifiedTicket(price);
+      await purchase(settled);
+      await marketplace.connect(buyer).confirmTransaction(settled);
+      await marketplace.connect(seller).confirmTransaction(settled);
+      await purchase(open, other);
+
+      await marketplace.withdrawFees();
+      await marketplace.withdraw();
+
+      expect(await marketplace.accruedFees()).to.equal(0);
+      expect(await ethers.provider.getBalance(marketplace.target)).to.equal(
+        price + ethers.parseEther("0.975")
+      );
+      await expect(marketplace.withdrawFees()).to.be.revertedWith("No fees to withdraw");
+    });
+
+    it("Should not accrue fees on refunded escrows", async function () {
+      const tokenId = await mintVerifiedTicket(price);
+      await purchase(tokenId);
+      await marketplace.connect(buyer).raiseDispute(tokenId, "Fake ticket");
+      await marketplace.connect(admin).resolveDispute(tokenId, false);
+
+      expect(await marketplace.accruedFees()).to.equal(0);
+      expect(await marketplace.totalEscrowed()).to.equal(0);
+    });
+
+    it("Should stay solvent across every settlement path", async function () {
+      await eventTicketNFT.connect(organizer).setEventRoyalty(eventId, organizer.address, 500);
+      const tokenIds = [];
+      for (let i = 0; i < 4; i++) {
+        tokenIds.push(await mintVerifiedTicket(price));
+      }
+
+      for (const tokenId of tokenIds) {
+        await purchase(tokenId);
+        await expectSolvent();
+      }
+
+      // Mutual confirmation
+      await marketplace.connect(buyer).confirmTransaction(tokenIds[0]);
+      await marketplace.connect(seller).confirmTransaction(tokenIds[0]);
+      await expectSolvent();
+
+      // Disputes resolved both ways
+      await marketplace.connect(buyer).raiseDispute(tokenIds[2], "Seat mismatch");
+      await marketplace.connect(admin).resolveDispute(tokenIds[2], true);
+      await expectSolvent();
+      await marketplace.connect(buyer).raiseDispute(tokenIds[3], "Fake ticket");
+      await marketplace.connect(admin).resolveDispute(tokenIds[3], false);
+      await expectSolvent();
+
+      // Primary sale
+      await eventTicketNFT.connect(organizer).batchMintTickets(eventId, ["GA"], [price], "ipfs://QmEvent");
+      const primaryId = (await eventTicketNFT.totalSupply()) - 1n;
+      await marketplace.connect(organizer).listPrimaryTickets([primaryId]);
+      await marketplace.connect(other).purchaseTicket(primaryId, { value: price });
+      await expectSolvent();
+
+      // Fee change while escrows are open, then auto-release after the event
+      await marketplace.updateMarketplaceFee(500);
+      await time.increaseTo(await marketplace.escrowDeadline(tokenIds[1]));
+      await marketplace.connect(other).autoReleaseEscrow(tokenIds[1]);
+      await expectSolvent();
+
+      // Everyone withdraws
+      await marketplace.withdrawFees();
+      await expectSolvent();
+      for (const payee of [owner, seller, buyer, organizer]) {
+        await marketplace.connect(payee).withdraw();
+        await expectSolvent();
+      }
+
+      expect(await ethers.provider.getBalance(marketplace.target)).to.equal(0);
+    });
+  });
+
+  describe("Token Payments", function () {
+    const usdc = (amount) => ethers.parseUnits(amount, 6);
+    let token, tokenId;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await token.waitForDeployment();
+
+      await marketplace.setPaymentTokenAllowed(token.target, true);
+      await marketplace.connect(organizer).setEventPaymentToken(eventId, token.target);
+
+      tokenId = await mintVerifiedTicket(usdc("100"));
+      await token.mint(buyer.address, usdc("1000"));
+      await token.connect(buyer).approve(marketplace.target, usdc("1000"));
+    });
+
+    async function expectTokenSolvent() {
+      const balance = await token.balanceOf(marketplace.target);
+      const owed =
+        (await marketplace.tokenAccruedFees(token.target)) +
+        (await marketplace.tokenEscrowed(token.target)) +
+        (await marketplace.tokenPendingWithdrawals(token.target));
+      expect(balance).to.equal(owed);
+    }
+
+    it("Should list tickets in the event's payment token", async function () {
+      await marketplace.connect(seller).listTicket(tokenId, usdc("110"));
+
+      expect((await marketplace.listings(tokenId)).paymentToken).to.equal(token.target);
+      await expect(
+        marketplace.connect(seller).listTicket(tokenId, usdc("110"))
+      ).to.be.revertedWith("Ticket already listed");
+    });
+
+    it("Should escrow the token on purchase", async function () {
+      await marketplace.connect(seller).listTicket(tokenId, usdc("100"));
+
+      await expect(marketplace.connect(buyer).purchaseTicket(tokenId))
+        .to.changeTokenBalances(token, [buyer, marketplace], [-usdc("100"), usdc("100")]);
+      expect((await marketplace.escrowTransactions(tokenId)).paymentToken).to.equal(token.target);
+      expect(await marketplace.tokenEscrowed(token.target)).to.equal(usdc("100"));
+      expect(await marketplace.totalEscrowed()).to.equal(0);
+    });
+
+    it("Should reject ETH for token-priced listings", async function () {
+      await marketplace.connect(seller).listTicket(tokenId, usdc("100"));
+
+      await expect(
+        marketplace.connect(buyer).purchaseTicket(tokenId, { value: usdc("100") })
+      ).to.be.revertedWith("Listing is priced in a token");
+    });
+
+    it("Should settle in the token with fee and royalty", async function () {
+      await eventTicketNFT.connect(organizer).setEventRoyalty(eventId, organizer.address, 500);
+      await marketplace.connect(seller).listTicket(tokenId, usdc("100"));
+      await marketplace.connect(buyer).purchaseTicket(tokenId);
+      await marketplace.connect(buyer).confirmTransaction(tokenId);
+
+      await expect(marketplace.connect(seller).confirmTransaction(tokenId))
+        .to.emit(marketplace, "TokenFundsCredited")
+        .withArgs(seller.address, token.target, usdc("92.5"));
+      expect(await marketplace.pendingTokenWithdrawals(organizer.address, token.target)).to.equal(usdc("5"));
+      expect(await marketplace.tokenAccruedFees(token.target)).to.equal(usdc("2.5"));
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(0);
+      await expectTokenSolvent();
+
+      await expect(marketplace.connect(seller).withdrawToken(token.target))
+        .to.changeTokenBalance(token, seller, usdc("92.5"));
+      await marketplace.withdrawTokenFees(token.target);
+      await marketplace.withdrawToken(token.target);
+      await marketplace.connect(organizer).withdrawToken(token.target);
+      expect(await token.balanceOf(marketplace.target)).to.equal(0);
+    });
+
+    it("Should refund the buyer in the token", async function () {
+      await marketplace.connect(seller).listTicket(tokenId, usdc("100"));
+      await marketplace.connect(buyer).purchaseTicket(tokenId);
+      await marketplace.connect(buyer).raiseDispute(tokenId, "Fake ticket");
+      await marketplace.connect(admin).resolveDispute(tokenId, false);
+
+      expect(await marketplace.pendingTokenWithdrawals(buyer.address, token.target)).to.equal(usdc("100"));
+      expect(await marketplace.tokenAccruedFees(token.target)).to.equal(0);
+      await expectTokenSolvent();
+    });
+
+    it("Should sell primary tickets in the token", async function () {
+      await eventTicketNFT.connect(organizer).batchMintTickets(eventId, ["GA"], [usdc("50")], "ipfs://QmEvent");
+      const primaryId = (await eventTicketNFT.totalSupply()) - 1n;
+      await marketplace.connect(organizer).listPrimaryTickets([primaryId]);
+
+      await marketplace.connect(buyer).purchaseTicket(primaryId);
+
+      expect(await marketplace.pendingTokenWithdrawals(organizer.address, token.target)).to.equal(usdc("48.75"));
+      expect(await marketplace.tokenAccruedFees(token.target)).to.equal(usdc("1.25"));
+      await expectTokenSolvent();
+    });
+
+    it("Should not list in a token that is no longer allowed", async function () {
+      await marketplace.setPaymentTokenAllowed(token.target, false);
+
+      await expect(
+        marketplace.connect(seller).listTicket(tokenId, usdc("100"))
+      ).to.be.revertedWith("Payment token not allowed");
+    });
+
+    it("Should not change the event currency once tickets are minted", async function () {
+      await expect(
+        marketplace.connect(organizer).setEventPaymentToken(eventId, ethers.ZeroAddress)
+      ).to.be.revertedWith("Tickets already minted");
+    });
+
+    it("Should lock the event currency once a pending ticket is minted", async function () {
+      await eventTicketNFT.connect(organizer).createEvent("Jazz Night", "Blue Note", eventStart, 50);
+      await eventTicketNFT.connect(seller).mintTicket(seller.address, 2, "A1", ethers.parseEther("1"), "QmHash", "ipfs://QmMetadata");
+      expect((await eventTicketNFT.getEventInfo(2)).ticketsVerified).to.equal(0);
+
+      await expect(
+        marketplace.connect(organizer).setEventPaymentToken(2, token.target)
+      ).to.be.revertedWith("Tickets already minted");
+    });
+
+    it("Should only accept allow-listed tokens for events", async function () {
+      await eventTicketNFT.connect(organizer).createEvent("Jazz Night", "Blue Note", eventStart, 50);
+
+      await expect(
+        marketplace.connect(organizer).setEventPaymentToken(2, other.address)
+      ).to.be.revertedWith("Payment token not allowed");
+      await expect(
+        marketplace.connect(admin).setPaymentTokenAllowed(other.address, true)
+      ).to.be.revertedWith("Caller is missing role");
+    });
+  });
+});
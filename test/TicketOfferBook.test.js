@@ -0,0 +1,316 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TicketOfferBook", function () {
+  let roles, eventTicketNFT, marketplace, offerBook;
+  let owner, admin, seller, buyer1, buyer2, organizer;
+  let eventId, tokenId;
+
+  const HOUR = 60 * 60;
+  const originalPrice = ethers.parseEther("1");
+  const offerAmount = ethers.parseEther("0.8");
+
+  beforeEach(async function () {
+    [owner, admin, seller, buyer1, buyer2, organizer] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(eventTicketNFT.target);
+    await marketplace.waitForDeployment();
+
+    const TicketOfferBook = await ethers.getContractFactory("TicketOfferBook");
+    offerBook = await TicketOfferBook.deploy(eventTicketNFT.target, marketplace.target);
+    await offerBook.waitForDeployment();
+
+    await roles.grantRole(ethers.id("VERIFIER_ROLE"), admin.address);
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), marketplace.target);
+    await marketplace.setOfferBook(offerBook.target);
+
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+    await eventTicketNFT.connect(organizer).createEvent(
+      "Rock Concert 2024",
+      "Madison Square Garden",
+      (await time.latest()) + 30 * 24 * HOUR,
+      100
+    );
+    eventId = 1;
+
+    tokenId = 0;
+    await eventTicketNFT.mintTicket(
+      seller.address,
+      eventId,
+      "Section A, Row 5, Seat 10",
+      originalPrice,
+      "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG",
+      "https://ipfs.io/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+    );
+    await eventTicketNFT.connect(admin).verifyTicket(tokenId);
+  });
+
+  describe("Making Offers", function () {
+    it("Should escrow the offer amount", async function () {
+      await expect(
+        offerBook.connect(buyer1).makeOffer(tokenId, offerAmount, 24 * HOUR, { value: offerAmount })
+      ).to.emit(offerBook, "OfferMade");
+
+      const offer = await offerBook.offers(0);
+      expect(offer.buyer).to.equal(buyer1.address);
+      expect(offer.amount).to.equal(offerAmount);
+      expect(offer.status).to.equal(0); // OPEN
+      expect(await ethers.provider.getBalance(offerBook.target)).to.equal(offerAmount);
+      expect(await offerBook.getTokenOffers(tokenId)).to.deep.equal([0n]);
+      expect(await offerBook.getBuyerOffers(buyer1.address)).to.deep.equal([0n]);
+    });
+
+    it("Should not take offers on free tickets", async function () {
+      await eventTicketNFT.mintTicket(seller.address, eventId, "A2", 0, "QmHash", "ipfs://QmMetadata");
+      await eventTicketNFT.connect(admin).verifyTicket(1);
+
+      await expect(
+        offerBook.connect(buyer1).makeOffer(1, 1, 24 * HOUR, { value: 1 })
+      ).to.be.revertedWith("Free tickets cannot be resold");
+    });
+
+    it("Should accept offers on listed tickets", async function () {
+      await marketplace.connect(seller).listTicket(tokenId, originalPrice);
+
+      await offerBook.connect(buyer1).makeOffer(tokenId, offerAmount, 24 * HOUR, { value: offerAmount });
+      expect(await offerBook.isOfferLive(0)).to.be.true;
+    });
+
+    it("Should reject invalid offers", async function () {
+      await expect(
+        offerBook.connect(seller).makeOffer(tokenId, offerAmount, 24 * HOUR, { value: offerAmount })
+      ).to.be.revertedWith("Cannot offer on your own ticket");
+
+      await expect(
+        offerBook.connect(buyer1).makeOffer(tokenId, offerAmount, 10 * 60, { value: offerAmount })
+      ).to.be.revertedWith("Invalid duration");
+
+      const overCap = ethers.parseEther("1.2");
+      await expect(
+        offerBook.connect(buyer1).makeOffer(tokenId, overCap, 24 * HOUR, { value: overCap })
+      ).to.be.revertedWith("Offer exceeds resale cap");
+
+      await expect(
+        offerBook.connect(buyer1).makeOffer(tokenId, offerAmount, 24 * HOUR, { value: 1 })
+      ).to.be.revertedWith("Incorrect payment amount");
+    });
+  });
+
+  describe("Responding to Offers", function () {
+    beforeEach(async function () {
+      await offerBook.connect(buyer1).makeOffer(tokenId, offerAmount, 24 * HOUR, { value: offerAmount });
+    });
+
+    it("Should open marketplace escrow when the seller accepts", async function () {
+      await expect(offerBook.connect(seller).acceptOffer(0))
+        .to.emit(offerBook, "OfferAccepted")
+        .withArgs(0, tokenId, seller.address, offerAmount)
+        .and.to.emit(marketplace, "EscrowCreated")
+        .withArgs(tokenId, buyer1.address, seller.address, offerAmount);
+
+      const escrow = await marketplace.escrowTransactions(tokenId);
+      expect(escrow.price).to.equal(offerAmount);
+      expect(await marketplace.totalEscrowed()).to.equal(offerAmount);
+      expect(await eventTicketNFT.ownerOf(tokenId)).to.equal(buyer1.address);
+      expect(await eventTicketNFT.isLocked(tokenId)).to.be.true;
+      expect(await ethers.provider.getBalance(offerBook.target)).to.equal(0);
+    });
+
+    it("Should not accept offers once the event's freeze window begins", async function () {
+      await offerBook.connect(buyer2).makeOffer(tokenId, offerAmount, 30 * 24 * HOUR, { value: offerAmount });
+      await eventTicketNFT.connect(organizer).setFreezeWindow(eventId, 7 * 24 * HOUR);
+      await time.increaseTo(await eventTicketNFT.tradingFreezesAt(tokenId));
+
+      await expect(offerBook.connect(seller).acceptOffer(1)).to.be.revertedWith("Ticket trading frozen");
+      await expect(
+        offerBook.connect(buyer2).makeOffer(tokenId, offerAmount, 24 * HOUR, { value: offerAmount })
+      ).to.be.revertedWith("Ticket trading frozen");
+    });
+
+    it("Should unlist a listed ticket when an offer is accepted", async function () {
+      await marketplace.connect(seller).listTicket(tokenId, originalPrice);
+
+      await expect(offerBook.connect(seller).acceptOffer(0))
+        .to.emit(marketplace, "TicketUnlisted")
+        .withArgs(tokenId, seller.address);
+
+      expect((await marketplace.listings(tokenId)).active).to.be.false;
+      expect(await marketplace.getActiveListings()).to.deep.equal([]);
+    });
+
+    it("Should only let the ticket owner accept", async function () {
+      await expect(offerBook.connect(buyer2).acceptOffer(0)).to.be.revertedWith("You don't own this ticket");
+    });
+
+    it("Should not accept expired offers", async function () {
+      await time.increase(24 * HOUR);
+
+      await expect(offerBook.connect(seller).acceptOffer(0)).to.be.revertedWith("Offer expired");
+      expect(await offerBook.isOfferLive(0)).to.be.false;
+    });
+
+    it("Should refund the buyer when the seller rejects", async function () {
+      await expect(offerBook.connect(seller).rejectOffer(0))
+        .to.emit(offerBook, "OfferRejected")
+        .withArgs(0, seller.address);
+
+      expect(await offerBook.pendingReturns(buyer1.address)).to.equal(offerAmount);
+      await expect(offerBook.connect(buyer1).withdrawReturns(ethers.ZeroAddress))
+        .to.changeEtherBalances([buyer1, offerBook], [offerAmount, -offerAmount]);
+    });
+
+    it("Should let the buyer cancel an expired offer", async function () {
+      await time.increase(24 * HOUR);
+
+      await expect(offerBook.connect(buyer2).cancelOffer(0)).to.be.revertedWith("Not your offer");
+      await offerBook.connect(buyer1).cancelOffer(0);
+
+      expect((await offerBook.offers(0)).status).to.equal(4); // CANCELLED
+      expect(await offerBook.pendingReturns(buyer1.address)).to.equal(offerAmount);
+      await expect(offerBook.connect(buyer1).cancelOffer(0)).to.be.revertedWith("Offer not open");
+    });
+
+    it("Should not accept an offer on a ticket that is in escrow", async function () {
+      await marketplace.connect(seller).listTicket(tokenId, originalPrice);
+      await marketplace.connect(buyer2).purchaseTicket(tokenId, { value: originalPrice });
+
+      await expect(offerBook.connect(buyer2).acceptOffer(0)).to.be.revertedWith("Ticket not tradable");
+    });
+  });
+
+  describe("Counter-Offers", function () {
+    const counterAmount = ethers.parseEther("0.95");
+
+    beforeEach(async function () {
+      await offerBook.connect(buyer1).makeOffer(tokenId, offerAmount, 24 * HOUR, { value: offerAmount });
+    });
+
+    it("Should open escrow at the counter price once the buyer tops up", async function () {
+      await expect(offerBook.connect(seller).counterOffer(0, counterAmount, 2 * HOUR))
+        .to.emit(offerBook, "OfferCountered");
+
+      await expect(
+        offerBook.connect(buyer1).acceptCounterOffer(0, { value: counterAmount })
+      ).to.be.revertedWith("Incorrect payment amount");
+
+      await expect(offerBook.connect(buyer1).acceptCounterOffer(0, { value: counterAmount - offerAmount }))
+        .to.emit(marketplace, "EscrowCreated")
+        .withArgs(tokenId, buyer1.address, seller.address, counterAmount);
+
+      const offer = await offerBook.offers(0);
+      expect(offer.status).to.equal(2); // ACCEPTED
+      expect(offer.amount).to.equal(counterAmount);
+      expect(await marketplace.totalEscrowed()).to.equal(counterAmount);
+    });
+
+    it("Should validate counter-offers", async function () {
+      await expect(
+        offerBook.connect(buyer2).counterOffer(0, counterAmount, HOUR)
+      ).to.be.revertedWith("You don't own this ticket");
+      await expect(
+        offerBook.connect(seller).counterOffer(0, offerAmount, HOUR)
+      ).to.be.revertedWith("Counter must exceed offer");
+      await expect(
+        offerBook.connect(seller).counterOffer(0, ethers.parseEther("1.2"), HOUR)
+      ).to.be.revertedWith("Counter exceeds resale cap");
+    });
+
+    it("Should not let the seller accept their own counter", async function () {
+      await offerBook.connect(seller).counterOffer(0, counterAmount, HOUR);
+
+      await expect(offerBook.connect(seller).acceptOffer(0)).to.be.revertedWith("Offer not open");
+      await expect(
+        offerBook.connect(seller).acceptCounterOffer(0, { value: counterAmount - offerAmount })
+      ).to.be.revertedWith("Not your offer");
+    });
+
+    it("Should expire counter-offers", async function () {
+      await offerBook.connect(seller).counterOffer(0, counterAmount, HOUR);
+      await time.increase(HOUR);
+
+      await expect(
+        offerBook.connect(buyer1).acceptCounterOffer(0, { value: counterAmount - offerAmount })
+      ).to.be.revertedWith("Offer expired");
+
+      await offerBook.connect(buyer1).cancelOffer(0);
+      expect(await offerBook.pendingReturns(buyer1.address)).to.equal(offerAmount);
+    });
+
+    it("Should void a counter-offer once the ticket changes hands", async function () {
+      await offerBook.connect(seller).counterOffer(0, counterAmount, HOUR);
+      await marketplace.connect(seller).listTicket(tokenId, originalPrice);
+      await marketplace.connect(buyer2).purchaseTicket(tokenId, { value: originalPrice });
+
+      await expect(
+        offerBook.connect(buyer1).acceptCounterOffer(0, { value: counterAmount - offerAmount })
+      ).to.be.revertedWith("Ticket changed hands");
+    });
+  });
+
+  describe("Token Offers", function () {
+    const usdc = (amount) => ethers.parseUnits(amount, 6);
+    let token, usdcTokenId;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await token.waitForDeployment();
+
+      await marketplace.setPaymentTokenAllowed(token.target, true);
+      await eventTicketNFT.connect(organizer).createEvent(
+        "Jazz Night",
+        "Blue Note",
+        (await time.latest()) + 30 * 24 * HOUR,
+        50
+      );
+      await marketplace.connect(organizer).setEventPaymentToken(2, token.target);
+      await eventTicketNFT.connect(organizer).batchMintTickets(2, ["GA"], [usdc("100")], "ipfs://QmEvent");
+      usdcTokenId = 1;
+
+      await token.mint(buyer1.address, usdc("1000"));
+      await token.connect(buyer1).approve(offerBook.target, usdc("1000"));
+    });
+
+    it("Should escrow token offers and settle counters into escrow", async function () {
+      await expect(
+        offerBook.connect(buyer1).makeOffer(usdcTokenId, usdc("80"), HOUR, { value: 1 })
+      ).to.be.revertedWith("Offer is priced in a token");
+
+      await offerBook.connect(buyer1).makeOffer(usdcTokenId, usdc("80"), HOUR);
+      expect(await token.balanceOf(offerBook.target)).to.equal(usdc("80"));
+
+      await offerBook.connect(organizer).counterOffer(0, usdc("95"), HOUR);
+      await offerBook.connect(buyer1).acceptCounterOffer(0);
+
+      expect(await marketplace.tokenEscrowed(token.target)).to.equal(usdc("95"));
+      expect(await token.balanceOf(marketplace.target)).to.equal(usdc("95"));
+      expect(await token.balanceOf(offerBook.target)).to.equal(0);
+    });
+
+    it("Should refund rejected token offers", async function () {
+      await offerBook.connect(buyer1).makeOffer(usdcTokenId, usdc("80"), HOUR);
+      await offerBook.connect(organizer).rejectOffer(0);
+
+      await expect(offerBook.connect(buyer1).withdrawReturns(token.target))
+        .to.changeTokenBalances(token, [buyer1, offerBook], [usdc("80"), -usdc("80")]);
+    });
+  });
+
+  describe("Marketplace Integration", function () {
+    it("Should only accept escrows from the offer book", async function () {
+      await expect(
+        marketplace.connect(seller).createOfferEscrow(tokenId, seller.address, buyer1.address, 1, ethers.ZeroAddress, { value: 1 })
+      ).to.be.revertedWith("Only offer book");
+    });
+  });
+});
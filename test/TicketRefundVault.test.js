@@ -0,0 +1,301 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TicketRefundVault", function () {
+  let roles, eventTicketNFT, marketplace, auctionHouse, refundVault;
+  let owner, organizer, buyer1, buyer2, stranger;
+  let eventId, eventStart;
+
+  const HOUR = 60 * 60;
+  const price = ethers.parseEther("1");
+  const resalePrice = ethers.parseEther("1.05");
+  const bid = ethers.parseEther("1.1");
+  const CANCELLED = 2; // EventTicketNFT.EventStatus.CANCELLED
+  const TICKET_CANCELLED = 7; // EventTicketNFT.TicketStatus.CANCELLED
+
+  // Tickets: #0 resold into escrow (buyer1 -> buyer2), #1 in an auction with a bid from buyer1,
+  // #2 and #3 unsold primary listings
+  beforeEach(async function () {
+    [owner, organizer, buyer1, buyer2, stranger] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(eventTicketNFT.target);
+    await marketplace.waitForDeployment();
+
+    const TicketAuctionHouse = await ethers.getContractFactory("TicketAuctionHouse");
+    auctionHouse = await TicketAuctionHouse.deploy(eventTicketNFT.target, marketplace.target);
+    await auctionHouse.waitForDeployment();
+
+    const TicketRefundVault = await ethers.getContractFactory("TicketRefundVault");
+    refundVault = await TicketRefundVault.deploy(eventTicketNFT.target, marketplace.target, auctionHouse.target);
+    await refundVault.waitForDeployment();
+
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), marketplace.target);
+    await roles.grantRole(ethers.id("MARKETPLACE_ROLE"), auctionHouse.target);
+    await roles.grantRole(ethers.id("REFUND_VAULT_ROLE"), refundVault.target);
+    await marketplace.setAuctionHouse(auctionHouse.target);
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+
+    eventStart = (await time.latest()) + 30 * 24 * HOUR;
+    await eventTicketNFT.connect(organizer).createEvent("Rock Concert 2024", "Madison Square Garden", eventStart, 100);
+    eventId = 1;
+    await eventTicketNFT.connect(organizer).batchMintTickets(
+      eventId,
+      ["A1", "A2", "A3", "A4"],
+      [price, price, price, price],
+      "ipfs://QmSeatMap"
+    );
+    await marketplace.connect(organizer).listPrimaryTickets([0, 1, 2, 3]);
+
+    await marketplace.connect(buyer1).purchaseTicket(0, { value: price });
+    await marketplace.connect(buyer1).listTicket(0, resalePrice);
+    await marketplace.connect(buyer2).purchaseTicket(0, { value: resalePrice });
+
+    await marketplace.connect(buyer2).purchaseTicket(1, { value: price });
+    await auctionHouse.connect(buyer2).createEnglishAuction(1, price, ethers.parseEther("0.01"), 24 * HOUR);
+    await auctionHouse.connect(buyer1).placeBid(1, bid, { value: bid });
+  });
+
+  it("Should only unwind tickets of a cancelled event", async function () {
+    await expect(refundVault.cancelTickets(eventId, [0, 1])).to.be.revertedWith("Event not cancelled");
+    await expect(marketplace.unwindCancelledTicket(0)).to.be.revertedWith("Event not cancelled");
+    await expect(auctionHouse.closeCancelledAuction(1)).to.be.revertedWith("Event not cancelled");
+  });
+
+  it("Should refund escrows and bids, delist tickets and mark them cancelled", async function () {
+    await eventTicketNFT.connect(organizer).setEventStatus(eventId, CANCELLED);
+
+    await expect(refundVault.connect(stranger).cancelTickets(eventId, [0, 1, 2, 3]))
+      .to.emit(refundVault, "TicketsCancelled")
+      .withArgs(eventId, 4, 0)
+      .and.to.emit(marketplace, "EscrowRefunded")
+      .withArgs(0, buyer2.address, resalePrice)
+      .and.to.emit(auctionHouse, "AuctionCancelled")
+      .withArgs(1);
+
+    // The resale is unwound: buyer2 gets the payment back and the ticket returns to buyer1
+    expect(await marketplace.pendingWithdrawals(buyer2.address)).to.equal(resalePrice);
+    expect(await marketplace.totalEscrowed()).to.equal(0);
+    expect(await eventTicketNFT.ownerOf(0)).to.equal(buyer1.address);
+    expect(await marketplace.getActiveEscrows()).to.deep.equal([]);
+
+    expect(await auctionHouse.pendingReturns(buyer1.address)).to.equal(bid);
+    expect((await auctionHouse.auctions(1)).active).to.be.false;
+    expect(await marketplace.getActiveListings()).to.deep.equal([]);
+
+    for (const tokenId of [0, 1, 2, 3]) {
+      expect((await eventTicketNFT.getTicketInfo(tokenId)).status).to.equal(TICKET_CANCELLED);
+    }
+
+    // Repeated batches skip tickets that are already cancelled
+    await expect(refundVault.cancelTickets(eventId, [0, 1]))
+      .to.emit(refundVault, "TicketsCancelled")
+      .withArgs(eventId, 0, 2);
+  });
+
+  it("Should skip tickets locked in an auction it cannot close instead of reverting the batch", async function () {
+    const TicketRefundVault = await ethers.getContractFactory("TicketRefundVault");
+    const vaultWithoutAuctions = await TicketRefundVault.deploy(eventTicketNFT.target, marketplace.target, ethers.ZeroAddress);
+    await roles.grantRole(ethers.id("REFUND_VAULT_ROLE"), vaultWithoutAuctions.target);
+    await eventTicketNFT.connect(organizer).setEventStatus(eventId, CANCELLED);
+
+    await expect(vaultWithoutAuctions.cancelTickets(eventId, [0, 1, 2, 3]))
+      .to.emit(vaultWithoutAuctions, "CancellationSkipped")
+      .withArgs(1)
+      .and.to.emit(vaultWithoutAuctions, "TicketsCancelled")
+      .withArgs(eventId, 3, 1);
+    expect((await eventTicketNFT.getTicketInfo(0)).status).to.equal(TICKET_CANCELLED);
+    expect(await eventTicketNFT.isLocked(1)).to.be.true;
+
+    // A vault that knows the auction house finishes the skipped ticket
+    await expect(refundVault.cancelTickets(eventId, [1]))
+      .to.emit(refundVault, "TicketsCancelled")
+      .withArgs(eventId, 1, 0);
+    expect((await eventTicketNFT.getTicketInfo(1)).status).to.equal(TICKET_CANCELLED);
+  });
+
+  it("Should refund disputed escrows in full", async function () {
+    await marketplace.connect(buyer2).raiseDispute(0, "Seat does not exist");
+    await eventTicketNFT.connect(organizer).setEventStatus(eventId, CANCELLED);
+
+    await refundVault.cancelTickets(eventId, [0]);
+
+    expect(await marketplace.pendingWithdrawals(buyer2.address)).to.equal(resalePrice);
+    expect((await marketplace.escrowTransactions(0)).completed).to.be.true;
+    expect(await eventTicketNFT.ownerOf(0)).to.equal(buyer1.address);
+  });
+
+  it("Should stop sales and transfers as soon as the event is cancelled", async function () {
+    await eventTicketNFT.connect(organizer).setEventStatus(eventId, CANCELLED);
+
+    // Primary listing not unwound yet
+    await expect(marketplace.connect(stranger).purchaseTicket(2, { value: price }))
+      .to.be.revertedWith("Event cancelled");
+    await expect(eventTicketNFT.connect(organizer).transferFrom(organizer.address, stranger.address, 3))
+      .to.be.revertedWith("Ticket trading frozen");
+
+    await refundVault.cancelTickets(eventId, [0]);
+    await expect(eventTicketNFT.connect(buyer1).transferFrom(buyer1.address, stranger.address, 0))
+      .to.be.revertedWith("Ticket trading frozen");
+  });
+
+  it("Should refund original prices to holders from the organizer deposit", async function () {
+    await expect(refundVault.connect(stranger).depositRefunds(eventId, price, { value: price }))
+      .to.be.revertedWith("Only event organizer can perform this action");
+    await expect(refundVault.connect(organizer).depositRefunds(eventId, price, { value: price - 1n }))
+      .to.be.revertedWith("Incorrect payment amount");
+
+    await expect(refundVault.connect(organizer).depositRefunds(eventId, price, { value: price }))
+      .to.emit(refundVault, "RefundDeposited")
+      .withArgs(eventId, organizer.address, price);
+
+    await expect(refundVault.connect(buyer1).claimRefund(0)).to.be.revertedWith("Ticket not cancelled");
+
+    await eventTicketNFT.connect(organizer).setEventStatus(eventId, CANCELLED);
+    await refundVault.cancelTickets(eventId, [0, 1, 2, 3]);
+
+    await expect(refundVault.connect(stranger).claimRefund(0)).to.be.revertedWith("Not ticket owner");
+    await expect(refundVault.connect(organizer).claimRefund(2)).to.be.revertedWith("Ticket not refundable");
+
+    const claim = refundVault.connect(buyer1).claimRefund(0);
+    await expect(claim).to.emit(refundVault, "RefundClaimed").withArgs(0, buyer1.address, price);
+    await expect(claim).to.changeEtherBalances([refundVault, buyer1], [-price, price]);
+    await expect(refundVault.connect(buyer1).claimRefund(0)).to.be.revertedWith("Refund already claimed");
+
+    // The deposit is used up until the organizer tops it up
+    await expect(refundVault.connect(buyer2).claimRefund(1)).to.be.revertedWith("Insufficient refund deposit");
+    await refundVault.connect(organizer).depositRefunds(eventId, price, { value: price });
+    await refundVault.connect(buyer2).claimRefund(1);
+    expect(await refundVault.deposits(eventId)).to.equal(0);
+  });
+
+  it("Should return unclaimed deposits to the organizer after the claim period", async function () {
+    const deposit = price * 2n;
+    await refundVault.connect(organizer).depositRefunds(eventId, deposit, { value: deposit });
+    await eventTicketNFT.connect(organizer).setEventStatus(eventId, CANCELLED);
+
+    await expect(refundVault.connect(organizer).withdrawDeposit(eventId, deposit))
+      .to.be.revertedWith("Claim period not over");
+
+    await time.increaseTo(eventStart + Number(await refundVault.CLAIM_PERIOD()));
+    await expect(refundVault.connect(stranger).withdrawDeposit(eventId, deposit))
+      .to.be.revertedWith("Only event organizer");
+    await expect(refundVault.connect(organizer).withdrawDeposit(eventId, deposit + 1n))
+      .to.be.revertedWith("Insufficient deposit");
+
+    const withdrawal = refundVault.connect(organizer).withdrawDeposit(eventId, deposit);
+    await expect(withdrawal)
+      .to.emit(refundVault, "RefundDepositWithdrawn")
+      .withArgs(eventId, organizer.address, deposit);
+    await expect(withdrawal).to.changeEtherBalances([refundVault, organizer], [-deposit, deposit]);
+  });
+
+  it("Should take deposits and pay refunds in the event's payment token", async function () {
+    const usdc = (amount) => ethers.parseUnits(amount, 6);
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await token.waitForDeployment();
+    await marketplace.setPaymentTokenAllowed(token.target, true);
+
+    await eventTicketNFT.connect(organizer).createEvent("Jazz Night", "Blue Note", eventStart, 50);
+    await marketplace.connect(organizer).setEventPaymentToken(2, token.target);
+    await eventTicketNFT.connect(organizer).batchMintTickets(2, ["GA"], [usdc("100")], "ipfs://QmEvent");
+    const usdcTokenId = 4;
+    await marketplace.connect(organizer).listPrimaryTickets([usdcTokenId]);
+    await token.mint(buyer1.address, usdc("100"));
+    await token.connect(buyer1).approve(marketplace.target, usdc("100"));
+    await marketplace.connect(buyer1).purchaseTicket(usdcTokenId);
+
+    await token.mint(organizer.address, usdc("100"));
+    await token.connect(organizer).approve(refundVault.target, usdc("100"));
+    await expect(refundVault.connect(organizer).depositRefunds(2, usdc("100"), { value: 1 }))
+      .to.be.revertedWith("Event is priced in a token");
+    await refundVault.connect(organizer).depositRefunds(2, usdc("100"));
+
+    await eventTicketNFT.connect(organizer).setEventStatus(2, CANCELLED);
+    await refundVault.cancelTickets(2, [usdcTokenId]);
+    await refundVault.connect(buyer1).claimRefund(usdcTokenId);
+
+    expect(await token.balanceOf(buyer1.address)).to.equal(usdc("100"));
+    expect(await token.balanceOf(refundVault.target)).to.equal(0);
+  });
+
+  describe("Rescheduling", function () {
+    const DAY = 24 * HOUR;
+
+    it("Should move the event and every ticket to the new start time", async function () {
+      const newStart = eventStart + 14 * DAY;
+
+      await expect(refundVault.connect(stranger).rescheduleEvent(eventId, newStart, 7 * DAY))
+        .to.be.revertedWith("Only event organizer can perform this action");
+      await expect(refundVault.connect(organizer).rescheduleEvent(eventId, newStart, 0))
+        .to.be.revertedWith("Invalid opt-out period");
+      await expect(refundVault.connect(organizer).rescheduleEvent(eventId, newStart, 31 * DAY))
+        .to.be.revertedWith("Invalid opt-out period");
+      await expect(eventTicketNFT.connect(organizer).rescheduleEvent(eventId, newStart))
+        .to.be.revertedWith("Caller is missing role");
+
+      const tx = refundVault.connect(organizer).rescheduleEvent(eventId, newStart, 7 * DAY);
+      await expect(tx)
+        .to.emit(eventTicketNFT, "EventRescheduled")
+        .withArgs(eventId, eventStart, newStart);
+      await expect(tx)
+        .to.emit(refundVault, "OptOutWindowOpened")
+        .withArgs(eventId, newStart, (await time.latest()) + 7 * DAY);
+
+      expect((await eventTicketNFT.getEventInfo(eventId)).startTime).to.equal(newStart);
+      for (const tokenId of [0, 1, 2, 3]) {
+        expect(await eventTicketNFT.eventStartOf(tokenId)).to.equal(newStart);
+      }
+    });
+
+    it("Should keep the opt-out window before the new start", async function () {
+      const soon = (await time.latest()) + 3 * DAY;
+      await expect(refundVault.connect(organizer).rescheduleEvent(eventId, soon, 7 * DAY))
+        .to.be.revertedWith("Opt-out window ends after the event");
+      await expect(refundVault.connect(organizer).rescheduleEvent(eventId, eventStart, 7 * DAY))
+        .to.be.revertedWith("Start time unchanged");
+
+      await eventTicketNFT.connect(organizer).setEventStatus(eventId, CANCELLED);
+      await expect(refundVault.connect(organizer).rescheduleEvent(eventId, eventStart + DAY, 7 * DAY))
+        .to.be.revertedWith("Event not scheduled");
+    });
+
+    it("Should let holders return organizer-sold tickets during the opt-out window", async function () {
+      await marketplace.connect(stranger).purchaseTicket(2, { value: price });
+      await expect(refundVault.connect(stranger).optOut(2)).to.be.revertedWith("Opt-out window closed");
+
+      await refundVault.connect(owner).rescheduleEvent(eventId, eventStart + 7 * DAY, 7 * DAY);
+      await expect(refundVault.connect(stranger).optOut(2)).to.be.revertedWith("Insufficient refund deposit");
+      await refundVault.connect(organizer).depositRefunds(eventId, price, { value: price });
+
+      await expect(refundVault.connect(buyer1).optOut(2)).to.be.revertedWith("Not ticket owner");
+      await expect(refundVault.connect(organizer).optOut(3)).to.be.revertedWith("Ticket is listed");
+      // Escrowed and auctioned tickets are locked
+      await expect(refundVault.connect(buyer2).optOut(0)).to.be.revertedWith("Ticket not refundable");
+      await expect(refundVault.connect(buyer2).optOut(1)).to.be.revertedWith("Ticket not refundable");
+
+      const optOut = refundVault.connect(stranger).optOut(2);
+      await expect(optOut).to.emit(refundVault, "TicketOptedOut").withArgs(2, stranger.address, price);
+      await expect(optOut).to.changeEtherBalances([refundVault, stranger], [-price, price]);
+      expect(await refundVault.deposits(eventId)).to.equal(0);
+
+      // The seat is unsold inventory again
+      expect(await eventTicketNFT.ownerOf(2)).to.equal(organizer.address);
+      expect((await eventTicketNFT.getTicketInfo(2)).status).to.equal(1); // VERIFIED
+      await marketplace.connect(organizer).listPrimaryTickets([2]);
+
+      await time.increase(7 * DAY + 1);
+      await expect(refundVault.connect(stranger).optOut(2)).to.be.revertedWith("Opt-out window closed");
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TicketRenderer", function () {
+  let roles, eventTicketNFT, renderer;
+  let owner, admin, seller, organizer;
+
+  // 2030-01-01 12:30 UTC
+  const eventStart = 1893501000;
+  const storedURI = "ipfs://QmMetadata";
+
+  const decodeDataURI = (uri, prefix) => {
+    expect(uri.startsWith(prefix)).to.be.true;
+    return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+  };
+
+  const readMetadata = async (tokenId) =>
+    JSON.parse(decodeDataURI(await eventTicketNFT.tokenURI(tokenId), "data:application/json;base64,"));
+
+  const readSVG = (metadata) => decodeDataURI(metadata.image, "data:image/svg+xml;base64,");
+
+  beforeEach(async function () {
+    [owner, admin, seller, organizer] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketRenderer = await ethers.getContractFactory("TicketRenderer");
+    renderer = await TicketRenderer.deploy(eventTicketNFT.target);
+    await renderer.waitForDeployment();
+
+    await roles.grantRole(ethers.id("VERIFIER_ROLE"), admin.address);
+    await roles.grantRole(ethers.id("ORGANIZER_ROLE"), organizer.address);
+    await eventTicketNFT.connect(organizer).createEvent("Rock Concert 2030", "Madison Square Garden", eventStart, 100);
+    await eventTicketNFT.mintTicket(seller.address, 1, "Section A, Row 5", ethers.parseEther("0.1"), "QmHash", storedURI);
+  });
+
+  it("Should serve the stored URI until a renderer is set", async function () {
+    expect(await eventTicketNFT.tokenURI(0)).to.equal(storedURI);
+
+    await expect(eventTicketNFT.setRenderer(renderer.target))
+      .to.emit(eventTicketNFT, "RendererUpdated")
+      .withArgs(renderer.target);
+    expect(await eventTicketNFT.tokenURI(0)).to.match(/^data:application\/json;base64,/);
+
+    await eventTicketNFT.setRenderer(ethers.ZeroAddress);
+    expect(await eventTicketNFT.tokenURI(0)).to.equal(storedURI);
+  });
+
+  it("Should only let the default admin set the renderer", async function () {
+    await expect(
+      eventTicketNFT.connect(admin).setRenderer(renderer.target)
+    ).to.be.revertedWith("Caller is missing role");
+  });
+
+  it("Should build ERC-721 metadata and SVG art from ticket information", async function () {
+    await eventTicketNFT.setRenderer(renderer.target);
+
+    const metadata = await readMetadata(0);
+    expect(metadata.name).to.equal("Rock Concert 2030 - Seat Section A, Row 5");
+    expect(metadata.description).to.equal("Ticket #0 for Rock Concert 2030 at Madison Square Garden");
+    expect(metadata.attributes).to.deep.include({ trait_type: "Event Date", display_type: "date", value: eventStart });
+    expect(metadata.attributes).to.deep.include({ trait_type: "Seat Info", value: "Section A, Row 5" });
+    expect(metadata.attributes).to.deep.include({ trait_type: "Status", value: "PENDING" });
+
+    const svg = readSVG(metadata);
+    expect(svg).to.match(/^<svg /);
+    expect(svg).to.include("Rock Concert 2030");
+    expect(svg).to.include("Madison Square Garden");
+    expect(svg).to.include("2030-01-01 12:30 UTC");
+    expect(svg).to.include("Section A, Row 5");
+    expect(svg).to.include(">PENDING</text>");
+  });
+
+  it("Should reflect status changes in the badge", async function () {
+    await eventTicketNFT.setRenderer(renderer.target);
+    await eventTicketNFT.connect(admin).verifyTicket(0);
+    expect(readSVG(await readMetadata(0))).to.include(">VERIFIED</text>");
+
+    await eventTicketNFT.connect(organizer).setEventStatus(1, 2); // CANCELLED
+    const metadata = await readMetadata(0);
+    expect(readSVG(metadata)).to.include(">CANCELLED</text>");
+    expect(metadata.attributes).to.deep.include({ trait_type: "Status", value: "CANCELLED" });
+  });
+
+  it("Should escape and shorten user-supplied text", async function () {
+    await eventTicketNFT.setRenderer(renderer.target);
+    await eventTicketNFT.connect(organizer).createEvent('Tom & "Jerry" <Live>', "Back\\Stage", eventStart, 10);
+    await eventTicketNFT.mintTicket(seller.address, 2, "Ünïcödé seat with a rather long description", 1, "", "");
+
+    const metadata = await readMetadata(1);
+    expect(metadata.name).to.equal('Tom & "Jerry" <Live> - Seat Ünïcödé seat with a rather long description');
+    expect(metadata.description).to.include("Back\\Stage");
+
+    const svg = readSVG(metadata);
+    expect(svg).to.include("Tom &amp; &quot;Jerry&quot; &lt;Live&gt;");
+    expect(svg).not.to.include("<Live>");
+    expect(svg).to.include("Ünïcödé seat with a...");
+  });
+
+  it("Should reject unminted tokens", async function () {
+    await eventTicketNFT.setRenderer(renderer.target);
+    await expect(eventTicketNFT.tokenURI(99)).to.be.revertedWith("ERC721: invalid token ID");
+  });
+});
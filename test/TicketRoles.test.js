@@ -0,0 +1,98 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TicketRoles", function () {
+  let roles, eventTicketNFT, marketplace;
+  let owner, verifier, treasurer, pauser, stranger;
+
+  const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+  const VERIFIER_ROLE = ethers.id("VERIFIER_ROLE");
+  const DISPUTE_RESOLVER_ROLE = ethers.id("DISPUTE_RESOLVER_ROLE");
+  const ORGANIZER_ROLE = ethers.id("ORGANIZER_ROLE");
+  const GATE_SCANNER_ROLE = ethers.id("GATE_SCANNER_ROLE");
+  const TREASURER_ROLE = ethers.id("TREASURER_ROLE");
+  const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+
+  beforeEach(async function () {
+    [owner, verifier, treasurer, pauser, stranger] = await ethers.getSigners();
+
+    const TicketRoles = await ethers.getContractFactory("TicketRoles");
+    roles = await TicketRoles.deploy();
+    await roles.waitForDeployment();
+
+    const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+    eventTicketNFT = await EventTicketNFT.deploy(roles.target);
+    await eventTicketNFT.waitForDeployment();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(eventTicketNFT.target);
+    await marketplace.waitForDeployment();
+  });
+
+  it("Should give the deployer every role but gate scanner", async function () {
+    for (const role of [DEFAULT_ADMIN_ROLE, VERIFIER_ROLE, DISPUTE_RESOLVER_ROLE, ORGANIZER_ROLE, TREASURER_ROLE, PAUSER_ROLE]) {
+      expect(await roles.hasRole(role, owner.address)).to.be.true;
+    }
+    expect(await roles.hasRole(GATE_SCANNER_ROLE, owner.address)).to.be.false;
+  });
+
+  it("Should be shared by the NFT contract and the marketplace", async function () {
+    expect(await marketplace.roles()).to.equal(roles.target);
+    expect(await marketplace.roles()).to.equal(await eventTicketNFT.roles());
+  });
+
+  it("Should emit events when roles are granted and revoked", async function () {
+    await expect(roles.grantRole(VERIFIER_ROLE, verifier.address))
+      .to.emit(roles, "RoleGranted")
+      .withArgs(VERIFIER_ROLE, verifier.address, owner.address);
+    expect(await roles.getRoleMemberCount(VERIFIER_ROLE)).to.equal(2);
+    expect(await roles.getRoleMember(VERIFIER_ROLE, 1)).to.equal(verifier.address);
+
+    await expect(roles.revokeRole(VERIFIER_ROLE, verifier.address))
+      .to.emit(roles, "RoleRevoked")
+      .withArgs(VERIFIER_ROLE, verifier.address, owner.address);
+    expect(await roles.hasRole(VERIFIER_ROLE, verifier.address)).to.be.false;
+
+    await expect(
+      roles.connect(stranger).grantRole(VERIFIER_ROLE, stranger.address)
+    ).to.be.revertedWith(/AccessControl: account .* is missing role/);
+  });
+
+  it("Should let the default admin delegate a role's administration", async function () {
+    await roles.grantRole(VERIFIER_ROLE, verifier.address);
+    await expect(roles.setRoleAdmin(ORGANIZER_ROLE, VERIFIER_ROLE))
+      .to.emit(roles, "RoleAdminChanged")
+      .withArgs(ORGANIZER_ROLE, DEFAULT_ADMIN_ROLE, VERIFIER_ROLE);
+    expect(await roles.getRoleAdmin(ORGANIZER_ROLE)).to.equal(VERIFIER_ROLE);
+
+    await roles.connect(verifier).grantRole(ORGANIZER_ROLE, stranger.address);
+    expect(await roles.hasRole(ORGANIZER_ROLE, stranger.address)).to.be.true;
+
+    await expect(
+      roles.connect(verifier).setRoleAdmin(PAUSER_ROLE, VERIFIER_ROLE)
+    ).to.be.revertedWith(/AccessControl: account .* is missing role/);
+  });
+
+  it("Should only let pausers pause both contracts", async function () {
+    await roles.grantRole(PAUSER_ROLE, pauser.address);
+    await expect(marketplace.connect(stranger).pause()).to.be.revertedWith("Caller is missing role");
+    await expect(eventTicketNFT.connect(stranger).pause()).to.be.revertedWith("Caller is missing role");
+
+    await marketplace.connect(pauser).pause();
+    await eventTicketNFT.connect(pauser).pause();
+    expect(await marketplace.paused()).to.be.true;
+    expect(await eventTicketNFT.paused()).to.be.true;
+  });
+
+  it("Should only let treasurers withdraw fees and keep configuration with the default admin", async function () {
+    await roles.grantRole(TREASURER_ROLE, treasurer.address);
+    await expect(marketplace.connect(stranger).withdrawFees()).to.be.revertedWith("Caller is missing role");
+    await expect(marketplace.connect(treasurer).withdrawFees()).to.be.revertedWith("No fees to withdraw");
+
+    await expect(
+      marketplace.connect(treasurer).updateMarketplaceFee(100)
+    ).to.be.revertedWith("Caller is missing role");
+    await roles.revokeRole(DEFAULT_ADMIN_ROLE, owner.address);
+    await expect(marketplace.updateMarketplaceFee(100)).to.be.revertedWith("Caller is missing role");
+  });
+});